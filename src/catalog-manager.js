@@ -1,5 +1,9 @@
 const https = require('https');
 const querystring = require('querystring');
+const { getClientCertificateAgent } = require('./client-certificate');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('CatalogManager');
 
 class CatalogManager {
     constructor() {
@@ -15,9 +19,9 @@ class CatalogManager {
      * @returns {Promise<Array>} Array of catalog objects
      */
     async fetchCatalogs(connectionId, hostname, accessToken) {
-        console.log('CatalogManager: Fetching catalogs for connection:', connectionId);
-        console.log('CatalogManager: Using hostname:', hostname);
-        console.log('CatalogManager: Token present:', !!accessToken);
+        logger.info('Fetching catalogs for connection:', connectionId);
+        logger.debug('Using hostname:', hostname);
+        logger.debug('Token present:', !!accessToken);
 
         if (!accessToken) {
             throw new Error('Access token is required for OCAPI calls');
@@ -27,7 +31,7 @@ class CatalogManager {
         const path = '/s/-/dw/data/v23_2/catalogs';
         const url = `https://${hostname}${path}`;
         
-        console.log('CatalogManager: Making request to:', url);
+        logger.info('Making request to:', url);
 
         try {
             const catalogData = await this.makeOCAPIRequest(hostname, path, accessToken);
@@ -35,15 +39,15 @@ class CatalogManager {
             // Extract catalogs from response
             const catalogs = catalogData.data || [];
             
-            console.log('CatalogManager: Found', catalogs.length, 'catalogs');
-            console.log('CatalogManager: Catalog data:', JSON.stringify(catalogs, null, 2));
+            logger.info('Found', catalogs.length, 'catalogs');
+            logger.debug('Catalog data:', catalogs);
 
             // Cache the results
             this.catalogCache.set(connectionId, catalogs);
 
             return catalogs;
         } catch (error) {
-            console.error('CatalogManager: Error fetching catalogs:', error);
+            logger.error('Error fetching catalogs:', error);
             throw new Error(`Failed to fetch catalogs: ${error.message}`);
         }
     }
@@ -62,6 +66,7 @@ class CatalogManager {
                 port: 443,
                 path: path,
                 method: 'GET',
+                agent: getClientCertificateAgent(hostname),
                 headers: {
                     'Authorization': `Bearer ${accessToken}`,
                     'Content-Type': 'application/json',
@@ -69,21 +74,13 @@ class CatalogManager {
                 }
             };
 
-            console.log('CatalogManager: HTTPS request options:', {
-                hostname: options.hostname,
-                path: options.path,
-                method: options.method,
-                headers: {
-                    ...options.headers,
-                    'Authorization': `Bearer ${accessToken.substring(0, 20)}...`
-                }
-            });
+            logger.debug('HTTPS request:', options.method, options.hostname + options.path);
 
             const req = https.request(options, (res) => {
                 let data = '';
 
-                console.log('CatalogManager: Response status:', res.statusCode);
-                console.log('CatalogManager: Response headers:', res.headers);
+                logger.debug('Response status:', res.statusCode);
+                logger.debug('Response headers:', res.headers);
 
                 res.on('data', (chunk) => {
                     data += chunk;
@@ -91,7 +88,7 @@ class CatalogManager {
 
                 res.on('end', () => {
                     try {
-                        console.log('CatalogManager: Raw response:', data);
+                        logger.debug('Raw response:', data);
                         
                         if (res.statusCode >= 200 && res.statusCode < 300) {
                             const jsonData = JSON.parse(data);
@@ -106,7 +103,7 @@ class CatalogManager {
             });
 
             req.on('error', (error) => {
-                console.error('CatalogManager: Request error:', error);
+                logger.error('Request error:', error);
                 reject(error);
             });
 
@@ -130,8 +127,8 @@ class CatalogManager {
      * @returns {Array} Array of WebDAV path objects
      */
     generateWebDAVPaths(baseWebDAVUrl, catalogs) {
-        console.log('CatalogManager: Generating WebDAV paths for', catalogs.length, 'catalogs');
-        console.log('CatalogManager: Base WebDAV URL:', baseWebDAVUrl);
+        logger.info('Generating WebDAV paths for', catalogs.length, 'catalogs');
+        logger.debug('Base WebDAV URL:', baseWebDAVUrl);
 
         if (!catalogs || catalogs.length === 0) {
             return [];
@@ -144,19 +141,19 @@ class CatalogManager {
         }
         
         const baseUrl = baseMatch[1];
-        console.log('CatalogManager: Extracted base URL:', baseUrl);
+        logger.debug('Extracted base URL:', baseUrl);
 
         return catalogs.map(catalog => {
             const catalogId = catalog.id || catalog.catalog_id;
             if (!catalogId) {
-                console.warn('CatalogManager: Catalog missing ID:', catalog);
+                logger.warn('Catalog missing ID:', catalog);
                 return null;
             }
 
             const webdavUrl = `${baseUrl}/on/demandware.servlet/webdav/Sites/Catalogs/${catalogId}`;
             const displayName = catalog.display_name || catalog.name || catalogId;
 
-            console.log('CatalogManager: Generated path for catalog', catalogId, ':', webdavUrl);
+            logger.debug('Generated path for catalog', catalogId, ':', webdavUrl);
 
             return {
                 catalogId: catalogId,
@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const https = require('https');
+const tls = require('tls');
+
+// HTTPS agents by instance hostname, so every request to an instance that
+// requires two-factor authentication presents its client certificate
+const agents = new Map();
+
+/**
+ * Create an HTTPS agent that presents a client certificate
+ * @param {Object} certificate - format ('pfx' or 'pem'), data (base64 for pfx,
+ *   PEM text with certificate and private key for pem) and optional passphrase
+ * @returns {https.Agent} Agent for requests that need the certificate
+ */
+function createClientCertificateAgent(certificate) {
+  const options = { keepAlive: true };
+
+  if (certificate.format === 'pfx') {
+    options.pfx = Buffer.from(certificate.data, 'base64');
+  } else {
+    // OpenSSL picks the certificate and the key out of the same PEM text
+    options.cert = certificate.data;
+    options.key = certificate.data;
+  }
+
+  if (certificate.passphrase) {
+    options.passphrase = certificate.passphrase;
+  }
+
+  // Agents only load the certificate on the first connection; fail early instead
+  try {
+    tls.createSecureContext(options);
+  } catch (error) {
+    throw new Error(`Invalid client certificate or passphrase: ${error.message}`);
+  }
+
+  return new https.Agent(options);
+}
+
+/**
+ * Use a client certificate for all requests to the host of a URL, or stop
+ * using one when no certificate is given
+ * @param {string} url - Any URL of the instance
+ * @param {Object} certificate - Client certificate of the connection, if any
+ * @returns {https.Agent|undefined} Agent for the host
+ */
+function registerClientCertificate(url, certificate) {
+  const { hostname } = new URL(url);
+
+  if (!certificate || !certificate.data) {
+    agents.delete(hostname);
+    return undefined;
+  }
+
+  // Creating an agent parses the certificate, so reuse it while nothing changed
+  const key = crypto.createHash('sha1')
+    .update(`${certificate.format}|${certificate.data}|${certificate.passphrase || ''}`)
+    .digest('hex');
+  const existing = agents.get(hostname);
+  if (existing && existing.key === key) {
+    return existing.agent;
+  }
+
+  const agent = createClientCertificateAgent(certificate);
+  agents.set(hostname, { key, agent });
+  return agent;
+}
+
+/**
+ * HTTPS agent with the client certificate registered for a host
+ * @param {string} hostname - Instance hostname
+ * @returns {https.Agent|undefined} Agent, or undefined to use the default agent
+ */
+function getClientCertificateAgent(hostname) {
+  const entry = agents.get(hostname);
+  return entry ? entry.agent : undefined;
+}
+
+module.exports = {
+  createClientCertificateAgent,
+  registerClientCertificate,
+  getClientCertificateAgent
+};
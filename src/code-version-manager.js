@@ -0,0 +1,103 @@
+const { makeOCAPIRequest } = require('./ocapi-request');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('CodeVersionManager');
+
+const CODE_VERSIONS_PATH = '/code_versions';
+
+class CodeVersionManager {
+    /**
+     * Fetch all code versions of an instance using OCAPI Data API
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @returns {Promise<Array>} Array of code version objects
+     */
+    async fetchCodeVersions(hostname, accessToken) {
+        logger.info('Fetching code versions from:', hostname);
+
+        try {
+            const response = await makeOCAPIRequest(hostname, 'GET', CODE_VERSIONS_PATH, accessToken);
+            const codeVersions = response.data || [];
+
+            logger.info('Found', codeVersions.length, 'code versions');
+            return codeVersions.map(version => ({
+                id: version.id,
+                active: !!version.active,
+                activationTime: version.activation_time || null,
+                lastModified: version.last_modification_time || null,
+                cartridges: version.cartridges || [],
+                compatibilityMode: version.compatibility_mode || null,
+                rollback: !!version.rollback,
+                webDavUrl: version.web_dav_url || null
+            }));
+        } catch (error) {
+            logger.error('Error fetching code versions:', error);
+            throw new Error(`Failed to fetch code versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create an empty code version
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @param {string} versionId - ID of the new code version
+     */
+    async createCodeVersion(hostname, accessToken, versionId) {
+        this.validateVersionId(versionId);
+
+        try {
+            return await makeOCAPIRequest(hostname, 'PUT', this.getVersionPath(versionId), accessToken, {});
+        } catch (error) {
+            throw new Error(`Failed to create code version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make a code version the active one
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @param {string} versionId - ID of the code version to activate
+     */
+    async activateCodeVersion(hostname, accessToken, versionId) {
+        this.validateVersionId(versionId);
+
+        try {
+            return await makeOCAPIRequest(hostname, 'PATCH', this.getVersionPath(versionId), accessToken, { active: true });
+        } catch (error) {
+            throw new Error(`Failed to activate code version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a code version. SFCC refuses to delete the active version.
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @param {string} versionId - ID of the code version to delete
+     */
+    async deleteCodeVersion(hostname, accessToken, versionId) {
+        this.validateVersionId(versionId);
+
+        try {
+            await makeOCAPIRequest(hostname, 'DELETE', this.getVersionPath(versionId), accessToken);
+            return true;
+        } catch (error) {
+            throw new Error(`Failed to delete code version: ${error.message}`);
+        }
+    }
+
+    /**
+     * Code version IDs end up in URLs and WebDAV folder names
+     * @param {string} versionId - Code version ID
+     */
+    validateVersionId(versionId) {
+        if (!versionId || !/^[A-Za-z0-9_.-]+$/.test(versionId)) {
+            throw new Error('Code version ID may only contain letters, digits, dots, dashes and underscores');
+        }
+    }
+
+    getVersionPath(versionId) {
+        return `${CODE_VERSIONS_PATH}/${encodeURIComponent(versionId)}`;
+    }
+}
+
+module.exports = CodeVersionManager;
@@ -1,14 +1,75 @@
+const { safeStorage } = require('electron');
 const Store = require('electron-store');
 const CryptoJS = require('crypto-js');
 const crypto = require('crypto');
+const { promisify } = require('util');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('CredentialManager');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Prefix of secrets encrypted with AES-256-GCM; older entries were encrypted
+// with CryptoJS and a key stored next to them
+const ENCRYPTION_PREFIX = 'v2:';
+const SCRYPT_OPTIONS = { N: 32768, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MASTER_PASSWORD_CHECK = 'sfcc-webdav-manager';
+const PROFILE_BUNDLE_FORMAT = 'sfcc-webdav-manager-profiles';
+const PROFILE_BUNDLE_VERSION = 1;
+
+const ENVIRONMENT_TYPES = ['sandbox', 'development', 'staging', 'production'];
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Tags as a sorted list without blanks and duplicates; accepts a
+ * comma-separated string as entered in the connection form
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+  return Array.from(new Set(list.map(tag => String(tag).trim()).filter(Boolean)))
+    .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Guess the environment from the instance hostname: sandboxes are served from
+ * *.sandbox.*.commercecloud.salesforce.com, primary instance group hosts start
+ * with development-, staging- or production-
+ */
+function detectEnvironment(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return null;
+  }
+
+  if (/(^|\.)sandbox\./.test(hostname) || /^[a-z]{4}-\d{3}\./.test(hostname)) {
+    return 'sandbox';
+  }
+  return ENVIRONMENT_TYPES.find(type => hostname.startsWith(`${type}-`)) || null;
+}
+
+/**
+ * Environment to save: a valid explicit choice, the saved one when none was
+ * passed, or one detected from the URL ('' in the form means "detect")
+ */
+function resolveEnvironment(credentials, savedConnection) {
+  if (ENVIRONMENT_TYPES.includes(credentials.environment)) {
+    return credentials.environment;
+  }
+  if (credentials.environment === undefined && savedConnection && savedConnection.environment) {
+    return savedConnection.environment;
+  }
+  return detectEnvironment(credentials.url);
+}
 
 class CredentialManager {
   constructor() {
     this.store = null;
-    this.encryptionKey = null;
+    this.encryptionKey = null; // Key for sensitive data; null while locked
+    this.keySource = null; // 'keychain' or 'master-password'
     this.oauth2Manager = null; // Will be injected
     this.initializeStore();
-    this.initializeEncryption();
   }
 
   /**
@@ -30,39 +91,256 @@ class CredentialManager {
       this.store.set('connections', this.store.get('connections', []));
       this.store.set('sensitiveData', this.store.get('sensitiveData', {}));
     } catch (error) {
-      console.error('Failed to initialize store:', error);
+      logger.error('Failed to initialize store:', error);
     }
   }
 
   /**
-   * Initialize encryption after store is created
+   * Initialize encryption once the app is ready (the OS keychain is not
+   * available before). The key for sensitive data is kept in the OS keychain
+   * (macOS Keychain, Windows DPAPI, Linux Secret Service/KWallet); without a
+   * keychain it is derived from a master password and stays locked until the
+   * user enters it.
    */
   initializeEncryption() {
+    if (this.store.get('masterPassword') || !this.isKeychainAvailable()) {
+      this.keySource = 'master-password';
+      this.encryptionKey = null;
+      logger.info('Secrets are protected by a master password');
+      return;
+    }
+
+    this.keySource = 'keychain';
     try {
-      const encryptionKey = this.getOrCreateEncryptionKey();
-      // Note: electron-store encryption setup is done once during store creation
-      // For now, we'll handle encryption manually in our methods
+      this.encryptionKey = this.loadKeychainKey();
+      this.migrateSensitiveData();
     } catch (error) {
-      console.error('Failed to initialize encryption:', error);
+      logger.error('Failed to read encryption key from OS keychain:', error);
+      this.encryptionKey = null;
     }
   }
 
   /**
-   * Get or create encryption key for additional security layer
+   * Whether secrets can be protected by the OS keychain
    */
-  getOrCreateEncryptionKey() {
-    try {
-      let key = this.store.get('encryptionSalt');
-      if (!key) {
-        key = crypto.randomBytes(32).toString('hex');
-        this.store.set('encryptionSalt', key);
+  isKeychainAvailable() {
+    if (!safeStorage.isEncryptionAvailable()) {
+      return false;
+    }
+    // Without a keyring Chromium falls back to a hard-coded password on Linux
+    return process.platform !== 'linux' || safeStorage.getSelectedStorageBackend() !== 'basic_text';
+  }
+
+  /**
+   * Load the encryption key from the OS keychain, creating it on first use
+   */
+  loadKeychainKey() {
+    const wrappedKey = this.store.get('keychainKey');
+    if (wrappedKey) {
+      return Buffer.from(safeStorage.decryptString(Buffer.from(wrappedKey, 'base64')), 'hex');
+    }
+
+    const key = crypto.randomBytes(32);
+    this.store.set('keychainKey', safeStorage.encryptString(key.toString('hex')).toString('base64'));
+    return key;
+  }
+
+  /**
+   * Where the encryption key comes from and whether saved secrets can be read
+   */
+  getEncryptionStatus() {
+    return {
+      keySource: this.keySource,
+      locked: !this.encryptionKey,
+      hasMasterPassword: !!this.store.get('masterPassword'),
+      keychainAvailable: this.isKeychainAvailable(),
+      autoLockMinutes: this.getSetting('autoLockMinutes', 0)
+    };
+  }
+
+  /**
+   * Unlock saved secrets with the master password. The first call sets the
+   * master password.
+   * @param {string} password - Master password
+   */
+  async unlockWithMasterPassword(password) {
+    if (this.keySource !== 'master-password') {
+      throw new Error('Secrets are protected by the OS keychain');
+    }
+    if (!password) {
+      throw new Error('Master password is required');
+    }
+
+    if (!this.store.get('masterPassword')) {
+      const { key, config } = await this.createMasterPassword(password);
+      this.encryptionKey = key;
+      this.store.set('masterPassword', config);
+    } else {
+      this.encryptionKey = await this.verifyMasterPassword(password);
+    }
+
+    this.migrateSensitiveData();
+    return this.getEncryptionStatus();
+  }
+
+  /**
+   * Protect secrets with a new master password, or change the current one.
+   * All saved credentials are re-encrypted with the new key.
+   * @param {string} newPassword - New master password
+   * @param {string} currentPassword - Current master password, if one is set
+   */
+  async setMasterPassword(newPassword, currentPassword) {
+    this.assertUnlocked();
+    if (!newPassword) {
+      throw new Error('Master password is required');
+    }
+    if (this.store.get('masterPassword')) {
+      await this.verifyMasterPassword(currentPassword);
+    }
+
+    const { key, config } = await this.createMasterPassword(newPassword);
+    this.reencryptSensitiveData(key);
+    this.store.set('masterPassword', config);
+    // The keychain key can't decrypt anything anymore
+    this.store.delete('keychainKey');
+    this.keySource = 'master-password';
+    return this.getEncryptionStatus();
+  }
+
+  /**
+   * Go back to protecting secrets with the OS keychain. All saved credentials
+   * are re-encrypted with the keychain key.
+   * @param {string} currentPassword - Current master password
+   */
+  async removeMasterPassword(currentPassword) {
+    this.assertUnlocked();
+    if (!this.store.get('masterPassword')) {
+      throw new Error('No master password is set');
+    }
+    if (!this.isKeychainAvailable()) {
+      throw new Error('A master password is required because no OS keychain is available');
+    }
+    await this.verifyMasterPassword(currentPassword);
+
+    this.reencryptSensitiveData(this.loadKeychainKey());
+    this.store.delete('masterPassword');
+    this.keySource = 'keychain';
+    this.saveSetting('autoLockMinutes', 0);
+    return this.getEncryptionStatus();
+  }
+
+  /**
+   * Forget the key derived from the master password until it is entered again
+   * @returns {boolean} Whether secrets got locked; the keychain key can't be locked
+   */
+  lock() {
+    if (this.keySource !== 'master-password' || !this.encryptionKey) {
+      return false;
+    }
+    this.encryptionKey = null;
+    return true;
+  }
+
+  isLocked() {
+    return !this.encryptionKey;
+  }
+
+  /**
+   * Derive a key from a new master password
+   * @returns {Promise<Object>} key and the config to store, which lets
+   *   verifyMasterPassword check the password later
+   */
+  async createMasterPassword(password) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = await this.deriveKey(password, salt);
+    return {
+      key,
+      config: {
+        kdf: 'scrypt',
+        salt,
+        check: this.encryptWithKey(MASTER_PASSWORD_CHECK, key)
       }
-      return key;
+    };
+  }
+
+  /**
+   * Check a password against the stored master password
+   * @returns {Promise<Buffer>} Key derived from the password
+   */
+  async verifyMasterPassword(password) {
+    const config = this.store.get('masterPassword');
+    const key = await this.deriveKey(password || '', config.salt);
+    let check = null;
+    try {
+      check = this.decryptWithKey(config.check, key);
     } catch (error) {
-      console.error('Error with encryption key:', error);
-      // Return a fallback key
-      return crypto.randomBytes(32).toString('hex');
+      // Wrong key - the authentication tag doesn't match
+    }
+    if (check !== MASTER_PASSWORD_CHECK) {
+      throw new Error('Wrong master password');
+    }
+    return key;
+  }
+
+  /**
+   * Derive a 256-bit key from a password with scrypt
+   */
+  async deriveKey(password, salt) {
+    return scrypt(password, Buffer.from(salt, 'base64'), 32, SCRYPT_OPTIONS);
+  }
+
+  /**
+   * Encrypt all saved credentials with a new key and start using it
+   */
+  reencryptSensitiveData(newKey) {
+    const allSensitiveData = this.store.get('sensitiveData', {});
+
+    // Decrypt everything first so a failure leaves the store untouched
+    const decrypted = Object.entries(allSensitiveData)
+      .map(([connectionId, encrypted]) => [connectionId, this.decryptData(encrypted)]);
+
+    const reencrypted = {};
+    for (const [connectionId, data] of decrypted) {
+      reencrypted[connectionId] = this.encryptWithKey(data, newKey);
+    }
+
+    this.store.set('sensitiveData', reencrypted);
+    this.encryptionKey = newKey;
+  }
+
+  /**
+   * Re-encrypt secrets saved by older versions, which used CryptoJS with a key
+   * stored in the same file as the secrets
+   */
+  migrateSensitiveData() {
+    const legacyKey = this.store.get('encryptionSalt');
+    if (!legacyKey) {
+      return;
+    }
+
+    const allSensitiveData = this.store.get('sensitiveData', {});
+    let failed = 0;
+
+    for (const [connectionId, encrypted] of Object.entries(allSensitiveData)) {
+      if (encrypted.startsWith(ENCRYPTION_PREFIX)) {
+        continue;
+      }
+
+      const decrypted = CryptoJS.AES.decrypt(encrypted, legacyKey).toString(CryptoJS.enc.Utf8);
+      if (!decrypted) {
+        logger.error('Could not migrate credentials of connection:', connectionId);
+        failed++;
+        continue;
+      }
+      allSensitiveData[connectionId] = this.encryptData(decrypted);
+    }
+
+    this.store.set('sensitiveData', allSensitiveData);
+    // Keep the old key until nothing depends on it anymore
+    if (failed === 0) {
+      this.store.delete('encryptionSalt');
     }
+    logger.info('Migrated saved credentials to', this.keySource, 'encryption');
   }
 
   /**
@@ -74,14 +352,19 @@ class CredentialManager {
    * @param {string} credentials.username - Username (for basic auth)
    * @param {string} credentials.password - Password (for basic auth)
    * @param {string} credentials.token - Bearer token (for bearer auth)
+   * @param {Object} credentials.clientCertificate - Client certificate for two-factor
+   *   authentication; null removes it, undefined keeps the saved one
+   * @param {string} credentials.clientCertificatePassphrase - Replaces the saved passphrase if given
+   * @param {string} credentials.codeVersion - Code version from dw.json; undefined keeps the saved one
    */
   async saveCredentials(credentials) {
     try {
-      console.log('CredentialManager: Saving credentials with authType:', credentials.authType);
-      console.log('CredentialManager: OAuth2 fields - clientId:', credentials.clientId ? '[present]' : '[missing]', 'clientSecret:', credentials.clientSecret ? '[present]' : '[missing]');
+      logger.info('Saving credentials with authType:', credentials.authType);
+      logger.debug('OAuth2 fields - clientId:', credentials.clientId ? '[present]' : '[missing]', 'clientSecret:', credentials.clientSecret ? '[present]' : '[missing]');
       
       // Use existing ID if provided (for editing), otherwise generate new one
       const connectionId = credentials.id || this.generateConnectionId(credentials.name);
+      const savedConnection = this.store.get('connections', []).find(conn => conn.id === connectionId);
       
       // Store non-sensitive data in electron-store
       const publicData = {
@@ -91,6 +374,23 @@ class CredentialManager {
         username: credentials.authType === 'basic' ? credentials.username : undefined,
         lastConnected: new Date().toISOString(),
         lastLocalFolder: credentials.lastLocalFolder || null,
+        clientCertificateName: null,
+        codeVersion: credentials.codeVersion !== undefined
+          ? credentials.codeVersion
+          : (savedConnection && savedConnection.codeVersion) || null,
+        // Organisation of the connection list; undefined keeps the saved values
+        group: credentials.group !== undefined
+          ? (credentials.group || '').trim() || null
+          : (savedConnection && savedConnection.group) || null,
+        tags: normalizeTags(credentials.tags !== undefined ? credentials.tags : savedConnection && savedConnection.tags),
+        environment: resolveEnvironment(credentials, savedConnection),
+        // Deletes move items to a recycle bin on the server
+        trashMode: credentials.trashMode !== undefined
+          ? !!credentials.trashMode
+          : !!(savedConnection && savedConnection.trashMode),
+        trashRetentionDays: credentials.trashRetentionDays !== undefined
+          ? Math.max(0, parseInt(credentials.trashRetentionDays, 10) || 0)
+          : (savedConnection && savedConnection.trashRetentionDays !== undefined ? savedConnection.trashRetentionDays : DEFAULT_TRASH_RETENTION_DAYS),
         id: connectionId
       };
 
@@ -112,9 +412,16 @@ class CredentialManager {
         };
       }
 
+      const allSensitiveData = this.store.get('sensitiveData', {});
+
+      const clientCertificate = this.resolveClientCertificate(credentials, allSensitiveData[connectionId]);
+      if (clientCertificate) {
+        sensitiveData.clientCertificate = clientCertificate;
+        publicData.clientCertificateName = clientCertificate.fileName;
+      }
+
       const encryptedSensitiveData = this.encryptData(JSON.stringify(sensitiveData));
       
-      const allSensitiveData = this.store.get('sensitiveData', {});
       allSensitiveData[connectionId] = encryptedSensitiveData;
       this.store.set('sensitiveData', allSensitiveData);
       
@@ -135,6 +442,32 @@ class CredentialManager {
     }
   }
 
+  /**
+   * Work out which client certificate to save: a newly chosen one, none, or the
+   * one saved before (the edit form never receives certificate data back)
+   */
+  resolveClientCertificate(credentials, encryptedSensitiveData) {
+    let certificate = credentials.clientCertificate;
+
+    if (certificate === undefined && encryptedSensitiveData) {
+      try {
+        certificate = JSON.parse(this.decryptData(encryptedSensitiveData)).clientCertificate;
+      } catch (error) {
+        logger.error('Failed to read saved client certificate:', error);
+      }
+    }
+
+    if (!certificate) {
+      return null;
+    }
+
+    const resolved = { ...certificate };
+    if (credentials.clientCertificatePassphrase) {
+      resolved.passphrase = credentials.clientCertificatePassphrase;
+    }
+    return resolved;
+  }
+
   /**
    * Load all saved connections
    */
@@ -227,7 +560,7 @@ class CredentialManager {
         this.store.set('connections', connections);
       }
     } catch (error) {
-      console.error('Failed to update last connected:', error);
+      logger.error('Failed to update last connected:', error);
     }
   }
 
@@ -242,10 +575,10 @@ class CredentialManager {
       if (connectionIndex >= 0) {
         connections[connectionIndex].lastLocalFolder = folderPath;
         this.store.set('connections', connections);
-        console.log('CredentialManager: Updated lastLocalFolder for connection:', connectionId, 'to:', folderPath);
+        logger.debug('Updated lastLocalFolder for connection:', connectionId, 'to:', folderPath);
       }
     } catch (error) {
-      console.error('Failed to update last local folder:', error);
+      logger.error('Failed to update last local folder:', error);
     }
   }
 
@@ -254,25 +587,47 @@ class CredentialManager {
    */
   generateConnectionId(name) {
     const timestamp = Date.now().toString(); // Convert to string
-    const hash = crypto.createHash('md5').update(name + timestamp).digest('hex');
+    // Random part keeps IDs unique when several connections are saved at once (imports)
+    const hash = crypto.createHash('md5').update(name + timestamp + crypto.randomBytes(8).toString('hex')).digest('hex');
     return `conn_${hash.substring(0, 8)}`;
   }
 
   /**
-   * Encrypt data using AES
+   * Encrypt data using AES-256-GCM
    */
   encryptData(data) {
-    const key = this.store.get('encryptionSalt');
-    return CryptoJS.AES.encrypt(data, key).toString();
+    this.assertUnlocked();
+    return this.encryptWithKey(data, this.encryptionKey);
+  }
+
+  encryptWithKey(data, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+    return ENCRYPTION_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
   }
 
   /**
-   * Decrypt data using AES
+   * Decrypt data encrypted with encryptData
    */
   decryptData(encryptedData) {
-    const key = this.store.get('encryptionSalt');
-    const bytes = CryptoJS.AES.decrypt(encryptedData, key);
-    return bytes.toString(CryptoJS.enc.Utf8);
+    this.assertUnlocked();
+    return this.decryptWithKey(encryptedData, this.encryptionKey);
+  }
+
+  decryptWithKey(encryptedData, key) {
+    const buffer = Buffer.from(encryptedData.substring(ENCRYPTION_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+    decipher.setAuthTag(buffer.subarray(12, 28));
+    return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString('utf8');
+  }
+
+  assertUnlocked() {
+    if (!this.encryptionKey) {
+      throw new Error(this.keySource === 'keychain'
+        ? 'Saved credentials are unavailable: the OS keychain could not be read'
+        : 'Saved credentials are locked. Enter the master password to unlock them.');
+    }
   }
 
   /**
@@ -283,7 +638,7 @@ class CredentialManager {
       const connections = this.store.get('connections', []);
       return connections.length > 0;
     } catch (error) {
-      console.error('Failed to check connections:', error);
+      logger.error('Failed to check connections:', error);
       return false;
     }
   }
@@ -305,7 +660,7 @@ class CredentialManager {
       
       return sortedConnections[0];
     } catch (error) {
-      console.error('Failed to get last connection:', error);
+      logger.error('Failed to get last connection:', error);
       return null;
     }
   }
@@ -321,7 +676,7 @@ class CredentialManager {
         this.store.set('sensitiveData', allSensitiveData);
       }
     } catch (error) {
-      console.error('Failed to delete from store:', error);
+      logger.error('Failed to delete from store:', error);
     }
   }
 
@@ -340,10 +695,10 @@ class CredentialManager {
         lastUpdated: new Date().toISOString()
       };
       this.store.set('customIds', customIds);
-      console.log('CredentialManager: Saved custom IDs for connection:', connectionId, { catalogIds, libraryIds });
+      logger.info('Saved custom IDs for connection:', connectionId, { catalogIds, libraryIds });
       return true;
     } catch (error) {
-      console.error('CredentialManager: Failed to save custom IDs:', error);
+      logger.error('Failed to save custom IDs:', error);
       throw new Error(`Failed to save custom IDs: ${error.message}`);
     }
   }
@@ -368,7 +723,7 @@ class CredentialManager {
         lastUpdated: connectionIds.lastUpdated
       };
     } catch (error) {
-      console.error('CredentialManager: Failed to get custom IDs:', error);
+      logger.error('Failed to get custom IDs:', error);
       return { catalogs: [], libraries: [] };
     }
   }
@@ -427,6 +782,179 @@ class CredentialManager {
     }
   }
 
+  /**
+   * Export connections into a bundle encrypted with a passphrase, so they can
+   * be shared with team members
+   * @param {Array} connectionIds - Connections to export
+   * @param {Object} options - passphrase, and includeSecrets to add passwords,
+   *   tokens, client secrets and client certificates
+   * @returns {Promise<string>} Content of the bundle file
+   */
+  async exportProfiles(connectionIds, { passphrase, includeSecrets = false } = {}) {
+    if (!passphrase) {
+      throw new Error('A passphrase is required to encrypt the export');
+    }
+
+    const connections = this.store.get('connections', []);
+    const allSensitiveData = this.store.get('sensitiveData', {});
+    const profiles = connectionIds.map(connectionId => {
+      const connection = connections.find(conn => conn.id === connectionId);
+      if (!connection) {
+        throw new Error(`Connection not found: ${connectionId}`);
+      }
+
+      // IDs, dates and local folders only make sense on this machine
+      const { id, lastConnected, lastLocalFolder, ...publicData } = connection;
+      const { catalogs, libraries } = this.getCustomIds(connectionId);
+      const profile = { connection: publicData, customIds: { catalogs, libraries } };
+
+      if (includeSecrets && allSensitiveData[connectionId]) {
+        profile.secrets = JSON.parse(this.decryptData(allSensitiveData[connectionId]));
+      }
+      return profile;
+    });
+
+    const salt = crypto.randomBytes(16).toString('base64');
+    const key = await this.deriveKey(passphrase, salt);
+
+    logger.info('Exporting', profiles.length, 'connection profiles', includeSecrets ? 'with secrets' : 'without secrets');
+    return JSON.stringify({
+      format: PROFILE_BUNDLE_FORMAT,
+      version: PROFILE_BUNDLE_VERSION,
+      kdf: 'scrypt',
+      salt,
+      exportedAt: new Date().toISOString(),
+      data: this.encryptWithKey(JSON.stringify({ profiles }), key)
+    }, null, 2);
+  }
+
+  /**
+   * Decrypt a bundle created by exportProfiles
+   * @param {string} content - Content of the bundle file
+   * @param {string} passphrase - Passphrase the bundle was exported with
+   * @returns {Promise<Array>} Profiles with connection, customIds and optional secrets
+   */
+  async readProfileBundle(content, passphrase) {
+    let bundle;
+    try {
+      bundle = JSON.parse(content);
+    } catch (error) {
+      bundle = null;
+    }
+    if (!bundle || bundle.format !== PROFILE_BUNDLE_FORMAT) {
+      throw new Error('The file is not a connection profile export');
+    }
+    if (bundle.version > PROFILE_BUNDLE_VERSION) {
+      throw new Error('The file was exported by a newer version of this application');
+    }
+
+    const key = await this.deriveKey(passphrase || '', bundle.salt);
+    try {
+      return JSON.parse(this.decryptWithKey(bundle.data, key)).profiles;
+    } catch (error) {
+      throw new Error('Wrong passphrase or damaged file');
+    }
+  }
+
+  /**
+   * Saved connection an imported profile conflicts with: same host and same name
+   * @param {Object} connection - Public data of the profile
+   * @returns {Object|null} Saved connection
+   */
+  findProfileConflict(connection) {
+    const hostOf = (url) => {
+      try {
+        return new URL(url).hostname;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const hostname = hostOf(connection.url);
+    return this.store.get('connections', [])
+      .find(conn => conn.name === connection.name && hostOf(conn.url) === hostname) || null;
+  }
+
+  /**
+   * Import a profile from readProfileBundle
+   * @param {Object} profile - Profile to import
+   * @param {string} conflictAction - What to do if a connection with the same
+   *   host and name exists: 'replace' it, 'copy' (import under a new name) or 'skip'
+   * @returns {Promise<string>} 'created', 'replaced' or 'skipped'
+   */
+  async importProfile(profile, conflictAction = 'skip') {
+    const conflict = this.findProfileConflict(profile.connection);
+    if (conflict && conflictAction === 'skip') {
+      return 'skipped';
+    }
+
+    const replacing = !!conflict && conflictAction === 'replace';
+    let secrets = profile.secrets;
+    if (!secrets && replacing && conflict.authType === profile.connection.authType) {
+      // Profiles exported without secrets keep the credentials entered on this machine
+      const encrypted = this.store.get('sensitiveData', {})[conflict.id];
+      secrets = encrypted ? JSON.parse(this.decryptData(encrypted)) : {};
+    }
+
+    const credentials = {
+      ...profile.connection,
+      ...(secrets || {}),
+      id: replacing ? conflict.id : undefined,
+      name: conflict && !replacing ? this.getUniqueConnectionName(profile.connection.name) : profile.connection.name,
+      lastLocalFolder: replacing ? conflict.lastLocalFolder : null,
+      // undefined keeps the certificate saved for the replaced connection
+      clientCertificate: secrets && secrets.clientCertificate ? secrets.clientCertificate : (replacing ? undefined : null)
+    };
+    const connectionId = await this.saveCredentials(credentials);
+
+    const customIds = profile.customIds || {};
+    const savedIds = this.getCustomIds(connectionId);
+    const merge = (saved, imported) => Array.from(new Set([...saved, ...(imported || [])]));
+    this.saveCustomIds(connectionId, merge(savedIds.catalogs, customIds.catalogs), merge(savedIds.libraries, customIds.libraries));
+
+    return replacing ? 'replaced' : 'created';
+  }
+
+  getUniqueConnectionName(name) {
+    const names = new Set(this.store.get('connections', []).map(conn => conn.name));
+    let counter = 2;
+    while (names.has(`${name} (${counter})`)) {
+      counter++;
+    }
+    return `${name} (${counter})`;
+  }
+
+  /**
+   * Get an application setting
+   * @param {string} key - Setting name
+   * @param {*} defaultValue - Value returned when the setting is not stored
+   */
+  getSetting(key, defaultValue = null) {
+    try {
+      const settings = this.store.get('settings', {});
+      return settings[key] !== undefined ? settings[key] : defaultValue;
+    } catch (error) {
+      logger.error('Failed to get setting:', key, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * Save an application setting
+   * @param {string} key - Setting name
+   * @param {*} value - JSON-serializable value
+   */
+  saveSetting(key, value) {
+    try {
+      const settings = this.store.get('settings', {});
+      settings[key] = value;
+      this.store.set('settings', settings);
+      return true;
+    } catch (error) {
+      throw new Error(`Failed to save setting: ${error.message}`);
+    }
+  }
+
   /**
    * Clear all saved connections and credentials
    */
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+const DW_JSON_FILE_NAME = 'dw.json';
+
+// Folders that never contain project configurations but can be huge
+const SKIPPED_DIRECTORIES = new Set(['node_modules', 'bower_components', 'dist', 'build', 'coverage']);
+const MAX_SCAN_DEPTH = 4;
+
+// dw.json files only know the hostname; connections open the Cartridges folder
+const DEFAULT_WEBDAV_ROOT = '/on/demandware.servlet/webdav/Sites/Cartridges';
+
+/**
+ * Find dw.json files in a folder and its subfolders
+ * @param {string} rootDir - Folder to scan
+ * @param {number} maxDepth - How many folder levels below rootDir to scan
+ * @returns {Promise<Array>} Absolute paths of the dw.json files found
+ */
+async function findDwJsonFiles(rootDir, maxDepth = MAX_SCAN_DEPTH) {
+  const files = [];
+
+  async function scan(dir, depth) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      return; // Unreadable folders are skipped
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isFile() && entry.name === DW_JSON_FILE_NAME) {
+        files.push(entryPath);
+      } else if (entry.isDirectory() && depth < maxDepth &&
+        !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name)) {
+        await scan(entryPath, depth + 1);
+      }
+    }
+  }
+
+  await scan(rootDir, 0);
+  return files.sort();
+}
+
+/**
+ * Read the configurations of a dw.json file. Besides the single-instance
+ * format, files may list several instances in a "configs" array (as used by
+ * the Prophet debugger), each inheriting the top-level values.
+ * @param {string} filePath - Path of the dw.json file
+ * @returns {Promise<Array>} Configurations with name, hostname, username,
+ *   password, clientId, clientSecret, codeVersion and clientCertificate; invalid
+ *   entries only have name and error, so the others can still be imported
+ */
+async function readDwJson(filePath) {
+  let json;
+  try {
+    json = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read ${filePath}: ${error.message}`);
+  }
+  if (!json || typeof json !== 'object') {
+    throw new Error(`${filePath} does not contain a configuration object`);
+  }
+
+  const { configs, ...base } = json;
+  const entries = Array.isArray(configs) && configs.length > 0
+    ? configs.map(config => ({ ...base, ...config }))
+    : [base];
+
+  return Promise.all(entries.map(entry => normalizeConfig(entry, filePath)
+    .catch(error => ({ name: entry.name || DW_JSON_FILE_NAME, error: error.message }))));
+}
+
+/**
+ * Map the dw.json keys (sfcc-ci, dwupload and Prophet use the same names)
+ */
+async function normalizeConfig(entry, filePath) {
+  const hostname = String(entry.hostname || '').trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!hostname) {
+    throw new Error(`${filePath} has no hostname`);
+  }
+
+  const config = {
+    name: entry.name || hostname,
+    hostname,
+    username: entry.username || null,
+    password: entry.password || null,
+    clientId: entry['client-id'] || null,
+    clientSecret: entry['client-secret'] || null,
+    codeVersion: entry['code-version'] || null,
+    clientCertificate: null
+  };
+
+  // Instances with two-factor authentication
+  if (entry.p12) {
+    const certificatePath = path.resolve(path.dirname(filePath), entry.p12);
+    try {
+      const data = await fs.promises.readFile(certificatePath);
+      config.clientCertificate = {
+        format: 'pfx',
+        data: data.toString('base64'),
+        fileName: path.basename(certificatePath),
+        passphrase: entry.passphrase || undefined
+      };
+    } catch (error) {
+      throw new Error(`Failed to read client certificate ${certificatePath}: ${error.message}`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Authentication type of a configuration; WebDAV works best with a Business
+ * Manager user, so username and password win over API client credentials
+ */
+function getAuthType(config) {
+  if (config.username && config.password) {
+    return 'basic';
+  }
+  if (config.clientId && config.clientSecret) {
+    return 'oauth2';
+  }
+  return null;
+}
+
+/**
+ * Build the credentials object saved by CredentialManager.saveCredentials
+ * @param {Object} config - Configuration returned by readDwJson
+ * @param {Object} existing - Saved connection the configuration updates, if any
+ * @returns {Object} Credentials
+ */
+function toCredentials(config, existing = null) {
+  const authType = getAuthType(config);
+  if (!authType) {
+    throw new Error(`${config.name} needs a username and password or a client ID and secret`);
+  }
+
+  const credentials = {
+    id: existing ? existing.id : undefined,
+    name: existing ? existing.name : config.name,
+    // Keep the folder an existing connection opens
+    url: existing ? existing.url : `https://${config.hostname}${DEFAULT_WEBDAV_ROOT}`,
+    authType,
+    lastLocalFolder: existing ? existing.lastLocalFolder : null,
+    codeVersion: config.codeVersion || (existing ? existing.codeVersion : null)
+  };
+
+  if (authType === 'basic') {
+    credentials.username = config.username;
+    credentials.password = config.password;
+  } else {
+    credentials.clientId = config.clientId;
+    credentials.clientSecret = config.clientSecret;
+  }
+
+  // Without a certificate in dw.json the saved one is kept
+  if (config.clientCertificate) {
+    credentials.clientCertificate = config.clientCertificate;
+  }
+
+  return credentials;
+}
+
+/**
+ * Find the saved connection a configuration updates: same host and same name,
+ * or same host and user
+ * @param {Object} config - Configuration returned by readDwJson
+ * @param {Array} connections - Saved connections
+ * @returns {Object|null} Connection
+ */
+function findMatchingConnection(config, connections) {
+  const sameHost = connections.filter(connection => {
+    try {
+      return new URL(connection.url).hostname === config.hostname;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  return sameHost.find(connection => connection.name === config.name) ||
+    sameHost.find(connection => config.username && connection.authType === 'basic' && connection.username === config.username) ||
+    null;
+}
+
+/**
+ * Build the content of a dw.json file for a saved connection
+ * @param {Object} credentials - Full credentials of the connection
+ * @returns {Object} dw.json content
+ */
+function buildDwJson(credentials) {
+  const dwJson = {
+    name: credentials.name,
+    hostname: new URL(credentials.url).hostname
+  };
+
+  if (credentials.authType === 'basic') {
+    dwJson.username = credentials.username;
+    dwJson.password = credentials.password;
+  } else if (credentials.authType === 'oauth2') {
+    dwJson['client-id'] = credentials.clientId;
+    dwJson['client-secret'] = credentials.clientSecret;
+  } else {
+    throw new Error('Bearer token connections can\'t be exported to dw.json');
+  }
+
+  if (credentials.codeVersion) {
+    dwJson['code-version'] = credentials.codeVersion;
+  }
+
+  return dwJson;
+}
+
+module.exports = {
+  DW_JSON_FILE_NAME,
+  findDwJsonFiles,
+  readDwJson,
+  getAuthType,
+  toCredentials,
+  findMatchingConnection,
+  buildDwJson
+};
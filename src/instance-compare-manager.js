@@ -0,0 +1,202 @@
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('InstanceCompareManager');
+
+// WebDAV reports modification dates in whole seconds
+const MTIME_TOLERANCE_MS = 2000;
+
+// Recycle bin folder of TrashManager, never compared
+const TRASH_FOLDER = '.trash';
+
+/**
+ * Compares the same folder on two instances, e.g. the static assets of a
+ * library on staging and production, and copies differences from one
+ * instance to the other. Each side has a WebDAVManager of its own, so the
+ * comparison doesn't disturb the folder being browsed.
+ *
+ * Files differ when their sizes or, with hashing, their contents differ.
+ * Without hashing a different modification date is reported as well.
+ */
+class InstanceCompareManager {
+  constructor() {
+    this.comparison = null; // Last comparison, kept for copying differences
+  }
+
+  /**
+   * Compare a folder on two instances
+   * @param {Object} left - { connection, manager } of the first instance
+   * @param {Object} right - { connection, manager } of the second instance
+   * @param {string} remotePath - Folder to compare, relative to the WebDAV root
+   * @param {Object} options - compareHash
+   * @returns {Promise<Object>} Entries and summary
+   */
+  async compare(left, right, remotePath, { compareHash = false } = {}) {
+    const root = remotePath.replace(/\/+$/, '') || '/';
+    const [leftItems, rightItems] = await Promise.all([
+      this.walk(left.manager, root),
+      this.walk(right.manager, root)
+    ]);
+
+    const relativePaths = [...new Set([...leftItems.keys(), ...rightItems.keys()])].sort();
+    const entries = [];
+    for (const relativePath of relativePaths) {
+      entries.push(await this.compareEntry(relativePath, leftItems.get(relativePath), rightItems.get(relativePath),
+        left.manager, right.manager, root, compareHash));
+    }
+
+    this.comparison = { left, right, root, entries };
+
+    const summary = entries.reduce((counts, entry) => {
+      counts[entry.state] = (counts[entry.state] || 0) + 1;
+      return counts;
+    }, {});
+    logger.info(`Compared ${root} on ${left.connection.name} and ${right.connection.name}:`, summary);
+
+    return { root, entries, summary };
+  }
+
+  /**
+   * Files and folders below a remote folder by relative path
+   */
+  async walk(manager, root) {
+    const items = new Map();
+
+    const scan = async (dir, prefix) => {
+      for (const entry of await manager.listDirectory(dir)) {
+        if (dir === '/' && entry.name === TRASH_FOLDER) {
+          continue;
+        }
+
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        const entryPath = joinRemote(dir, entry.name);
+        if (entry.type === 'directory') {
+          items.set(relativePath, { type: 'directory', size: 0, mtime: null });
+          await scan(entryPath, relativePath);
+        } else {
+          const mtime = entry.lastModified ? new Date(entry.lastModified).getTime() : null;
+          items.set(relativePath, { type: 'file', size: entry.size || 0, mtime });
+        }
+      }
+    };
+
+    await scan(root, '');
+    return items;
+  }
+
+  /**
+   * State of one relative path: 'left-only', 'right-only', 'different',
+   * 'same' or 'conflict' (a file on one side, a folder on the other). Files
+   * that differ list why: 'size', 'content' and/or 'date'.
+   */
+  async compareEntry(relativePath, left, right, leftManager, rightManager, root, compareHash) {
+    const entry = {
+      relativePath,
+      type: (left || right).type,
+      left: left || null,
+      right: right || null,
+      state: null,
+      reasons: []
+    };
+
+    if (!right) {
+      entry.state = 'left-only';
+      return entry;
+    }
+    if (!left) {
+      entry.state = 'right-only';
+      return entry;
+    }
+    if (left.type !== right.type) {
+      entry.state = 'conflict';
+      return entry;
+    }
+    if (left.type === 'directory') {
+      entry.state = 'same';
+      return entry;
+    }
+
+    if (left.size !== right.size) {
+      entry.reasons.push('size');
+    } else if (compareHash) {
+      const remotePath = joinRemote(root, relativePath);
+      const [leftHash, rightHash] = await Promise.all([
+        leftManager.hashFile(remotePath),
+        rightManager.hashFile(remotePath)
+      ]);
+      if (leftHash !== rightHash) {
+        entry.reasons.push('content');
+      }
+    }
+
+    // Equal hashes make the dates irrelevant; they differ whenever files were uploaded separately
+    if (!compareHash && left.mtime !== null && right.mtime !== null && Math.abs(left.mtime - right.mtime) > MTIME_TOLERANCE_MS) {
+      entry.reasons.push('date');
+    }
+
+    entry.state = entry.reasons.length > 0 ? 'different' : 'same';
+    return entry;
+  }
+
+  /**
+   * Copy items of the last comparison from one instance to the other,
+   * replacing what is there. Files are streamed through this machine;
+   * missing parent folders are created.
+   * @param {Array<string>} relativePaths - Items to copy
+   * @param {string} direction - 'left-to-right' or 'right-to-left'
+   * @returns {Promise<Array>} { relativePath, status, error } per item; status
+   *   is 'copied', 'skipped' or 'failed'
+   */
+  async copy(relativePaths, direction) {
+    if (!this.comparison) {
+      throw new Error('Compare the instances first');
+    }
+
+    const { left, right, root, entries } = this.comparison;
+    const [source, target, sourceKey] = direction === 'right-to-left'
+      ? [right.manager, left.manager, 'right']
+      : [left.manager, right.manager, 'left'];
+    const selected = new Set(relativePaths);
+    const results = [];
+
+    for (const entry of entries.filter(item => selected.has(item.relativePath))) {
+      const result = { relativePath: entry.relativePath };
+      results.push(result);
+
+      // Copying a folder copies its content, which may be selected too
+      const parentCopied = results.some(other => other.status === 'copied' &&
+        entry.relativePath.startsWith(`${other.relativePath}/`));
+      if (!entry[sourceKey] || entry.state === 'same' || entry.state === 'conflict' || parentCopied) {
+        result.status = 'skipped';
+        continue;
+      }
+
+      const remotePath = joinRemote(root, entry.relativePath);
+      try {
+        const parent = path.posix.dirname(remotePath);
+        if (parent !== '/' && !(await target.exists(parent))) {
+          await target.createDirectory(parent, true);
+        }
+        await source.streamItem(source.client, remotePath, target.client, remotePath, true);
+        result.status = 'copied';
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+      }
+    }
+
+    const targetName = direction === 'right-to-left' ? left.connection.name : right.connection.name;
+    logger.info(`Copied differences to ${targetName}:`, results);
+    return results;
+  }
+
+  clear() {
+    this.comparison = null;
+  }
+}
+
+function joinRemote(dir, name) {
+  return dir === '/' ? `/${name}` : `${dir}/${name}`;
+}
+
+module.exports = InstanceCompareManager;
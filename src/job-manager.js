@@ -0,0 +1,230 @@
+const EventEmitter = require('events');
+const { makeOCAPIRequest } = require('./ocapi-request');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('JobManager');
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_EXECUTIONS = 50;
+
+// Execution states after which a job no longer changes
+const FINAL_STATUSES = ['finished', 'aborted'];
+
+/**
+ * Runs SFCC jobs (e.g. sfcc-site-archive-import) through the OCAPI Data
+ * Jobs API and polls their executions until they finish.
+ *
+ * Every status change is emitted as an 'execution-updated' event carrying a
+ * plain snapshot of the execution.
+ */
+class JobManager extends EventEmitter {
+    constructor() {
+        super();
+        this.executions = new Map();
+        this.timers = new Map(); // Poll timers of running executions
+        this.pollContexts = new Map(); // getContext of running executions, to resume polling
+        this.suspended = false; // No polls while the app is locked
+        this.waiters = new Map(); // Callbacks waiting for executions to finish
+    }
+
+    /**
+     * Start a job execution and follow it until it finishes
+     * @param {Function} getContext - Async function resolving { hostname, accessToken };
+     *   called before every request so expired tokens get refreshed
+     * @param {string} jobId - Job ID, e.g. 'sfcc-site-archive-import'
+     * @param {Object} body - Job parameters, e.g. { file_name: 'archive.zip' }
+     * @returns {Promise<Object>} Snapshot of the new execution
+     */
+    async runJob(getContext, jobId, body = {}) {
+        this.validateJobId(jobId);
+
+        const { hostname, accessToken } = await getContext();
+        logger.info('Starting job', jobId, 'on', hostname);
+
+        let response;
+        try {
+            response = await makeOCAPIRequest(hostname, 'POST', this.getExecutionsPath(jobId), accessToken, body);
+        } catch (error) {
+            throw new Error(`Failed to start job ${jobId}: ${error.message}`);
+        }
+
+        const execution = this.updateExecution(hostname, response, jobId);
+        this.schedulePoll(execution.id, getContext);
+        return { ...execution };
+    }
+
+    /**
+     * Executions started in this session, newest first
+     */
+    getExecutions() {
+        return Array.from(this.executions.values())
+            .reverse()
+            .map(execution => ({ ...execution }));
+    }
+
+    getExecution(executionId) {
+        const execution = this.executions.get(executionId);
+        if (!execution) {
+            throw new Error(`Job execution not found: ${executionId}`);
+        }
+        return execution;
+    }
+
+    /**
+     * Resolve once an execution finished or was aborted
+     * @param {string} executionId - Execution ID returned by runJob
+     * @returns {Promise<Object>} Final snapshot of the execution
+     */
+    waitForExecution(executionId) {
+        const execution = this.getExecution(executionId);
+        if (FINAL_STATUSES.includes(execution.status)) {
+            return Promise.resolve({ ...execution });
+        }
+
+        return new Promise(resolve => {
+            const waiters = this.waiters.get(executionId) || [];
+            waiters.push(resolve);
+            this.waiters.set(executionId, waiters);
+        });
+    }
+
+    schedulePoll(executionId, getContext) {
+        clearTimeout(this.timers.get(executionId));
+        this.pollContexts.set(executionId, getContext);
+        if (this.suspended) {
+            return;
+        }
+        this.timers.set(executionId, setTimeout(() => this.poll(executionId, getContext), POLL_INTERVAL_MS));
+    }
+
+    async poll(executionId, getContext) {
+        this.timers.delete(executionId);
+        const execution = this.executions.get(executionId);
+        if (!execution) {
+            this.pollContexts.delete(executionId);
+            return;
+        }
+
+        try {
+            const { hostname, accessToken } = await getContext();
+            const path = `${this.getExecutionsPath(execution.jobId)}/${encodeURIComponent(executionId)}`;
+            const response = await makeOCAPIRequest(hostname, 'GET', path, accessToken);
+            execution.pollError = null;
+            this.updateExecution(hostname, response, execution.jobId);
+        } catch (error) {
+            // Suspended while the request was running; resumeSuspended() polls again
+            if (this.suspended) {
+                return;
+            }
+            // Keep polling - the instance may be busy or the network flaky
+            logger.error('Failed to poll execution', executionId, error);
+            execution.pollError = error.message;
+            this.emit('execution-updated', { ...execution });
+        }
+
+        if (!FINAL_STATUSES.includes(execution.status) && this.executions.has(executionId)) {
+            this.schedulePoll(executionId, getContext);
+        } else {
+            this.pollContexts.delete(executionId);
+        }
+    }
+
+    /**
+     * Stop polling while the app is locked; the executions keep running on
+     * the instance and are polled again by resumeSuspended()
+     */
+    suspend() {
+        this.suspended = true;
+        this.stopAll();
+    }
+
+    resumeSuspended() {
+        this.suspended = false;
+        for (const [executionId, getContext] of this.pollContexts) {
+            this.schedulePoll(executionId, getContext);
+        }
+    }
+
+    /**
+     * Store the latest state of an execution from an OCAPI job_execution document
+     */
+    updateExecution(hostname, document, jobId) {
+        const exitStatus = document.exit_status || {};
+        const previous = this.executions.get(document.id) || {};
+        const execution = Object.assign(previous, {
+            id: document.id,
+            jobId: document.job_id || jobId,
+            hostname,
+            status: document.execution_status || 'pending',
+            exitCode: exitStatus.code || null,
+            exitMessage: exitStatus.message || null,
+            failed: exitStatus.status === 'error',
+            startTime: document.start_time || null,
+            endTime: document.end_time || null,
+            duration: document.duration || 0,
+            logFilePath: document.is_log_file_existing === false ? null : document.log_file_path || null
+        });
+
+        this.executions.set(execution.id, execution);
+        this.pruneExecutions();
+        this.emit('execution-updated', { ...execution });
+
+        if (FINAL_STATUSES.includes(execution.status) && this.waiters.has(execution.id)) {
+            this.waiters.get(execution.id).forEach(resolve => resolve({ ...execution }));
+            this.waiters.delete(execution.id);
+        }
+        return execution;
+    }
+
+    /**
+     * Forget the oldest finished executions
+     */
+    pruneExecutions() {
+        for (const execution of this.executions.values()) {
+            if (this.executions.size <= MAX_EXECUTIONS) {
+                break;
+            }
+            if (FINAL_STATUSES.includes(execution.status)) {
+                this.executions.delete(execution.id);
+            }
+        }
+    }
+
+    /**
+     * Remove finished executions from the list
+     */
+    clearFinished() {
+        for (const execution of Array.from(this.executions.values())) {
+            if (FINAL_STATUSES.includes(execution.status)) {
+                this.executions.delete(execution.id);
+            }
+        }
+        return this.getExecutions();
+    }
+
+    /**
+     * Stop polling, e.g. when the application quits. Jobs keep running on the instance.
+     */
+    stopAll() {
+        for (const timer of this.timers.values()) {
+            clearTimeout(timer);
+        }
+        this.timers.clear();
+    }
+
+    /**
+     * Job IDs end up in the request URL
+     * @param {string} jobId - Job ID
+     */
+    validateJobId(jobId) {
+        if (!jobId || !/^[A-Za-z0-9_.-]+$/.test(jobId)) {
+            throw new Error('Job ID may only contain letters, digits, dots, dashes and underscores');
+        }
+    }
+
+    getExecutionsPath(jobId) {
+        return `/jobs/${encodeURIComponent(jobId)}/executions`;
+    }
+}
+
+module.exports = JobManager;
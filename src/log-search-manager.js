@@ -0,0 +1,293 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('LogSearchManager');
+
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR', 'FATAL'];
+const MAX_ENTRIES = 1000;
+const MAX_GROUPS = 500;
+
+// [2023-10-18 12:34:56.789 GMT] ERROR PipelineCallServlet|1234|Sites-RefArch-Site|Product-Show|PipelineCall|sessionId custom.Cat - Message
+const ENTRY_PATTERN = /^\[(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?) GMT\] (\w+) (.*)$/;
+// SFCC log file names end with the day they were written, e.g. error-blade0-0-appserver-20231018.log
+const FILE_DATE_PATTERN = /(\d{4})(\d{2})(\d{2})\.log$/;
+
+/**
+ * Parse the part of an SFCC log line that follows the timestamp and level
+ * into thread, site, pipeline/controller, session ID, category and message
+ */
+function parseEntryContext(rest) {
+  const context = {
+    thread: null,
+    site: null,
+    pipeline: null,
+    sessionId: null,
+    category: null,
+    message: rest
+  };
+
+  const firstSpace = rest.indexOf(' ');
+  const head = firstSpace === -1 ? rest : rest.substring(0, firstSpace);
+  if (!head.includes('|')) {
+    return context;
+  }
+
+  const parts = head.split('|');
+  context.thread = parts[0] || null;
+  context.site = parts[2] && parts[2].startsWith('Sites-') ? parts[2] : null;
+  context.pipeline = parts[3] || null;
+  context.sessionId = parts.length > 5 ? parts[parts.length - 1] || null : null;
+
+  const tail = firstSpace === -1 ? '' : rest.substring(firstSpace + 1);
+  const separator = tail.indexOf(' - ');
+  if (separator !== -1) {
+    context.category = tail.substring(0, separator).trim() || null;
+    context.message = tail.substring(separator + 3);
+  } else {
+    context.message = tail;
+  }
+
+  return context;
+}
+
+/**
+ * Replace the parts of a message that differ between otherwise identical
+ * errors (numbers, IDs, hashes) so repeated errors share one signature
+ */
+function normalizeForGrouping(text) {
+  return text
+    .replace(/\b[0-9a-f]{16,}\b/gi, '#')
+    .replace(/\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Searches SFCC log files. Files are cached on disk and only the bytes
+ * appended since the last search are downloaded, so repeated searches over
+ * the same logs are fast.
+ */
+class LogSearchManager extends EventEmitter {
+  /**
+   * @param {string} cacheDir - Folder for cached log files
+   */
+  constructor(cacheDir) {
+    super();
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Search log files
+   * @param {WebDAVManager} webdavManager - Client connected to the Logs folder
+   * @param {string} cacheKey - Identifies the instance, keeps caches of different instances apart
+   * @param {Array} files - Remote log files ({ path, size, lastModified })
+   * @param {Object} filters - from/to (ISO dates), levels, site and text
+   */
+  async search(webdavManager, cacheKey, files, filters = {}) {
+    const criteria = {
+      from: filters.from ? new Date(filters.from) : null,
+      to: filters.to ? new Date(filters.to) : null,
+      levels: filters.levels && filters.levels.length > 0 ? filters.levels : LOG_LEVELS,
+      site: filters.site ? filters.site.toLowerCase() : null,
+      text: filters.text ? filters.text.toLowerCase() : null
+    };
+
+    const candidates = files.filter(file => this.mayContainMatches(file, criteria));
+    const results = {
+      entries: [],
+      groups: new Map(),
+      stats: {
+        filesFound: files.length,
+        filesSearched: candidates.length,
+        bytesDownloaded: 0,
+        entriesMatched: 0
+      }
+    };
+
+    await fs.promises.mkdir(this.cacheDir, { recursive: true });
+
+    for (let i = 0; i < candidates.length; i++) {
+      const file = candidates[i];
+      this.emit('progress', { file: file.path, index: i + 1, total: candidates.length });
+
+      try {
+        const { localPath, downloaded } = await this.updateCache(webdavManager, cacheKey, file);
+        results.stats.bytesDownloaded += downloaded;
+        await this.searchFile(localPath, file.path, criteria, results);
+      } catch (error) {
+        logger.error('Failed to search', file.path, error);
+        results.stats.errors = results.stats.errors || [];
+        results.stats.errors.push(`${file.path}: ${error.message}`);
+      }
+    }
+
+    const groups = Array.from(results.groups.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_GROUPS)
+      .map(group => ({ ...group, sites: Array.from(group.sites), files: Array.from(group.files) }));
+
+    return {
+      entries: results.entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, MAX_ENTRIES),
+      groups,
+      stats: results.stats
+    };
+  }
+
+  /**
+   * Skip files that can't contain entries in the requested time range
+   */
+  mayContainMatches(file, criteria) {
+    if (criteria.from && file.lastModified && new Date(file.lastModified) < criteria.from) {
+      return false;
+    }
+
+    const dateMatch = path.posix.basename(file.path).match(FILE_DATE_PATTERN);
+    if (criteria.to && dateMatch) {
+      const fileDay = new Date(Date.UTC(dateMatch[1], dateMatch[2] - 1, dateMatch[3]));
+      if (fileDay > criteria.to) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Bring the cached copy of a log file up to date. Logs only grow, so only
+   * the appended bytes are fetched; a smaller remote file means it was
+   * replaced and is downloaded again.
+   * @returns {Promise<Object>} Local path and number of downloaded bytes
+   */
+  async updateCache(webdavManager, cacheKey, file) {
+    const hash = crypto.createHash('sha1').update(`${cacheKey}|${file.path}`).digest('hex');
+    const localPath = path.join(this.cacheDir, `${hash}.log`);
+
+    const cachedSize = await fs.promises.stat(localPath).then(stats => stats.size, () => -1);
+
+    if (cachedSize === file.size) {
+      return { localPath, downloaded: 0 };
+    }
+
+    if (cachedSize === -1 || cachedSize > file.size) {
+      await webdavManager.downloadFile(file.path, localPath);
+      return { localPath, downloaded: file.size };
+    }
+
+    const data = await webdavManager.readFileRange(file.path, cachedSize, file.size - 1);
+    await fs.promises.appendFile(localPath, data);
+    return { localPath, downloaded: data.length };
+  }
+
+  /**
+   * Parse a cached log file line by line. Lines that don't start with a
+   * timestamp (stack traces, wrapped messages) belong to the entry above.
+   */
+  async searchFile(localPath, remotePath, criteria, results) {
+    const input = fs.createReadStream(localPath, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let entry = null;
+
+    for await (const line of lines) {
+      const match = line.match(ENTRY_PATTERN);
+      if (match) {
+        this.collectEntry(entry, criteria, results);
+        entry = {
+          timestamp: `${match[1]}T${match[2]}Z`,
+          level: match[3].toUpperCase(),
+          ...parseEntryContext(match[4]),
+          details: [],
+          file: remotePath
+        };
+      } else if (entry && line.trim()) {
+        entry.details.push(line);
+      }
+    }
+
+    this.collectEntry(entry, criteria, results);
+  }
+
+  collectEntry(entry, criteria, results) {
+    if (!entry || !this.matches(entry, criteria)) {
+      return;
+    }
+
+    results.stats.entriesMatched++;
+    const stackTrace = entry.details.join('\n');
+
+    // Group by message and stack trace so repeated errors collapse into one row
+    const signature = `${entry.level}|${normalizeForGrouping(entry.message)}|${normalizeForGrouping(stackTrace)}`;
+    let group = results.groups.get(signature);
+    if (!group) {
+      group = {
+        level: entry.level,
+        message: entry.message,
+        stackTrace,
+        category: entry.category,
+        count: 0,
+        firstSeen: entry.timestamp,
+        lastSeen: entry.timestamp,
+        sites: new Set(),
+        files: new Set()
+      };
+      results.groups.set(signature, group);
+    }
+
+    group.count++;
+    if (entry.timestamp < group.firstSeen) {
+      group.firstSeen = entry.timestamp;
+    }
+    if (entry.timestamp > group.lastSeen) {
+      group.lastSeen = entry.timestamp;
+    }
+    if (entry.site) {
+      group.sites.add(entry.site);
+    }
+    group.files.add(entry.file);
+
+    // Keep only the most recent entries
+    results.entries.push({ ...entry, details: stackTrace });
+    if (results.entries.length > MAX_ENTRIES * 2) {
+      results.entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+      results.entries.length = MAX_ENTRIES;
+    }
+  }
+
+  matches(entry, criteria) {
+    if (!criteria.levels.includes(entry.level)) {
+      return false;
+    }
+
+    const time = new Date(entry.timestamp);
+    if ((criteria.from && time < criteria.from) || (criteria.to && time > criteria.to)) {
+      return false;
+    }
+
+    if (criteria.site && !(entry.site || '').toLowerCase().includes(criteria.site)) {
+      return false;
+    }
+
+    if (criteria.text) {
+      const haystack = [entry.message, entry.category, entry.pipeline, entry.sessionId, ...entry.details]
+        .join('\n')
+        .toLowerCase();
+      if (!haystack.includes(criteria.text)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove all cached log files
+   */
+  async clearCache() {
+    await fs.promises.rm(this.cacheDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = LogSearchManager;
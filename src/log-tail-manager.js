@@ -0,0 +1,186 @@
+const EventEmitter = require('events');
+const { StringDecoder } = require('string_decoder');
+
+const POLL_INTERVAL_MS = 3000;
+// How much of the existing log is shown when a tail starts
+const INITIAL_TAIL_BYTES = 64 * 1024;
+// Largest amount of new data fetched per poll; older bytes are skipped
+const MAX_CHUNK_BYTES = 1024 * 1024;
+
+/**
+ * Follows remote log files by polling their size and fetching only the bytes
+ * added since the last poll with Range requests.
+ *
+ * Emits an 'update' event per tail with type 'data' (new text), 'reset'
+ * (file was truncated or rotated) or 'error' (poll failed, polling goes on).
+ */
+class LogTailManager extends EventEmitter {
+  constructor() {
+    super();
+    this.tails = new Map();
+    this.nextTailId = 1;
+  }
+
+  /**
+   * Start tailing a remote file
+   * @param {string} remotePath - Remote log file path
+   * @param {WebDAVManager} webdavManager - Client connected to the log folder's base URL
+   * @returns {Promise<Object>} The tail ID and current file size
+   */
+  async start(remotePath, webdavManager) {
+    const stats = await webdavManager.getFileStats(remotePath);
+    const tail = {
+      id: `tail_${this.nextTailId++}`,
+      remotePath,
+      webdavManager,
+      offset: Math.max(0, stats.size - INITIAL_TAIL_BYTES),
+      paused: false,
+      polling: false,
+      timer: null,
+      decoder: new StringDecoder('utf8')
+    };
+
+    const startedMidFile = tail.offset > 0;
+    let text = await this.readNewData(tail, stats.size);
+    if (startedMidFile) {
+      // The first line is most likely cut off
+      text = text.substring(text.indexOf('\n') + 1);
+    }
+
+    // Only registered once the first read worked, so a failed start leaves
+    // nothing polling in the background
+    this.tails.set(tail.id, tail);
+    this.scheduleNextPoll(tail);
+    return { id: tail.id, remotePath, size: stats.size, text };
+  }
+
+  pause(tailId) {
+    const tail = this.getTail(tailId);
+    tail.paused = true;
+    clearTimeout(tail.timer);
+  }
+
+  resume(tailId) {
+    const tail = this.getTail(tailId);
+    if (tail.paused) {
+      tail.paused = false;
+      this.poll(tail);
+    }
+  }
+
+  stop(tailId) {
+    const tail = this.tails.get(tailId);
+    if (tail) {
+      clearTimeout(tail.timer);
+      this.tails.delete(tailId);
+    }
+  }
+
+  /**
+   * Pause the tails that are running, e.g. while the app is locked
+   */
+  suspend() {
+    for (const tail of this.tails.values()) {
+      if (!tail.paused) {
+        tail.suspended = true;
+        this.pause(tail.id);
+      }
+    }
+  }
+
+  /**
+   * Resume the tails paused by suspend()
+   */
+  resumeSuspended() {
+    for (const tail of this.tails.values()) {
+      if (tail.suspended) {
+        tail.suspended = false;
+        this.resume(tail.id);
+      }
+    }
+  }
+
+  stopAll() {
+    for (const tailId of Array.from(this.tails.keys())) {
+      this.stop(tailId);
+    }
+  }
+
+  getTail(tailId) {
+    const tail = this.tails.get(tailId);
+    if (!tail) {
+      throw new Error(`Log tail not found: ${tailId}`);
+    }
+    return tail;
+  }
+
+  scheduleNextPoll(tail) {
+    clearTimeout(tail.timer);
+    tail.timer = setTimeout(() => this.poll(tail), POLL_INTERVAL_MS);
+  }
+
+  async poll(tail) {
+    // A poll that is still running reschedules itself
+    if (tail.polling) {
+      return;
+    }
+
+    tail.polling = true;
+    try {
+      const { size } = await tail.webdavManager.getFileStats(tail.remotePath);
+
+      // Stopped or paused while the request was running
+      if (!this.tails.has(tail.id) || tail.paused) {
+        return;
+      }
+
+      if (size < tail.offset) {
+        tail.offset = 0;
+        tail.decoder = new StringDecoder('utf8');
+        this.emitUpdate(tail, { type: 'reset', message: 'Log file was truncated or rotated' });
+      }
+
+      if (size > tail.offset) {
+        const text = await this.readNewData(tail, size);
+        if (this.tails.has(tail.id) && text) {
+          this.emitUpdate(tail, { type: 'data', text });
+        }
+      }
+    } catch (error) {
+      this.emitUpdate(tail, { type: 'error', message: error.message });
+    } finally {
+      tail.polling = false;
+    }
+
+    if (this.tails.has(tail.id) && !tail.paused) {
+      this.scheduleNextPoll(tail);
+    }
+  }
+
+  /**
+   * Fetch the bytes between the current offset and the given size
+   */
+  async readNewData(tail, size) {
+    if (size <= tail.offset) {
+      return '';
+    }
+
+    let skipped = '';
+    if (size - tail.offset > MAX_CHUNK_BYTES) {
+      skipped = `[... ${size - tail.offset - MAX_CHUNK_BYTES} bytes skipped ...]\n`;
+      tail.offset = size - MAX_CHUNK_BYTES;
+      tail.decoder = new StringDecoder('utf8');
+    }
+
+    const data = await tail.webdavManager.readFileRange(tail.remotePath, tail.offset, size - 1);
+    tail.offset += data.length;
+    // The decoder holds back multi-byte characters split across two reads
+    return skipped + tail.decoder.write(data);
+  }
+
+  emitUpdate(tail, update) {
+    this.emit('update', { tailId: tail.id, remotePath: tail.remotePath, ...update });
+  }
+}
+
+module.exports = LogTailManager;
@@ -0,0 +1,248 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_FILE_NAME = 'main.log';
+const MAX_FILE_SIZE = 1024 * 1024;
+const MAX_ROTATED_FILES = 3;
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are never written to the log
+const SENSITIVE_KEY_PATTERN = /pass(word|phrase)?$|secret|token|authorization|cookie|api[-_]?key|private[-_]?key|^pfx$|clientCertificate$|^credentials?$/i;
+
+// Secrets inside strings: authorization headers, form and query parameters, JSON properties
+const SENSITIVE_STRING_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+\/=-]+/g, `$1 ${REDACTED}`],
+  [/\b((?:client_secret|password|access_token|refresh_token|id_token|token)=)[^&\s"']+/gi, `$1${REDACTED}`],
+  [/("(?:client_secret|clientSecret|password|passphrase|access_token|accessToken|refresh_token|token)"\s*:\s*")[^"]*/gi, `$1${REDACTED}`],
+  [/(\/\/[^/\s:@]+:)[^@\s/]+@/g, `$1${REDACTED}@`]
+];
+
+const MAX_DEPTH = 6;
+
+let logFilePath = null;
+let logFileSize = 0;
+let minimumLevel = LEVELS.info;
+
+/**
+ * Start writing log entries to a rotating file
+ * @param {Object} options - directory for the log files and level ('debug',
+ *   'info', 'warn' or 'error')
+ */
+function configureLogging({ directory, level } = {}) {
+  if (level && LEVELS[level]) {
+    minimumLevel = LEVELS[level];
+  }
+  if (!directory) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    logFilePath = path.join(directory, LOG_FILE_NAME);
+    logFileSize = fs.existsSync(logFilePath) ? fs.statSync(logFilePath).size : 0;
+  } catch (error) {
+    logFilePath = null;
+    console.error('Logger: Failed to open log file:', error);
+  }
+}
+
+function getLogFilePath() {
+  return logFilePath;
+}
+
+/**
+ * Replace secrets in a string
+ */
+function redactString(value) {
+  return SENSITIVE_STRING_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+/**
+ * Copy a value for logging with passwords, tokens, secrets and certificates
+ * replaced. Handles errors, buffers and circular references.
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? `[Function ${value.name || 'anonymous'}]` : value;
+  }
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    const error = { name: value.name, message: redactString(value.message) };
+    for (const key of ['status', 'code']) {
+      if (value[key] !== undefined) {
+        error[key] = value[key];
+      }
+    }
+    if (value.stack) {
+      error.stack = redactString(value.stack);
+    }
+    return error;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY_PATTERN.test(key) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return result;
+}
+
+/**
+ * Turn console-style arguments into a message and structured data
+ */
+function createEntry(level, scope, args) {
+  const words = [];
+  const data = [];
+  for (const arg of args) {
+    if (arg === null || arg === undefined || typeof arg !== 'object') {
+      words.push(redactString(String(arg)));
+    } else {
+      data.push(redact(arg));
+    }
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    scope,
+    message: words.join(' ')
+  };
+  if (data.length > 0) {
+    entry.data = data.length === 1 ? data[0] : data;
+  }
+  return entry;
+}
+
+/**
+ * Move main.log to main.1.log, main.1.log to main.2.log and so on
+ */
+function rotate() {
+  const rotatedPath = (index) => logFilePath.replace(/\.log$/, `.${index}.log`);
+
+  for (let index = MAX_ROTATED_FILES - 1; index >= 1; index--) {
+    if (fs.existsSync(rotatedPath(index))) {
+      fs.renameSync(rotatedPath(index), rotatedPath(index + 1));
+    }
+  }
+  fs.renameSync(logFilePath, rotatedPath(1));
+  logFileSize = 0;
+}
+
+function writeEntry(entry) {
+  if (!logFilePath) {
+    return;
+  }
+
+  const line = JSON.stringify(entry) + '\n';
+  try {
+    if (logFileSize > 0 && logFileSize + line.length > MAX_FILE_SIZE) {
+      rotate();
+    }
+    fs.appendFileSync(logFilePath, line);
+    logFileSize += Buffer.byteLength(line);
+  } catch (error) {
+    // Keep logging to the console when the disk is full or the file is locked
+    logFilePath = null;
+    console.error('Logger: Failed to write log file, file logging disabled:', error);
+  }
+}
+
+function log(level, scope, args) {
+  if (LEVELS[level] < minimumLevel) {
+    return;
+  }
+
+  const entry = createEntry(level, scope, args);
+  const consoleMethod = level === 'debug' ? 'log' : level;
+  if (entry.data !== undefined) {
+    console[consoleMethod](`[${entry.scope}] ${entry.message}`, entry.data);
+  } else {
+    console[consoleMethod](`[${entry.scope}] ${entry.message}`);
+  }
+  writeEntry(entry);
+}
+
+/**
+ * Create a logger for a module. Takes console-style arguments: strings and
+ * numbers form the message, objects and errors are attached as data.
+ * @param {string} scope - Module name shown with every entry, e.g. 'WebDAVManager'
+ * @returns {Object} debug, info, warn and error functions
+ */
+function createLogger(scope) {
+  return {
+    debug: (...args) => log('debug', scope, args),
+    info: (...args) => log('info', scope, args),
+    warn: (...args) => log('warn', scope, args),
+    error: (...args) => log('error', scope, args)
+  };
+}
+
+/**
+ * Read the newest entries of the log file and its rotated predecessors
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Entries, oldest first
+ */
+async function readRecentEntries(limit = 1000) {
+  if (!logFilePath) {
+    return [];
+  }
+
+  const files = [logFilePath];
+  for (let index = 1; index <= MAX_ROTATED_FILES; index++) {
+    files.push(logFilePath.replace(/\.log$/, `.${index}.log`));
+  }
+
+  let entries = [];
+  for (const file of files) {
+    let content;
+    try {
+      content = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      break; // Older files don't exist either
+    }
+
+    const fileEntries = content.split('\n').filter(Boolean).map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { time: null, level: 'info', scope: 'Logger', message: line };
+      }
+    });
+    entries = fileEntries.concat(entries);
+    if (entries.length >= limit) {
+      break;
+    }
+  }
+
+  return entries.slice(-limit);
+}
+
+module.exports = {
+  LEVELS,
+  configureLogging,
+  createLogger,
+  getLogFilePath,
+  readRecentEntries,
+  redact
+};
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, nativeImage } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, nativeImage, Menu, shell } = require('electron');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
@@ -10,17 +10,303 @@ const CredentialManager = require('./credential-manager');
 const WebDAVManager = require('./webdav-manager');
 const OAuth2Manager = require('./oauth2-manager');
 const CatalogManager = require('./catalog-manager');
+const CodeVersionManager = require('./code-version-manager');
+const TransferQueue = require('./transfer-queue');
+const WatchManager = require('./watch-manager');
+const LogTailManager = require('./log-tail-manager');
+const LogSearchManager = require('./log-search-manager');
+const JobManager = require('./job-manager');
+const SiteArchiveManager = require('./site-archive-manager');
+const WriteGuard = require('./write-guard');
+const TrashManager = require('./trash-manager');
+const SyncManager = require('./sync-manager');
+const InstanceCompareManager = require('./instance-compare-manager');
+const ThumbnailManager = require('./thumbnail-manager');
+const { diffLines, toSideBySide } = require('./text-diff');
+const { registerClientCertificate } = require('./client-certificate');
+const { configureLogging, createLogger, getLogFilePath, readRecentEntries } = require('./logger');
+const { findDwJsonFiles, readDwJson, getAuthType, toCredentials, findMatchingConnection, buildDwJson } = require('./dw-json');
+
+// Write main process logs to a rotating file shown in the diagnostics view
+configureLogging({
+  directory: path.join(app.getPath('userData'), 'logs'),
+  level: process.argv.includes('--dev') ? 'debug' : 'info'
+});
+const logger = createLogger('Main');
 
 let mainWindow;
 // Create singleton manager instances
 const credentialManager = new CredentialManager();
 const oauth2Manager = new OAuth2Manager();
 const catalogManager = new CatalogManager();
+const codeVersionManager = new CodeVersionManager();
 const webdavManager = new WebDAVManager();
+const transferQueue = new TransferQueue(webdavManager);
+const watchManager = new WatchManager();
+const logTailManager = new LogTailManager();
+const logSearchManager = new LogSearchManager(path.join(app.getPath('userData'), 'log-cache'));
+const jobManager = new JobManager();
+const siteArchiveManager = new SiteArchiveManager();
+const writeGuard = new WriteGuard();
+const trashManager = new TrashManager(webdavManager);
+const syncManager = new SyncManager(webdavManager, trashManager);
+const instanceCompareManager = new InstanceCompareManager();
+const thumbnailManager = new ThumbnailManager(path.join(app.getPath('userData'), 'thumbnail-cache'));
+
+// Saved settings of the connection the WebDAV client is opened with
+let activeConnection = null;
+// Expired trash items are purged once per connection, as soon as it is writable
+let trashPurgePending = false;
+
+// Local files compared with the diff viewer; remote files have the editor's limit
+const MAX_LOCAL_DIFF_SIZE = 5 * 1024 * 1024;
+
+// Folders shown as a grid are remembered; older choices are dropped beyond this
+const MAX_FOLDER_VIEW_MODES = 500;
+
+// Left out of folder synchronization until the user changes the list
+const DEFAULT_SYNC_EXCLUDES = ['.git', '.svn', '.DS_Store', 'Thumbs.db', 'node_modules', '*.part', '*.part.json'];
 
 // Link managers
 credentialManager.setOAuth2Manager(oauth2Manager);
 webdavManager.setOAuth2Manager(oauth2Manager); // This link was missing before
+transferQueue.setConcurrency(credentialManager.getSetting('transferConcurrency', 3));
+writeGuard.setHostPatterns(credentialManager.getSetting('readOnlyHostPatterns', []));
+
+// Forward transfer state and byte progress to the renderer
+transferQueue.on('job-updated', (job) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('transfer-job-updated', job);
+  }
+});
+
+// Forward read-only mode changes to the renderer; watch mode uploads and
+// deletes, so it stops when writes are locked again
+writeGuard.on('changed', (status) => {
+  if (status.readOnly && watchManager.isWatching()) {
+    watchManager.stop();
+    logger.info('Watch mode stopped, the connection is read-only');
+  }
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('write-guard-changed', status);
+  }
+});
+
+// Forward watch mode activity to the renderer
+watchManager.on('activity', (entry) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('watch-activity', { ...entry, watching: watchManager.isWatching() });
+  }
+});
+
+// Forward new log lines to the renderer
+logTailManager.on('update', (update) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('log-tail-update', update);
+  }
+});
+
+// Forward log search progress to the renderer
+logSearchManager.on('progress', (progress) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('log-search-progress', progress);
+  }
+});
+
+// Forward job execution status to the renderer
+jobManager.on('execution-updated', (execution) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('job-execution-updated', execution);
+  }
+});
+
+/**
+ * Lock the app when it hasn't been used for the configured time. Only works
+ * with a master password; the OS keychain key can't be locked.
+ */
+let autoLockTimer = null;
+
+function scheduleAutoLock() {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+
+  const minutes = credentialManager.getSetting('autoLockMinutes', 0);
+  if (minutes > 0 && credentialManager.keySource === 'master-password' && !credentialManager.isLocked()) {
+    autoLockTimer = setTimeout(lockApp, minutes * 60 * 1000);
+  }
+}
+
+function lockApp() {
+  clearTimeout(autoLockTimer);
+  autoLockTimer = null;
+
+  if (credentialManager.lock()) {
+    logger.info('App locked');
+    // Nothing may reach the server until the app is unlocked again
+    watchManager.suspend();
+    logTailManager.suspend();
+    transferQueue.suspend();
+    jobManager.suspend();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('app-locked');
+    }
+  }
+}
+
+/**
+ * Refuse WebDAV operations and access to saved credentials while the app is locked
+ */
+function requireUnlocked() {
+  if (credentialManager.isLocked()) {
+    throw new Error('The application is locked. Enter the master password to continue.');
+  }
+}
+
+/**
+ * The saved connection behind credentials sent by the renderer, so the
+ * read-only check uses the stored environment label
+ */
+async function getSavedConnection(credentials) {
+  const saved = credentials.id && await credentialManager.loadCredentialsById(credentials.id);
+  return saved ? { ...credentials, ...saved, url: credentials.url } : credentials;
+}
+
+/**
+ * Read one side of a file diff
+ * @param {Object} source - { source: 'remote'|'local', path }
+ * @returns {Promise<Object>} content, size and lastModified
+ */
+async function readDiffSource({ source, path: filePath }) {
+  if (source === 'remote') {
+    return webdavManager.openTextFile(filePath);
+  }
+
+  const stats = await fs.promises.stat(filePath);
+  if (!stats.isFile()) {
+    throw new Error(`${filePath} is not a file`);
+  }
+  if (stats.size > MAX_LOCAL_DIFF_SIZE) {
+    throw new Error(`${path.basename(filePath)} is too large to compare`);
+  }
+  const content = await fs.promises.readFile(filePath, 'utf8');
+  if (content.includes('\u0000')) {
+    throw new Error(`${path.basename(filePath)} is not a text file`);
+  }
+  return { content, size: stats.size, lastModified: stats.mtime.toISOString() };
+}
+
+/**
+ * Move or copy remote items one after another. Existing destinations are
+ * reported as conflicts unless overwrite is set; with the trash enabled a
+ * replaced destination is moved to the trash first.
+ *
+ * Items may name the WebDAV roots they come from and go to (fromRoot and
+ * toRoot, full URLs such as .../webdav/Sites/Impex); without them both paths
+ * are in the root the client currently browses.
+ * @param {string} operation - 'move' or 'copy'
+ * @param {Array} items - { fromPath, toPath, fromRoot, toRoot }
+ * @param {Object} options - overwrite
+ * @returns {Promise<Array>} The items with status and error; status is 'moved',
+ *   'copied', 'skipped', 'conflict' or 'failed'. Items copied or moved across
+ *   roots also tell whether the server did it or the data was streamed.
+ */
+async function runRemoteOperation(operation, items, { overwrite = false } = {}) {
+  const results = [];
+  const currentRoot = webdavManager.currentCredentials ? webdavManager.currentCredentials.url.replace(/\/+$/, '') : null;
+
+  for (const { fromPath, toPath, fromRoot, toRoot } of items) {
+    const result = { fromPath, toPath, fromRoot, toRoot };
+    results.push(result);
+
+    const sourceRoot = fromRoot ? fromRoot.replace(/\/+$/, '') : currentRoot;
+    const targetRoot = toRoot ? toRoot.replace(/\/+$/, '') : currentRoot;
+    const crossRoot = sourceRoot !== targetRoot;
+
+    if (!crossRoot && fromPath === toPath) {
+      result.status = 'skipped';
+      continue;
+    }
+    if (!crossRoot && toPath.startsWith(`${fromPath}/`)) {
+      result.status = 'failed';
+      result.error = `Can't ${operation} a folder into itself`;
+      continue;
+    }
+    if (trashManager.isTrashPath(fromPath) || trashManager.isTrashPath(toPath)) {
+      result.status = 'failed';
+      result.error = 'Use the Trash view to restore or delete items in the trash';
+      continue;
+    }
+
+    try {
+      const exists = targetRoot === currentRoot
+        ? await webdavManager.exists(toPath)
+        : await webdavManager.existsInRoot(targetRoot, toPath);
+      if (exists) {
+        if (!overwrite) {
+          result.status = 'conflict';
+          continue;
+        }
+        // The trash belongs to the browsed root; destinations in other roots are replaced directly
+        if (activeConnection && activeConnection.trashMode && targetRoot === currentRoot) {
+          await trashManager.moveToTrash(toPath);
+        }
+      }
+
+      if (crossRoot) {
+        result.method = await webdavManager.transferBetweenRoots(operation,
+          { root: sourceRoot, path: fromPath }, { root: targetRoot, path: toPath }, overwrite);
+        result.status = operation === 'move' ? 'moved' : 'copied';
+      } else if (operation === 'move') {
+        await webdavManager.moveItem(fromPath, toPath, overwrite);
+        result.status = 'moved';
+      } else {
+        await webdavManager.copyItem(fromPath, toPath, overwrite);
+        result.status = 'copied';
+      }
+    } catch (error) {
+      // The destination appeared between the check and the request
+      result.status = error.status === 412 ? 'conflict' : 'failed';
+      result.error = error.message;
+    }
+  }
+
+  logger.info(`Remote ${operation}:`, results.map(({ fromPath, toPath, status }) => ({ fromPath, toPath, status })));
+  return results;
+}
+
+/**
+ * Empty the recycle bin of the active connection of items older than its
+ * retention time; runs in the background after connecting, or after writes
+ * to a read-only connection are unlocked. A client of its own keeps it on the
+ * root it started with when the user switches roots meanwhile.
+ */
+async function purgeExpiredTrash() {
+  if (!trashPurgePending || !activeConnection || !activeConnection.trashMode || writeGuard.isReadOnly()) {
+    return;
+  }
+  trashPurgePending = false;
+
+  const connection = activeConnection;
+  const purgeWebdavManager = new WebDAVManager();
+  purgeWebdavManager.setOAuth2Manager(oauth2Manager);
+  try {
+    await purgeWebdavManager.initializeClient(webdavManager.currentCredentials);
+    await new TrashManager(purgeWebdavManager).purgeExpired(connection.trashRetentionDays);
+  } catch (error) {
+    logger.warn(`Failed to purge the trash of ${connection.name}:`, error);
+  } finally {
+    purgeWebdavManager.disconnect();
+  }
+}
+
+/**
+ * Refuse to resume or retry an upload while the connection is read-only
+ */
+function assertTransferWritable(jobId) {
+  if (transferQueue.getJob(jobId).direction === 'upload') {
+    writeGuard.assertWritable('upload files');
+  }
+}
 
 // Local ZIP operations helper functions
 async function zipLocalItem(sourcePath, zipPath) {
@@ -157,7 +443,7 @@ async function checkAndPromptForConnection() {
       }
     }
   } catch (error) {
-    console.error('Error checking connections:', error);
+    logger.error('Error checking connections:', error);
   }
 }
 
@@ -169,7 +455,7 @@ async function showConnectionSelector() {
     // Always show the connection selector modal
     mainWindow.webContents.send('show-connection-selector');
   } catch (error) {
-    console.error('Error showing connection selector:', error);
+    logger.error('Error showing connection selector:', error);
   }
 }
 
@@ -188,6 +474,9 @@ app.whenReady().then(() => {
     // Register all IPC handlers
     // Move all other ipcMain.handle(...) calls here...
 
+    // The OS keychain can only be used once the app is ready
+    credentialManager.initializeEncryption();
+
     createWindow();
 
     app.on('activate', function () {
@@ -202,6 +491,13 @@ app.on('window-all-closed', function () {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('before-quit', () => {
+  transferQueue.cleanup();
+  watchManager.stop();
+  logTailManager.stopAll();
+  jobManager.stopAll();
+});
+
 /**
  * Extract hostname from WebDAV URL
  * @param {string} webdavUrl - WebDAV URL like 'https://bbsv-063.dx.commercecloud.salesforce.com/on/demandware.servlet/webdav/Sites/Impex'
@@ -244,9 +540,35 @@ ipcMain.handle('load-credentials', async () => {
   }
 });
 
+// Opens the WebDAV client with a connection, or another root of it
 ipcMain.handle('test-connection', async (event, credentials) => {
   try {
+    requireUnlocked();
     const result = await webdavManager.testConnection(credentials);
+    const connection = await getSavedConnection(credentials);
+    // Switching roots of the same connection keeps an unlock
+    if (!activeConnection || activeConnection.id !== connection.id) {
+      writeGuard.setConnection(connection);
+      trashPurgePending = true;
+    }
+    activeConnection = connection;
+    if (result) {
+      purgeExpiredTrash();
+    }
+    return { success: true, connected: result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Checks connection settings from the form without opening them
+ipcMain.handle('test-connection-settings', async (event, credentials) => {
+  try {
+    requireUnlocked();
+    const testWebdavManager = new WebDAVManager();
+    testWebdavManager.setOAuth2Manager(oauth2Manager);
+    const result = await testWebdavManager.testConnection(credentials);
+    testWebdavManager.disconnect();
     return { success: true, connected: result };
   } catch (error) {
     return { success: false, error: error.message };
@@ -255,8 +577,11 @@ ipcMain.handle('test-connection', async (event, credentials) => {
 
 ipcMain.handle('list-directory', async (event, path) => {
   try {
+    requireUnlocked();
     const items = await webdavManager.listDirectory(path);
-    return { success: true, items };
+    // The recycle bin has its own view
+    const visibleItems = items.filter(item => !trashManager.isTrashPath(`${path.replace(/\/+$/, '')}/${item.name}`));
+    return { success: true, items: visibleItems };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -264,13 +589,14 @@ ipcMain.handle('list-directory', async (event, path) => {
 
 ipcMain.handle('fetch-catalogs', async (event, connectionId, currentUrl) => {
   try {
+    requireUnlocked();
     // Get connection credentials to extract hostname and get OAuth2 token
     const credentials = await credentialManager.loadCredentials(connectionId);
     if (!credentials) {
       throw new Error('Connection not found');
     }
     
-    console.log('Catalog fetch - credentials loaded:', {
+    logger.debug('Catalog fetch - credentials loaded:', {
       id: credentials.id,
       name: credentials.name,
       authType: credentials.authType,
@@ -288,7 +614,7 @@ ipcMain.handle('fetch-catalogs', async (event, connectionId, currentUrl) => {
       throw new Error('WebDAV URL not found in connection credentials or current session');
     }
     
-    console.log('Using WebDAV URL for hostname extraction:', webdavUrl);
+    logger.debug('Using WebDAV URL for hostname extraction:', webdavUrl);
     
     // Get OAuth2 access token
     const accessToken = await oauth2Manager.getAccessToken(
@@ -305,7 +631,7 @@ ipcMain.handle('fetch-catalogs', async (event, connectionId, currentUrl) => {
     
     return { success: true, catalogs };
   } catch (error) {
-    console.error('Failed to fetch catalogs:', error);
+    logger.error('Failed to fetch catalogs:', error);
     return { success: false, error: error.message };
   }
 });
@@ -340,7 +666,7 @@ ipcMain.handle('add-catalog-id', async (event, connectionId, catalogId, baseUrl)
     }
     const hostname = baseMatch[1];
     const testUrl = `${hostname}/on/demandware.servlet/webdav/Sites/Catalogs/${catalogId}`;
-    console.log('Testing catalog ID:', catalogId, 'at URL:', testUrl);
+    logger.info('Testing catalog ID:', catalogId, 'at URL:', testUrl);
     
     // Load credentials to test connection
     const credentials = await credentialManager.loadCredentials(connectionId);
@@ -369,7 +695,7 @@ ipcMain.handle('add-library-id', async (event, connectionId, libraryId, baseUrl)
     }
     const hostname = baseMatch[1];
     const testUrl = `${hostname}/on/demandware.servlet/webdav/Sites/Libraries/${libraryId}`;
-    console.log('Testing library ID:', libraryId, 'at URL:', testUrl);
+    logger.info('Testing library ID:', libraryId, 'at URL:', testUrl);
     
     // Load credentials to test connection
     const credentials = await credentialManager.loadCredentials(connectionId);
@@ -406,9 +732,74 @@ ipcMain.handle('remove-library-id', async (event, connectionId, libraryId) => {
   }
 });
 
+// Code versions
+ipcMain.handle('fetch-code-versions', async (event, connectionId, currentUrl) => {
+  try {
+    requireUnlocked();
+    const { hostname, accessToken } = await getOCAPIContext(connectionId, currentUrl);
+    const codeVersions = await codeVersionManager.fetchCodeVersions(hostname, accessToken);
+    return { success: true, codeVersions };
+  } catch (error) {
+    logger.error('Failed to fetch code versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('create-code-version', async (event, connectionId, currentUrl, versionId) => {
+  try {
+    requireUnlocked();
+    await assertConnectionWritable(connectionId, currentUrl, 'create code versions');
+    const { hostname, accessToken } = await getOCAPIContext(connectionId, currentUrl);
+    await codeVersionManager.createCodeVersion(hostname, accessToken, versionId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('activate-code-version', async (event, connectionId, currentUrl, versionId) => {
+  try {
+    requireUnlocked();
+    await assertConnectionWritable(connectionId, currentUrl, 'activate code versions');
+    const { hostname, accessToken } = await getOCAPIContext(connectionId, currentUrl);
+    await codeVersionManager.activateCodeVersion(hostname, accessToken, versionId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-code-version', async (event, connectionId, currentUrl, versionId) => {
+  try {
+    requireUnlocked();
+    await assertConnectionWritable(connectionId, currentUrl, 'delete code versions');
+    const { hostname, accessToken } = await getOCAPIContext(connectionId, currentUrl);
+    await codeVersionManager.deleteCodeVersion(hostname, accessToken, versionId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('deploy-cartridges', async (event, connectionId, currentUrl, options) => {
+  try {
+    requireUnlocked();
+    await assertConnectionWritable(connectionId, currentUrl, 'deploy code');
+    await deployCartridges(connectionId, currentUrl, options);
+    return { success: true };
+  } catch (error) {
+    logger.error('Cartridge deployment failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('download-file', async (event, remotePath, localPath) => {
   try {
-    await webdavManager.downloadFile(remotePath, localPath);
+    requireUnlocked();
+    const [job] = await transferQueue.addAndWait([{ direction: 'download', remotePath, localPath }]);
+    if (job.status !== 'completed') {
+      throw new Error(job.error || `Download ${job.status}`);
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -417,7 +808,12 @@ ipcMain.handle('download-file', async (event, remotePath, localPath) => {
 
 ipcMain.handle('upload-file', async (event, localPath, remotePath) => {
   try {
-    await webdavManager.uploadFile(localPath, remotePath);
+    requireUnlocked();
+    writeGuard.assertWritable('upload files');
+    const [job] = await transferQueue.addAndWait([{ direction: 'upload', localPath, remotePath }]);
+    if (job.status !== 'completed') {
+      throw new Error(job.error || `Upload ${job.status}`);
+    }
     return { success: true };
   } catch (error) {
     return { success: false, error: error.message };
@@ -426,6 +822,8 @@ ipcMain.handle('upload-file', async (event, localPath, remotePath) => {
 
 ipcMain.handle('create-directory', async (event, path) => {
   try {
+    requireUnlocked();
+    writeGuard.assertWritable('create folders');
     await webdavManager.createDirectory(path);
     return { success: true };
   } catch (error) {
@@ -435,8 +833,121 @@ ipcMain.handle('create-directory', async (event, path) => {
 
 ipcMain.handle('delete-item', async (event, path) => {
   try {
+    requireUnlocked();
+    writeGuard.assertWritable('delete files');
+    if (activeConnection && activeConnection.trashMode && !trashManager.isTrashPath(path)) {
+      await trashManager.moveToTrash(path);
+      return { success: true, trashed: true };
+    }
     await webdavManager.deleteItem(path);
-    return { success: true };
+    return { success: true, trashed: false };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Text editor
+ipcMain.handle('open-remote-text-file', async (event, remotePath) => {
+  try {
+    requireUnlocked();
+    const file = await webdavManager.openTextFile(remotePath);
+    return { success: true, file };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-remote-text-file', async (event, remotePath, content, expected) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('save files');
+    const file = await webdavManager.saveTextFile(remotePath, content, expected);
+    logger.info(`Saved ${remotePath} from the editor`);
+    return { success: true, file };
+  } catch (error) {
+    // 412: changed on the server since it was opened, the renderer asks whether to overwrite
+    return { success: false, conflict: error.status === 412, error: error.message };
+  }
+});
+
+// Side-by-side diff of two text files, each remote or local
+ipcMain.handle('diff-files', async (event, left, right) => {
+  try {
+    requireUnlocked();
+    const [leftFile, rightFile] = await Promise.all([readDiffSource(left), readDiffSource(right)]);
+    const { rows, stats } = toSideBySide(diffLines(leftFile.content, rightFile.content));
+    return {
+      success: true,
+      diff: {
+        left: { ...left, size: leftFile.size, lastModified: leftFile.lastModified },
+        right: { ...right, size: rightFile.size, lastModified: rightFile.lastModified },
+        identical: stats.added + stats.removed + stats.changed === 0,
+        rows,
+        stats
+      }
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Image thumbnails and the grid view
+ipcMain.handle('get-thumbnail', async (event, remotePath, options) => {
+  try {
+    requireUnlocked();
+    const thumbnail = await thumbnailManager.getThumbnail(webdavManager, remotePath, options);
+    return { success: true, thumbnail };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-folder-view-modes', async () => {
+  try {
+    return { success: true, modes: credentialManager.getSetting('folderViewModes', {}) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Only grid folders are stored, list is the default
+ipcMain.handle('set-folder-view-mode', async (event, folderKey, mode) => {
+  try {
+    if (mode !== 'list' && mode !== 'grid') {
+      throw new Error(`Unknown view mode: ${mode}`);
+    }
+    const modes = { ...credentialManager.getSetting('folderViewModes', {}) };
+    delete modes[folderKey];
+    if (mode === 'grid') {
+      modes[folderKey] = mode;
+    }
+    const keys = Object.keys(modes);
+    keys.slice(0, Math.max(0, keys.length - MAX_FOLDER_VIEW_MODES)).forEach(key => delete modes[key]);
+    credentialManager.saveSetting('folderViewModes', modes);
+    return { success: true, modes };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Move (rename) and copy within the remote side
+ipcMain.handle('move-remote-items', async (event, items, options) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('move or rename files');
+    const results = await runRemoteOperation('move', items, options);
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('copy-remote-items', async (event, items, options) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('copy files');
+    const results = await runRemoteOperation('copy', items, options);
+    return { success: true, results };
   } catch (error) {
     return { success: false, error: error.message };
   }
@@ -449,8 +960,8 @@ ipcMain.handle('show-save-dialog', async (event, options = {}) => {
     ...options
   };
   
-  // If properties include directory selection, use showOpenDialog instead
-  if (options.properties && (options.properties.includes('openDirectory') || options.properties.includes('createDirectory'))) {
+  // If properties include file or directory selection, use showOpenDialog instead
+  if (options.properties && (options.properties.includes('openFile') || options.properties.includes('openDirectory') || options.properties.includes('createDirectory'))) {
     const result = await dialog.showOpenDialog(mainWindow, dialogOptions);
     return result;
   } else {
@@ -475,96 +986,408 @@ ipcMain.handle('show-message-box', async (event, options) => {
   return dialog.showMessageBox(mainWindow, options);
 });
 
-// New IPC handlers for connection management
-ipcMain.handle('load-connections', async () => {
+// Pick a client certificate file for two-factor authentication
+ipcMain.handle('select-client-certificate', async () => {
   try {
-    const connections = await credentialManager.loadConnections();
-    return { success: true, connections };
+    const result = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select Client Certificate',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Certificates', extensions: ['p12', 'pfx', 'pem', 'crt', 'key'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: true, certificate: null };
+    }
+
+    const filePath = result.filePaths[0];
+    const data = await fs.promises.readFile(filePath);
+    const fileName = path.basename(filePath);
+
+    if (/\.(p12|pfx)$/i.test(fileName)) {
+      return { success: true, certificate: { fileName, format: 'pfx', data: data.toString('base64') } };
+    }
+
+    const pem = data.toString('utf8');
+    if (!pem.includes('-----BEGIN') || !/-----BEGIN [A-Z ]*PRIVATE KEY-----/.test(pem)) {
+      throw new Error('PEM files must contain both the certificate and its private key');
+    }
+    return { success: true, certificate: { fileName, format: 'pem', data: pem } };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('load-credentials-by-id', async (event, connectionId) => {
+// Native context menu. Items are { id, label, enabled } or { type: 'separator' };
+// resolves with the ID of the clicked item, or null when the menu was dismissed.
+ipcMain.handle('show-context-menu', async (event, items) => {
+  return new Promise((resolve) => {
+    const menu = Menu.buildFromTemplate(items.map(item => {
+      if (item.type === 'separator') {
+        return { type: 'separator' };
+      }
+      return {
+        label: item.label,
+        enabled: item.enabled !== false,
+        click: () => resolve(item.id)
+      };
+    }));
+
+    // On some platforms the menu reports that it closed before the click
+    // handler runs, so give the click a moment to win
+    menu.popup({
+      window: mainWindow,
+      callback: () => setTimeout(() => resolve(null), 100)
+    });
+  });
+});
+
+// Diagnostics log
+ipcMain.handle('get-diagnostics-log', async (event, limit) => {
   try {
-    const credentials = await credentialManager.loadCredentials(connectionId);
-    return { success: true, credentials };
+    const entries = await readRecentEntries(limit);
+    return { success: true, entries, filePath: getLogFilePath() };
   } catch (error) {
-    console.error('Failed to load credentials by ID:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('delete-connection', async (event, connectionId) => {
+ipcMain.handle('show-log-file', async () => {
+  const filePath = getLogFilePath();
+  if (!filePath) {
+    return { success: false, error: 'File logging is not available' };
+  }
+  shell.showItemInFolder(filePath);
+  return { success: true };
+});
+
+// IPC handlers for the encryption of saved credentials
+ipcMain.handle('get-credential-store-status', async () => {
   try {
-    await credentialManager.deleteCredentials(connectionId);
-    return { success: true };
+    return { success: true, status: credentialManager.getEncryptionStatus() };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('has-connections', async () => {
+ipcMain.handle('unlock-credential-store', async (event, password) => {
   try {
-    const hasConnections = credentialManager.hasConnections();
-    return { success: true, hasConnections };
+    const status = await credentialManager.unlockWithMasterPassword(password);
+    scheduleAutoLock();
+    transferQueue.resumeSuspended();
+    logTailManager.resumeSuspended();
+    watchManager.resumeSuspended();
+    jobManager.resumeSuspended();
+    return { success: true, status };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// IPC handler for updating last local folder for a connection
-ipcMain.handle('update-last-local-folder', async (event, connectionId, folderPath) => {
+ipcMain.handle('set-master-password', async (event, newPassword, currentPassword) => {
   try {
-    credentialManager.updateLastLocalFolder(connectionId, folderPath);
-    return { success: true };
+    const status = await credentialManager.setMasterPassword(newPassword, currentPassword);
+    scheduleAutoLock();
+    return { success: true, status };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// IPC handler for getting local user's home directory
-ipcMain.handle('get-local-home-dir', async (event) => {
+ipcMain.handle('remove-master-password', async (event, currentPassword) => {
   try {
-    const homeDir = os.homedir();
-    return { success: true, path: homeDir };
+    const status = await credentialManager.removeMasterPassword(currentPassword);
+    scheduleAutoLock();
+    return { success: true, status };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// IPC handler for listing local directory contents
-ipcMain.handle('list-local-directory', async (event, dirPath) => {
+ipcMain.handle('set-auto-lock-minutes', async (event, minutes) => {
   try {
-    const files = await fs.promises.readdir(dirPath, { withFileTypes: true });
-    const items = await Promise.all(files.map(async (file) => {
-      try {
-        const fullPath = path.join(dirPath, file.name);
-        const stats = await fs.promises.stat(fullPath);
-        return {
-          name: file.name,
-          isDirectory: file.isDirectory(),
-          size: stats.size,
-          mtime: stats.mtime,
-          path: fullPath,
-        };
-      } catch (error) {
-        // Skip files that can't be accessed (e.g. permissions)
-        console.warn(`Skipping file due to error: ${file.name}`, error);
-        return null;
-      }
-    }));
-
-    const validItems = items.filter(item => item !== null);
-    return { success: true, items: validItems };
+    const value = Math.max(0, parseInt(minutes, 10) || 0);
+    if (value > 0 && credentialManager.keySource !== 'master-password') {
+      throw new Error('Set a master password to lock the app automatically');
+    }
+    credentialManager.saveSetting('autoLockMinutes', value);
+    scheduleAutoLock();
+    return { success: true, status: credentialManager.getEncryptionStatus() };
   } catch (error) {
     return { success: false, error: error.message };
   }
 });
 
-// ZIP/UNZIP operations
-ipcMain.handle('zip-item', async (event, itemPath) => {
+ipcMain.handle('lock-app', async () => {
+  if (credentialManager.keySource !== 'master-password') {
+    return { success: false, error: 'Set a master password to lock the app' };
+  }
+  lockApp();
+  return { success: true };
+});
+
+// Mouse and keyboard activity in the window postpones the auto-lock
+ipcMain.on('user-activity', () => {
+  if (autoLockTimer) {
+    scheduleAutoLock();
+  }
+});
+
+// Remote recycle bin
+ipcMain.handle('list-trash', async () => {
+  try {
+    requireUnlocked();
+    const entries = await trashManager.list();
+    return { success: true, entries };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-trash-items', async (event, ids) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('restore files');
+    const results = [];
+    for (const id of ids) {
+      try {
+        results.push({ id, success: true, path: await trashManager.restore(id) });
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('purge-trash-items', async (event, ids) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('delete files');
+    const results = [];
+    for (const id of ids) {
+      try {
+        await trashManager.purge(id);
+        results.push({ id, success: true });
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+    logger.info(`Purged ${results.filter(result => result.success).length} item(s) from the trash`);
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Read-only mode for production instances
+ipcMain.handle('get-write-guard-status', async () => {
+  return { success: true, status: writeGuard.getStatus() };
+});
+
+ipcMain.handle('unlock-writes', async (event, confirmation, minutes) => {
+  try {
+    const status = writeGuard.unlock(confirmation, minutes);
+    logger.warn(`Writes unlocked for ${status.connectionName} until ${status.unlockedUntil}`);
+    purgeExpiredTrash();
+    return { success: true, status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('lock-writes', async () => {
+  return { success: true, status: writeGuard.lock() };
+});
+
+ipcMain.handle('set-read-only-host-patterns', async (event, patterns) => {
+  try {
+    const value = (patterns || []).map(pattern => String(pattern).trim()).filter(Boolean);
+    credentialManager.saveSetting('readOnlyHostPatterns', value);
+    writeGuard.setHostPatterns(value);
+    return { success: true, status: writeGuard.getStatus() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// New IPC handlers for connection management
+ipcMain.handle('load-connections', async () => {
+  try {
+    const connections = await credentialManager.loadConnections();
+    return { success: true, connections };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('load-credentials-by-id', async (event, connectionId) => {
+  try {
+    requireUnlocked();
+    const credentials = await credentialManager.loadCredentials(connectionId);
+    return { success: true, credentials };
+  } catch (error) {
+    logger.error('Failed to load credentials by ID:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-connection', async (event, connectionId) => {
+  try {
+    await credentialManager.deleteCredentials(connectionId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('has-connections', async () => {
+  try {
+    const hasConnections = credentialManager.hasConnections();
+    return { success: true, hasConnections };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC handler for updating last local folder for a connection
+ipcMain.handle('update-last-local-folder', async (event, connectionId, folderPath) => {
+  try {
+    credentialManager.updateLastLocalFolder(connectionId, folderPath);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// dw.json import and export
+ipcMain.handle('scan-dw-json', async (event, folderPath) => {
+  try {
+    const result = await scanDwJsonFiles(folderPath);
+    return { success: true, ...result };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-dw-json', async (event, selections) => {
+  try {
+    requireUnlocked();
+    const result = await importDwJsonConfigs(selections);
+    return { success: true, ...result };
+  } catch (error) {
+    logger.error('dw.json import failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-dw-json', async (event, connectionId, filePath) => {
+  try {
+    requireUnlocked();
+    const credentials = await credentialManager.loadCredentials(connectionId);
+    const dwJson = buildDwJson(credentials);
+    // The file contains the password or client secret
+    await fs.promises.writeFile(filePath, JSON.stringify(dwJson, null, 2) + '\n', { mode: 0o600 });
+    logger.info('Exported dw.json for connection', connectionId, 'to', filePath);
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Encrypted connection profile bundles for sharing connections with a team
+ipcMain.handle('export-profiles', async (event, connectionIds, options, filePath) => {
+  try {
+    requireUnlocked();
+    const content = await credentialManager.exportProfiles(connectionIds, options);
+    await fs.promises.writeFile(filePath, content, { mode: 0o600 });
+    return { success: true, filePath };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('read-profile-bundle', async (event, filePath, passphrase) => {
+  try {
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const profiles = await credentialManager.readProfileBundle(content, passphrase);
+    return { success: true, profiles: profiles.map(describeProfile) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-profiles', async (event, filePath, passphrase, selections) => {
   try {
+    requireUnlocked();
+    const content = await fs.promises.readFile(filePath, 'utf8');
+    const profiles = await credentialManager.readProfileBundle(content, passphrase);
+
+    const results = [];
+    for (const { index, conflictAction } of selections) {
+      const profile = profiles[index];
+      try {
+        const result = await credentialManager.importProfile(profile, conflictAction);
+        results.push({ name: profile.connection.name, result });
+      } catch (error) {
+        results.push({ name: profile.connection.name, result: 'failed', error: error.message });
+      }
+    }
+
+    logger.info('Imported connection profiles:', results.map(({ name, result }) => ({ name, result })));
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC handler for getting local user's home directory
+ipcMain.handle('get-local-home-dir', async (event) => {
+  try {
+    const homeDir = os.homedir();
+    return { success: true, path: homeDir };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// IPC handler for listing local directory contents
+ipcMain.handle('list-local-directory', async (event, dirPath) => {
+  try {
+    const files = await fs.promises.readdir(dirPath, { withFileTypes: true });
+    const items = await Promise.all(files.map(async (file) => {
+      try {
+        const fullPath = path.join(dirPath, file.name);
+        const stats = await fs.promises.stat(fullPath);
+        return {
+          name: file.name,
+          isDirectory: file.isDirectory(),
+          size: stats.size,
+          mtime: stats.mtime,
+          path: fullPath,
+        };
+      } catch (error) {
+        // Skip files that can't be accessed (e.g. permissions)
+        logger.warn(`Skipping file due to error: ${file.name}`, error);
+        return null;
+      }
+    }));
+
+    const validItems = items.filter(item => item !== null);
+    return { success: true, items: validItems };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// ZIP/UNZIP operations
+ipcMain.handle('zip-item', async (event, itemPath) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('create ZIP files');
     const result = await webdavManager.zipItem(itemPath);
     return { success: true, result };
   } catch (error) {
@@ -574,6 +1397,8 @@ ipcMain.handle('zip-item', async (event, itemPath) => {
 
 ipcMain.handle('unzip-item', async (event, itemPath) => {
   try {
+    requireUnlocked();
+    writeGuard.assertWritable('unzip files');
     const result = await webdavManager.unzipItem(itemPath);
     return { success: true, result };
   } catch (error) {
@@ -617,6 +1442,7 @@ ipcMain.handle('delete-local-item', async (event, itemPath, isDirectory) => {
 // Prepare files for drag-out
 ipcMain.handle('prepare-dragout-files', async (event, fileData) => {
   try {
+    requireUnlocked();
     const result = await webdavManager.prepareDragOutFiles(fileData);
     return { success: true, tempFiles: result };
   } catch (error) {
@@ -627,6 +1453,7 @@ ipcMain.handle('prepare-dragout-files', async (event, fileData) => {
 // Start native drag operation with file preparation
 ipcMain.handle('start-native-dragout', async (event, fileData) => {
   try {
+    requireUnlocked();
     const tempFiles = await webdavManager.prepareDragOutFiles(fileData);
     
     if (tempFiles.length > 0) {
@@ -641,13 +1468,14 @@ ipcMain.handle('start-native-dragout', async (event, fileData) => {
       return { success: false, error: 'No files were prepared for drag' };
     }
   } catch (error) {
-    console.error('Failed to start native drag:', error);
+    logger.error('Failed to start native drag:', error);
     return { success: false, error: error.message };
   }
 }); 
 
 ipcMain.on('start-native-dragout-fast', async (event, fileData) => {
   try {
+    requireUnlocked();
     // Create temp placeholders synchronously to hand paths to startDrag immediately
     const tempDir = path.join(os.tmpdir(), 'sfcc-webdav-dragout');
     if (!fs.existsSync(tempDir)) {
@@ -682,149 +1510,938 @@ ipcMain.on('start-native-dragout-fast', async (event, fileData) => {
         try {
           await webdavManager.downloadFile(src.path, dest);
         } catch (e) {
-          console.error('Background download failed:', src.name, e.message);
+          logger.error('Background download failed:', src.name, e.message);
         }
       }
     })();
   } catch (error) {
-    console.error('Fast drag start failed:', error);
+    logger.error('Fast drag start failed:', error);
   }
 });
 
-// Recursive directory operations
-ipcMain.handle('upload-directory-recursive', async (event, localDirPath, remoteDirPath) => {
+// Transfer queue operations
+ipcMain.handle('enqueue-transfers', async (event, transfers) => {
   try {
-    const results = await uploadDirectoryRecursive(localDirPath, remoteDirPath);
+    requireUnlocked();
+    if (transfers.some(transfer => transfer.direction === 'upload')) {
+      writeGuard.assertWritable('upload files');
+    }
+    const results = await runTransfers(transfers);
     return { success: true, results };
   } catch (error) {
-    console.error('Failed to upload directory recursively:', error);
+    logger.error('Failed to run transfers:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('download-directory-recursive', async (event, remoteDirPath, localDirPath) => {
+ipcMain.handle('get-transfer-jobs', async () => {
   try {
-    const results = await downloadDirectoryRecursive(remoteDirPath, localDirPath);
-    return { success: true, results };
+    return { success: true, jobs: transferQueue.getJobs(), concurrency: transferQueue.concurrency };
   } catch (error) {
-    console.error('Failed to download directory recursively:', error);
     return { success: false, error: error.message };
   }
 });
 
-ipcMain.handle('list-remote-directory-recursive', async (event, remotePath) => {
+ipcMain.handle('pause-transfer', async (event, jobId) => {
   try {
-    const files = await listRemoteDirectoryRecursive(remotePath);
-    return { success: true, files };
+    return { success: true, job: transferQueue.pause(jobId) };
   } catch (error) {
-    console.error('Failed to list remote directory recursively:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Helper functions for recursive operations
-async function uploadDirectoryRecursive(localDirPath, remoteDirPath) {
-  const results = { files: 0, directories: 0, errors: [] };
-  
+ipcMain.handle('resume-transfer', async (event, jobId) => {
   try {
-    // Ensure remote directory exists
-    await webdavManager.createDirectory(remoteDirPath);
-    results.directories++;
+    assertTransferWritable(jobId);
+    return { success: true, job: transferQueue.resume(jobId) };
   } catch (error) {
-    // Directory might already exist, that's OK
-    if (!error.message.includes('already exists')) {
-      results.errors.push(`Failed to create remote directory ${remoteDirPath}: ${error.message}`);
-    }
+    return { success: false, error: error.message };
   }
-  
-  const localItems = fs.readdirSync(localDirPath, { withFileTypes: true });
-  
-  for (const item of localItems) {
-    const localItemPath = path.join(localDirPath, item.name);
-    const remoteItemPath = `${remoteDirPath}/${item.name}`;
-    
-    if (item.isDirectory()) {
-      // Recursively upload subdirectory
-      const subResults = await uploadDirectoryRecursive(localItemPath, remoteItemPath);
-      results.files += subResults.files;
-      results.directories += subResults.directories;
-      results.errors.push(...subResults.errors);
-    } else if (item.isFile()) {
-      // Upload file
-      try {
-        await webdavManager.uploadFile(localItemPath, remoteItemPath);
-        results.files++;
-      } catch (error) {
-        results.errors.push(`Failed to upload file ${localItemPath}: ${error.message}`);
-      }
-    }
+});
+
+ipcMain.handle('cancel-transfer', async (event, jobId) => {
+  try {
+    return { success: true, job: transferQueue.cancel(jobId) };
+  } catch (error) {
+    return { success: false, error: error.message };
   }
-  
-  return results;
-}
+});
 
-async function downloadDirectoryRecursive(remoteDirPath, localDirPath) {
-  const results = { files: 0, directories: 0, errors: [] };
-  
+ipcMain.handle('retry-transfer', async (event, jobId) => {
   try {
-    // Ensure local directory exists
-    if (!fs.existsSync(localDirPath)) {
-      fs.mkdirSync(localDirPath, { recursive: true });
-      results.directories++;
-    }
+    assertTransferWritable(jobId);
+    return { success: true, job: transferQueue.retry(jobId) };
   } catch (error) {
-    results.errors.push(`Failed to create local directory ${localDirPath}: ${error.message}`);
-    return results;
+    return { success: false, error: error.message };
   }
-  
+});
+
+ipcMain.handle('clear-finished-transfers', async () => {
   try {
-    // Get remote directory listing
-    const remoteItems = await webdavManager.listDirectory(remoteDirPath);
-    
-    for (const item of remoteItems) {
-      const localItemPath = path.join(localDirPath, item.name);
-      const remoteItemPath = item.path;
-      
-      if (item.type === 'directory') {
-        // Recursively download subdirectory
-        const subResults = await downloadDirectoryRecursive(remoteItemPath, localItemPath);
-        results.files += subResults.files;
-        results.directories += subResults.directories;
-        results.errors.push(...subResults.errors);
-      } else {
-        // Download file
-        try {
-          await webdavManager.downloadFile(remoteItemPath, localItemPath);
-          results.files++;
-        } catch (error) {
-          results.errors.push(`Failed to download file ${remoteItemPath}: ${error.message}`);
-        }
-      }
-    }
+    return { success: true, jobs: transferQueue.clearFinished() };
   } catch (error) {
-    results.errors.push(`Failed to list remote directory ${remoteDirPath}: ${error.message}`);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('set-transfer-concurrency', async (event, concurrency) => {
+  try {
+    const value = transferQueue.setConcurrency(concurrency);
+    credentialManager.saveSetting('transferConcurrency', value);
+    return { success: true, concurrency: value };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Folder synchronization
+ipcMain.handle('get-sync-settings', async () => {
+  try {
+    return { success: true, excludes: credentialManager.getSetting('syncExcludes', DEFAULT_SYNC_EXCLUDES) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('compare-sync-folders', async (event, localPath, remotePath, options = {}) => {
+  try {
+    requireUnlocked();
+    const excludes = (options.excludes || []).map(pattern => String(pattern).trim()).filter(Boolean);
+    credentialManager.saveSetting('syncExcludes', excludes);
+    const comparison = await syncManager.compare(localPath, remotePath, { excludes, compareHash: !!options.compareHash });
+    return { success: true, comparison };
+  } catch (error) {
+    logger.error('Failed to compare folders:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-sync-plan', async (event, mode) => {
+  try {
+    return { success: true, actions: syncManager.plan(mode) };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('apply-sync', async (event, mode, relativePaths) => {
+  try {
+    requireUnlocked();
+    const results = await applySync(mode, relativePaths);
+    return { success: true, results };
+  } catch (error) {
+    logger.error('Failed to synchronize folders:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Comparing a folder on two instances
+ipcMain.handle('compare-instances', async (event, leftConnectionId, rightConnectionId, rootPath, remotePath, options = {}) => {
+  try {
+    requireUnlocked();
+    if (leftConnectionId === rightConnectionId) {
+      throw new Error('Choose two different connections');
+    }
+    const [left, right] = await Promise.all([
+      openInstance(leftConnectionId, rootPath),
+      openInstance(rightConnectionId, rootPath)
+    ]);
+    const comparison = await instanceCompareManager.compare(left, right, remotePath, { compareHash: !!options.compareHash });
+    return { success: true, comparison };
+  } catch (error) {
+    logger.error('Failed to compare instances:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('copy-instance-differences', async (event, relativePaths, direction) => {
+  try {
+    requireUnlocked();
+    const comparison = instanceCompareManager.comparison;
+    if (!comparison) {
+      throw new Error('Compare the instances first');
+    }
+    assertInstanceWritable(direction === 'right-to-left' ? comparison.left.connection : comparison.right.connection);
+    const results = await instanceCompareManager.copy(relativePaths, direction);
+    return { success: true, results };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Watch mode
+ipcMain.handle('start-watch', async (event, localPath, remotePath, connection) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('watch a folder');
+    // Use a dedicated client so browsing other folders doesn't redirect uploads
+    const watchWebdavManager = new WebDAVManager();
+    watchWebdavManager.setOAuth2Manager(oauth2Manager);
+    await watchWebdavManager.initializeClient(connection);
+
+    if (!(await watchWebdavManager.exists(remotePath))) {
+      throw new Error(`Remote folder does not exist: ${remotePath}`);
+    }
+
+    // Local deletes go to the trash of the watched root like deletes in the browser
+    const savedConnection = await getSavedConnection(connection);
+    const watchTrashManager = savedConnection.trashMode ? new TrashManager(watchWebdavManager) : null;
+    const status = watchManager.start(localPath, remotePath, watchWebdavManager, watchTrashManager);
+    return { success: true, status };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stop-watch', async () => {
+  try {
+    return { success: true, status: watchManager.stop() };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-watch-status', async () => {
+  return { success: true, status: watchManager.getStatus() };
+});
+
+// Log tailing
+ipcMain.handle('start-log-tail', async (event, remotePath, connection) => {
+  try {
+    requireUnlocked();
+    // Use a dedicated client so browsing other folders doesn't break the tail
+    const tailWebdavManager = new WebDAVManager();
+    tailWebdavManager.setOAuth2Manager(oauth2Manager);
+    await tailWebdavManager.initializeClient(connection);
+
+    const tail = await logTailManager.start(remotePath, tailWebdavManager);
+    return { success: true, tail };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('pause-log-tail', async (event, tailId) => {
+  try {
+    logTailManager.pause(tailId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('resume-log-tail', async (event, tailId) => {
+  try {
+    requireUnlocked();
+    logTailManager.resume(tailId);
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stop-log-tail', async (event, tailId) => {
+  logTailManager.stop(tailId);
+  return { success: true };
+});
+
+// Log search
+ipcMain.handle('search-logs', async (event, connection, filters) => {
+  try {
+    requireUnlocked();
+    // Always search the Logs folder, whichever folder is being browsed
+    const baseUrl = connection.url.split('/webdav/')[0];
+    const logsWebdavManager = new WebDAVManager();
+    logsWebdavManager.setOAuth2Manager(oauth2Manager);
+    await logsWebdavManager.initializeClient({ ...connection, url: `${baseUrl}/webdav/Sites/Logs` });
+
+    const files = (await listRemoteDirectoryRecursive('/', logsWebdavManager))
+      .filter(item => item.type === 'file' && item.name.toLowerCase().endsWith('.log'));
+
+    const results = await logSearchManager.search(logsWebdavManager, baseUrl, files, filters);
+    return { success: true, results };
+  } catch (error) {
+    logger.error('Log search failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('clear-log-cache', async () => {
+  try {
+    await logSearchManager.clearCache();
+    return { success: true };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+// Impex jobs
+ipcMain.handle('run-job', async (event, connectionId, currentUrl, jobId, body) => {
+  try {
+    requireUnlocked();
+    await assertConnectionWritable(connectionId, currentUrl, 'run jobs');
+    const getContext = () => getOCAPIContext(connectionId, currentUrl);
+    const execution = await jobManager.runJob(getContext, jobId, body);
+    return { success: true, execution };
+  } catch (error) {
+    logger.error('Failed to run job:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('get-job-executions', async () => {
+  return { success: true, executions: jobManager.getExecutions() };
+});
+
+ipcMain.handle('clear-finished-job-executions', async () => {
+  return { success: true, executions: jobManager.clearFinished() };
+});
+
+ipcMain.handle('get-job-log', async (event, connectionId, currentUrl, executionId) => {
+  try {
+    requireUnlocked();
+    const execution = jobManager.getExecution(executionId);
+    if (!execution.logFilePath) {
+      throw new Error('This job execution has no log file');
+    }
+
+    const credentials = await credentialManager.loadCredentials(connectionId);
+    if (!credentials) {
+      throw new Error('Connection not found');
+    }
+
+    // Job log paths are relative to the WebDAV root, e.g. /Sites/LOGS/jobs/...
+    const baseUrl = (currentUrl || credentials.url).split('/webdav/')[0];
+    const rootWebdavManager = new WebDAVManager();
+    rootWebdavManager.setOAuth2Manager(oauth2Manager);
+    await rootWebdavManager.initializeClient({ ...credentials, url: `${baseUrl}/webdav` });
+
+    const log = await rootWebdavManager.readTextFile(execution.logFilePath);
+    return { success: true, log };
+  } catch (error) {
+    logger.error('Failed to read job log:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Site archive export
+ipcMain.handle('fetch-export-sources', async (event, connectionId, currentUrl) => {
+  try {
+    requireUnlocked();
+    const sources = await fetchExportSources(connectionId, currentUrl);
+    return { success: true, sources };
+  } catch (error) {
+    logger.error('Failed to fetch export sources:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-site-archive', async (event, connectionId, currentUrl, selection, localDir) => {
+  try {
+    requireUnlocked();
+    await assertConnectionWritable(connectionId, currentUrl, 'export site archives');
+    const localPath = await exportSiteArchive(connectionId, currentUrl, selection, localDir);
+    return { success: true, localPath };
+  } catch (error) {
+    logger.error('Site archive export failed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Recursive directory operations
+ipcMain.handle('upload-directory-recursive', async (event, localDirPath, remoteDirPath) => {
+  try {
+    requireUnlocked();
+    writeGuard.assertWritable('upload folders');
+    const results = await uploadDirectoryRecursive(localDirPath, remoteDirPath);
+    return { success: true, results };
+  } catch (error) {
+    logger.error('Failed to upload directory recursively:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('download-directory-recursive', async (event, remoteDirPath, localDirPath) => {
+  try {
+    requireUnlocked();
+    const results = await downloadDirectoryRecursive(remoteDirPath, localDirPath);
+    return { success: true, results };
+  } catch (error) {
+    logger.error('Failed to download directory recursively:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('list-remote-directory-recursive', async (event, remotePath) => {
+  try {
+    requireUnlocked();
+    const files = await listRemoteDirectoryRecursive(remotePath);
+    return { success: true, files };
+  } catch (error) {
+    logger.error('Failed to list remote directory recursively:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Helper functions for recursive operations
+
+/**
+ * Submit file and directory transfers to the transfer queue and wait for them.
+ * Directories are expanded into one job per file.
+ * @param {Array} transfers - Objects with direction, localPath, remotePath and isDirectory
+ * @returns {Promise<Object>} Counts of transferred files/directories and error messages
+ */
+async function runTransfers(transfers) {
+  const results = { files: 0, directories: 0, errors: [] };
+  const fileTransfers = [];
+
+  for (const transfer of transfers) {
+    if (!transfer.isDirectory) {
+      fileTransfers.push({ direction: transfer.direction, localPath: transfer.localPath, remotePath: transfer.remotePath });
+    } else if (transfer.direction === 'upload') {
+      await collectUploadTransfers(transfer.localPath, transfer.remotePath, fileTransfers, results);
+    } else {
+      await collectDownloadTransfers(transfer.remotePath, transfer.localPath, fileTransfers, results);
+    }
+  }
+
+  const jobs = await transferQueue.addAndWait(fileTransfers);
+
+  for (const job of jobs) {
+    if (job.status === 'completed') {
+      results.files++;
+    } else {
+      const action = job.direction === 'upload' ? 'upload' : 'download';
+      const source = job.direction === 'upload' ? job.localPath : job.remotePath;
+      results.errors.push(`Failed to ${action} file ${source}: ${job.error || job.status}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Give an uploaded file the modification date the server stamped the upload
+ * with; downloads keep the remote date already. Otherwise the next comparison
+ * would find the remote copy newer and two-way sync would download it again.
+ * @param {WebDAVManager} dateWebdavManager - Client of the root the file was uploaded to
+ */
+async function matchLocalDate(dateWebdavManager, localPath, remotePath) {
+  try {
+    const stats = await dateWebdavManager.getFileStats(remotePath);
+    await fs.promises.utimes(localPath, new Date(), new Date(stats.lastModified));
+  } catch (error) {
+    logger.warn(`Failed to update the modification date of ${localPath}:`, error);
+  }
+}
+
+/**
+ * Apply a sync mode to the last comparison: create folders first, then run
+ * the file transfers through the queue, then delete. Remote deletions go to
+ * the trash when the connection has one.
+ * @param {string} mode - Sync mode, see SyncManager
+ * @param {Array<string>} relativePaths - Planned items to apply; all if omitted
+ */
+async function applySync(mode, relativePaths = null) {
+  const comparison = syncManager.comparison;
+  if (!comparison || !webdavManager.currentCredentials || comparison.rootUrl !== webdavManager.currentCredentials.url) {
+    throw new Error('The remote folder changed since the comparison, compare again');
+  }
+  // The queue uploads to the compared root even if the user switches roots
+  // meanwhile, so the uploaded dates are read from that root as well
+  const syncCredentials = webdavManager.currentCredentials;
+
+  const selected = relativePaths ? new Set(relativePaths) : null;
+  const actions = syncManager.plan(mode).filter(item => item.action !== 'skip' && (!selected || selected.has(item.relativePath)));
+  if (actions.some(item => ['upload', 'create-remote', 'delete-remote'].includes(item.action))) {
+    writeGuard.assertWritable('synchronize folders');
+  }
+
+  const results = { uploaded: 0, downloaded: 0, created: 0, deleted: 0, errors: [] };
+  const transfers = [];
+
+  for (const item of actions) {
+    const { localPath, remotePath } = syncManager.resolve(item);
+    try {
+      if (item.action === 'create-remote') {
+        await webdavManager.createDirectory(remotePath);
+        results.created++;
+      } else if (item.action === 'create-local') {
+        await fs.promises.mkdir(localPath, { recursive: true });
+        results.created++;
+      } else if (item.action === 'upload' || item.action === 'download') {
+        transfers.push({ direction: item.action, localPath, remotePath });
+      }
+    } catch (error) {
+      results.errors.push(`Failed to create folder ${item.relativePath}: ${error.message}`);
+    }
+  }
+
+  const jobs = await transferQueue.addAndWait(transfers);
+  let dateWebdavManager = null;
+  if (jobs.some(job => job.status === 'completed' && job.direction === 'upload')) {
+    dateWebdavManager = new WebDAVManager();
+    dateWebdavManager.setOAuth2Manager(oauth2Manager);
+    await dateWebdavManager.initializeClient(syncCredentials)
+      .catch(error => logger.warn('Failed to open the synchronized root to read upload dates:', error));
+  }
+
+  for (const job of jobs) {
+    if (job.status === 'completed') {
+      results[job.direction === 'upload' ? 'uploaded' : 'downloaded']++;
+      if (job.direction === 'upload') {
+        await matchLocalDate(dateWebdavManager, job.localPath, job.remotePath);
+      }
+    } else {
+      results.errors.push(`Failed to ${job.direction} ${job.direction === 'upload' ? job.localPath : job.remotePath}: ${job.error || job.status}`);
+    }
+  }
+  if (dateWebdavManager) {
+    dateWebdavManager.disconnect();
+  }
+
+  for (const item of actions.filter(action => action.action.startsWith('delete-'))) {
+    const { localPath, remotePath } = syncManager.resolve(item);
+    try {
+      if (item.action === 'delete-local') {
+        await fs.promises.rm(localPath, { recursive: true, force: true });
+      } else if (activeConnection && activeConnection.trashMode) {
+        await trashManager.moveToTrash(remotePath);
+      } else {
+        await webdavManager.deleteItem(remotePath);
+      }
+      results.deleted++;
+    } catch (error) {
+      results.errors.push(`Failed to delete ${item.relativePath}: ${error.message}`);
+    }
+  }
+
+  logger.info(`Synchronized ${comparison.localRoot} and ${comparison.remoteRoot} (${mode}):`, results);
+  syncManager.clear();
+  return results;
+}
+
+/**
+ * Open a saved connection at a WebDAV root of its instance with a client of
+ * its own, e.g. Sites/Libraries/SiteGenesis
+ * @returns {Promise<Object>} connection and manager
+ */
+async function openInstance(connectionId, rootPath) {
+  const credentials = await credentialManager.loadCredentials(connectionId);
+  const url = `${new URL(credentials.url).origin}/on/demandware.servlet/webdav/${rootPath.replace(/^\/+|\/+$/g, '')}`;
+
+  const manager = new WebDAVManager();
+  manager.setOAuth2Manager(oauth2Manager);
+  await manager.initializeClient({ ...credentials, url });
+
+  return {
+    connection: { id: credentials.id, name: credentials.name, url, environment: credentials.environment },
+    manager
+  };
+}
+
+/**
+ * Refuse a write to a protected instance unless it's the current connection
+ * and writes to it are unlocked
+ * @param {Object} connection - Connection with id, name, url and environment
+ * @param {string} operation - What was attempted, e.g. 'deploy code'
+ */
+function assertInstanceWritable(connection, operation = 'copy files to it') {
+  if (!writeGuard.isProtected(connection)) {
+    return;
+  }
+  if (activeConnection && activeConnection.id === connection.id) {
+    writeGuard.assertWritable(operation);
+    return;
+  }
+  throw new Error(`"${connection.name}" is a production instance and opened read-only. Connect to it and unlock writes to ${operation}.`);
+}
+
+/**
+ * Same check for the saved connection an OCAPI call goes to
+ */
+async function assertConnectionWritable(connectionId, currentUrl, operation) {
+  const credentials = await credentialManager.loadCredentials(connectionId);
+  if (!credentials) {
+    throw new Error('Connection not found');
+  }
+  assertInstanceWritable({
+    id: credentials.id,
+    name: credentials.name,
+    url: currentUrl || credentials.url,
+    environment: credentials.environment
+  }, operation);
+}
+
+/**
+ * Load the OAuth2 credentials of a connection and resolve the OCAPI hostname
+ * and an access token for it
+ */
+async function getOCAPIContext(connectionId, currentUrl) {
+  requireUnlocked();
+  const credentials = await credentialManager.loadCredentials(connectionId);
+  if (!credentials) {
+    throw new Error('Connection not found');
+  }
+
+  if (credentials.authType !== 'oauth2') {
+    throw new Error('This feature requires OAuth2 authentication (OCAPI)');
+  }
+
+  const accessToken = await oauth2Manager.getAccessToken(
+    connectionId,
+    credentials.clientId,
+    credentials.clientSecret
+  );
+
+  // OCAPI requests go to the same host as WebDAV and need its client certificate too
+  registerClientCertificate(currentUrl || credentials.url, credentials.clientCertificate);
+
+  return {
+    credentials,
+    hostname: extractHostnameFromWebDAVUrl(currentUrl || credentials.url),
+    accessToken
+  };
+}
+
+/**
+ * Zip local cartridge folders into a new code version, upload the archive to
+ * the Cartridges WebDAV folder, unzip it there and optionally activate it
+ * @param {Object} options - versionId, cartridgePaths (local folders) and activate
+ */
+async function deployCartridges(connectionId, currentUrl, { versionId, cartridgePaths, activate }) {
+  codeVersionManager.validateVersionId(versionId);
+
+  if (!cartridgePaths || cartridgePaths.length === 0) {
+    throw new Error('No cartridges selected');
+  }
+
+  const credentials = await credentialManager.loadCredentials(connectionId);
+  if (!credentials) {
+    throw new Error('Connection not found');
+  }
+
+  // Activation goes through OCAPI, so fail before uploading anything
+  let ocapi = null;
+  if (activate) {
+    ocapi = await getOCAPIContext(connectionId, currentUrl);
+  }
+
+  const reportProgress = (message, progress = {}) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('code-deploy-progress', { versionId, message, ...progress });
+    }
+  };
+
+  // The browsing client may point at any SFCC folder, so use a dedicated one for Cartridges
+  const baseUrl = (currentUrl || credentials.url).split('/webdav/')[0];
+  const cartridgesManager = new WebDAVManager();
+  cartridgesManager.setOAuth2Manager(oauth2Manager);
+  await cartridgesManager.initializeClient({ ...credentials, url: `${baseUrl}/webdav/Sites/Cartridges` });
+
+  if (await cartridgesManager.exists(`/${versionId}`)) {
+    throw new Error(`Code version '${versionId}' already exists`);
+  }
+
+  const stagingDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sfcc-deploy-'));
+  const archivePath = path.join(stagingDir, `${versionId}.zip`);
+  const remoteArchivePath = `/${versionId}.zip`;
+
+  try {
+    // The archive needs the code version as its top-level folder; link the
+    // cartridges into it instead of copying (zip follows links)
+    reportProgress('Creating archive...');
+    const versionDir = path.join(stagingDir, versionId);
+    await fs.promises.mkdir(versionDir);
+    for (const cartridgePath of cartridgePaths) {
+      if (!fs.statSync(cartridgePath).isDirectory()) {
+        throw new Error(`Not a cartridge folder: ${cartridgePath}`);
+      }
+      await fs.promises.symlink(cartridgePath, path.join(versionDir, path.basename(cartridgePath)), 'junction');
+    }
+    await zipLocalItem(versionDir, archivePath);
+
+    reportProgress('Uploading archive...');
+    await cartridgesManager.uploadFile(archivePath, remoteArchivePath, ({ transferred, total }) => {
+      reportProgress('Uploading archive...', { transferred, total });
+    });
+
+    reportProgress('Extracting archive on server...');
+    await cartridgesManager.unzipItem(remoteArchivePath);
+    await cartridgesManager.deleteItem(remoteArchivePath);
+
+    if (activate) {
+      reportProgress('Activating code version...');
+      await codeVersionManager.activateCodeVersion(ocapi.hostname, ocapi.accessToken, versionId);
+    }
+
+    reportProgress('Deployment complete', { done: true });
+  } finally {
+    await fs.promises.rm(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Collect everything the site archive export builder offers. Lists that can't
+ * be fetched (e.g. missing OCAPI permissions) are reported instead of failing
+ * the whole request.
+ */
+async function fetchExportSources(connectionId, currentUrl) {
+  const { hostname, accessToken } = await getOCAPIContext(connectionId, currentUrl);
+  const customIds = credentialManager.getCustomIds(connectionId);
+
+  const [sites, catalogs, inventoryLists, priceBooks] = await Promise.allSettled([
+    siteArchiveManager.fetchSites(hostname, accessToken),
+    catalogManager.fetchCatalogs(connectionId, hostname, accessToken),
+    siteArchiveManager.fetchInventoryLists(hostname, accessToken),
+    siteArchiveManager.fetchPriceBooks(hostname, accessToken)
+  ]);
+
+  const errors = [sites, catalogs, inventoryLists, priceBooks]
+    .filter(result => result.status === 'rejected')
+    .map(result => result.reason.message);
+  const valueOf = (result) => result.status === 'fulfilled' ? result.value : [];
+  const unique = (ids) => Array.from(new Set(ids)).sort();
+
+  return {
+    dataUnits: siteArchiveManager.getDataUnits(),
+    sites: valueOf(sites),
+    catalogs: unique([...valueOf(catalogs).map(catalog => catalog.id), ...customIds.catalogs]),
+    // OCAPI has no endpoint that lists libraries, so offer the IDs saved for this connection
+    libraries: unique(customIds.libraries),
+    inventoryLists: valueOf(inventoryLists),
+    priceBooks: valueOf(priceBooks),
+    errors
+  };
+}
+
+/**
+ * Run the sfcc-site-archive-export job, wait for it and download the
+ * resulting archive from Impex/src/instance into a local folder
+ * @returns {Promise<string>} Local path of the downloaded archive
+ */
+async function exportSiteArchive(connectionId, currentUrl, selection, localDir) {
+  const body = siteArchiveManager.buildExportPayload(selection);
+  const localPath = path.join(localDir, body.export_file);
+
+  const reportProgress = (message, progress = {}) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('site-export-progress', { exportFile: body.export_file, message, ...progress });
+    }
+  };
+
+  reportProgress('Starting export job...');
+  const getContext = () => getOCAPIContext(connectionId, currentUrl);
+  const { credentials } = await getContext();
+  const started = await jobManager.runJob(getContext, 'sfcc-site-archive-export', body);
+
+  reportProgress('Exporting on the instance...');
+  const execution = await jobManager.waitForExecution(started.id);
+  if (execution.failed || execution.status === 'aborted') {
+    throw new Error(`Export job failed: ${execution.exitMessage || execution.exitCode || execution.status}`);
+  }
+
+  // The browsing client may point at any SFCC folder, so use a dedicated one for Impex
+  const baseUrl = (currentUrl || credentials.url).split('/webdav/')[0];
+  const impexManager = new WebDAVManager();
+  impexManager.setOAuth2Manager(oauth2Manager);
+  await impexManager.initializeClient({ ...credentials, url: `${baseUrl}/webdav/Sites/Impex` });
+
+  reportProgress('Downloading archive...');
+  await impexManager.downloadFile(`/src/instance/${body.export_file}`, localPath, ({ transferred, total }) => {
+    reportProgress('Downloading archive...', { transferred, total });
+  });
+
+  reportProgress('Export complete', { done: true });
+  return localPath;
+}
+
+/**
+ * Summary of an imported profile for the renderer, without its secrets
+ */
+function describeProfile(profile, index) {
+  const conflict = credentialManager.findProfileConflict(profile.connection);
+  return {
+    index,
+    name: profile.connection.name,
+    url: profile.connection.url,
+    authType: profile.connection.authType,
+    hasSecrets: !!profile.secrets,
+    catalogCount: (profile.customIds && profile.customIds.catalogs || []).length,
+    libraryCount: (profile.customIds && profile.customIds.libraries || []).length,
+    conflict: conflict ? { id: conflict.id, name: conflict.name } : null
+  };
+}
+
+/**
+ * Find the dw.json files in a folder and describe the instances they configure
+ * without exposing their secrets to the renderer
+ * @returns {Promise<Object>} configs (with filePath and index identifying them
+ *   for importDwJsonConfigs) and errors of unreadable files
+ */
+async function scanDwJsonFiles(folderPath) {
+  if (!folderPath) {
+    throw new Error('Choose a folder to scan');
+  }
+
+  const files = await findDwJsonFiles(folderPath);
+  const connections = await credentialManager.loadConnections();
+  const configs = [];
+  const errors = [];
+
+  for (const filePath of files) {
+    try {
+      const fileConfigs = await readDwJson(filePath);
+      fileConfigs.forEach((config, index) => {
+        if (config.error) {
+          errors.push({ filePath, error: config.error });
+          return;
+        }
+        const existing = findMatchingConnection(config, connections);
+        configs.push({
+          filePath,
+          index,
+          name: config.name,
+          hostname: config.hostname,
+          authType: getAuthType(config),
+          codeVersion: config.codeVersion,
+          hasClientCertificate: !!config.clientCertificate,
+          existingConnection: existing ? { id: existing.id, name: existing.name } : null
+        });
+      });
+    } catch (error) {
+      errors.push({ filePath, error: error.message });
+    }
+  }
+
+  return { configs, errors };
+}
+
+/**
+ * Create or update connections from dw.json configurations
+ * @param {Array} selections - Objects with filePath and index from scanDwJsonFiles
+ * @returns {Promise<Object>} imported (name and whether a connection was updated) and errors
+ */
+async function importDwJsonConfigs(selections) {
+  const imported = [];
+  const errors = [];
+  const files = new Map();
+
+  for (const { filePath, index } of selections) {
+    try {
+      if (!files.has(filePath)) {
+        files.set(filePath, await readDwJson(filePath));
+      }
+      const config = files.get(filePath)[index];
+      if (!config) {
+        throw new Error(`${filePath} changed since it was scanned`);
+      }
+      if (config.error) {
+        throw new Error(config.error);
+      }
+
+      // Reload so configurations for the same instance update each other
+      const existing = findMatchingConnection(config, await credentialManager.loadConnections());
+      await credentialManager.saveCredentials(toCredentials(config, existing));
+      imported.push({ name: existing ? existing.name : config.name, updated: !!existing });
+    } catch (error) {
+      errors.push({ filePath, error: error.message });
+    }
+  }
+
+  logger.info('Imported', imported.length, 'connections from dw.json,', errors.length, 'failed');
+  return { imported, errors };
+}
+
+async function uploadDirectoryRecursive(localDirPath, remoteDirPath) {
+  return runTransfers([{ direction: 'upload', localPath: localDirPath, remotePath: remoteDirPath, isDirectory: true }]);
+}
+
+async function downloadDirectoryRecursive(remoteDirPath, localDirPath) {
+  return runTransfers([{ direction: 'download', localPath: localDirPath, remotePath: remoteDirPath, isDirectory: true }]);
+}
+
+/**
+ * Create the remote directory tree for a local directory and collect upload
+ * transfers for all files in it
+ */
+async function collectUploadTransfers(localDirPath, remoteDirPath, transfers, results) {
+  try {
+    // Ensure remote directory exists
+    await webdavManager.createDirectory(remoteDirPath);
+    results.directories++;
+  } catch (error) {
+    // Directory might already exist, that's OK
+    if (!error.message.includes('already exists')) {
+      results.errors.push(`Failed to create remote directory ${remoteDirPath}: ${error.message}`);
+    }
+  }
+  
+  const localItems = fs.readdirSync(localDirPath, { withFileTypes: true });
+  
+  for (const item of localItems) {
+    const localItemPath = path.join(localDirPath, item.name);
+    const remoteItemPath = `${remoteDirPath}/${item.name}`;
+    
+    if (item.isDirectory()) {
+      await collectUploadTransfers(localItemPath, remoteItemPath, transfers, results);
+    } else if (item.isFile()) {
+      transfers.push({ direction: 'upload', localPath: localItemPath, remotePath: remoteItemPath });
+    }
+  }
+}
+
+/**
+ * Create the local directory tree for a remote directory and collect download
+ * transfers for all files in it
+ */
+async function collectDownloadTransfers(remoteDirPath, localDirPath, transfers, results) {
+  try {
+    // Ensure local directory exists
+    if (!fs.existsSync(localDirPath)) {
+      fs.mkdirSync(localDirPath, { recursive: true });
+      results.directories++;
+    }
+  } catch (error) {
+    results.errors.push(`Failed to create local directory ${localDirPath}: ${error.message}`);
+    return;
+  }
+  
+  try {
+    // Get remote directory listing
+    const remoteItems = await webdavManager.listDirectory(remoteDirPath);
+    
+    for (const item of remoteItems) {
+      const localItemPath = path.join(localDirPath, item.name);
+      
+      if (item.type === 'directory') {
+        await collectDownloadTransfers(item.path, localItemPath, transfers, results);
+      } else {
+        transfers.push({ direction: 'download', localPath: localItemPath, remotePath: item.path });
+      }
+    }
+  } catch (error) {
+    results.errors.push(`Failed to list remote directory ${remoteDirPath}: ${error.message}`);
   }
-  
-  return results;
 }
 
-async function listRemoteDirectoryRecursive(remotePath) {
+async function listRemoteDirectoryRecursive(remotePath, manager = webdavManager) {
   const allFiles = [];
   
   try {
-    const items = await webdavManager.listDirectory(remotePath);
+    const items = await manager.listDirectory(remotePath);
     
     for (const item of items) {
       allFiles.push(item);
       
       if (item.type === 'directory') {
         // Recursively list subdirectory
-        const subFiles = await listRemoteDirectoryRecursive(item.path);
+        const subFiles = await listRemoteDirectoryRecursive(item.path, manager);
         allFiles.push(...subFiles);
       }
     }
   } catch (error) {
-    console.error(`Failed to list directory ${remotePath}:`, error);
+    logger.error(`Failed to list directory ${remotePath}:`, error);
   }
   
   return allFiles;
@@ -1,5 +1,8 @@
 const https = require('https');
 const querystring = require('querystring');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('OAuth2Manager');
 
 class OAuth2Manager {
     constructor() {
@@ -11,18 +14,17 @@ class OAuth2Manager {
      * Get access token for a connection (with automatic refresh)
      */
     async getAccessToken(connectionId, clientId, clientSecret, forceRefresh = false) {
-        console.log('OAuth2Manager: Getting access token for connection:', connectionId);
-        console.log('OAuth2Manager: ClientId:', clientId ? '[present]' : '[missing]', 'ClientSecret:', clientSecret ? '[present]' : '[missing]');
+        logger.debug('Getting access token for connection:', connectionId);
         
         // Check if we have a valid token (unless forcing refresh)
         const tokenData = this.tokens.get(connectionId);
         if (!forceRefresh && tokenData && tokenData.expiresAt > Date.now()) {
-            console.log('OAuth2Manager: Using cached token');
+            logger.debug('Using cached token');
             return tokenData.accessToken;
         }
 
         // Get new token
-        console.log('OAuth2Manager: Requesting new token' + (forceRefresh ? ' (forced refresh)' : ''));
+        logger.info('Requesting new token' + (forceRefresh ? ' (forced refresh)' : ''));
         return await this.requestNewToken(connectionId, clientId, clientSecret);
     }
 
@@ -32,8 +34,8 @@ class OAuth2Manager {
     async requestNewToken(connectionId, clientId, clientSecret) {
         const tokenUrl = 'https://account.demandware.com/dw/oauth2/access_token';
         
-        console.log('OAuth2Manager: Making token request to:', tokenUrl);
-        console.log('OAuth2Manager: Client credentials provided - ID:', clientId ? '[present]' : '[missing]', 'Secret:', clientSecret ? '[present]' : '[missing]');
+        logger.info('Making token request to:', tokenUrl);
+        logger.debug('Client credentials provided - ID:', clientId ? '[present]' : '[missing]', 'Secret:', clientSecret ? '[present]' : '[missing]');
         
         const postData = querystring.stringify({
             grant_type: 'client_credentials',
@@ -41,8 +43,6 @@ class OAuth2Manager {
             client_secret: clientSecret
         });
 
-        console.log('OAuth2Manager: Request payload:', postData);
-
         const options = {
             method: 'POST',
             headers: {
@@ -52,16 +52,9 @@ class OAuth2Manager {
         };
 
         try {
-            console.log('OAuth2Manager: Sending HTTPS request...');
             const response = await this.makeHttpsRequest(tokenUrl, options, postData);
-
-            console.log('OAuth2Manager: Received response:', response.substring(0, 30));
-            
             const tokenData = JSON.parse(response);
-            console.log('OAuth2Manager: Parsed token data:', {
-                ...tokenData,
-                access_token: tokenData.access_token ? '[present]' : '[missing]'
-            });
+            logger.debug('Parsed token data:', tokenData);
 
             if (tokenData.access_token) {
                 // Calculate expiration time (leave 5 minutes buffer)
@@ -78,15 +71,14 @@ class OAuth2Manager {
                 // Schedule automatic refresh
                 this.scheduleTokenRefresh(connectionId, clientId, clientSecret, expiresIn * 1000);
 
-                console.log('OAuth2Manager: Token obtained successfully, expires in', expiresIn, 'seconds');
-                console.log('OAuth2Manager: Returning access token:', tokenData.access_token ? '[present]' : '[missing]');
+                logger.info('Token obtained successfully, expires in', expiresIn, 'seconds');
                 return tokenData.access_token;
             } else {
-                console.log('OAuth2Manager: No access_token in response:', tokenData);
+                logger.warn('No access_token in response:', tokenData);
                 throw new Error(`Token request failed: ${tokenData.error_description || tokenData.error || 'Unknown error'}`);
             }
         } catch (error) {
-            console.error('OAuth2Manager: Token request failed:', error);
+            logger.error('Token request failed:', error);
             throw new Error(`Failed to obtain access token: ${error.message}`);
         }
     }
@@ -105,11 +97,11 @@ class OAuth2Manager {
         const refreshDelay = Math.max(delayMs - (5 * 60 * 1000), 60000); // At least 1 minute
         
         const timer = setTimeout(async () => {
-            console.log('OAuth2Manager: Auto-refreshing token for connection:', connectionId);
+            logger.info('Auto-refreshing token for connection:', connectionId);
             try {
                 await this.requestNewToken(connectionId, clientId, clientSecret);
             } catch (error) {
-                console.error('OAuth2Manager: Auto-refresh failed:', error);
+                logger.error('Auto-refresh failed:', error);
                 // Remove invalid token
                 this.tokens.delete(connectionId);
                 this.refreshTimers.delete(connectionId);
@@ -117,14 +109,14 @@ class OAuth2Manager {
         }, refreshDelay);
 
         this.refreshTimers.set(connectionId, timer);
-        console.log('OAuth2Manager: Scheduled token refresh in', Math.round(refreshDelay / 1000), 'seconds');
+        logger.info('Scheduled token refresh in', Math.round(refreshDelay / 1000), 'seconds');
     }
 
     /**
      * Clear tokens and timers for a connection
      */
     clearConnection(connectionId) {
-        console.log('OAuth2Manager: Clearing connection:', connectionId);
+        logger.info('Clearing connection:', connectionId);
         
         const timer = this.refreshTimers.get(connectionId);
         if (timer) {
@@ -139,7 +131,7 @@ class OAuth2Manager {
      * Force clear all tokens (for debugging)
      */
     clearAllTokens() {
-        console.log('OAuth2Manager: Clearing all tokens');
+        logger.info('Clearing all tokens');
         this.tokens.clear();
         for (const timer of this.refreshTimers.values()) {
             clearTimeout(timer);
@@ -178,7 +170,7 @@ class OAuth2Manager {
      * Clean up all timers
      */
     cleanup() {
-        console.log('OAuth2Manager: Cleaning up all timers');
+        logger.info('Cleaning up all timers');
         for (const timer of this.refreshTimers.values()) {
             clearTimeout(timer);
         }
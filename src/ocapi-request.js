@@ -0,0 +1,94 @@
+const https = require('https');
+const { getClientCertificateAgent } = require('./client-certificate');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('OCAPI');
+
+// Base path of the OCAPI Data API version used by this application
+const OCAPI_DATA_PATH = '/s/-/dw/data/v23_2';
+
+/**
+  * Extract the readable message from an OCAPI fault document
+  */
+function getFaultMessage(data) {
+    try {
+        const fault = JSON.parse(data).fault;
+        if (fault && fault.message) {
+            return fault.message;
+        }
+    } catch (error) {
+        // Not JSON - fall through to the raw body
+    }
+    return data;
+}
+
+/**
+  * Make an HTTPS request to the OCAPI Data API
+  * @param {string} hostname - SFCC hostname
+  * @param {string} method - HTTP method
+  * @param {string} path - API path below the Data API base path, e.g. '/code_versions'
+  * @param {string} accessToken - OAuth2 access token
+  * @param {Object} body - Optional JSON request body
+  * @returns {Promise<Object>} Parsed JSON response (empty object for empty responses)
+  */
+function makeOCAPIRequest(hostname, method, path, accessToken, body = null) {
+    return new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : null;
+        const options = {
+            hostname: hostname,
+            port: 443,
+            path: `${OCAPI_DATA_PATH}${path}`,
+            method: method,
+            agent: getClientCertificateAgent(hostname),
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            }
+        };
+
+        if (payload) {
+            options.headers['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        logger.info(method, options.path);
+
+        const req = https.request(options, (res) => {
+            let data = '';
+
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+
+            res.on('end', () => {
+                logger.debug('Response status:', res.statusCode);
+
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    const error = new Error(`HTTP ${res.statusCode}: ${getFaultMessage(data)}`);
+                    error.status = res.statusCode;
+                    reject(error);
+                    return;
+                }
+
+                try {
+                    resolve(data ? JSON.parse(data) : {});
+                } catch (parseError) {
+                    reject(new Error(`Failed to parse response: ${parseError.message}`));
+                }
+            });
+        });
+
+        req.on('error', (error) => {
+            logger.error('Request error:', error);
+            reject(error);
+        });
+
+        if (payload) {
+            req.write(payload);
+        }
+
+        req.end();
+    });
+}
+
+module.exports = { makeOCAPIRequest };
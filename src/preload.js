@@ -10,9 +10,24 @@ contextBridge.exposeInMainWorld('electronAPI', {
   loadCredentialsById: (connectionId) => ipcRenderer.invoke('load-credentials-by-id', connectionId),
   deleteConnection: (connectionId) => ipcRenderer.invoke('delete-connection', connectionId),
   hasConnections: () => ipcRenderer.invoke('has-connections'),
+  selectClientCertificate: () => ipcRenderer.invoke('select-client-certificate'),
+  scanDwJson: (folderPath) => ipcRenderer.invoke('scan-dw-json', folderPath),
+  importDwJson: (selections) => ipcRenderer.invoke('import-dw-json', selections),
+  exportDwJson: (connectionId, filePath) => ipcRenderer.invoke('export-dw-json', connectionId, filePath),
+  exportProfiles: (connectionIds, options, filePath) => ipcRenderer.invoke('export-profiles', connectionIds, options, filePath),
+  readProfileBundle: (filePath, passphrase) => ipcRenderer.invoke('read-profile-bundle', filePath, passphrase),
+  importProfiles: (filePath, passphrase, selections) => ipcRenderer.invoke('import-profiles', filePath, passphrase, selections),
+  getCredentialStoreStatus: () => ipcRenderer.invoke('get-credential-store-status'),
+  unlockCredentialStore: (password) => ipcRenderer.invoke('unlock-credential-store', password),
+  setMasterPassword: (newPassword, currentPassword) => ipcRenderer.invoke('set-master-password', newPassword, currentPassword),
+  removeMasterPassword: (currentPassword) => ipcRenderer.invoke('remove-master-password', currentPassword),
+  setAutoLockMinutes: (minutes) => ipcRenderer.invoke('set-auto-lock-minutes', minutes),
+  lockApp: () => ipcRenderer.invoke('lock-app'),
+  reportUserActivity: () => ipcRenderer.send('user-activity'),
   
   // WebDAV operations
   testConnection: (credentials) => ipcRenderer.invoke('test-connection', credentials),
+  testConnectionSettings: (credentials) => ipcRenderer.invoke('test-connection-settings', credentials),
   listDirectory: (path) => ipcRenderer.invoke('list-directory', path),
   downloadFile: (remotePath, localPath) => ipcRenderer.invoke('download-file', remotePath, localPath),
   uploadFile: (localPath, remotePath) => ipcRenderer.invoke('upload-file', localPath, remotePath),
@@ -20,16 +35,30 @@ contextBridge.exposeInMainWorld('electronAPI', {
   deleteItem: (path) => ipcRenderer.invoke('delete-item', path),
   zipItem: (path) => ipcRenderer.invoke('zip-item', path),
   unzipItem: (path) => ipcRenderer.invoke('unzip-item', path),
+  moveRemoteItems: (items, options) => ipcRenderer.invoke('move-remote-items', items, options),
+  copyRemoteItems: (items, options) => ipcRenderer.invoke('copy-remote-items', items, options),
   prepareDragOutFiles: (fileData) => ipcRenderer.invoke('prepare-dragout-files', fileData),
   startNativeDragOut: (fileData) => ipcRenderer.invoke('start-native-dragout', fileData),
   // Fast drag start (fire-and-forget) for macOS path-based drag
   startNativeDragOutFast: (fileData) => ipcRenderer.send('start-native-dragout-fast', fileData),
   startFilePromiseDrag: (files, connection) => ipcRenderer.send('start-file-promise-drag', files, connection),
   
+  // Remote recycle bin
+  listTrash: () => ipcRenderer.invoke('list-trash'),
+  restoreTrashItems: (ids) => ipcRenderer.invoke('restore-trash-items', ids),
+  purgeTrashItems: (ids) => ipcRenderer.invoke('purge-trash-items', ids),
+
   // Catalog operations
   fetchCatalogs: (connectionId, currentUrl) => ipcRenderer.invoke('fetch-catalogs', connectionId, currentUrl),
   getCatalogWebDAVPaths: (connectionId, baseUrl) => ipcRenderer.invoke('get-catalog-webdav-paths', connectionId, baseUrl),
   
+  // Code versions
+  fetchCodeVersions: (connectionId, currentUrl) => ipcRenderer.invoke('fetch-code-versions', connectionId, currentUrl),
+  createCodeVersion: (connectionId, currentUrl, versionId) => ipcRenderer.invoke('create-code-version', connectionId, currentUrl, versionId),
+  activateCodeVersion: (connectionId, currentUrl, versionId) => ipcRenderer.invoke('activate-code-version', connectionId, currentUrl, versionId),
+  deleteCodeVersion: (connectionId, currentUrl, versionId) => ipcRenderer.invoke('delete-code-version', connectionId, currentUrl, versionId),
+  deployCartridges: (connectionId, currentUrl, options) => ipcRenderer.invoke('deploy-cartridges', connectionId, currentUrl, options),
+  
   // Custom ID management
   getCustomIds: (connectionId) => ipcRenderer.invoke('get-custom-ids', connectionId),
   addCatalogId: (connectionId, catalogId, baseUrl) => ipcRenderer.invoke('add-catalog-id', connectionId, catalogId, baseUrl),
@@ -41,12 +70,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
   showSaveDialog: (options) => ipcRenderer.invoke('show-save-dialog', options),
   showOpenDialog: () => ipcRenderer.invoke('show-open-dialog'),
   showMessageBox: (options) => ipcRenderer.invoke('show-message-box', options),
+  showContextMenu: (items) => ipcRenderer.invoke('show-context-menu', items),
   
   // Event listeners for main process messages
   onShowConnectionDialog: (callback) => ipcRenderer.on('show-connection-dialog', callback),
   onLoadLastConnection: (callback) => ipcRenderer.on('load-last-connection', callback),
   onShowConnectionSelector: (callback) => ipcRenderer.on('show-connection-selector', callback),
+  onAppLocked: (callback) => ipcRenderer.on('app-locked', callback),
   onLocalDirectoryData: (callback) => ipcRenderer.on('local-directory-data', callback),
+  onTransferJobUpdated: (callback) => ipcRenderer.on('transfer-job-updated', callback),
+  onCodeDeployProgress: (callback) => ipcRenderer.on('code-deploy-progress', callback),
+  onWatchActivity: (callback) => ipcRenderer.on('watch-activity', callback),
+  onLogTailUpdate: (callback) => ipcRenderer.on('log-tail-update', callback),
+  onLogSearchProgress: (callback) => ipcRenderer.on('log-search-progress', callback),
+  onJobExecutionUpdated: (callback) => ipcRenderer.on('job-execution-updated', callback),
+  onSiteExportProgress: (callback) => ipcRenderer.on('site-export-progress', callback),
   
   // Local file system
   listLocalDirectory: (path) => ipcRenderer.invoke('list-local-directory', path),
@@ -58,11 +96,77 @@ contextBridge.exposeInMainWorld('electronAPI', {
   unzipLocalItem: (zipPath, extractPath) => ipcRenderer.invoke('unzip-local-item', zipPath, extractPath),
   deleteLocalItem: (itemPath, isDirectory) => ipcRenderer.invoke('delete-local-item', itemPath, isDirectory),
   
+  // Text editor
+  openRemoteTextFile: (remotePath) => ipcRenderer.invoke('open-remote-text-file', remotePath),
+  saveRemoteTextFile: (remotePath, content, expected) => ipcRenderer.invoke('save-remote-text-file', remotePath, content, expected),
+  
+  // File diff
+  diffFiles: (left, right) => ipcRenderer.invoke('diff-files', left, right),
+  
+  // Image thumbnails and grid view
+  getThumbnail: (remotePath, options) => ipcRenderer.invoke('get-thumbnail', remotePath, options),
+  getFolderViewModes: () => ipcRenderer.invoke('get-folder-view-modes'),
+  setFolderViewMode: (folderKey, mode) => ipcRenderer.invoke('set-folder-view-mode', folderKey, mode),
+  
+  // Transfer queue
+  enqueueTransfers: (transfers) => ipcRenderer.invoke('enqueue-transfers', transfers),
+  getTransferJobs: () => ipcRenderer.invoke('get-transfer-jobs'),
+  pauseTransfer: (jobId) => ipcRenderer.invoke('pause-transfer', jobId),
+  resumeTransfer: (jobId) => ipcRenderer.invoke('resume-transfer', jobId),
+  cancelTransfer: (jobId) => ipcRenderer.invoke('cancel-transfer', jobId),
+  retryTransfer: (jobId) => ipcRenderer.invoke('retry-transfer', jobId),
+  clearFinishedTransfers: () => ipcRenderer.invoke('clear-finished-transfers'),
+  setTransferConcurrency: (concurrency) => ipcRenderer.invoke('set-transfer-concurrency', concurrency),
+  
+  // Folder synchronization
+  getSyncSettings: () => ipcRenderer.invoke('get-sync-settings'),
+  compareSyncFolders: (localPath, remotePath, options) => ipcRenderer.invoke('compare-sync-folders', localPath, remotePath, options),
+  getSyncPlan: (mode) => ipcRenderer.invoke('get-sync-plan', mode),
+  applySync: (mode, relativePaths) => ipcRenderer.invoke('apply-sync', mode, relativePaths),
+  
+  // Instance comparison
+  compareInstances: (leftConnectionId, rightConnectionId, rootPath, remotePath, options) => ipcRenderer.invoke('compare-instances', leftConnectionId, rightConnectionId, rootPath, remotePath, options),
+  copyInstanceDifferences: (relativePaths, direction) => ipcRenderer.invoke('copy-instance-differences', relativePaths, direction),
+  
+  // Watch mode
+  startWatch: (localPath, remotePath, connection) => ipcRenderer.invoke('start-watch', localPath, remotePath, connection),
+  stopWatch: () => ipcRenderer.invoke('stop-watch'),
+  getWatchStatus: () => ipcRenderer.invoke('get-watch-status'),
+  
+  // Log tailing
+  startLogTail: (remotePath, connection) => ipcRenderer.invoke('start-log-tail', remotePath, connection),
+  pauseLogTail: (tailId) => ipcRenderer.invoke('pause-log-tail', tailId),
+  resumeLogTail: (tailId) => ipcRenderer.invoke('resume-log-tail', tailId),
+  stopLogTail: (tailId) => ipcRenderer.invoke('stop-log-tail', tailId),
+  
+  // Log search
+  searchLogs: (connection, filters) => ipcRenderer.invoke('search-logs', connection, filters),
+  clearLogCache: () => ipcRenderer.invoke('clear-log-cache'),
+  
+  // Impex jobs
+  runJob: (connectionId, currentUrl, jobId, body) => ipcRenderer.invoke('run-job', connectionId, currentUrl, jobId, body),
+  getJobExecutions: () => ipcRenderer.invoke('get-job-executions'),
+  clearFinishedJobExecutions: () => ipcRenderer.invoke('clear-finished-job-executions'),
+  getJobLog: (connectionId, currentUrl, executionId) => ipcRenderer.invoke('get-job-log', connectionId, currentUrl, executionId),
+  fetchExportSources: (connectionId, currentUrl) => ipcRenderer.invoke('fetch-export-sources', connectionId, currentUrl),
+  exportSiteArchive: (connectionId, currentUrl, selection, localDir) => ipcRenderer.invoke('export-site-archive', connectionId, currentUrl, selection, localDir),
+  
   // Recursive directory operations
   uploadDirectoryRecursive: (localDirPath, remoteDirPath) => ipcRenderer.invoke('upload-directory-recursive', localDirPath, remoteDirPath),
   downloadDirectoryRecursive: (remoteDirPath, localDirPath) => ipcRenderer.invoke('download-directory-recursive', remoteDirPath, localDirPath),
   listRemoteDirectoryRecursive: (remotePath) => ipcRenderer.invoke('list-remote-directory-recursive', remotePath),
   
+  // Read-only mode for production instances
+  getWriteGuardStatus: () => ipcRenderer.invoke('get-write-guard-status'),
+  unlockWrites: (confirmation, minutes) => ipcRenderer.invoke('unlock-writes', confirmation, minutes),
+  lockWrites: () => ipcRenderer.invoke('lock-writes'),
+  setReadOnlyHostPatterns: (patterns) => ipcRenderer.invoke('set-read-only-host-patterns', patterns),
+  onWriteGuardChanged: (callback) => ipcRenderer.on('write-guard-changed', callback),
+
+  // Diagnostics
+  getDiagnosticsLog: (limit) => ipcRenderer.invoke('get-diagnostics-log', limit),
+  showLogFile: () => ipcRenderer.invoke('show-log-file'),
+  
   // Utility
   platform: process.platform
 }); 
\ No newline at end of file
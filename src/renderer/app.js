@@ -13,13 +13,47 @@ class SFCCWebDAVManager {
         this.focusedIndex = -1; // For keyboard navigation
         this.savedConnections = []; // Store saved connections
         this.shouldShowConnectionSelector = true; // Flag to show selector on startup
+        this.activeTransfers = new Map(); // Running transfer jobs shown in the status bar progress
+        this.transferJobs = new Map(); // All transfer jobs shown in the transfers panel
+        this.watchLog = []; // Watch mode activity shown in the watch modal
+        this.logTail = null; // Log file currently open in the log viewer
+        this.savedClientCertificate = null; // Client certificate of the connection being edited
+        this.pendingClientCertificate = undefined; // Chosen (object) or removed (null) in the connection form
+        this.jobExecutions = new Map(); // Impex job executions shown in the Impex jobs modal
+        this.connectionFilter = { search: '', environment: '' }; // Connection selector search and environment filter
+        this.writeGuardStatus = null; // Read-only mode of the current connection
+        this.writeGuardTimer = null; // Countdown while writes are unlocked
+        this.remoteClipboard = null; // Remote items cut or copied for pasting: { operation, root, items }
+        this.syncSummary = null; // Counts of the last folder comparison, null until compared
+        this.syncActions = []; // Planned actions shown in the sync preview
+        this.instanceComparison = null; // Result of the last instance comparison
+        this.textEditor = null; // Remote file open in the text editor and the version it was read at
+        this.textEditorMatchIndex = -1; // Current search match in the text editor
+        this.textEditorRenderPending = false; // Highlighting is scheduled for the next frame
+        this.fileDiff = null; // Files shown in the diff viewer and their differences
+        this.folderViewModes = {}; // Remote folders shown as a grid, by connection URL and path
+        this.thumbnailObserver = null; // Loads the thumbnails of images scrolled into view
+        this.imagePreviewPath = null; // Remote image shown in the preview panel
+        this.imagePreview = null; // Its thumbnail and details once loaded
+        this.imagePreviewDismissed = null; // Selected image whose preview was closed
         
         this.initializeEventListeners();
+        this.initializeTransfersPanel();
+        this.initializeWatchMode();
+        this.initializeFolderSync();
+        this.initializeInstanceCompare();
+        this.initializeLogViewer();
+        this.initializeTextEditor();
+        this.initializeFileDiff();
+        this.initializeImagePreview();
+        this.initializeAppLock();
         this.setupKeyboardNavigation();
         this.setupIPCListeners();
         this.setupSortingEventListeners();
         
-        this.loadSavedConnections().then(() => {
+        // Saved connections can only be read once the credential store is unlocked
+        this.credentialStoreReady = this.ensureCredentialStoreUnlocked();
+        this.credentialStoreReady.then(() => this.loadSavedConnections()).then(() => {
             // Initialize hidden files toggle after DOM is ready
             this.updateHiddenFilesToggle();
             // Allow modals after initialization is complete
@@ -85,9 +119,6 @@ class SFCCWebDAVManager {
             }
         });
 
-        // Set up IPC listeners and load initial data
-        this.setupIPCListeners();
-        
         // Ensure DOM is ready before loading local directory
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => {
@@ -104,16 +135,83 @@ class SFCCWebDAVManager {
         // Listen for IPC messages from main process
         if (window.electronAPI && window.electronAPI.onShowConnectionSelector) {
             window.electronAPI.onShowConnectionSelector(() => {
-                this.showConnectionSelector();
+                this.credentialStoreReady.then(() => this.showConnectionSelector());
             });
         }
         
+        // Inactivity lock or Lock Now
+        if (window.electronAPI && window.electronAPI.onAppLocked) {
+            window.electronAPI.onAppLocked(() => {
+                this.hideModal('settingsModal');
+                if (document.getElementById('masterPasswordModal').classList.contains('hidden')) {
+                    this.credentialStoreReady = this.ensureCredentialStoreUnlocked();
+                }
+            });
+        }
+
+        // Read-only mode of production connections
+        if (window.electronAPI && window.electronAPI.onWriteGuardChanged) {
+            window.electronAPI.onWriteGuardChanged((event, status) => {
+                this.updateWriteGuard(status);
+            });
+        }
+
         // Handle the show-connection-dialog message (for backward compatibility)
         if (window.electronAPI && window.electronAPI.onShowConnectionDialog) {
             window.electronAPI.onShowConnectionDialog(() => {
                 this.showConnectionModal();
             });
         }
+
+        // File-by-file progress of log searches
+        if (window.electronAPI && window.electronAPI.onLogSearchProgress) {
+            window.electronAPI.onLogSearchProgress((event, progress) => {
+                document.getElementById('logSearchStatus').textContent =
+                    `Searching file ${progress.index} of ${progress.total}: ${progress.file}`;
+            });
+        }
+
+        // New lines of the tailed log file
+        if (window.electronAPI && window.electronAPI.onLogTailUpdate) {
+            window.electronAPI.onLogTailUpdate((event, update) => {
+                this.handleLogTailUpdate(update);
+            });
+        }
+
+        // Uploads, deletions and errors of watch mode
+        if (window.electronAPI && window.electronAPI.onWatchActivity) {
+            window.electronAPI.onWatchActivity((event, entry) => {
+                this.handleWatchActivity(entry);
+            });
+        }
+
+        // Status changes of running Impex jobs
+        if (window.electronAPI && window.electronAPI.onJobExecutionUpdated) {
+            window.electronAPI.onJobExecutionUpdated((event, execution) => {
+                this.handleJobExecutionUpdate(execution);
+            });
+        }
+
+        // Job and download progress of site archive exports
+        if (window.electronAPI && window.electronAPI.onSiteExportProgress) {
+            window.electronAPI.onSiteExportProgress((event, progress) => {
+                this.updateSiteExportStatus(progress);
+            });
+        }
+
+        // Step and upload progress of cartridge deployments
+        if (window.electronAPI && window.electronAPI.onCodeDeployProgress) {
+            window.electronAPI.onCodeDeployProgress((event, progress) => {
+                this.updateDeployStatus(progress);
+            });
+        }
+
+        // State and byte-level progress of queued uploads and downloads
+        if (window.electronAPI && window.electronAPI.onTransferJobUpdated) {
+            window.electronAPI.onTransferJobUpdated((event, job) => {
+                this.handleTransferJobUpdate(job);
+            });
+        }
     }
 
     setupSortingEventListeners() {
@@ -150,6 +248,37 @@ class SFCCWebDAVManager {
             this.hideModal('connectionSelectorModal');
             this.showConnectionModal();
         });
+
+        // Connection selector search and filter
+        document.getElementById('connectionSearchInput').addEventListener('input', (e) => {
+            this.connectionFilter.search = e.target.value;
+            this.renderConnectionSelector();
+        });
+        document.getElementById('connectionEnvironmentFilter').addEventListener('change', (e) => {
+            this.connectionFilter.environment = e.target.value;
+            this.renderConnectionSelector();
+        });
+
+        // dw.json import
+        document.querySelectorAll('.import-dw-json-btn').forEach(button => {
+            button.addEventListener('click', () => this.showDwJsonImportModal());
+        });
+        document.getElementById('chooseDwJsonFolderBtn').addEventListener('click', () => this.chooseDwJsonFolder());
+        document.getElementById('importDwJsonBtn').addEventListener('click', () => this.importDwJson());
+
+        // Encrypted profile bundles
+        document.getElementById('showProfileExportBtn').addEventListener('click', () => this.showProfileExportModal());
+        document.getElementById('showProfileImportBtn').addEventListener('click', () => this.showProfileImportModal());
+        document.getElementById('profileExportForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportProfiles();
+        });
+        document.getElementById('chooseProfileFileBtn').addEventListener('click', () => this.chooseProfileFile());
+        document.getElementById('profileImportOpenForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.readProfileBundle();
+        });
+        document.getElementById('importProfilesBtn').addEventListener('click', () => this.importProfiles());
         
         // Modal close events
         document.querySelectorAll('.modal-close').forEach(btn => {
@@ -203,11 +332,24 @@ class SFCCWebDAVManager {
             this.testConnection();
         });
 
+        // Client certificate
+        document.getElementById('chooseClientCertificateBtn').addEventListener('click', () => this.chooseClientCertificate());
+        document.getElementById('removeClientCertificateBtn').addEventListener('click', () => {
+            this.pendingClientCertificate = null;
+            this.updateClientCertificateField();
+        });
+
         // File browser actions
         document.getElementById('backBtn').addEventListener('click', () => this.navigateBack());
         document.getElementById('refreshBtn').addEventListener('click', () => this.refreshCurrentDirectory());
         document.getElementById('createFolderBtn').addEventListener('click', () => this.handleCreateFolderClick());
         document.getElementById('uploadBtn').addEventListener('click', () => this.uploadFile());
+        document.getElementById('showTrashBtn').addEventListener('click', () => this.showTrash());
+
+        // Trash
+        document.getElementById('restoreTrashItemsBtn').addEventListener('click', () => this.restoreTrashItems());
+        document.getElementById('purgeTrashItemsBtn').addEventListener('click', () => this.purgeTrashItems(false));
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => this.purgeTrashItems(true));
         document.getElementById('downloadSelectedBtn').addEventListener('click', () => this.downloadSelectedFiles());
 
         // Create folder form
@@ -216,12 +358,89 @@ class SFCCWebDAVManager {
             this.createFolder();
         });
 
+        // Settings
+        document.getElementById('settingsBtn').addEventListener('click', () => this.showSettingsModal());
+        document.getElementById('masterPasswordSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.setMasterPassword();
+        });
+        document.getElementById('removeMasterPasswordBtn').addEventListener('click', () => this.removeMasterPassword());
+        document.getElementById('autoLockMinutes').addEventListener('change', (e) => this.setAutoLockMinutes(e.target.value));
+        document.getElementById('lockAppBtn').addEventListener('click', () => this.lockApp());
+        document.getElementById('showDiagnosticsBtn').addEventListener('click', () => this.showDiagnosticsLog());
+        document.getElementById('readOnlySettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveReadOnlyHostPatterns();
+        });
+
+        // Production read-only mode
+        document.getElementById('writeGuardBtn').addEventListener('click', () => this.toggleWriteLock());
+        document.getElementById('unlockWritesForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.unlockWrites();
+        });
+
+        // Diagnostics log
+        document.getElementById('diagnosticsLevel').addEventListener('change', () => this.loadDiagnosticsLog());
+        document.getElementById('refreshDiagnosticsBtn').addEventListener('click', () => this.loadDiagnosticsLog());
+        document.getElementById('showLogFileBtn').addEventListener('click', async () => {
+            const result = await window.electronAPI.showLogFile();
+            if (!result.success) {
+                this.showNotification('error', 'Diagnostics Log', result.error);
+            }
+        });
+
         // Add custom ID form
         document.getElementById('addCustomIdForm').addEventListener('submit', (e) => {
             e.preventDefault();
             this.handleAddCustomIdForm();
         });
 
+        // Code versions
+        document.getElementById('refreshCodeVersionsBtn').addEventListener('click', () => this.loadCodeVersions());
+        document.getElementById('createCodeVersionForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createCodeVersion();
+        });
+        document.getElementById('deployCartridgesForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.deployCartridges();
+        });
+        document.getElementById('codeVersionsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                this.handleCodeVersionAction(button.dataset.action, button.closest('.code-version-item').dataset.versionId);
+            }
+        });
+
+        // Log search
+        document.getElementById('logSearchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.searchLogs();
+        });
+        document.getElementById('clearLogCacheBtn').addEventListener('click', () => this.clearLogCache());
+        document.querySelectorAll('.log-search-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setLogSearchView(tab.dataset.view));
+        });
+
+        // Impex jobs
+        document.getElementById('runJobForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runJob();
+        });
+        document.getElementById('clearFinishedJobsBtn').addEventListener('click', () => this.clearFinishedJobExecutions());
+        document.getElementById('openSiteExportBtn').addEventListener('click', () => this.showSiteExportModal());
+        document.getElementById('siteExportForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.exportSiteArchive();
+        });
+        document.getElementById('jobExecutionsList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="log"]');
+            if (button) {
+                this.showJobLog(button.closest('.code-version-item').dataset.executionId);
+            }
+        });
+
         // SFCC folder navigation
         document.querySelectorAll('.folder-item').forEach(item => {
             item.addEventListener('click', () => {
@@ -243,7 +462,8 @@ class SFCCWebDAVManager {
         // Modal backdrop clicks
         document.querySelectorAll('.modal').forEach(modal => {
             modal.addEventListener('click', (e) => {
-                if (e.target === modal && modal.id !== 'connectionSelectorModal') {
+                if (e.target === modal && modal.id !== 'connectionSelectorModal' &&
+                    modal.id !== 'logViewerModal' && modal.id !== 'masterPasswordModal') {
                     this.hideModal(modal.id);
                 }
             });
@@ -258,6 +478,11 @@ class SFCCWebDAVManager {
                 return;
             }
 
+            // Rename, cut, copy and paste of remote items; keys typed into fields are left alone
+            if (!e.target.closest('input, textarea, select') && this.handleRemoteEditingKey(e)) {
+                return;
+            }
+
             const allRows = document.querySelectorAll('.file-row');
             if (allRows.length === 0) return;
 
@@ -295,6 +520,33 @@ class SFCCWebDAVManager {
         });
     }
 
+    /**
+     * F2 renames the selected remote item; Ctrl/Cmd+X, C and V cut, copy and
+     * paste within the remote pane
+     * @returns {boolean} Whether the key was handled
+     */
+    handleRemoteEditingKey(e) {
+        const selectedRows = Array.from(document.querySelectorAll('#fileTableBody .file-row.selected'));
+        const modifier = e.ctrlKey || e.metaKey;
+
+        if (e.key === 'F2' && selectedRows.length === 1) {
+            e.preventDefault();
+            this.startRemoteRename(selectedRows[0]);
+            return true;
+        }
+        if (modifier && (e.key === 'x' || e.key === 'c') && selectedRows.length > 0) {
+            e.preventDefault();
+            this.setRemoteClipboard(e.key === 'x' ? 'move' : 'copy', selectedRows);
+            return true;
+        }
+        if (modifier && e.key === 'v' && this.remoteClipboard) {
+            e.preventDefault();
+            this.pasteRemoteItems(this.currentPath);
+            return true;
+        }
+        return false;
+    }
+
     navigateSelection(direction, extendSelection) {
         const allRows = document.querySelectorAll('.file-row');
         if (allRows.length === 0) return;
@@ -413,6 +665,323 @@ class SFCCWebDAVManager {
         }
     }
 
+    /**
+     * Ask for the master password when saved credentials are protected by one
+     * instead of the OS keychain; resolves once they can be read
+     */
+    async ensureCredentialStoreUnlocked() {
+        const result = await window.electronAPI.getCredentialStoreStatus();
+        if (!result.success || !result.status.locked) {
+            return;
+        }
+
+        if (result.status.keySource === 'keychain') {
+            this.showNotification('error', 'Keychain Unavailable',
+                'Saved credentials could not be decrypted because the OS keychain could not be read');
+            return;
+        }
+
+        const setup = !result.status.hasMasterPassword;
+        const form = document.getElementById('masterPasswordForm');
+        const input = document.getElementById('masterPasswordInput');
+        const confirmInput = document.getElementById('masterPasswordConfirm');
+        const errorElement = document.getElementById('masterPasswordError');
+
+        document.getElementById('masterPasswordTitle').textContent = setup ? 'Set Master Password' : 'Unlock Saved Connections';
+        document.getElementById('masterPasswordSubtitle').textContent = setup
+            ? 'Choose a password to protect saved credentials'
+            : 'Enter your master password to decrypt saved credentials';
+        document.getElementById('masterPasswordSubmit').textContent = setup ? 'Set Password' : 'Unlock';
+        document.getElementById('masterPasswordConfirmGroup').classList.toggle('hidden', !setup);
+        confirmInput.required = setup;
+        input.autocomplete = setup ? 'new-password' : 'current-password';
+
+        this.showModal('masterPasswordModal');
+        input.focus();
+
+        await new Promise(resolve => {
+            const showError = (message) => {
+                errorElement.textContent = message;
+                errorElement.classList.remove('hidden');
+            };
+
+            const handleSubmit = async (e) => {
+                e.preventDefault();
+                if (setup && input.value !== confirmInput.value) {
+                    showError('Passwords do not match');
+                    return;
+                }
+
+                const submitButton = document.getElementById('masterPasswordSubmit');
+                submitButton.disabled = true;
+                const unlockResult = await window.electronAPI.unlockCredentialStore(input.value);
+                submitButton.disabled = false;
+
+                if (!unlockResult.success) {
+                    showError(unlockResult.error);
+                    input.select();
+                    return;
+                }
+
+                form.removeEventListener('submit', handleSubmit);
+                form.reset();
+                errorElement.classList.add('hidden');
+                this.hideModal('masterPasswordModal');
+                resolve();
+            };
+
+            form.addEventListener('submit', handleSubmit);
+        });
+    }
+
+    /**
+     * Report mouse and keyboard activity so the main process can postpone the
+     * inactivity lock; reported at most every few seconds
+     */
+    initializeAppLock() {
+        let lastReport = 0;
+        const reportActivity = () => {
+            const now = Date.now();
+            if (now - lastReport > 5000) {
+                lastReport = now;
+                window.electronAPI.reportUserActivity();
+            }
+        };
+
+        ['mousedown', 'keydown', 'wheel'].forEach(type => {
+            document.addEventListener(type, reportActivity, { capture: true, passive: true });
+        });
+    }
+
+    async showSettingsModal() {
+        const result = await window.electronAPI.getCredentialStoreStatus();
+        if (!result.success) {
+            this.showNotification('error', 'Settings', result.error);
+            return;
+        }
+
+        document.getElementById('masterPasswordSettingsForm').reset();
+        this.renderSecuritySettings(result.status);
+
+        const guardResult = await window.electronAPI.getWriteGuardStatus();
+        if (guardResult.success) {
+            document.getElementById('readOnlyHostPatterns').value = guardResult.status.hostPatterns.join('\n');
+        }
+        this.showModal('settingsModal');
+    }
+
+    renderSecuritySettings(status) {
+        const hasMasterPassword = status.hasMasterPassword;
+        let description;
+        if (hasMasterPassword) {
+            description = 'Saved credentials are encrypted with a key derived from your master password.';
+        } else if (status.keySource === 'keychain') {
+            description = 'Saved credentials are encrypted with a key stored in the OS keychain. Set a master password to lock the app on shared machines.';
+        } else {
+            description = 'No OS keychain is available. Set a master password to protect saved credentials.';
+        }
+
+        document.getElementById('securityStatus').textContent = description;
+        document.getElementById('currentMasterPasswordGroup').classList.toggle('hidden', !hasMasterPassword);
+        // Without a keychain the master password is the only protection
+        document.getElementById('removeMasterPasswordBtn').classList.toggle('hidden', !hasMasterPassword || !status.keychainAvailable);
+        document.getElementById('setMasterPasswordBtn').textContent = hasMasterPassword ? 'Change Master Password' : 'Set Master Password';
+
+        const autoLockSelect = document.getElementById('autoLockMinutes');
+        autoLockSelect.value = String(status.autoLockMinutes || 0);
+        autoLockSelect.disabled = !hasMasterPassword;
+        document.getElementById('lockAppBtn').disabled = !hasMasterPassword;
+    }
+
+    async setMasterPassword() {
+        const currentPassword = document.getElementById('currentMasterPassword').value;
+        const newPassword = document.getElementById('newMasterPassword').value;
+        const confirmPassword = document.getElementById('newMasterPasswordConfirm').value;
+
+        if (!newPassword) {
+            this.showNotification('error', 'Master Password', 'Enter a new master password');
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            this.showNotification('error', 'Master Password', 'Passwords do not match');
+            return;
+        }
+
+        const button = document.getElementById('setMasterPasswordBtn');
+        button.disabled = true;
+        const result = await window.electronAPI.setMasterPassword(newPassword, currentPassword);
+        button.disabled = false;
+
+        if (!result.success) {
+            this.showNotification('error', 'Master Password', result.error);
+            return;
+        }
+
+        document.getElementById('masterPasswordSettingsForm').reset();
+        this.renderSecuritySettings(result.status);
+        this.showNotification('success', 'Master Password', 'Saved credentials were re-encrypted with the new master password');
+    }
+
+    async removeMasterPassword() {
+        const currentPassword = document.getElementById('currentMasterPassword').value;
+        if (!currentPassword) {
+            this.showNotification('error', 'Master Password', 'Enter the current master password to remove it');
+            return;
+        }
+        if (!confirm('Remove the master password? Saved credentials will be protected by the OS keychain only and the app can no longer be locked.')) {
+            return;
+        }
+
+        const result = await window.electronAPI.removeMasterPassword(currentPassword);
+        if (!result.success) {
+            this.showNotification('error', 'Master Password', result.error);
+            return;
+        }
+
+        document.getElementById('masterPasswordSettingsForm').reset();
+        this.renderSecuritySettings(result.status);
+        this.showNotification('success', 'Master Password', 'Master password removed');
+    }
+
+    async setAutoLockMinutes(minutes) {
+        const result = await window.electronAPI.setAutoLockMinutes(minutes);
+        if (!result.success) {
+            this.showNotification('error', 'App Lock', result.error);
+            return;
+        }
+        this.renderSecuritySettings(result.status);
+    }
+
+    async lockApp() {
+        const result = await window.electronAPI.lockApp();
+        if (!result.success) {
+            this.showNotification('error', 'App Lock', result.error);
+        }
+    }
+
+    async saveReadOnlyHostPatterns() {
+        const patterns = document.getElementById('readOnlyHostPatterns').value.split('\n');
+        const result = await window.electronAPI.setReadOnlyHostPatterns(patterns);
+        if (!result.success) {
+            this.showNotification('error', 'Production Safety', result.error);
+            return;
+        }
+        document.getElementById('readOnlyHostPatterns').value = result.status.hostPatterns.join('\n');
+        this.showNotification('success', 'Production Safety', 'Read-only hosts saved');
+    }
+
+    /**
+     * Show whether the current connection is read-only, with a countdown while
+     * writes are unlocked
+     */
+    updateWriteGuard(status) {
+        const wasUnlocked = this.writeGuardStatus && this.writeGuardStatus.protected && !this.writeGuardStatus.readOnly;
+        this.writeGuardStatus = status;
+        clearInterval(this.writeGuardTimer);
+        this.writeGuardTimer = null;
+
+        const button = document.getElementById('writeGuardBtn');
+        button.classList.toggle('hidden', !status.protected);
+        if (!status.protected) {
+            return;
+        }
+
+        const icon = button.querySelector('i');
+        const label = document.getElementById('writeGuardLabel');
+        if (status.readOnly) {
+            button.classList.remove('unlocked');
+            icon.className = 'fas fa-lock';
+            label.textContent = 'Read-only';
+            button.title = 'Production instance: writes are blocked. Click to unlock them for a few minutes.';
+            if (wasUnlocked && status.connectionName === this.currentConnection?.name) {
+                this.showNotification('info', 'Read-only Again', `Writes to ${status.connectionName} are blocked again`);
+            }
+            return;
+        }
+
+        button.classList.add('unlocked');
+        icon.className = 'fas fa-lock-open';
+        button.title = 'Writes are allowed. Click to block them again.';
+        const updateCountdown = () => {
+            const remaining = Math.max(0, new Date(status.unlockedUntil).getTime() - Date.now());
+            const minutes = Math.floor(remaining / 60000);
+            const seconds = String(Math.floor((remaining % 60000) / 1000)).padStart(2, '0');
+            label.textContent = `Writes unlocked ${minutes}:${seconds}`;
+        };
+        updateCountdown();
+        this.writeGuardTimer = setInterval(updateCountdown, 1000);
+    }
+
+    async toggleWriteLock() {
+        if (!this.writeGuardStatus || !this.writeGuardStatus.protected) {
+            return;
+        }
+
+        if (!this.writeGuardStatus.readOnly) {
+            await window.electronAPI.lockWrites();
+            return;
+        }
+
+        document.getElementById('unlockWritesForm').reset();
+        document.getElementById('unlockWritesMessage').textContent =
+            `${this.writeGuardStatus.connectionName} is a production instance. Type its connection name to allow deleting, uploading, creating folders and unzipping.`;
+        this.showModal('unlockWritesModal');
+        document.getElementById('unlockWritesConfirmation').focus();
+    }
+
+    async unlockWrites() {
+        const confirmation = document.getElementById('unlockWritesConfirmation').value;
+        const minutes = document.getElementById('unlockWritesMinutes').value;
+        const result = await window.electronAPI.unlockWrites(confirmation, minutes);
+        if (!result.success) {
+            this.showNotification('error', 'Unlock Writes', result.error);
+            return;
+        }
+
+        this.hideModal('unlockWritesModal');
+        this.showNotification('warning', 'Writes Unlocked', `Changes to ${result.status.connectionName} are allowed for ${minutes} minutes`);
+    }
+
+    async showDiagnosticsLog() {
+        this.hideModal('settingsModal');
+        this.showModal('diagnosticsModal');
+        await this.loadDiagnosticsLog();
+    }
+
+    async loadDiagnosticsLog() {
+        const content = document.getElementById('diagnosticsContent');
+        const status = document.getElementById('diagnosticsStatus');
+        status.textContent = 'Loading...';
+
+        const result = await window.electronAPI.getDiagnosticsLog(2000);
+        if (!result.success) {
+            status.textContent = `Failed to read log: ${result.error}`;
+            return;
+        }
+
+        const levels = ['debug', 'info', 'warn', 'error'];
+        const minimumLevel = levels.indexOf(document.getElementById('diagnosticsLevel').value);
+        const entries = result.entries.filter(entry => levels.indexOf(entry.level) >= minimumLevel);
+
+        const fragment = document.createDocumentFragment();
+        for (const entry of entries) {
+            const time = entry.time ? new Date(entry.time).toLocaleString() : '';
+            let text = `${time} ${(entry.level || '').toUpperCase()} [${entry.scope}] ${entry.message}`;
+            if (entry.data !== undefined) {
+                text += ` ${JSON.stringify(entry.data)}`;
+            }
+            const className = entry.level === 'error' ? 'log-line-error' : entry.level === 'warn' ? 'log-line-warn' : '';
+            fragment.appendChild(this.createLogLine(text, className));
+        }
+
+        content.innerHTML = '';
+        content.appendChild(fragment);
+        content.scrollTop = content.scrollHeight;
+        status.textContent = result.filePath
+            ? `${entries.length} entries · ${result.filePath}`
+            : 'File logging is not available';
+    }
+
     async loadSavedConnections() {
         try {
             console.log('Loading saved connections...');
@@ -423,6 +992,7 @@ class SFCCWebDAVManager {
             if (result.success && result.connections) {
                 this.savedConnections = result.connections;
                 console.log('Saved connections loaded:', this.savedConnections.length, 'connections');
+                this.updateConnectionGroupSuggestions();
                 // Check if we should show connection selector on startup
                 if (this.shouldShowConnectionSelector) {
                     console.log('Showing connection selector');
@@ -468,36 +1038,57 @@ class SFCCWebDAVManager {
             return;
         }
 
-        container.innerHTML = this.savedConnections.map(connection => {
-            let authBadge = '';
-            if (connection.authType === 'bearer') {
-                authBadge = '<span class="selector-auth-badge">Token</span>';
-            } else if (connection.authType === 'oauth2') {
-                authBadge = '<span class="selector-auth-badge oauth2">OAuth2</span>';
-            } else {
-                authBadge = '<span class="selector-auth-badge">Basic</span>';
-            }
+        const connections = this.getFilteredConnections();
+        if (connections.length === 0) {
+            container.innerHTML = '<div class="code-versions-empty">No connections match the filter</div>';
+            return;
+        }
 
+        // Group by realm/group, ungrouped connections last
+        const groups = new Map();
+        connections.forEach(connection => {
+            const group = connection.group || '';
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(connection);
+        });
+        const groupNames = Array.from(groups.keys()).sort((a, b) => {
+            if (!a || !b) {
+                return a ? -1 : 1;
+            }
+            return a.localeCompare(b);
+        });
+        const showGroupHeaders = groupNames.length > 1 || groupNames[0] !== '';
+
+        container.innerHTML = groupNames.map(group => {
+            const items = groups.get(group)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .map(connection => this.renderConnectionSelectorItem(connection))
+                .join('');
+            if (!showGroupHeaders) {
+                return items;
+            }
             return `
-                <div class="connection-selector-item" data-connection-id="${connection.id}">
-                    <div class="selector-connection-name">${connection.name}</div>
-                    <div class="selector-connection-url">${connection.url}</div>
-                    <div class="selector-connection-meta">
-                        <div class="selector-auth-info">${authBadge}</div>
-                        <div class="selector-connection-actions">
-                            <button class="icon-btn edit-connection-btn" title="Edit" data-connection-id="${connection.id}">
-                                <i class="fas fa-edit"></i>
-                            </button>
-                            <button class="icon-btn delete-connection-btn" title="Delete" data-connection-id="${connection.id}">
-                                <i class="fas fa-trash"></i>
-                            </button>
-                        </div>
-                    </div>
+                <div class="connection-group-header">
+                    <i class="fas fa-layer-group"></i>
+                    ${this.escapeHtml(group || 'Ungrouped')}
+                    <span class="connection-group-count">${groups.get(group).length}</span>
                 </div>
+                ${items}
             `;
         }).join('');
 
         // Attach event listeners
+        container.querySelectorAll('.connection-tag').forEach(tag => {
+            tag.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.connectionFilter.search = tag.dataset.tag;
+                document.getElementById('connectionSearchInput').value = tag.dataset.tag;
+                this.renderConnectionSelector();
+            });
+        });
+
         container.querySelectorAll('.connection-selector-item').forEach(item => {
             const connectionId = item.dataset.connectionId;
             
@@ -520,48 +1111,468 @@ class SFCCWebDAVManager {
                 e.stopPropagation();
                 this.deleteConnectionFromSelector(connectionId);
             });
+
+            item.querySelector('.export-connection-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.exportDwJson(connectionId);
+            });
         });
     }
 
-    async selectAndConnect(connectionId) {
-        try {
-            this.hideModal('connectionSelectorModal');
-            this.showNotification('info', 'Connecting...', 'Establishing connection...');
-            
-            const credentials = await this.loadConnectionCredentials(connectionId);
-            const result = await window.electronAPI.testConnection(credentials);
-            
-            if (result.success && result.connected) {
-                this.currentConnection = credentials;
-                this.currentConnectionId = connectionId;
-                this.isConnected = true;
-                this.updateConnectionStatus(true, credentials.name);
-                this.navigateToPath('/');
-                
-                // Navigate to last local folder if available
-                if (credentials.lastLocalFolder) {
-                    console.log('Navigating to last local folder:', credentials.lastLocalFolder);
-                    this.loadLocalDirectory(credentials.lastLocalFolder);
-                } else {
-                    // Load home directory as default
-                    this.loadInitialLocalDirectory();
-                }
-                
-                this.showNotification('success', 'Connected', `Connected to ${credentials.name}`);
-            } else {
-                this.showNotification('error', 'Connection Failed', 'Failed to connect to the server.');
-                // Show selector again on failure
-                setTimeout(() => this.showConnectionSelector(), 1000);
-            }
-        } catch (error) {
-            this.showNotification('error', 'Connection Failed', error.message);
-            // Show selector again on failure
-            setTimeout(() => this.showConnectionSelector(), 1000);
+    renderConnectionSelectorItem(connection) {
+        let authBadge = '';
+        if (connection.authType === 'bearer') {
+            authBadge = '<span class="selector-auth-badge">Token</span>';
+        } else if (connection.authType === 'oauth2') {
+            authBadge = '<span class="selector-auth-badge oauth2">OAuth2</span>';
+        } else {
+            authBadge = '<span class="selector-auth-badge">Basic</span>';
         }
-    }
 
-    async deleteConnectionFromSelector(connectionId) {
-        const connection = this.savedConnections.find(c => c.id === connectionId);
+        const tags = (connection.tags || []).map(tag =>
+            `<button type="button" class="connection-tag" data-tag="${this.escapeHtml(tag)}" title="Show connections tagged ${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</button>`
+        ).join('');
+
+        return `
+            <div class="connection-selector-item environment-${connection.environment || 'none'}" data-connection-id="${connection.id}">
+                <div class="selector-connection-name">
+                    ${this.escapeHtml(connection.name)}
+                    ${this.renderEnvironmentBadge(connection.environment)}
+                </div>
+                <div class="selector-connection-url">${this.escapeHtml(connection.url)}</div>
+                <div class="selector-connection-meta">
+                    <div class="selector-auth-info">${authBadge}${tags}</div>
+                    <div class="selector-connection-actions">
+                        <button class="icon-btn export-connection-btn" title="Export dw.json" data-connection-id="${connection.id}">
+                            <i class="fas fa-file-export"></i>
+                        </button>
+                        <button class="icon-btn edit-connection-btn" title="Edit" data-connection-id="${connection.id}">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="icon-btn delete-connection-btn" title="Delete" data-connection-id="${connection.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderEnvironmentBadge(environment) {
+        if (!environment) {
+            return '';
+        }
+        return `<span class="environment-badge ${environment}">${this.escapeHtml(environment)}</span>`;
+    }
+
+    /**
+     * Saved connections matching the selector search (name, URL, group and
+     * tags) and environment filter
+     */
+    getFilteredConnections() {
+        const search = this.connectionFilter.search.trim().toLowerCase();
+        const environment = this.connectionFilter.environment;
+
+        return this.savedConnections.filter(connection => {
+            if (environment && connection.environment !== environment) {
+                return false;
+            }
+            if (!search) {
+                return true;
+            }
+            return [connection.name, connection.url, connection.group, ...(connection.tags || [])]
+                .some(value => value && value.toLowerCase().includes(search));
+        });
+    }
+
+    updateConnectionGroupSuggestions() {
+        const groups = new Set(this.savedConnections.map(connection => connection.group).filter(Boolean));
+        document.getElementById('connectionGroupSuggestions').innerHTML = Array.from(groups).sort()
+            .map(group => `<option value="${this.escapeHtml(group)}"></option>`)
+            .join('');
+    }
+
+    async showDwJsonImportModal() {
+        this.hideModal('connectionSelectorModal');
+        this.hideModal('connectionModal');
+        this.showModal('dwJsonImportModal');
+        await this.scanDwJson(this.currentLocalPath);
+    }
+
+    async chooseDwJsonFolder() {
+        const result = await window.electronAPI.showSaveDialog({
+            properties: ['openDirectory'],
+            title: 'Select a folder containing dw.json files'
+        });
+        if (!result.canceled && result.filePaths && result.filePaths.length > 0) {
+            await this.scanDwJson(result.filePaths[0]);
+        }
+    }
+
+    /**
+     * List the instances configured by the dw.json files in a folder
+     */
+    async scanDwJson(folderPath) {
+        const list = document.getElementById('dwJsonConfigList');
+        document.getElementById('dwJsonFolder').textContent = folderPath || 'No folder selected';
+        document.getElementById('importDwJsonBtn').disabled = true;
+
+        if (!folderPath) {
+            list.innerHTML = '<div class="code-versions-empty">Choose a folder to scan</div>';
+            return;
+        }
+
+        list.innerHTML = '<div class="code-versions-empty"><i class="fas fa-spinner fa-spin"></i> Scanning for dw.json files...</div>';
+        const result = await window.electronAPI.scanDwJson(folderPath);
+        if (!result.success) {
+            list.innerHTML = `<div class="code-versions-empty">${this.escapeHtml(result.error)}</div>`;
+            return;
+        }
+
+        if (result.configs.length === 0 && result.errors.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">No dw.json files found</div>';
+            return;
+        }
+
+        const authLabels = { basic: 'Basic', oauth2: 'OAuth2' };
+        const items = result.configs.map(config => {
+            let status;
+            if (!config.authType) {
+                status = '<span class="dw-json-config-status error">No credentials</span>';
+            } else if (config.existingConnection) {
+                status = `<span class="dw-json-config-status update">Updates ${this.escapeHtml(config.existingConnection.name)}</span>`;
+            } else {
+                status = '<span class="dw-json-config-status">New</span>';
+            }
+
+            const details = [config.hostname];
+            if (config.authType) {
+                details.push(authLabels[config.authType]);
+            }
+            if (config.codeVersion) {
+                details.push(`code version ${config.codeVersion}`);
+            }
+            if (config.hasClientCertificate) {
+                details.push('client certificate');
+            }
+
+            return `
+                <label class="dw-json-config-item ${config.authType ? '' : 'disabled'}">
+                    <input type="checkbox" data-file-path="${this.escapeHtml(config.filePath)}" data-index="${config.index}"
+                        ${config.authType ? 'checked' : 'disabled'}>
+                    <div class="dw-json-config-details">
+                        <div class="dw-json-config-name">${this.escapeHtml(config.name)}</div>
+                        <div>${this.escapeHtml(details.join(' · '))}</div>
+                        <div class="dw-json-config-path" title="${this.escapeHtml(config.filePath)}">${this.escapeHtml(config.filePath)}</div>
+                    </div>
+                    ${status}
+                </label>
+            `;
+        });
+
+        const errors = result.errors.map(({ filePath, error }) => `
+            <div class="dw-json-config-item disabled">
+                <div class="dw-json-config-details">
+                    <div class="dw-json-config-path" title="${this.escapeHtml(filePath)}">${this.escapeHtml(filePath)}</div>
+                    <div class="dw-json-config-status error">${this.escapeHtml(error)}</div>
+                </div>
+            </div>
+        `);
+
+        list.innerHTML = items.join('') + errors.join('');
+        document.getElementById('importDwJsonBtn').disabled = !result.configs.some(config => config.authType);
+    }
+
+    async importDwJson() {
+        const selections = Array.from(document.querySelectorAll('#dwJsonConfigList input[type="checkbox"]:checked'))
+            .map(input => ({ filePath: input.dataset.filePath, index: parseInt(input.dataset.index, 10) }));
+        if (selections.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the configurations to import');
+            return;
+        }
+
+        const button = document.getElementById('importDwJsonBtn');
+        button.disabled = true;
+        const result = await window.electronAPI.importDwJson(selections);
+        button.disabled = false;
+
+        if (!result.success) {
+            this.showNotification('error', 'Import Failed', result.error);
+            return;
+        }
+
+        const created = result.imported.filter(item => !item.updated).length;
+        const updated = result.imported.length - created;
+        if (result.errors.length > 0) {
+            this.showNotification('warning', 'Import Incomplete',
+                `${created} created, ${updated} updated, ${result.errors.length} failed: ${result.errors.map(item => item.error).join('; ')}`);
+        } else {
+            this.showNotification('success', 'Connections Imported', `${created} created, ${updated} updated`);
+        }
+
+        this.hideModal('dwJsonImportModal');
+        await this.loadSavedConnections();
+        this.showConnectionSelector();
+    }
+
+    /**
+     * Write a dw.json with the instance and credentials of a saved connection
+     */
+    async exportDwJson(connectionId) {
+        const connection = this.savedConnections.find(c => c.id === connectionId);
+        if (!connection) {
+            return;
+        }
+        if (connection.authType === 'bearer') {
+            this.showNotification('error', 'Export Not Possible', 'dw.json files only support username/password and OAuth2 client credentials');
+            return;
+        }
+        if (!confirm(`The dw.json file will contain the ${connection.authType === 'oauth2' ? 'client secret' : 'password'} of "${connection.name}" in plain text. Continue?`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.showSaveDialog({
+            title: 'Export dw.json',
+            defaultPath: this.currentLocalPath ? `${this.currentLocalPath}/dw.json` : 'dw.json',
+            filters: [{ name: 'dw.json', extensions: ['json'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return;
+        }
+
+        const exportResult = await window.electronAPI.exportDwJson(connectionId, result.filePath);
+        if (exportResult.success) {
+            this.showNotification('success', 'dw.json Exported', exportResult.filePath);
+            if (this.currentLocalPath) {
+                this.loadLocalDirectory(this.currentLocalPath);
+            }
+        } else {
+            this.showNotification('error', 'Export Failed', exportResult.error);
+        }
+    }
+
+    showProfileExportModal() {
+        const list = document.getElementById('profileExportList');
+        if (this.savedConnections.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">No saved connections</div>';
+        } else {
+            list.innerHTML = this.savedConnections.map(connection => `
+                <label class="dw-json-config-item">
+                    <input type="checkbox" value="${this.escapeHtml(connection.id)}" checked>
+                    <div class="dw-json-config-details">
+                        <div class="dw-json-config-name">${this.escapeHtml(connection.name)}</div>
+                        <div class="dw-json-config-path" title="${this.escapeHtml(connection.url)}">${this.escapeHtml(connection.url)}</div>
+                    </div>
+                </label>
+            `).join('');
+        }
+
+        document.getElementById('profileExportForm').reset();
+        document.getElementById('exportProfilesBtn').disabled = this.savedConnections.length === 0;
+        this.hideModal('connectionSelectorModal');
+        this.showModal('profileExportModal');
+    }
+
+    async exportProfiles() {
+        const connectionIds = Array.from(document.querySelectorAll('#profileExportList input[type="checkbox"]:checked'))
+            .map(input => input.value);
+        const includeSecrets = document.getElementById('profileExportSecrets').checked;
+        const passphrase = document.getElementById('profileExportPassphrase').value;
+
+        if (connectionIds.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the connections to export');
+            return;
+        }
+        if (passphrase.length < 8) {
+            this.showNotification('error', 'Passphrase Too Short', 'Use at least 8 characters');
+            return;
+        }
+        if (passphrase !== document.getElementById('profileExportPassphraseConfirm').value) {
+            this.showNotification('error', 'Passphrases Differ', 'The passphrase and its confirmation do not match');
+            return;
+        }
+
+        const result = await window.electronAPI.showSaveDialog({
+            title: 'Export Connection Profiles',
+            defaultPath: 'connections.sfccprofiles',
+            filters: [{ name: 'Connection Profiles', extensions: ['sfccprofiles'] }]
+        });
+        if (result.canceled || !result.filePath) {
+            return;
+        }
+
+        const exportResult = await window.electronAPI.exportProfiles(connectionIds, { passphrase, includeSecrets }, result.filePath);
+        if (exportResult.success) {
+            this.hideModal('profileExportModal');
+            this.showNotification('success', 'Profiles Exported', `${connectionIds.length} connection(s) written to ${exportResult.filePath}`);
+        } else {
+            this.showNotification('error', 'Export Failed', exportResult.error);
+        }
+    }
+
+    showProfileImportModal() {
+        this.profileImportFile = null;
+        document.getElementById('profileImportOpenForm').reset();
+        document.getElementById('profileImportFile').textContent = 'No file selected';
+        document.getElementById('profileImportList').innerHTML = '';
+        document.getElementById('importProfilesBtn').disabled = true;
+        this.hideModal('connectionSelectorModal');
+        this.showModal('profileImportModal');
+    }
+
+    async chooseProfileFile() {
+        const result = await window.electronAPI.showSaveDialog({
+            title: 'Import Connection Profiles',
+            properties: ['openFile'],
+            filters: [{ name: 'Connection Profiles', extensions: ['sfccprofiles'] }]
+        });
+        if (!result.canceled && result.filePaths && result.filePaths.length > 0) {
+            this.profileImportFile = result.filePaths[0];
+            document.getElementById('profileImportFile').textContent = this.profileImportFile;
+            document.getElementById('profileImportList').innerHTML = '';
+            document.getElementById('importProfilesBtn').disabled = true;
+            document.getElementById('profileImportPassphrase').focus();
+        }
+    }
+
+    /**
+     * Decrypt the selected bundle and list its profiles with their conflicts
+     */
+    async readProfileBundle() {
+        const list = document.getElementById('profileImportList');
+        const importButton = document.getElementById('importProfilesBtn');
+        importButton.disabled = true;
+
+        if (!this.profileImportFile) {
+            this.showNotification('warning', 'No File Selected', 'Choose the profile file to import');
+            return;
+        }
+
+        const passphrase = document.getElementById('profileImportPassphrase').value;
+        const result = await window.electronAPI.readProfileBundle(this.profileImportFile, passphrase);
+        if (!result.success) {
+            list.innerHTML = `<div class="code-versions-empty">${this.escapeHtml(result.error)}</div>`;
+            return;
+        }
+        if (result.profiles.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">The file contains no connections</div>';
+            return;
+        }
+
+        const authLabels = { basic: 'Basic', oauth2: 'OAuth2', bearer: 'Bearer' };
+        list.innerHTML = result.profiles.map(profile => {
+            const details = [authLabels[profile.authType] || profile.authType];
+            details.push(profile.hasSecrets ? 'with credentials' : 'without credentials');
+            if (profile.catalogCount > 0) {
+                details.push(`${profile.catalogCount} catalog(s)`);
+            }
+            if (profile.libraryCount > 0) {
+                details.push(`${profile.libraryCount} library(s)`);
+            }
+
+            const status = profile.conflict
+                ? `<select class="profile-conflict-action" title="${this.escapeHtml(profile.conflict.name)} already exists">
+                        <option value="replace">Replace existing</option>
+                        <option value="copy">Keep both</option>
+                        <option value="skip">Skip</option>
+                    </select>`
+                : '<span class="dw-json-config-status">New</span>';
+
+            return `
+                <label class="dw-json-config-item" data-index="${profile.index}">
+                    <input type="checkbox" checked>
+                    <div class="dw-json-config-details">
+                        <div class="dw-json-config-name">${this.escapeHtml(profile.name)}</div>
+                        <div>${this.escapeHtml(details.join(' · '))}</div>
+                        <div class="dw-json-config-path" title="${this.escapeHtml(profile.url)}">${this.escapeHtml(profile.url)}</div>
+                    </div>
+                    ${status}
+                </label>
+            `;
+        }).join('');
+        importButton.disabled = false;
+    }
+
+    async importProfiles() {
+        const selections = Array.from(document.querySelectorAll('#profileImportList .dw-json-config-item'))
+            .filter(item => item.querySelector('input[type="checkbox"]').checked)
+            .map(item => {
+                const action = item.querySelector('.profile-conflict-action');
+                return {
+                    index: parseInt(item.dataset.index, 10),
+                    conflictAction: action ? action.value : 'skip'
+                };
+            });
+        if (selections.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the connections to import');
+            return;
+        }
+
+        const button = document.getElementById('importProfilesBtn');
+        button.disabled = true;
+        const passphrase = document.getElementById('profileImportPassphrase').value;
+        const result = await window.electronAPI.importProfiles(this.profileImportFile, passphrase, selections);
+        button.disabled = false;
+
+        if (!result.success) {
+            this.showNotification('error', 'Import Failed', result.error);
+            return;
+        }
+
+        const count = (type) => result.results.filter(item => item.result === type).length;
+        const failed = result.results.filter(item => item.result === 'failed');
+        const summary = `${count('created')} created, ${count('replaced')} replaced, ${count('skipped')} skipped`;
+        if (failed.length > 0) {
+            this.showNotification('warning', 'Import Incomplete',
+                `${summary}, ${failed.length} failed: ${failed.map(item => `${item.name}: ${item.error}`).join('; ')}`);
+        } else {
+            this.showNotification('success', 'Profiles Imported', summary);
+        }
+
+        this.hideModal('profileImportModal');
+        await this.loadSavedConnections();
+        this.showConnectionSelector();
+    }
+
+    async selectAndConnect(connectionId) {
+        try {
+            this.hideModal('connectionSelectorModal');
+            this.showNotification('info', 'Connecting...', 'Establishing connection...');
+            
+            const credentials = await this.loadConnectionCredentials(connectionId);
+            const result = await window.electronAPI.testConnection(credentials);
+            
+            if (result.success && result.connected) {
+                this.currentConnection = credentials;
+                this.currentConnectionId = connectionId;
+                this.isConnected = true;
+                this.updateConnectionStatus(true, credentials.name, credentials.environment);
+                this.navigateToPath('/');
+                
+                // Navigate to last local folder if available
+                if (credentials.lastLocalFolder) {
+                    console.log('Navigating to last local folder:', credentials.lastLocalFolder);
+                    this.loadLocalDirectory(credentials.lastLocalFolder);
+                } else {
+                    // Load home directory as default
+                    this.loadInitialLocalDirectory();
+                }
+                
+                this.showNotification('success', 'Connected', `Connected to ${credentials.name}`);
+            } else {
+                this.showNotification('error', 'Connection Failed', 'Failed to connect to the server.');
+                // Show selector again on failure
+                setTimeout(() => this.showConnectionSelector(), 1000);
+            }
+        } catch (error) {
+            this.showNotification('error', 'Connection Failed', error.message);
+            // Show selector again on failure
+            setTimeout(() => this.showConnectionSelector(), 1000);
+        }
+    }
+
+    async deleteConnectionFromSelector(connectionId) {
+        const connection = this.savedConnections.find(c => c.id === connectionId);
         const confirmed = confirm(`Are you sure you want to delete "${connection?.name}"? This action cannot be undone.`);
         
         if (confirmed) {
@@ -658,6 +1669,35 @@ class SFCCWebDAVManager {
         
         this.updateUrlPreview(''); // Reset URL preview
         this.editingConnectionId = null; // Clear editing state
+        this.savedClientCertificate = null;
+        this.pendingClientCertificate = undefined;
+        this.updateClientCertificateField();
+    }
+
+    async chooseClientCertificate() {
+        const result = await window.electronAPI.selectClientCertificate();
+        if (!result.success) {
+            this.showNotification('error', 'Invalid Certificate', result.error);
+            return;
+        }
+
+        if (result.certificate) {
+            this.pendingClientCertificate = result.certificate;
+            this.updateClientCertificateField();
+        }
+    }
+
+    /**
+     * The client certificate the connection form currently stands for
+     */
+    getFormClientCertificate() {
+        return this.pendingClientCertificate !== undefined ? this.pendingClientCertificate : this.savedClientCertificate;
+    }
+
+    updateClientCertificateField() {
+        const certificate = this.getFormClientCertificate();
+        document.getElementById('clientCertificateName').textContent = certificate ? certificate.fileName : 'No certificate';
+        document.getElementById('removeClientCertificateBtn').classList.toggle('hidden', !certificate);
     }
 
     async saveConnection() {
@@ -667,7 +1707,12 @@ class SFCCWebDAVManager {
         const credentials = {
             name: formData.get('connectionName'),
             url: this.normalizeWebDAVUrl(formData.get('webdavUrl')),
-            authType: authType
+            authType: authType,
+            environment: formData.get('connectionEnvironment'),
+            group: formData.get('connectionGroup'),
+            tags: formData.get('connectionTags'),
+            trashMode: formData.get('connectionTrashMode') === 'on',
+            trashRetentionDays: formData.get('connectionTrashRetention')
         };
 
         // If editing an existing connection, include the ID
@@ -686,6 +1731,12 @@ class SFCCWebDAVManager {
             credentials.refreshToken = formData.get('refreshToken');
         }
 
+        // Leaving the certificate untouched keeps the saved one
+        if (this.pendingClientCertificate !== undefined) {
+            credentials.clientCertificate = this.pendingClientCertificate;
+        }
+        credentials.clientCertificatePassphrase = formData.get('clientCertificatePassphrase');
+
         try {
             const result = await window.electronAPI.saveCredentials(credentials);
             if (result.success) {
@@ -696,6 +1747,23 @@ class SFCCWebDAVManager {
                 // Reload connections
                 await this.loadSavedConnections();
                 
+                // Keep the header of the open connection up to date
+                if (this.isConnected && this.editingConnectionId === this.currentConnectionId) {
+                    const saved = this.savedConnections.find(c => c.id === this.currentConnectionId);
+                    if (saved) {
+                        this.currentConnection = {
+                            ...this.currentConnection,
+                            name: saved.name,
+                            environment: saved.environment,
+                            group: saved.group,
+                            tags: saved.tags,
+                            trashMode: saved.trashMode,
+                            trashRetentionDays: saved.trashRetentionDays
+                        };
+                        this.updateConnectionStatus(true, saved.name, saved.environment);
+                    }
+                }
+
                 // If we're not currently connected and this is a new connection, show the selector
                 if (!this.isConnected && !this.editingConnectionId) {
                     this.showConnectionSelector();
@@ -779,6 +1847,14 @@ class SFCCWebDAVManager {
             credentials.refreshToken = formData.get('refreshToken');
         }
 
+        const clientCertificate = this.getFormClientCertificate();
+        if (clientCertificate) {
+            credentials.clientCertificate = {
+                ...clientCertificate,
+                passphrase: formData.get('clientCertificatePassphrase') || clientCertificate.passphrase
+            };
+        }
+
         // Debug logging
         console.log('Testing connection with:', {
             url: credentials.url,
@@ -794,7 +1870,7 @@ class SFCCWebDAVManager {
         testBtn.disabled = true;
 
         try {
-            const result = await window.electronAPI.testConnection(credentials);
+            const result = await window.electronAPI.testConnectionSettings(credentials);
             if (result.success && result.connected) {
                 this.showNotification('success', 'Connection Test', 'Connection successful!');
             } else {
@@ -826,13 +1902,19 @@ class SFCCWebDAVManager {
     async editConnection(connectionId) {
         try {
             // Load the connection credentials
-            const credentials = await window.electronAPI.loadCredentialsById(connectionId);
+            const result = await window.electronAPI.loadCredentialsById(connectionId);
+            const credentials = result.success ? result.credentials : null;
             
             if (credentials) {
                 // Fill the form with existing data
                 document.getElementById('connectionName').value = credentials.name || '';
                 document.getElementById('webdavUrl').value = credentials.url || '';
                 document.getElementById('authType').value = credentials.authType || 'basic';
+                document.getElementById('connectionEnvironment').value = credentials.environment || '';
+                document.getElementById('connectionGroup').value = credentials.group || '';
+                document.getElementById('connectionTags').value = (credentials.tags || []).join(', ');
+                document.getElementById('connectionTrashMode').checked = !!credentials.trashMode;
+                document.getElementById('connectionTrashRetention').value = credentials.trashRetentionDays !== undefined ? credentials.trashRetentionDays : 30;
                 
                 // Show appropriate auth fields and fill them
                 const authType = credentials.authType || 'basic';
@@ -857,6 +1939,11 @@ class SFCCWebDAVManager {
                 }
                 
                 this.updateUrlPreview(credentials.url);
+
+                document.getElementById('clientCertificatePassphrase').value = '';
+                this.savedClientCertificate = credentials.clientCertificate || null;
+                this.pendingClientCertificate = undefined;
+                this.updateClientCertificateField();
                 
                 // Store the connection ID for updating
                 this.editingConnectionId = connectionId;
@@ -875,8 +1962,13 @@ class SFCCWebDAVManager {
         return this.deleteConnectionFromSelector(connectionId);
     }
 
-    updateConnectionStatus(connected, connectionName = '') {
+    updateConnectionStatus(connected, connectionName = '', environment = null) {
         const notConnectedEl = document.getElementById('notConnected');
+        const environmentBadge = document.getElementById('connectionEnvironmentBadge');
+        environmentBadge.className = `environment-badge ${environment || ''}`;
+        environmentBadge.textContent = environment || '';
+        environmentBadge.classList.toggle('hidden', !connected || !environment);
+        document.getElementById('showTrashBtn').classList.toggle('hidden', !connected || !this.currentConnection?.trashMode);
         const fileTableEl = document.getElementById('fileTable');
         const statusElement = document.getElementById('connectionStatus');
         const switchBtn = document.getElementById('switchConnectionBtn');
@@ -938,6 +2030,9 @@ class SFCCWebDAVManager {
         this.currentRemoteItems = items || [];
         
         const tbody = document.getElementById('fileTableBody');
+        const gridView = this.getFolderViewMode() === 'grid';
+        document.getElementById('fileTable').classList.toggle('grid-view', gridView);
+        this.updateViewModeButton(gridView);
         
         if (!items || items.length === 0) {
             tbody.innerHTML = `
@@ -973,11 +2068,20 @@ class SFCCWebDAVManager {
                 zipUnzipActions = '<button class="icon-btn zip-btn" title="ZIP File"><i class="fas fa-file-archive"></i></button>';
             }
             
+            // In the grid, images get a thumbnail once they scroll into view
+            let iconHtml = `<i class="${icon} file-icon"></i>`;
+            if (gridView) {
+                const imageData = item.type === 'file' && this.isPreviewableImage(item.name)
+                    ? ` data-image="true" data-size="${item.size}" data-last-modified="${item.lastModified}"`
+                    : '';
+                iconHtml = `<span class="file-thumbnail"${imageData}>${iconHtml}</span>`;
+            }
+            
             return `
-                <tr class="file-row" data-path="${item.path}" data-type="${item.type}" data-name="${item.name}" draggable="true">
+                <tr class="file-row ${this.isCutRemoteItem(item.path) ? 'cut' : ''}" data-path="${item.path}" data-type="${item.type}" data-name="${item.name}" draggable="true">
                     <td>
                         <div class="file-name">
-                            <i class="${icon} file-icon"></i>
+                            ${iconHtml}
                             ${item.name}
                         </div>
                     </td>
@@ -987,6 +2091,7 @@ class SFCCWebDAVManager {
                     <td>
                         <div class="file-actions">
                             ${item.type === 'file' ? '<button class="icon-btn download-btn" title="Download"><i class="fas fa-download"></i></button>' : ''}
+                            ${item.type === 'file' && item.name.toLowerCase().endsWith('.log') ? '<button class="icon-btn tail-btn" title="Tail Log"><i class="fas fa-stream"></i></button>' : ''}
                             ${zipUnzipActions}
                             <button class="icon-btn delete-btn" title="Delete"><i class="fas fa-trash"></i></button>
                         </div>
@@ -1037,8 +2142,10 @@ class SFCCWebDAVManager {
                 
                 if (type === 'directory') {
                     this.navigateToPath(path);
+                } else if (this.getEditorLanguage(row.dataset.name)) {
+                    this.openTextEditor(path, row.dataset.name);
                 } else {
-                    // Double-click file to download it
+                    // Double-click other files to download them
                     this.downloadFile(path);
                 }
             });
@@ -1064,6 +2171,41 @@ class SFCCWebDAVManager {
                 draggedFiles.forEach(r => r.classList.add('dragging'));
             });
 
+            row.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.showRemoteContextMenu(row);
+            });
+
+            // Dropping remote items on a folder moves them into it, with Ctrl/Alt it copies
+            if (row.dataset.type === 'directory') {
+                row.addEventListener('dragover', (e) => {
+                    if (!row.classList.contains('dragging')) {
+                        row.classList.add('drop-target');
+                    }
+                });
+                row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+                row.addEventListener('drop', (e) => {
+                    row.classList.remove('drop-target');
+                    const dragData = e.dataTransfer.getData('application/json');
+                    if (!dragData) {
+                        return;
+                    }
+                    const { files, sourceType } = JSON.parse(dragData);
+                    if (sourceType !== 'remote') {
+                        return; // Uploads are handled by the panel
+                    }
+
+                    e.preventDefault();
+                    e.stopPropagation();
+                    document.querySelector('#left-panel .file-list-container').classList.remove('drag-over');
+                    const operation = e.ctrlKey || e.altKey ? 'copy' : 'move';
+                    this.runRemoteOperation(operation, files.map(file => ({
+                        fromPath: file.path,
+                        toPath: this.joinRemotePath(row.dataset.path, file.name)
+                    })));
+                });
+            }
+
             row.addEventListener('dragend', async (e) => {
                 // Clean up visual feedback
                 document.querySelectorAll('.file-row.dragging').forEach(r => {
@@ -1088,6 +2230,14 @@ class SFCCWebDAVManager {
             });
         });
 
+        document.querySelectorAll('.tail-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const row = e.target.closest('.file-row');
+                this.openLogViewer(row.dataset.path, row.dataset.name);
+            });
+        });
+
         document.querySelectorAll('.zip-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -1106,6 +2256,8 @@ class SFCCWebDAVManager {
 
         document.getElementById('remoteFileCount').innerHTML = `<i class="fas fa-cloud"></i> Remote: ${items.length} item${items.length !== 1 ? 's' : ''}`;
         
+        this.observeThumbnails();
+        
         // Update sort indicators
         this.updateSortIndicators('remote');
         
@@ -1175,28 +2327,199 @@ class SFCCWebDAVManager {
         }
         
         this.updateCopyButtons();
+        this.updateImagePreview();
     }
 
-    getFileIcon(item) {
-        if (item.type === 'directory') {
-            return 'fas fa-folder';
-        }
-        
-        const ext = item.name.split('.').pop().toLowerCase();
-        const iconMap = {
-            'js': 'fab fa-js-square',
-            'ts': 'fas fa-file-code',
-            'json': 'fas fa-file-code',
-            'xml': 'fas fa-file-code',
-            'html': 'fab fa-html5',
-            'css': 'fab fa-css3-alt',
-            'scss': 'fab fa-sass',
-            'jpg': 'fas fa-file-image',
-            'jpeg': 'fas fa-file-image',
-            'png': 'fas fa-file-image',
-            'gif': 'fas fa-file-image',
-            'svg': 'fas fa-file-image',
-            'pdf': 'fas fa-file-pdf',
+    initializeImagePreview() {
+        document.getElementById('toggleViewModeBtn').addEventListener('click', () => this.toggleFolderViewMode());
+        document.getElementById('closeImagePreviewBtn').addEventListener('click', () => {
+            this.imagePreviewDismissed = this.imagePreviewPath;
+            this.hideImagePreview();
+        });
+        document.getElementById('imagePreviewImage').addEventListener('load', (e) => this.updateImagePreviewDetails(e.target));
+
+        // Thumbnails are fetched once their card scrolls into view
+        this.thumbnailObserver = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                this.thumbnailObserver.unobserve(entry.target);
+                this.loadThumbnail(entry.target);
+            });
+        }, { root: document.querySelector('#left-panel .file-list-container'), rootMargin: '200px' });
+
+        window.electronAPI.getFolderViewModes().then(result => {
+            if (result.success) {
+                this.folderViewModes = result.modes;
+                this.rerenderRemoteFiles();
+            }
+        });
+    }
+
+    /**
+     * Whether the preview can show a file, judged by its extension
+     */
+    isPreviewableImage(fileName) {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        return ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'ico', 'svg'].includes(extension);
+    }
+
+    /**
+     * View modes are remembered per folder of each connection
+     */
+    getFolderViewKey() {
+        return `${this.currentConnection ? this.currentConnection.url : ''}|${this.currentPath}`;
+    }
+
+    getFolderViewMode() {
+        return this.folderViewModes[this.getFolderViewKey()] || 'list';
+    }
+
+    async toggleFolderViewMode() {
+        const key = this.getFolderViewKey();
+        const mode = this.getFolderViewMode() === 'grid' ? 'list' : 'grid';
+        const modes = { ...this.folderViewModes };
+        delete modes[key];
+        if (mode === 'grid') {
+            modes[key] = mode;
+        }
+        this.folderViewModes = modes;
+        this.updateViewModeButton(mode === 'grid');
+        this.rerenderRemoteFiles();
+
+        const result = await window.electronAPI.setFolderViewMode(key, mode);
+        if (!result.success) {
+            this.showNotification('error', 'View Not Saved', result.error);
+        }
+    }
+
+    updateViewModeButton(gridView) {
+        const button = document.getElementById('toggleViewModeBtn');
+        button.title = gridView ? 'Show as List' : 'Show as Grid';
+        button.innerHTML = `<i class="fas ${gridView ? 'fa-list' : 'fa-th-large'}"></i>`;
+    }
+
+    observeThumbnails() {
+        this.thumbnailObserver.disconnect();
+        document.querySelectorAll('#fileTableBody .file-thumbnail[data-image]').forEach(element => {
+            this.thumbnailObserver.observe(element);
+        });
+    }
+
+    async loadThumbnail(element) {
+        const row = element.closest('.file-row');
+        const result = await window.electronAPI.getThumbnail(row.dataset.path, {
+            maxSize: 160,
+            size: Number(element.dataset.size),
+            lastModified: element.dataset.lastModified
+        });
+        // The folder may have been left meanwhile
+        if (!element.isConnected) {
+            return;
+        }
+        if (!result.success) {
+            element.title = result.error;
+            return;
+        }
+
+        const image = document.createElement('img');
+        image.alt = '';
+        image.src = result.thumbnail.dataUrl;
+        element.replaceChildren(image);
+    }
+
+    /**
+     * Show the one selected remote image in the preview panel
+     */
+    updateImagePreview() {
+        const selectedRows = document.querySelectorAll('#fileTableBody .file-row.selected');
+        const row = selectedRows.length === 1 ? selectedRows[0] : null;
+        const visible = !document.getElementById('fileTable').classList.contains('hidden');
+
+        if (!visible || !row || row.dataset.type !== 'file' || !this.isPreviewableImage(row.dataset.name)) {
+            this.imagePreviewDismissed = null;
+            this.hideImagePreview();
+            return;
+        }
+        if (row.dataset.path !== this.imagePreviewPath && row.dataset.path !== this.imagePreviewDismissed) {
+            this.showImagePreview(row.dataset.path, row.dataset.name);
+        }
+    }
+
+    async showImagePreview(remotePath, fileName) {
+        const image = document.getElementById('imagePreviewImage');
+        const item = this.currentRemoteItems.find(candidate => candidate.path === remotePath);
+        this.imagePreviewPath = remotePath;
+        this.imagePreviewDismissed = null;
+        this.imagePreview = null;
+
+        document.getElementById('imagePreviewName').textContent = fileName;
+        document.getElementById('imagePreviewDetails').textContent = 'Loading...';
+        image.classList.add('hidden');
+        image.removeAttribute('src');
+        document.getElementById('imagePreviewPanel').classList.remove('hidden');
+
+        const result = await window.electronAPI.getThumbnail(remotePath, {
+            maxSize: 480,
+            size: item ? item.size : undefined,
+            lastModified: item ? item.lastModified : undefined
+        });
+        if (this.imagePreviewPath !== remotePath) {
+            return;
+        }
+        if (!result.success) {
+            document.getElementById('imagePreviewDetails').textContent = result.error;
+            return;
+        }
+
+        this.imagePreview = { ...result.thumbnail, lastModified: item ? item.lastModified : null };
+        image.src = result.thumbnail.dataUrl;
+        image.classList.remove('hidden');
+    }
+
+    /**
+     * Dimensions the main process couldn't read (SVG, GIF, ...) are taken from
+     * the loaded image, which is then shown at its original size
+     */
+    updateImagePreviewDetails(image) {
+        if (!this.imagePreview) {
+            return;
+        }
+
+        const { size, lastModified } = this.imagePreview;
+        const width = this.imagePreview.width || image.naturalWidth;
+        const height = this.imagePreview.height || image.naturalHeight;
+        const details = [`${width} × ${height} px`, this.formatFileSize(size)];
+        if (lastModified) {
+            details.push(`modified ${new Date(lastModified).toLocaleString()}`);
+        }
+        document.getElementById('imagePreviewDetails').textContent = details.join(' · ');
+    }
+
+    hideImagePreview() {
+        this.imagePreviewPath = null;
+        this.imagePreview = null;
+        document.getElementById('imagePreviewPanel').classList.add('hidden');
+    }
+
+    getFileIcon(item) {
+        if (item.type === 'directory') {
+            return 'fas fa-folder';
+        }
+        
+        const ext = item.name.split('.').pop().toLowerCase();
+        const iconMap = {
+            'js': 'fab fa-js-square',
+            'ts': 'fas fa-file-code',
+            'json': 'fas fa-file-code',
+            'xml': 'fas fa-file-code',
+            'html': 'fab fa-html5',
+            'css': 'fab fa-css3-alt',
+            'scss': 'fab fa-sass',
+            'jpg': 'fas fa-file-image',
+            'jpeg': 'fas fa-file-image',
+            'png': 'fas fa-file-image',
+            'gif': 'fas fa-file-image',
+            'svg': 'fas fa-file-image',
+            'pdf': 'fas fa-file-pdf',
             'doc': 'fas fa-file-word',
             'docx': 'fas fa-file-word',
             'xls': 'fas fa-file-excel',
@@ -1516,10 +2839,16 @@ class SFCCWebDAVManager {
     }
 
     async deleteItem(path) {
-        if (confirm('Are you sure you want to delete this item?')) {
+        const message = this.currentConnection?.trashMode
+            ? 'Move this item to the trash?'
+            : 'Are you sure you want to delete this item?';
+        if (confirm(message)) {
             try {
                 const result = await window.electronAPI.deleteItem(path);
-                if (result.success) {
+                if (result.success && result.trashed) {
+                    this.showNotification('success', 'Moved to Trash', 'Item can be restored from the Trash view.');
+                    this.refreshCurrentDirectory();
+                } else if (result.success) {
                     this.showNotification('success', 'Deleted', 'Item deleted successfully.');
                     this.refreshCurrentDirectory();
                 } else {
@@ -1531,6 +2860,103 @@ class SFCCWebDAVManager {
         }
     }
 
+    async showTrash() {
+        this.showModal('trashModal');
+        await this.loadTrash();
+    }
+
+    async loadTrash() {
+        const list = document.getElementById('trashList');
+        const status = document.getElementById('trashStatus');
+        list.innerHTML = '<div class="code-versions-empty"><i class="fas fa-spinner fa-spin"></i> Loading trash...</div>';
+
+        const result = await window.electronAPI.listTrash();
+        if (!result.success) {
+            list.innerHTML = `<div class="code-versions-empty">${this.escapeHtml(result.error)}</div>`;
+            return;
+        }
+
+        this.trashEntries = result.entries;
+        const retentionDays = this.currentConnection?.trashRetentionDays;
+        status.textContent = retentionDays > 0
+            ? `Items are deleted permanently after ${retentionDays} days.`
+            : 'Items are kept until you delete them.';
+        document.getElementById('emptyTrashBtn').disabled = result.entries.length === 0;
+
+        if (result.entries.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">The trash is empty</div>';
+            return;
+        }
+
+        list.innerHTML = result.entries.map(entry => {
+            const details = [`Deleted ${new Date(entry.deletedAt).toLocaleString()}`];
+            if (entry.type !== 'directory') {
+                details.push(this.formatFileSize(entry.size));
+            }
+            return `
+                <label class="dw-json-config-item">
+                    <input type="checkbox" value="${this.escapeHtml(entry.id)}">
+                    <div class="dw-json-config-details">
+                        <div class="dw-json-config-name">
+                            <i class="fas ${entry.type === 'directory' ? 'fa-folder' : 'fa-file'}"></i>
+                            ${this.escapeHtml(entry.name)}
+                        </div>
+                        <div class="dw-json-config-path" title="${this.escapeHtml(entry.originalPath || '')}">${this.escapeHtml(entry.originalPath || 'Original location unknown')}</div>
+                        <div>${this.escapeHtml(details.join(' · '))}</div>
+                    </div>
+                </label>
+            `;
+        }).join('');
+    }
+
+    getSelectedTrashIds() {
+        return Array.from(document.querySelectorAll('#trashList input[type="checkbox"]:checked')).map(input => input.value);
+    }
+
+    async restoreTrashItems() {
+        const ids = this.getSelectedTrashIds();
+        if (ids.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the items to restore');
+            return;
+        }
+
+        const result = await window.electronAPI.restoreTrashItems(ids);
+        this.reportTrashResult(result, 'Restored', 'Restore Failed');
+    }
+
+    async purgeTrashItems(all) {
+        const ids = all ? (this.trashEntries || []).map(entry => entry.id) : this.getSelectedTrashIds();
+        if (ids.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the items to delete');
+            return;
+        }
+        if (!confirm(`Permanently delete ${ids.length} item(s) from the trash? This cannot be undone.`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.purgeTrashItems(ids);
+        this.reportTrashResult(result, 'Deleted Permanently', 'Delete Failed');
+    }
+
+    async reportTrashResult(result, successTitle, errorTitle) {
+        if (!result.success) {
+            this.showNotification('error', errorTitle, result.error);
+            return;
+        }
+
+        const failed = result.results.filter(item => !item.success);
+        const succeeded = result.results.length - failed.length;
+        if (succeeded > 0) {
+            this.showNotification('success', successTitle, `${succeeded} item(s)`);
+        }
+        if (failed.length > 0) {
+            this.showNotification('error', errorTitle, failed.map(item => item.error).join('; '));
+        }
+
+        await this.loadTrash();
+        this.refreshCurrentDirectory();
+    }
+
     async zipItem(itemPath, itemName) {
         if (!this.isConnected) {
             this.showNotification('error', 'Not Connected', 'Please connect to a WebDAV server first.');
@@ -1725,159 +3151,2456 @@ class SFCCWebDAVManager {
         }
         
         try {
-            console.log('Search pattern:', searchTerm, '-> regex:', regexPattern);
-            return new RegExp(regexPattern, 'i');
+            console.log('Search pattern:', searchTerm, '-> regex:', regexPattern);
+            return new RegExp(regexPattern, 'i');
+        } catch (error) {
+            console.warn('Invalid search pattern:', searchTerm, error);
+            // Fall back to literal search if regex is invalid
+            const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(escapedTerm, 'i');
+        }
+    }
+
+    updateHiddenFilesToggle() {
+        const btn = this.showHiddenFilesBtn;
+        if (!btn) {
+            console.warn('Hidden files toggle button not found');
+            return;
+        }
+        
+        const icon = btn.querySelector('i');
+        if (!icon) {
+            console.warn('Hidden files toggle icon not found');
+            return;
+        }
+        
+        if (this.showHiddenFiles) {
+            // Show hidden files is ON - use open eye icon and blue color
+            icon.className = 'fas fa-eye';
+            btn.classList.add('active');
+            btn.title = 'Hide hidden files';
+        } else {
+            // Show hidden files is OFF - use closed eye icon and normal color
+            icon.className = 'fas fa-eye-slash';
+            btn.classList.remove('active');
+            btn.title = 'Show hidden files';
+        }
+    }
+
+    showLoading(show) {
+        const loading = document.getElementById('loadingIndicator');
+        if (show) {
+            loading.classList.remove('hidden');
+        } else {
+            loading.classList.add('hidden');
+        }
+    }
+
+    showNotification(type, title, message) {
+        const notifications = document.getElementById('notifications');
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        
+        const icons = {
+            success: 'fas fa-check-circle',
+            error: 'fas fa-exclamation-circle',
+            warning: 'fas fa-exclamation-triangle',
+            info: 'fas fa-info-circle'
+        };
+        
+        notification.innerHTML = `
+            <i class="${icons[type]} notification-icon"></i>
+            <div class="notification-content">
+                <div class="notification-title">${title}</div>
+                <div class="notification-message">${message}</div>
+            </div>
+            <button class="notification-close">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        
+        notifications.appendChild(notification);
+        
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (notification.parentNode) {
+                notification.parentNode.removeChild(notification);
+            }
+        }, 5000);
+        
+        // Close button
+        notification.querySelector('.notification-close').addEventListener('click', () => {
+            notification.parentNode.removeChild(notification);
+        });
+    }
+
+    /**
+     * Track progress of a transfer job and refresh the status bar progress bar
+     */
+    updateTransferProgress(job) {
+        if (job.status === 'running') {
+            this.activeTransfers.set(job.id, job);
+        } else if (this.activeTransfers.has(job.id)) {
+            this.activeTransfers.delete(job.id);
+        } else {
+            return;
+        }
+
+        clearTimeout(this.transferProgressHideTimer);
+        this.renderTransferProgress();
+    }
+
+    renderTransferProgress() {
+        const container = document.getElementById('transferProgress');
+        const label = document.getElementById('transferProgressLabel');
+        const fill = document.getElementById('transferProgressFill');
+        const percentLabel = document.getElementById('transferProgressPercent');
+
+        if (this.activeTransfers.size === 0) {
+            // Keep the finished bar visible briefly so short transfers don't just flicker
+            fill.style.width = '100%';
+            percentLabel.textContent = '100%';
+            this.transferProgressHideTimer = setTimeout(() => {
+                container.classList.add('hidden');
+            }, 1000);
+            return;
+        }
+
+        const transfers = Array.from(this.activeTransfers.values());
+        const transferred = transfers.reduce((sum, t) => sum + (t.transferred || 0), 0);
+        const total = transfers.reduce((sum, t) => sum + (t.total || 0), 0);
+
+        if (transfers.length === 1) {
+            const icon = transfers[0].direction === 'upload' ? 'fa-upload' : 'fa-download';
+            label.innerHTML = `<i class="fas ${icon}"></i> ${this.escapeHtml(transfers[0].name)}`;
+        } else {
+            label.innerHTML = `<i class="fas fa-exchange-alt"></i> ${transfers.length} transfers`;
+        }
+
+        if (total > 0) {
+            const percent = Math.min(100, Math.round((transferred / total) * 100));
+            fill.style.width = `${percent}%`;
+            percentLabel.textContent = `${percent}%`;
+        } else {
+            // Size unknown - show transferred bytes only
+            fill.style.width = '0%';
+            percentLabel.textContent = this.formatFileSize(transferred);
+        }
+
+        label.title = `${this.formatFileSize(transferred)} of ${this.formatFileSize(total)}`;
+        container.classList.remove('hidden');
+    }
+
+    initializeTransfersPanel() {
+        document.getElementById('toggleTransfersBtn').addEventListener('click', () => this.toggleTransfersPanel());
+        document.getElementById('closeTransfersPanelBtn').addEventListener('click', () => this.toggleTransfersPanel(false));
+        document.getElementById('clearFinishedTransfersBtn').addEventListener('click', () => this.clearFinishedTransfers());
+        document.getElementById('transferConcurrency').addEventListener('change', (e) => {
+            this.setTransferConcurrency(e.target.value);
+        });
+
+        // Delegate pause/resume/cancel/retry clicks for all transfer rows
+        document.getElementById('transfersList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (button) {
+                const jobId = button.closest('.transfer-item').dataset.jobId;
+                this.handleTransferAction(button.dataset.action, jobId);
+            }
+        });
+
+        this.loadTransferJobs();
+    }
+
+    async loadTransferJobs() {
+        try {
+            const result = await window.electronAPI.getTransferJobs();
+            if (result.success) {
+                this.transferJobs = new Map(result.jobs.map(job => [job.id, job]));
+                document.getElementById('transferConcurrency').value = result.concurrency;
+                this.renderTransfersPanel();
+            }
+        } catch (error) {
+            console.error('Failed to load transfers:', error);
+        }
+    }
+
+    toggleTransfersPanel(show) {
+        const panel = document.getElementById('transfersPanel');
+        const visible = show === undefined ? panel.classList.contains('hidden') : show;
+        panel.classList.toggle('hidden', !visible);
+    }
+
+    handleTransferJobUpdate(job) {
+        this.transferJobs.set(job.id, job);
+        this.updateTransferProgress(job);
+        this.renderTransferItem(job);
+        this.updateTransfersBadge();
+    }
+
+    async handleTransferAction(action, jobId) {
+        const actions = {
+            pause: window.electronAPI.pauseTransfer,
+            resume: window.electronAPI.resumeTransfer,
+            cancel: window.electronAPI.cancelTransfer,
+            retry: window.electronAPI.retryTransfer
+        };
+
+        try {
+            const result = await actions[action](jobId);
+            if (!result.success) {
+                this.showNotification('error', 'Transfer Action Failed', result.error);
+            }
+        } catch (error) {
+            this.showNotification('error', 'Transfer Action Failed', error.message);
+        }
+    }
+
+    async clearFinishedTransfers() {
+        try {
+            const result = await window.electronAPI.clearFinishedTransfers();
+            if (result.success) {
+                this.transferJobs = new Map(result.jobs.map(job => [job.id, job]));
+                this.renderTransfersPanel();
+            }
+        } catch (error) {
+            this.showNotification('error', 'Clear Failed', error.message);
+        }
+    }
+
+    async setTransferConcurrency(concurrency) {
+        try {
+            const result = await window.electronAPI.setTransferConcurrency(concurrency);
+            if (result.success) {
+                document.getElementById('transferConcurrency').value = result.concurrency;
+            } else {
+                this.showNotification('error', 'Settings Failed', result.error);
+            }
+        } catch (error) {
+            this.showNotification('error', 'Settings Failed', error.message);
+        }
+    }
+
+    renderTransfersPanel() {
+        const list = document.getElementById('transfersList');
+        if (this.transferJobs.size === 0) {
+            list.innerHTML = '<div class="transfers-empty">No transfers yet</div>';
+        } else {
+            list.innerHTML = Array.from(this.transferJobs.values())
+                .map(job => this.getTransferItemHtml(job))
+                .join('');
+        }
+        this.updateTransfersBadge();
+    }
+
+    /**
+     * Update a single row in place so progress updates don't re-render the whole list
+     */
+    renderTransferItem(job) {
+        const list = document.getElementById('transfersList');
+        const existing = list.querySelector(`.transfer-item[data-job-id="${job.id}"]`);
+
+        if (existing) {
+            existing.outerHTML = this.getTransferItemHtml(job);
+        } else {
+            const placeholder = list.querySelector('.transfers-empty');
+            if (placeholder) {
+                placeholder.remove();
+            }
+            list.insertAdjacentHTML('beforeend', this.getTransferItemHtml(job));
+        }
+    }
+
+    getTransferItemHtml(job) {
+        const icon = job.direction === 'upload' ? 'fa-upload' : 'fa-download';
+        const percent = job.status === 'completed' ? 100
+            : job.total > 0 ? Math.min(100, Math.round((job.transferred / job.total) * 100)) : 0;
+        const source = job.direction === 'upload' ? job.localPath : job.remotePath;
+        const target = job.direction === 'upload' ? job.remotePath : job.localPath;
+
+        const statusText = {
+            queued: 'Queued',
+            running: `${this.formatFileSize(job.transferred)} of ${this.formatFileSize(job.total)} (${percent}%)`,
+            retrying: `Retrying - ${job.error}`,
+            paused: 'Paused',
+            completed: `Completed - ${this.formatFileSize(job.total)}`,
+            failed: `Failed - ${job.error}`,
+            cancelled: 'Cancelled'
+        }[job.status] || job.status;
+
+        let actions = '';
+        if (['queued', 'running', 'retrying'].includes(job.status)) {
+            actions += '<button class="icon-btn" data-action="pause" title="Pause"><i class="fas fa-pause"></i></button>';
+        }
+        if (job.status === 'paused') {
+            actions += '<button class="icon-btn" data-action="resume" title="Resume"><i class="fas fa-play"></i></button>';
+        }
+        if (['queued', 'running', 'retrying', 'paused'].includes(job.status)) {
+            actions += '<button class="icon-btn" data-action="cancel" title="Cancel"><i class="fas fa-times"></i></button>';
+        }
+        if (['failed', 'cancelled'].includes(job.status)) {
+            actions += '<button class="icon-btn" data-action="retry" title="Retry"><i class="fas fa-redo"></i></button>';
+        }
+
+        return `
+            <div class="transfer-item status-${job.status}" data-job-id="${job.id}">
+                <i class="fas ${icon} transfer-direction"></i>
+                <div class="transfer-info">
+                    <div class="transfer-name" title="${this.escapeHtml(source)} → ${this.escapeHtml(target)}">${this.escapeHtml(job.name)}</div>
+                    <div class="transfer-meta" title="${this.escapeHtml(statusText)}">${this.escapeHtml(statusText)}</div>
+                </div>
+                <div class="transfer-progress-bar">
+                    <div class="transfer-progress-fill" style="width: ${percent}%"></div>
+                </div>
+                <div class="transfer-item-actions">${actions}</div>
+            </div>
+        `;
+    }
+
+    updateTransfersBadge() {
+        const jobs = Array.from(this.transferJobs.values());
+        const pending = jobs.filter(job => ['queued', 'running', 'retrying', 'paused'].includes(job.status)).length;
+        const failed = jobs.filter(job => job.status === 'failed').length;
+        const badge = document.getElementById('transfersBadge');
+
+        if (pending === 0 && failed === 0) {
+            badge.classList.add('hidden');
+            return;
+        }
+
+        badge.textContent = pending > 0 ? pending : failed;
+        badge.classList.toggle('has-errors', failed > 0);
+        badge.title = `${pending} pending, ${failed} failed`;
+        badge.classList.remove('hidden');
+    }
+
+    initializeWatchMode() {
+        document.getElementById('watchModeBtn').addEventListener('click', () => this.showWatchModal());
+        document.getElementById('watchStatusBtn').addEventListener('click', () => this.showWatchModal());
+        document.getElementById('stopWatchBtn').addEventListener('click', () => this.stopWatch());
+        document.getElementById('watchForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startWatch();
+        });
+
+        window.electronAPI.getWatchStatus().then(result => {
+            if (result.success) {
+                this.watchLog = result.status.log;
+                this.applyWatchStatus(result.status);
+            }
+        });
+    }
+
+    showWatchModal() {
+        if (!this.watchStatus || !this.watchStatus.active) {
+            // Prefer a selected local folder, otherwise watch the folder being shown
+            const selectedFolder = document.querySelector('#localFileTableBody .file-row.selected[data-is-directory="true"]');
+            document.getElementById('watchLocalPath').value = selectedFolder ? selectedFolder.dataset.path : this.currentLocalPath;
+            document.getElementById('watchRemotePath').value = this.currentPath;
+        }
+
+        this.renderWatchLog();
+        this.showModal('watchModal');
+    }
+
+    async startWatch() {
+        if (!this.isConnected) {
+            this.showNotification('error', 'Not Connected', 'Please connect to a WebDAV server first.');
+            return;
+        }
+
+        const localPath = document.getElementById('watchLocalPath').value;
+        const remotePath = document.getElementById('watchRemotePath').value.trim();
+
+        try {
+            const result = await window.electronAPI.startWatch(localPath, remotePath, this.currentConnection);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.applyWatchStatus(result.status);
+            this.showNotification('success', 'Watch Mode Started', `Changes in ${localPath} are uploaded to ${remotePath}`);
+        } catch (error) {
+            this.showNotification('error', 'Watch Mode Failed', error.message);
+        }
+    }
+
+    async stopWatch() {
+        try {
+            const result = await window.electronAPI.stopWatch();
+            if (result.success) {
+                this.applyWatchStatus(result.status);
+            }
+        } catch (error) {
+            this.showNotification('error', 'Watch Mode Failed', error.message);
+        }
+    }
+
+    applyWatchStatus(status) {
+        this.watchStatus = status;
+
+        if (status.active) {
+            document.getElementById('watchLocalPath').value = status.localPath;
+            document.getElementById('watchRemotePath').value = status.remotePath;
+        }
+
+        document.getElementById('watchRemotePath').readOnly = status.active;
+        document.getElementById('startWatchBtn').classList.toggle('hidden', status.active);
+        document.getElementById('stopWatchBtn').classList.toggle('hidden', !status.active);
+        document.getElementById('watchModeBtn').classList.toggle('active', status.active);
+        document.getElementById('watchStatusBtn').classList.toggle('hidden', !status.active);
+        document.getElementById('watchStatusBtn').title = status.active
+            ? `Watching ${status.localPath} → ${status.remotePath}`
+            : '';
+    }
+
+    handleWatchActivity(entry) {
+        this.watchLog.push(entry);
+        if (this.watchLog.length > 200) {
+            this.watchLog.shift();
+        }
+        this.renderWatchLog();
+
+        // The watch stops by itself when the watched folder disappears
+        if (this.watchStatus && this.watchStatus.active !== entry.watching) {
+            this.applyWatchStatus({ ...this.watchStatus, active: entry.watching });
+        }
+
+        if (entry.type === 'error') {
+            this.showNotification('error', 'Watch Mode', `${entry.path}: ${entry.message}`);
+        }
+    }
+
+    renderWatchLog() {
+        const log = document.getElementById('watchActivityLog');
+        const icons = {
+            upload: 'fa-upload',
+            delete: 'fa-trash',
+            mkdir: 'fa-folder-plus',
+            error: 'fa-exclamation-circle',
+            info: 'fa-info-circle'
+        };
+
+        log.innerHTML = this.watchLog.map(entry => `
+            <div class="watch-activity ${entry.type}">
+                <span class="watch-activity-time">${new Date(entry.time).toLocaleTimeString()}</span>
+                <i class="fas ${icons[entry.type]}"></i>
+                ${entry.path ? `<span class="watch-activity-path" title="${this.escapeHtml(entry.path)}">${this.escapeHtml(entry.path)}</span>` : ''}
+                <span>${this.escapeHtml(entry.message)}</span>
+            </div>
+        `).join('');
+        log.scrollTop = log.scrollHeight;
+    }
+
+    initializeFolderSync() {
+        document.getElementById('syncFoldersBtn').addEventListener('click', () => this.showSyncModal());
+        document.getElementById('syncMode').addEventListener('change', () => this.loadSyncPlan());
+        document.getElementById('applySyncBtn').addEventListener('click', () => this.applySync());
+        document.getElementById('syncForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.compareSyncFolders();
+        });
+    }
+
+    async showSyncModal() {
+        if (!this.isConnected) {
+            this.showNotification('error', 'Not Connected', 'Please connect to a WebDAV server first.');
+            return;
+        }
+
+        // Prefer a selected local folder, otherwise compare the folder being shown
+        const selectedFolder = document.querySelector('#localFileTableBody .file-row.selected[data-is-directory="true"]');
+        document.getElementById('syncLocalPath').value = selectedFolder ? selectedFolder.dataset.path : this.currentLocalPath;
+        document.getElementById('syncRemotePath').value = this.currentPath;
+        document.getElementById('syncSummary').textContent = 'Compare the folders to preview the changes.';
+        document.getElementById('syncPreview').innerHTML = '';
+        document.getElementById('applySyncBtn').disabled = true;
+        this.syncActions = [];
+        this.syncSummary = null;
+
+        const settings = await window.electronAPI.getSyncSettings();
+        if (settings.success) {
+            document.getElementById('syncExcludes').value = settings.excludes.join('\n');
+        }
+
+        this.showModal('syncModal');
+    }
+
+    async compareSyncFolders() {
+        const localPath = document.getElementById('syncLocalPath').value;
+        const remotePath = document.getElementById('syncRemotePath').value;
+        const excludes = document.getElementById('syncExcludes').value.split(/[\n,]/).map(pattern => pattern.trim()).filter(Boolean);
+        const compareBtn = document.getElementById('compareSyncBtn');
+
+        compareBtn.disabled = true;
+        document.getElementById('applySyncBtn').disabled = true;
+        document.getElementById('syncSummary').textContent = '';
+        document.getElementById('syncPreview').innerHTML = '<div class="code-versions-empty"><i class="fas fa-spinner fa-spin"></i> Comparing folders...</div>';
+
+        try {
+            const result = await window.electronAPI.compareSyncFolders(localPath, remotePath, {
+                excludes,
+                compareHash: document.getElementById('syncCompareHash').checked
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.syncSummary = result.comparison.summary;
+            await this.loadSyncPlan();
+        } catch (error) {
+            document.getElementById('syncPreview').innerHTML = `<div class="code-versions-empty">${this.escapeHtml(error.message)}</div>`;
+        } finally {
+            compareBtn.disabled = false;
+        }
+    }
+
+    async loadSyncPlan() {
+        if (!this.syncSummary) {
+            return;
+        }
+
+        const result = await window.electronAPI.getSyncPlan(document.getElementById('syncMode').value);
+        if (!result.success) {
+            this.showNotification('error', 'Sync Failed', result.error);
+            return;
+        }
+
+        this.syncActions = result.actions;
+        this.renderSyncPlan();
+    }
+
+    /**
+     * Show the planned actions as a tree; each row tells what happens on the
+     * local and on the remote side and can be left out by unchecking it
+     */
+    renderSyncPlan() {
+        const preview = document.getElementById('syncPreview');
+        const summary = this.syncSummary;
+        const applicable = this.syncActions.filter(item => item.action !== 'skip');
+
+        document.getElementById('syncSummary').textContent = [
+            `${summary.same || 0} identical`,
+            `${summary.changed || 0} changed`,
+            `${summary['local-only'] || 0} only local`,
+            `${summary['remote-only'] || 0} only remote`,
+            `${applicable.length} action(s) planned`
+        ].join(' · ');
+        document.getElementById('applySyncBtn').disabled = applicable.length === 0;
+
+        if (this.syncActions.length === 0) {
+            preview.innerHTML = '<div class="code-versions-empty">Nothing to synchronize in this mode</div>';
+            return;
+        }
+
+        const listed = new Set(this.syncActions.map(item => item.relativePath));
+        preview.innerHTML = this.syncActions.map(item => {
+            const segments = item.relativePath.split('/');
+            const name = segments.pop();
+            const parent = segments.join('/');
+            const effect = this.getSyncEffect(item);
+            const local = item.action.endsWith('-local') || item.action === 'download' ? effect : '';
+            const remote = item.action.endsWith('-remote') || item.action === 'upload' ? effect : '';
+            return `
+                <label class="sync-item ${item.action}" title="${this.escapeHtml(item.reason || item.relativePath)}">
+                    <input type="checkbox" value="${this.escapeHtml(item.relativePath)}" ${item.action === 'skip' ? 'disabled' : 'checked'}>
+                    <span class="sync-item-name" style="padding-left: ${segments.length * 16}px">
+                        <i class="fas ${item.type === 'directory' ? 'fa-folder' : 'fa-file'}"></i>
+                        ${parent && !listed.has(parent) ? `<span class="sync-item-parent">${this.escapeHtml(parent)}/</span>` : ''}${this.escapeHtml(name)}
+                    </span>
+                    <span class="sync-item-side">${item.action === 'skip' ? 'conflict' : local}</span>
+                    <span class="sync-item-side">${item.action === 'skip' ? 'conflict' : remote}</span>
+                </label>
+            `;
+        }).join('');
+        preview.insertAdjacentHTML('afterbegin', `
+            <div class="sync-item sync-header">
+                <span></span>
+                <span class="sync-item-name">Name</span>
+                <span class="sync-item-side">Local</span>
+                <span class="sync-item-side">Remote</span>
+            </div>
+        `);
+    }
+
+    getSyncEffect(item) {
+        if (item.action.startsWith('delete-')) {
+            return 'deleted';
+        }
+        return item.state === 'changed' ? 'changed' : 'added';
+    }
+
+    async applySync() {
+        const mode = document.getElementById('syncMode').value;
+        const relativePaths = Array.from(document.querySelectorAll('#syncPreview input[type="checkbox"]:checked')).map(input => input.value);
+        if (relativePaths.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the items to synchronize');
+            return;
+        }
+
+        const deletions = this.syncActions.filter(item => item.action.startsWith('delete-') && relativePaths.includes(item.relativePath));
+        if (deletions.length > 0 && !confirm(`${deletions.length} item(s) will be deleted:\n\n${deletions.map(item => item.relativePath).slice(0, 20).join('\n')}${deletions.length > 20 ? '\n...' : ''}\n\nContinue?`)) {
+            return;
+        }
+
+        document.getElementById('applySyncBtn').disabled = true;
+        this.showNotification('info', 'Synchronizing', `Applying ${relativePaths.length} change(s)...`);
+
+        const result = await window.electronAPI.applySync(mode, relativePaths);
+        if (!result.success) {
+            this.showNotification('error', 'Sync Failed', result.error);
+            document.getElementById('applySyncBtn').disabled = false;
+            return;
+        }
+
+        const { uploaded, downloaded, created, deleted, errors } = result.results;
+        const message = `${uploaded} uploaded, ${downloaded} downloaded, ${created} folder(s) created, ${deleted} deleted`;
+        if (errors.length > 0) {
+            this.showNotification('warning', 'Sync Finished With Errors', `${message}, but ${errors.length} item(s) failed: ${errors.join('; ')}`);
+        } else {
+            this.showNotification('success', 'Sync Complete', message);
+        }
+
+        this.hideModal('syncModal');
+        this.refreshCurrentDirectory();
+        this.loadLocalDirectory(this.currentLocalPath);
+    }
+
+    initializeInstanceCompare() {
+        document.getElementById('compareInstancesBtn').addEventListener('click', () => this.showInstanceCompareModal());
+        document.getElementById('copyToRightBtn').addEventListener('click', () => this.copyInstanceDifferences('left-to-right'));
+        document.getElementById('copyToLeftBtn').addEventListener('click', () => this.copyInstanceDifferences('right-to-left'));
+        document.getElementById('instanceCompareForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.compareInstances();
+        });
+    }
+
+    /**
+     * Compare the folder being browsed with the same folder on another
+     * instance; the current connection is preselected as instance A
+     */
+    showInstanceCompareModal() {
+        if (!this.isConnected) {
+            this.showNotification('error', 'Not Connected', 'Please connect to a WebDAV server first.');
+            return;
+        }
+
+        const options = this.savedConnections.map(connection =>
+            `<option value="${this.escapeHtml(connection.id)}">${this.escapeHtml(connection.name)}${connection.environment ? ` (${this.escapeHtml(connection.environment)})` : ''}</option>`
+        ).join('');
+        const left = document.getElementById('instanceCompareLeft');
+        const right = document.getElementById('instanceCompareRight');
+        left.innerHTML = options;
+        right.innerHTML = options;
+        left.value = this.currentConnection.id;
+        const other = this.savedConnections.find(connection => connection.id !== this.currentConnection.id);
+        if (other) {
+            right.value = other.id;
+        }
+
+        document.getElementById('instanceCompareRoot').value = this.currentConnection.url.split('/webdav/')[1] || 'Sites/Cartridges';
+        document.getElementById('instanceComparePath').value = this.currentPath;
+        document.getElementById('instanceCompareSummary').textContent = '';
+        document.getElementById('instanceCompareList').innerHTML = '';
+        this.instanceComparison = null;
+        this.updateInstanceCopyButtons();
+        this.showModal('instanceCompareModal');
+    }
+
+    async compareInstances() {
+        const leftId = document.getElementById('instanceCompareLeft').value;
+        const rightId = document.getElementById('instanceCompareRight').value;
+        const list = document.getElementById('instanceCompareList');
+        const compareBtn = document.getElementById('runInstanceCompareBtn');
+
+        this.instanceComparison = null;
+        this.updateInstanceCopyButtons();
+        compareBtn.disabled = true;
+        document.getElementById('instanceCompareSummary').textContent = '';
+        list.innerHTML = '<div class="code-versions-empty"><i class="fas fa-spinner fa-spin"></i> Comparing instances...</div>';
+
+        try {
+            const result = await window.electronAPI.compareInstances(leftId, rightId,
+                document.getElementById('instanceCompareRoot').value.trim(),
+                document.getElementById('instanceComparePath').value.trim(),
+                { compareHash: document.getElementById('instanceCompareHash').checked });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.instanceComparison = {
+                ...result.comparison,
+                leftName: this.savedConnections.find(connection => connection.id === leftId)?.name || 'A',
+                rightName: this.savedConnections.find(connection => connection.id === rightId)?.name || 'B'
+            };
+            this.renderInstanceComparison();
+        } catch (error) {
+            list.innerHTML = `<div class="code-versions-empty">${this.escapeHtml(error.message)}</div>`;
+        } finally {
+            compareBtn.disabled = false;
+        }
+    }
+
+    /**
+     * List the files that are missing on one instance or differ, with size
+     * and modification date on both sides
+     */
+    renderInstanceComparison() {
+        const { entries, summary, leftName, rightName } = this.instanceComparison;
+        const list = document.getElementById('instanceCompareList');
+        const differences = entries.filter(entry => entry.state !== 'same');
+
+        document.getElementById('instanceCompareSummary').textContent = [
+            `${summary.same || 0} identical`,
+            `${summary.different || 0} different`,
+            `${summary['left-only'] || 0} only on ${leftName}`,
+            `${summary['right-only'] || 0} only on ${rightName}`
+        ].join(' · ');
+        this.updateInstanceCopyButtons();
+
+        if (differences.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">Both instances have the same files</div>';
+            return;
+        }
+
+        const describe = (item) => {
+            if (!item) {
+                return 'missing';
+            }
+            return item.type === 'directory'
+                ? 'folder'
+                : `${this.formatFileSize(item.size)}${item.mtime ? ` · ${new Date(item.mtime).toLocaleString()}` : ''}`;
+        };
+        const labels = {
+            'left-only': `only on ${leftName}`,
+            'right-only': `only on ${rightName}`,
+            conflict: 'file and folder'
+        };
+
+        list.innerHTML = `
+            <div class="sync-item instance-compare-item sync-header">
+                <span></span>
+                <span class="sync-item-name">Path</span>
+                <span>Difference</span>
+                <span>${this.escapeHtml(leftName)}</span>
+                <span>${this.escapeHtml(rightName)}</span>
+            </div>
+        ` + differences.map(entry => `
+            <label class="sync-item instance-compare-item ${entry.state}" title="${this.escapeHtml(entry.relativePath)}">
+                <input type="checkbox" value="${this.escapeHtml(entry.relativePath)}" ${entry.state === 'conflict' ? 'disabled' : ''}>
+                <span class="sync-item-name">
+                    <i class="fas ${entry.type === 'directory' ? 'fa-folder' : 'fa-file'}"></i>
+                    ${this.escapeHtml(entry.relativePath)}
+                </span>
+                <span class="instance-compare-state">${this.escapeHtml(labels[entry.state] || entry.reasons.join(', '))}</span>
+                <span>${this.escapeHtml(describe(entry.left))}</span>
+                <span>${this.escapeHtml(describe(entry.right))}</span>
+            </label>
+        `).join('');
+    }
+
+    updateInstanceCopyButtons() {
+        const comparison = this.instanceComparison;
+        const copyToRight = document.getElementById('copyToRightBtn');
+        const copyToLeft = document.getElementById('copyToLeftBtn');
+        copyToRight.disabled = !comparison;
+        copyToLeft.disabled = !comparison;
+        copyToRight.lastChild.textContent = ` Copy to ${comparison ? comparison.rightName : 'B'}`;
+        copyToLeft.lastChild.textContent = ` Copy to ${comparison ? comparison.leftName : 'A'}`;
+    }
+
+    async copyInstanceDifferences(direction) {
+        const { leftName, rightName } = this.instanceComparison;
+        const [sourceName, targetName] = direction === 'right-to-left' ? [rightName, leftName] : [leftName, rightName];
+        const relativePaths = Array.from(document.querySelectorAll('#instanceCompareList input[type="checkbox"]:checked')).map(input => input.value);
+        if (relativePaths.length === 0) {
+            this.showNotification('warning', 'Nothing Selected', 'Select the differences to copy');
+            return;
+        }
+        if (!confirm(`Copy ${relativePaths.length} item(s) from ${sourceName} to ${targetName}? Existing files on ${targetName} are replaced.`)) {
+            return;
+        }
+
+        const result = await window.electronAPI.copyInstanceDifferences(relativePaths, direction);
+        if (!result.success) {
+            this.showNotification('error', 'Copy Failed', result.error);
+            return;
+        }
+
+        const copied = result.results.filter(item => item.status === 'copied');
+        const failed = result.results.filter(item => item.status === 'failed');
+        if (copied.length > 0) {
+            this.showNotification('success', 'Copied', `${copied.length} item(s) copied to ${targetName}`);
+        }
+        if (failed.length > 0) {
+            this.showNotification('error', 'Copy Failed', failed.map(item => `${item.relativePath}: ${item.error}`).join('; '));
+        }
+        if (copied.length === 0 && failed.length === 0) {
+            this.showNotification('info', 'Nothing Copied', `The selected items don't exist on ${sourceName}`);
+        }
+
+        await this.compareInstances();
+    }
+
+    initializeTextEditor() {
+        const input = document.getElementById('textEditorInput');
+        const search = document.getElementById('textEditorSearch');
+
+        document.getElementById('closeTextEditorBtn').addEventListener('click', () => this.closeTextEditor());
+        document.getElementById('saveTextEditorBtn').addEventListener('click', () => this.saveTextEditor());
+        document.getElementById('reloadTextEditorBtn').addEventListener('click', () => this.reloadTextEditor());
+        document.getElementById('textEditorPrevMatchBtn').addEventListener('click', () => this.findInTextEditor(-1));
+        document.getElementById('textEditorNextMatchBtn').addEventListener('click', () => this.findInTextEditor(1));
+
+        input.addEventListener('input', () => this.updateTextEditor());
+        input.addEventListener('scroll', () => {
+            const highlight = document.getElementById('textEditorHighlight');
+            highlight.scrollTop = input.scrollTop;
+            highlight.scrollLeft = input.scrollLeft;
+        });
+        input.addEventListener('keydown', (e) => this.handleTextEditorKey(e));
+
+        search.addEventListener('input', () => {
+            this.textEditorMatchIndex = -1;
+            this.findInTextEditor(1);
+        });
+        search.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.findInTextEditor(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                input.focus();
+            } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 's') {
+                e.preventDefault();
+                this.saveTextEditor();
+            }
+        });
+    }
+
+    /**
+     * Syntax highlighting language of a file the editor can open, or null for
+     * files that aren't text
+     */
+    getEditorLanguage(fileName) {
+        const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+        const languages = {
+            xml: 'xml', isml: 'xml', html: 'xml', htm: 'xml', svg: 'xml', xsd: 'xml', xsl: 'xml',
+            json: 'json',
+            js: 'javascript', ds: 'javascript', mjs: 'javascript', cjs: 'javascript',
+            css: 'css', scss: 'css', less: 'css',
+            properties: 'properties',
+            log: 'log',
+            csv: 'csv',
+            txt: 'text', md: 'text', yml: 'text', yaml: 'text', ini: 'text', tsv: 'text'
+        };
+        return languages[extension] || null;
+    }
+
+    async openTextEditor(remotePath, fileName) {
+        const input = document.getElementById('textEditorInput');
+        document.getElementById('textEditorTitle').textContent = fileName;
+        document.getElementById('textEditorDirty').classList.add('hidden');
+        document.getElementById('saveTextEditorBtn').disabled = true;
+        document.getElementById('textEditorSearch').value = '';
+        document.getElementById('textEditorMatches').textContent = '';
+        document.getElementById('textEditorHighlight').innerHTML = '';
+        input.value = '';
+        input.readOnly = true;
+        this.textEditor = null;
+        this.setTextEditorStatus('Loading...');
+        this.showModal('textEditorModal');
+
+        const result = await window.electronAPI.openRemoteTextFile(remotePath);
+        if (!result.success) {
+            this.setTextEditorStatus(`Failed to open file: ${result.error}`);
+            return;
+        }
+
+        const { content, etag, lastModified, size } = result.file;
+        const readOnly = !!(this.writeGuardStatus && this.writeGuardStatus.readOnly);
+        this.textEditor = {
+            path: remotePath,
+            name: fileName,
+            language: this.getEditorLanguage(fileName) || 'text',
+            etag,
+            lastModified,
+            savedContent: content,
+            readOnly
+        };
+        this.textEditorMatchIndex = -1;
+
+        input.value = content;
+        input.readOnly = readOnly;
+        input.scrollTop = 0;
+        input.scrollLeft = 0;
+        this.updateTextEditor();
+        this.setTextEditorStatus(`${this.formatFileSize(size)} · modified ${new Date(lastModified).toLocaleString()}${readOnly ? ' · read-only' : ''}`);
+        input.focus();
+        input.setSelectionRange(0, 0);
+    }
+
+    setTextEditorStatus(text) {
+        document.getElementById('textEditorStatus').textContent = text;
+    }
+
+    isTextEditorDirty() {
+        return !!this.textEditor && document.getElementById('textEditorInput').value !== this.textEditor.savedContent;
+    }
+
+    updateTextEditor() {
+        const dirty = this.isTextEditorDirty();
+        document.getElementById('textEditorDirty').classList.toggle('hidden', !dirty);
+        document.getElementById('saveTextEditorBtn').disabled = !dirty || this.textEditor.readOnly;
+
+        // Highlight once per frame, however fast the user types
+        if (!this.textEditorRenderPending) {
+            this.textEditorRenderPending = true;
+            requestAnimationFrame(() => {
+                this.textEditorRenderPending = false;
+                this.renderTextEditor();
+            });
+        }
+    }
+
+    /**
+     * Draw the highlighted text behind the transparent text field, with search
+     * matches marked
+     */
+    renderTextEditor() {
+        if (!this.textEditor) {
+            return;
+        }
+
+        const text = document.getElementById('textEditorInput').value;
+        // Tokenizing large files on every key stroke makes typing lag
+        const segments = text.length > 300 * 1024
+            ? [{ text }]
+            : this.tokenizeCode(text, this.textEditor.language);
+        const matches = this.getTextEditorMatches(text);
+
+        let html = '';
+        let offset = 0;
+        let matchIndex = 0;
+        for (const segment of segments) {
+            const end = offset + segment.text.length;
+            let position = offset;
+            while (position < end) {
+                while (matchIndex < matches.length && matches[matchIndex].end <= position) {
+                    matchIndex++;
+                }
+                const match = matches[matchIndex];
+                const inMatch = match && match.start <= position;
+                const next = inMatch ? Math.min(match.end, end) : Math.min(match ? match.start : end, end);
+                let part = this.escapeHtml(text.slice(position, next));
+                if (segment.type) {
+                    part = `<span class="tok-${segment.type}">${part}</span>`;
+                }
+                if (inMatch) {
+                    part = `<mark class="${matchIndex === this.textEditorMatchIndex ? 'current' : ''}">${part}</mark>`;
+                }
+                html += part;
+                position = next;
+            }
+            offset = end;
+        }
+
+        // A trailing line break needs content after it to take up a line
+        document.getElementById('textEditorHighlight').innerHTML = html + '\n ';
+    }
+
+    getTextEditorMatches(text) {
+        const query = document.getElementById('textEditorSearch').value.toLowerCase();
+        const matches = [];
+        if (!query) {
+            return matches;
+        }
+
+        const haystack = text.toLowerCase();
+        let index = haystack.indexOf(query);
+        while (index !== -1 && matches.length < 10000) {
+            matches.push({ start: index, end: index + query.length });
+            index = haystack.indexOf(query, index + query.length);
+        }
+        return matches;
+    }
+
+    /**
+     * Split code into segments of { text, type } for highlighting; the types
+     * become tok-* classes
+     */
+    tokenizeCode(text, language) {
+        const string = /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/;
+        const tagRules = [
+            [/"[^"]*"|'[^']*'/, 'string'],
+            [/[\w:.-]+(?=\s*=)/, 'attribute'],
+            [/^<[?!/]?[\w:.-]+|[?/]?>$/, 'tag']
+        ];
+        const rules = {
+            xml: [
+                [/<!--[\s\S]*?-->/, 'comment'],
+                [/<!\[CDATA\[[\s\S]*?\]\]>/, 'string'],
+                [/\$\{[^}\n]*\}/, 'expression'],
+                [/<[?!/]?[\w:.-]+(?:[^<>"']|"[^"]*"|'[^']*')*?[?/]?>/, (tag) => this.tokenizeWith(tag, tagRules)]
+            ],
+            json: [
+                [/"(?:\\.|[^"\\\n])*"(?=\s*:)/, 'key'],
+                [string, 'string'],
+                [/-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/, 'number'],
+                [/\b(?:true|false|null)\b/, 'keyword']
+            ],
+            javascript: [
+                [/\/\/.*|\/\*[\s\S]*?\*\//, 'comment'],
+                [string, 'string'],
+                [/`(?:\\.|[^`\\])*`/, 'string'],
+                [/\b(?:var|let|const|function|return|if|else|for|while|do|switch|case|default|break|continue|new|delete|this|typeof|instanceof|in|of|try|catch|finally|throw|class|extends|async|await|import|export|require|module|exports|true|false|null|undefined)\b/, 'keyword'],
+                [/\b\d+(?:\.\d+)?\b/, 'number']
+            ],
+            css: [
+                [/\/\*[\s\S]*?\*\//, 'comment'],
+                [string, 'string'],
+                [/[\w-]+(?=\s*:[^{}]*;)/, 'attribute'],
+                [/#[0-9a-fA-F]{3,8}\b|\b\d+(?:\.\d+)?(?:px|em|rem|vh|vw|%|s|ms)?\b/, 'number']
+            ],
+            properties: [
+                [/^[ \t]*[#!].*$/, 'comment'],
+                [/^[ \t]*[^\s=:#!][^=:\n]*?(?=[ \t]*[=:])/, 'key']
+            ],
+            log: [
+                [/^\[[^\]\n]*\]/, 'comment'],
+                [/\b(?:ERROR|FATAL)\b/, 'error'],
+                [/\bWARN(?:ING)?\b/, 'warning']
+            ],
+            csv: [
+                [/"(?:[^"]|"")*"/, 'string'],
+                [/[,;]/, 'punctuation']
+            ]
+        };
+
+        return rules[language] ? this.tokenizeWith(text, rules[language]) : [{ text }];
+    }
+
+    /**
+     * Tokenize with [pattern, type] rules; the first rule matching at a position
+     * wins. A function as type tokenizes the match further.
+     */
+    tokenizeWith(text, rules) {
+        const pattern = new RegExp(rules.map(([rule]) => `(${rule.source})`).join('|'), 'gm');
+        const segments = [];
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            if (match.index > last) {
+                segments.push({ text: text.slice(last, match.index) });
+            }
+
+            const type = rules[match.slice(1).findIndex(group => group !== undefined)][1];
+            if (typeof type === 'function') {
+                segments.push(...type(match[0]));
+            } else {
+                segments.push({ text: match[0], type });
+            }
+            last = pattern.lastIndex;
+        }
+
+        if (last < text.length) {
+            segments.push({ text: text.slice(last) });
+        }
+        return segments;
+    }
+
+    /**
+     * Select the next or previous search match and scroll it into view
+     * @param {number} direction - 1 for the next match, -1 for the previous one
+     */
+    findInTextEditor(direction) {
+        const input = document.getElementById('textEditorInput');
+        const matches = this.getTextEditorMatches(input.value);
+        const counter = document.getElementById('textEditorMatches');
+
+        if (matches.length === 0) {
+            this.textEditorMatchIndex = -1;
+            counter.textContent = document.getElementById('textEditorSearch').value ? 'No matches' : '';
+            this.renderTextEditor();
+            return;
+        }
+
+        if (this.textEditorMatchIndex < 0) {
+            // Start from the cursor
+            const cursor = input.selectionStart;
+            const index = matches.findIndex(match => match.start >= cursor);
+            this.textEditorMatchIndex = index === -1 ? 0 : index;
+        } else {
+            this.textEditorMatchIndex = (this.textEditorMatchIndex + direction + matches.length) % matches.length;
+        }
+
+        const match = matches[this.textEditorMatchIndex];
+        counter.textContent = `${this.textEditorMatchIndex + 1} of ${matches.length}`;
+        input.setSelectionRange(match.start, match.end);
+
+        const lineHeight = parseFloat(getComputedStyle(input).lineHeight) || 18;
+        const line = input.value.slice(0, match.start).split('\n').length - 1;
+        input.scrollTop = Math.max(0, line * lineHeight - input.clientHeight / 2);
+        this.renderTextEditor();
+    }
+
+    handleTextEditorKey(e) {
+        // The file list's keyboard navigation must not react to typing
+        e.stopPropagation();
+        const modifier = e.ctrlKey || e.metaKey;
+
+        if (modifier && e.key.toLowerCase() === 's') {
+            e.preventDefault();
+            this.saveTextEditor();
+        } else if (modifier && e.key.toLowerCase() === 'f') {
+            e.preventDefault();
+            const search = document.getElementById('textEditorSearch');
+            const selected = e.target.value.slice(e.target.selectionStart, e.target.selectionEnd);
+            if (selected && !selected.includes('\n')) {
+                search.value = selected;
+                this.textEditorMatchIndex = -1;
+                this.findInTextEditor(1);
+            }
+            search.focus();
+            search.select();
+        } else if (e.key === 'Tab' && !modifier && !e.target.readOnly) {
+            e.preventDefault();
+            // insertText keeps the change on the undo stack
+            document.execCommand('insertText', false, '    ');
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.closeTextEditor();
+        }
+    }
+
+    /**
+     * Save the file back to the server. Unless forced, the save is refused when
+     * the file changed on the server since it was opened.
+     */
+    async saveTextEditor(force = false) {
+        if (!this.textEditor || this.textEditor.readOnly || (!force && !this.isTextEditorDirty())) {
+            return;
+        }
+
+        const editor = this.textEditor;
+        const content = document.getElementById('textEditorInput').value;
+        const expected = force ? null : { etag: editor.etag, lastModified: editor.lastModified };
+        this.setTextEditorStatus('Saving...');
+
+        const result = await window.electronAPI.saveRemoteTextFile(editor.path, content, expected);
+        if (!result.success) {
+            this.setTextEditorStatus('Not saved');
+            if (result.conflict && confirm(`${result.error}.\n\nOverwrite it with your version? Cancel keeps editing; use Reload to see the server version.`)) {
+                await this.saveTextEditor(true);
+            } else if (!result.conflict) {
+                this.showNotification('error', 'Save Failed', result.error);
+            }
+            return;
+        }
+
+        // The editor may have been closed or switched files while saving
+        if (this.textEditor !== editor) {
+            return;
+        }
+        editor.etag = result.file.etag;
+        editor.lastModified = result.file.lastModified;
+        editor.savedContent = content;
+        this.updateTextEditor();
+        this.setTextEditorStatus(`${this.formatFileSize(result.file.size)} · saved ${new Date().toLocaleTimeString()}`);
+        this.showNotification('success', 'Saved', editor.path);
+        this.refreshCurrentDirectory();
+    }
+
+    async reloadTextEditor() {
+        if (!this.textEditor) {
+            return;
+        }
+        if (this.isTextEditorDirty() && !confirm('Discard your changes and load the file from the server again?')) {
+            return;
+        }
+        await this.openTextEditor(this.textEditor.path, this.textEditor.name);
+    }
+
+    closeTextEditor() {
+        if (this.isTextEditorDirty() && !confirm(`Discard your changes to ${this.textEditor.name}?`)) {
+            return;
+        }
+        this.textEditor = null;
+        this.hideModal('textEditorModal');
+    }
+
+    initializeFileDiff() {
+        document.getElementById('copyDiffToLeftBtn').addEventListener('click', () => this.copyDiffSide('right-to-left'));
+        document.getElementById('copyDiffToRightBtn').addEventListener('click', () => this.copyDiffSide('left-to-right'));
+        document.getElementById('diffHideUnchanged').addEventListener('change', () => this.renderFileDiff());
+    }
+
+    /**
+     * Local file to compare a remote file with: the one local file selected,
+     * otherwise the file of the same name in the local folder
+     */
+    getLocalDiffCounterpart(remoteName) {
+        const files = Array.from(document.querySelectorAll('#localFileTableBody .file-row'))
+            .filter(row => row.dataset.isDirectory !== 'true');
+        const selected = files.filter(row => row.classList.contains('selected'));
+        const row = selected.length === 1 ? selected[0] : files.find(candidate => candidate.dataset.name === remoteName);
+        return row ? { source: 'local', path: row.dataset.path, name: row.dataset.name } : null;
+    }
+
+    /**
+     * Show the line differences of two text files
+     * @param {Object} left - { source: 'remote'|'local', path, name }
+     * @param {Object} right - Same for the other file
+     */
+    async showFileDiff(left, right) {
+        const fileDiff = { left, right, diff: null };
+        this.fileDiff = fileDiff;
+
+        document.getElementById('fileDiffLeftLabel').innerHTML = this.getDiffSideLabel(left);
+        document.getElementById('fileDiffRightLabel').innerHTML = this.getDiffSideLabel(right);
+        document.getElementById('fileDiffContent').innerHTML = '';
+        document.getElementById('fileDiffStatus').textContent = 'Comparing...';
+        this.updateFileDiffButtons();
+        this.showModal('fileDiffModal');
+
+        const result = await window.electronAPI.diffFiles(
+            { source: left.source, path: left.path },
+            { source: right.source, path: right.path }
+        );
+        // Another comparison may have been started meanwhile
+        if (this.fileDiff !== fileDiff) {
+            return;
+        }
+        if (!result.success) {
+            document.getElementById('fileDiffStatus').textContent = `Failed to compare: ${result.error}`;
+            return;
+        }
+
+        fileDiff.diff = result.diff;
+        document.getElementById('fileDiffLeftLabel').innerHTML = this.getDiffSideLabel(left, result.diff.left);
+        document.getElementById('fileDiffRightLabel').innerHTML = this.getDiffSideLabel(right, result.diff.right);
+        this.updateFileDiffButtons();
+        this.renderFileDiff();
+    }
+
+    getDiffSideLabel(side, details = null) {
+        const icon = side.source === 'remote' ? 'fa-cloud' : 'fa-laptop';
+        const info = details
+            ? `<small>${this.formatFileSize(details.size)} · modified ${new Date(details.lastModified).toLocaleString()}</small>`
+            : '';
+        return `<i class="fas ${icon}"></i> <span title="${this.escapeHtml(side.path)}">${this.escapeHtml(side.path)}</span>${info}`;
+    }
+
+    /**
+     * Label and enable the copy buttons: between the panes they push or pull,
+     * between two remote files they copy either way
+     */
+    updateFileDiffButtons() {
+        const toLeft = document.getElementById('copyDiffToLeftBtn');
+        const toRight = document.getElementById('copyDiffToRightBtn');
+        const { left, right, diff } = this.fileDiff;
+        const label = (side, arrowFirst) => {
+            const text = side.source === left.source && side.source === right.source
+                ? `Copy to ${side === left ? 'Left' : 'Right'}`
+                : (side.source === 'remote' ? 'Push to Remote' : 'Pull to Local');
+            return arrowFirst ? `← ${text}` : `${text} →`;
+        };
+        toLeft.textContent = label(left, true);
+        toRight.textContent = label(right, false);
+
+        const readOnly = !!(this.writeGuardStatus && this.writeGuardStatus.readOnly);
+        const canCopy = !!diff && !diff.identical;
+        toLeft.disabled = !canCopy || (left.source === 'remote' && readOnly);
+        toRight.disabled = !canCopy || (right.source === 'remote' && readOnly);
+    }
+
+    renderFileDiff() {
+        if (!this.fileDiff || !this.fileDiff.diff) {
+            return;
+        }
+
+        const { rows, stats, identical } = this.fileDiff.diff;
+        const content = document.getElementById('fileDiffContent');
+        const status = document.getElementById('fileDiffStatus');
+
+        if (identical) {
+            content.innerHTML = '<div class="file-diff-message">The files are identical</div>';
+            status.textContent = `${rows.length} line(s), no differences`;
+            return;
+        }
+        status.textContent = `${stats.changed} changed, ${stats.removed} removed, ${stats.added} added`;
+
+        // Unchanged lines are hidden except for a few around each change
+        const context = 3;
+        const visible = new Array(rows.length).fill(!document.getElementById('diffHideUnchanged').checked);
+        rows.forEach((row, index) => {
+            if (row.type !== 'equal') {
+                visible.fill(true, Math.max(0, index - context), Math.min(rows.length, index + context + 1));
+            }
+        });
+
+        const cells = (line, side) => line
+            ? `<td class="file-diff-number">${line.number}</td><td class="file-diff-text file-diff-${side}">${this.escapeHtml(line.text)}</td>`
+            : `<td class="file-diff-number file-diff-empty"></td><td class="file-diff-text file-diff-empty"></td>`;
+        const html = [];
+        let hidden = 0;
+        const flushHidden = () => {
+            if (hidden > 0) {
+                html.push(`<tr class="file-diff-gap"><td colspan="4">… ${hidden} unchanged line(s)</td></tr>`);
+                hidden = 0;
+            }
+        };
+
+        rows.forEach((row, index) => {
+            if (!visible[index]) {
+                hidden++;
+                return;
+            }
+            flushHidden();
+            html.push(`<tr class="file-diff-row ${row.type}">${cells(row.left, 'left')}${cells(row.right, 'right')}</tr>`);
+        });
+        flushHidden();
+
+        content.innerHTML = `<table class="file-diff-table">${html.join('')}</table>`;
+    }
+
+    /**
+     * Replace one file of the diff with the other and compare again
+     * @param {string} direction - 'left-to-right' or 'right-to-left'
+     */
+    async copyDiffSide(direction) {
+        if (!this.fileDiff || !this.fileDiff.diff) {
+            return;
+        }
+
+        const { left, right } = this.fileDiff;
+        const [source, target] = direction === 'left-to-right' ? [left, right] : [right, left];
+        if (!confirm(`Replace ${target.path} with ${source.path}?`)) {
+            return;
+        }
+
+        if (source.source === 'local') {
+            await this.submitTransfers([{ direction: 'upload', localPath: source.path, remotePath: target.path, isDirectory: false }],
+                `Uploading ${source.name}...`);
+        } else if (target.source === 'local') {
+            await this.submitTransfers([{ direction: 'download', localPath: target.path, remotePath: source.path, isDirectory: false }],
+                `Downloading ${source.name}...`);
+        } else {
+            const result = await window.electronAPI.copyRemoteItems([{ fromPath: source.path, toPath: target.path }], { overwrite: true });
+            const error = result.success
+                ? (result.results[0].status === 'failed' ? result.results[0].error : null)
+                : result.error;
+            if (error) {
+                this.showNotification('error', 'Copy Failed', error);
+                return;
+            }
+            this.showNotification('success', 'Copied', `${source.path} → ${target.path}`);
+        }
+
+        this.refreshCurrentDirectory();
+        this.loadLocalDirectory(this.currentLocalPath);
+        await this.showFileDiff(left, right);
+    }
+
+    initializeLogViewer() {
+        document.getElementById('closeLogViewerBtn').addEventListener('click', () => this.closeLogViewer());
+        document.getElementById('pauseLogTailBtn').addEventListener('click', () => this.toggleLogTailPause());
+        document.getElementById('clearLogViewerBtn').addEventListener('click', () => {
+            document.getElementById('logViewerContent').innerHTML = '';
+        });
+    }
+
+    async openLogViewer(remotePath, fileName) {
+        await this.closeLogViewer();
+
+        const content = document.getElementById('logViewerContent');
+        content.innerHTML = '';
+        document.getElementById('logViewerTitle').textContent = fileName;
+        this.setLogViewerStatus('Loading...');
+        this.showModal('logViewerModal');
+
+        try {
+            const result = await window.electronAPI.startLogTail(remotePath, this.currentConnection);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.logTail = { id: result.tail.id, paused: false, pendingLine: '' };
+            this.updateLogTailPauseButton();
+            this.appendLogText(result.tail.text);
+            this.setLogViewerStatus(`Following · ${this.formatFileSize(result.tail.size)}`);
+        } catch (error) {
+            this.setLogViewerStatus(`Failed to open log: ${error.message}`);
+        }
+    }
+
+    async closeLogViewer() {
+        if (this.logTail) {
+            const tailId = this.logTail.id;
+            this.logTail = null;
+            await window.electronAPI.stopLogTail(tailId);
+        }
+        this.hideModal('logViewerModal');
+    }
+
+    async toggleLogTailPause() {
+        if (!this.logTail) {
+            return;
+        }
+
+        const paused = !this.logTail.paused;
+        const result = paused
+            ? await window.electronAPI.pauseLogTail(this.logTail.id)
+            : await window.electronAPI.resumeLogTail(this.logTail.id);
+
+        if (result.success) {
+            this.logTail.paused = paused;
+            this.updateLogTailPauseButton();
+            this.setLogViewerStatus(paused ? 'Paused' : 'Following');
+        }
+    }
+
+    updateLogTailPauseButton() {
+        const button = document.getElementById('pauseLogTailBtn');
+        const paused = this.logTail && this.logTail.paused;
+        button.innerHTML = paused
+            ? '<i class="fas fa-play"></i> Resume'
+            : '<i class="fas fa-pause"></i> Pause';
+    }
+
+    handleLogTailUpdate(update) {
+        if (!this.logTail || update.tailId !== this.logTail.id) {
+            return;
+        }
+
+        if (update.type === 'data') {
+            this.appendLogText(update.text);
+            this.setLogViewerStatus(`Following · updated ${new Date().toLocaleTimeString()}`);
+        } else if (update.type === 'reset') {
+            this.logTail.pendingLine = '';
+            this.appendLogLine(`--- ${update.message} ---`, 'log-line-notice');
+        } else if (update.type === 'error') {
+            this.setLogViewerStatus(`Polling failed: ${update.message}`);
+        }
+    }
+
+    /**
+     * Append log text, holding back an incomplete last line until the rest arrives
+     */
+    appendLogText(text) {
+        const lines = (this.logTail.pendingLine + text).split('\n');
+        this.logTail.pendingLine = lines.pop();
+
+        const content = document.getElementById('logViewerContent');
+        const autoScroll = document.getElementById('logAutoScroll').checked;
+        const fragment = document.createDocumentFragment();
+
+        for (const line of lines) {
+            fragment.appendChild(this.createLogLine(line, this.getLogLineClass(line)));
+        }
+        content.appendChild(fragment);
+
+        // Keep the DOM small for long-running tails
+        while (content.childElementCount > 5000) {
+            content.firstElementChild.remove();
+        }
+
+        if (autoScroll) {
+            content.scrollTop = content.scrollHeight;
+        }
+    }
+
+    appendLogLine(text, className) {
+        const content = document.getElementById('logViewerContent');
+        content.appendChild(this.createLogLine(text, className));
+        if (document.getElementById('logAutoScroll').checked) {
+            content.scrollTop = content.scrollHeight;
+        }
+    }
+
+    createLogLine(text, className) {
+        const line = document.createElement('div');
+        line.className = `log-line ${className}`.trim();
+        line.textContent = text;
+        return line;
+    }
+
+    getLogLineClass(line) {
+        if (/\bFATAL\b/.test(line)) {
+            return 'log-line-fatal';
+        }
+        if (/\bERROR\b/.test(line)) {
+            return 'log-line-error';
+        }
+        if (/\bWARN(ING)?\b/.test(line)) {
+            return 'log-line-warn';
+        }
+        return '';
+    }
+
+    setLogViewerStatus(text) {
+        document.getElementById('logViewerStatus').textContent = text;
+    }
+
+    showLogSearchModal() {
+        const fromInput = document.getElementById('logSearchFrom');
+        if (!fromInput.value) {
+            // Default to the last 24 hours; datetime-local wants local time without zone
+            const from = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            fromInput.value = new Date(from.getTime() - from.getTimezoneOffset() * 60000).toISOString().substring(0, 16);
+        }
+
+        this.logSearchView = this.logSearchView || 'groups';
+        this.showModal('logSearchModal');
+    }
+
+    async searchLogs() {
+        const from = document.getElementById('logSearchFrom').value;
+        const to = document.getElementById('logSearchTo').value;
+        const filters = {
+            from: from ? new Date(from).toISOString() : null,
+            to: to ? new Date(to).toISOString() : null,
+            levels: Array.from(document.querySelectorAll('input[name="logLevel"]:checked')).map(input => input.value),
+            site: document.getElementById('logSearchSite').value.trim(),
+            text: document.getElementById('logSearchText').value.trim()
+        };
+
+        const searchButton = document.getElementById('logSearchBtn');
+        const status = document.getElementById('logSearchStatus');
+        searchButton.disabled = true;
+        status.textContent = 'Listing log files...';
+
+        try {
+            const result = await window.electronAPI.searchLogs(this.currentConnection, filters);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const { stats } = result.results;
+            this.logSearchResults = result.results;
+            status.textContent = `${stats.entriesMatched} matches in ${stats.filesSearched} of ${stats.filesFound} files · ${this.formatFileSize(stats.bytesDownloaded)} downloaded`;
+            if (stats.errors) {
+                status.textContent += ` · ${stats.errors.length} file(s) failed`;
+                console.error('Log search errors:', stats.errors);
+            }
+            this.renderLogSearchResults();
+        } catch (error) {
+            status.textContent = '';
+            this.showNotification('error', 'Log Search Failed', error.message);
+        } finally {
+            searchButton.disabled = false;
+        }
+    }
+
+    async clearLogCache() {
+        const result = await window.electronAPI.clearLogCache();
+        if (result.success) {
+            this.showNotification('success', 'Cache Cleared', 'Cached log files were deleted');
+        } else {
+            this.showNotification('error', 'Clear Failed', result.error);
+        }
+    }
+
+    setLogSearchView(view) {
+        this.logSearchView = view;
+        document.querySelectorAll('.log-search-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        this.renderLogSearchResults();
+    }
+
+    renderLogSearchResults() {
+        const container = document.getElementById('logSearchResults');
+        if (!this.logSearchResults) {
+            return;
+        }
+
+        const { groups, entries } = this.logSearchResults;
+        const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+        if (this.logSearchView === 'entries') {
+            container.innerHTML = entries.length === 0 ? '<div class="code-versions-empty">No matching entries</div>' : entries.map(entry => `
+                <details class="log-result">
+                    <summary>
+                        <span class="log-result-meta">${formatTime(entry.timestamp)}</span>
+                        <span class="log-result-level level-${entry.level.toLowerCase()}">${entry.level}</span>
+                        <span class="log-result-message">${this.escapeHtml(entry.message)}</span>
+                        <span class="log-result-meta">${this.escapeHtml(entry.site || '')}</span>
+                    </summary>
+                    <div class="log-result-details">${this.escapeHtml(this.getLogEntryDetails(entry))}</div>
+                </details>
+            `).join('');
+            return;
+        }
+
+        container.innerHTML = groups.length === 0 ? '<div class="code-versions-empty">No matching entries</div>' : groups.map(group => `
+            <details class="log-result">
+                <summary>
+                    <span class="log-result-count">${group.count}×</span>
+                    <span class="log-result-level level-${group.level.toLowerCase()}">${group.level}</span>
+                    <span class="log-result-message">${this.escapeHtml(group.message)}</span>
+                    <span class="log-result-meta">last ${formatTime(group.lastSeen)}</span>
+                </summary>
+                <div class="log-result-details">${this.escapeHtml([
+                    `First seen: ${formatTime(group.firstSeen)}`,
+                    `Sites: ${group.sites.join(', ') || '-'}`,
+                    `Files: ${group.files.join(', ')}`,
+                    '',
+                    group.message,
+                    group.stackTrace
+                ].join('\n'))}</div>
+            </details>
+        `).join('');
+    }
+
+    getLogEntryDetails(entry) {
+        const lines = [`File: ${entry.file}`];
+        if (entry.pipeline) {
+            lines.push(`Pipeline/Controller: ${entry.pipeline}`);
+        }
+        if (entry.sessionId) {
+            lines.push(`Session: ${entry.sessionId}`);
+        }
+        if (entry.category) {
+            lines.push(`Category: ${entry.category}`);
+        }
+        lines.push('', entry.message);
+        if (entry.details) {
+            lines.push(entry.details);
+        }
+        return lines.join('\n');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Update URL preview in real-time
+     */
+    updateUrlPreview(input) {
+        const preview = document.getElementById('urlPreview');
+        const previewText = document.getElementById('urlPreviewText');
+        
+        if (!input || input.trim() === '') {
+            preview.classList.add('hidden');
+            return;
+        }
+        
+        const normalizedUrl = this.normalizeWebDAVUrl(input);
+        previewText.textContent = normalizedUrl;
+        preview.classList.remove('hidden');
+    }
+
+    /**
+     * Navigate to an SFCC folder by changing the connection URL base path
+     */
+    async navigateToSFCCFolder(folderPath) {
+        if (!this.isConnected || !this.currentConnection) {
+            this.showNotification('error', 'Not Connected', 'Please connect to a WebDAV server first.');
+            return;
+        }
+
+        // Log search always covers the whole Logs folder
+        if (folderPath === '/log-search') {
+            this.showLogSearchModal();
+            return;
+        }
+
+        // Impex jobs run through OCAPI, whichever folder is being browsed
+        if (folderPath === '/impex-jobs') {
+            this.showImpexJobsModal();
+            return;
+        }
+
+        // Code versions are managed through OCAPI, not browsed
+        if (folderPath === '/code-versions') {
+            this.showCodeVersionsModal();
+            return;
+        }
+
+        // Special handling for catalogs folder
+        if (folderPath === '/catalogs') {
+            await this.handleCatalogsNavigation();
+            return;
+        }
+
+        // Special handling for libraries folder  
+        if (folderPath === '/libraries') {
+            await this.handleLibrariesNavigation();
+            return;
+        }
+
+        try {
+            // Create new credentials with updated URL
+            const baseUrl = this.currentConnection.url.split('/webdav/')[0];
+            const newUrl = `${baseUrl}/webdav/Sites${folderPath}`;
+            
+            console.log('Navigating to SFCC folder:', folderPath);
+            console.log('New URL:', newUrl);
+            
+            const updatedCredentials = {
+                ...this.currentConnection,
+                url: newUrl
+            };
+
+            // Test the new connection
+            const result = await window.electronAPI.testConnection(updatedCredentials);
+            if (result.success && result.connected) {
+                // Update current connection and navigate to root of this folder
+                this.currentConnection = updatedCredentials;
+                const listResult = await window.electronAPI.listDirectory('/');
+                this.currentPath = '/';
+                this.pathHistory = [];
+                this.updateFileListView(listResult); // Use the centralized UI update method
+                this.updateBreadcrumb('/');
+                this.updateBackButton();
+                this.showNotification('info', 'Folder Changed', `Switched to ${folderPath.substring(1)} folder`);
+            } else {
+                this.showNotification('error', 'Navigation Failed', `Cannot access ${folderPath.substring(1)} folder. Check permissions.`);
+            }
+        } catch (error) {
+            console.error('SFCC folder navigation error:', error);
+            this.showNotification('error', 'Navigation Failed', error.message);
+        }
+    }
+
+    showCodeVersionsModal() {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        document.getElementById('deployVersionId').value =
+            `version_${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}`;
+        document.getElementById('deployStatus').classList.add('hidden');
+
+        this.renderDeployCartridgeList();
+        this.showModal('codeVersionsModal');
+        this.loadCodeVersions();
+    }
+
+    async loadCodeVersions() {
+        const list = document.getElementById('codeVersionsList');
+
+        if (this.currentConnection.authType !== 'oauth2') {
+            list.innerHTML = '<div class="code-versions-empty">Listing and activating code versions requires an OAuth2 connection</div>';
+            return;
+        }
+
+        list.innerHTML = '<div class="code-versions-empty"><i class="fas fa-spinner fa-spin"></i> Loading code versions...</div>';
+
+        try {
+            const result = await window.electronAPI.fetchCodeVersions(this.currentConnectionId, this.currentConnection.url);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.renderCodeVersions(result.codeVersions);
+        } catch (error) {
+            list.innerHTML = `<div class="code-versions-empty">${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderCodeVersions(codeVersions) {
+        const list = document.getElementById('codeVersionsList');
+
+        if (codeVersions.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">No code versions found</div>';
+            return;
+        }
+
+        list.innerHTML = codeVersions.map(version => {
+            const modified = version.lastModified ? new Date(version.lastModified).toLocaleString() : '-';
+            const cartridges = version.cartridges.length > 0 ? version.cartridges.join(', ') : 'No cartridges';
+            const actions = version.active ? '' : `
+                <button class="icon-btn" data-action="activate" title="Activate"><i class="fas fa-check"></i></button>
+                <button class="icon-btn" data-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+            `;
+
+            return `
+                <div class="code-version-item" data-version-id="${this.escapeHtml(version.id)}">
+                    <div class="code-version-info">
+                        <div class="code-version-name">
+                            ${this.escapeHtml(version.id)}
+                            ${version.active ? '<span class="code-version-active">Active</span>' : ''}
+                        </div>
+                        <div class="code-version-meta" title="${this.escapeHtml(cartridges)}">Modified ${modified} · ${this.escapeHtml(cartridges)}</div>
+                    </div>
+                    <div class="code-version-actions">${actions}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async handleCodeVersionAction(action, versionId) {
+        try {
+            let result;
+            if (action === 'activate') {
+                if (!confirm(`Activate code version "${versionId}"? The storefront switches to this code immediately.`)) {
+                    return;
+                }
+                result = await window.electronAPI.activateCodeVersion(this.currentConnectionId, this.currentConnection.url, versionId);
+            } else if (action === 'delete') {
+                if (!confirm(`Are you sure you want to delete code version "${versionId}"? This action cannot be undone.`)) {
+                    return;
+                }
+                result = await window.electronAPI.deleteCodeVersion(this.currentConnectionId, this.currentConnection.url, versionId);
+            }
+
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.showNotification('success', 'Code Version Updated', `Code version "${versionId}" ${action === 'activate' ? 'activated' : 'deleted'}`);
+            this.loadCodeVersions();
+        } catch (error) {
+            this.showNotification('error', 'Code Version Action Failed', error.message);
+        }
+    }
+
+    async createCodeVersion() {
+        const input = document.getElementById('newCodeVersionId');
+        const versionId = input.value.trim();
+
+        try {
+            const result = await window.electronAPI.createCodeVersion(this.currentConnectionId, this.currentConnection.url, versionId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            input.value = '';
+            this.showNotification('success', 'Code Version Created', `Code version "${versionId}" created`);
+            this.loadCodeVersions();
+        } catch (error) {
+            this.showNotification('error', 'Create Failed', error.message);
+        }
+    }
+
+    /**
+     * Cartridges to deploy are the folders selected in the local panel
+     */
+    getSelectedLocalCartridges() {
+        return Array.from(document.querySelectorAll('#localFileTableBody .file-row.selected'))
+            .filter(row => row.dataset.isDirectory === 'true')
+            .map(row => row.dataset.path);
+    }
+
+    renderDeployCartridgeList() {
+        const cartridges = this.getSelectedLocalCartridges();
+        const list = document.getElementById('deployCartridgeList');
+
+        if (cartridges.length === 0) {
+            list.textContent = 'Select the cartridge folders to deploy in the local panel first.';
+        } else {
+            list.innerHTML = cartridges
+                .map(cartridgePath => `<span class="deploy-cartridge" title="${this.escapeHtml(cartridgePath)}">${this.escapeHtml(cartridgePath.split(/[\\/]/).pop())}</span>`)
+                .join('');
+        }
+
+        document.getElementById('deployCartridgesBtn').disabled = cartridges.length === 0;
+    }
+
+    async deployCartridges() {
+        const cartridgePaths = this.getSelectedLocalCartridges();
+        const versionId = document.getElementById('deployVersionId').value.trim();
+        const activate = document.getElementById('deployActivate').checked;
+        const deployButton = document.getElementById('deployCartridgesBtn');
+
+        if (cartridgePaths.length === 0) {
+            this.showNotification('warning', 'Nothing to Deploy', 'Select the cartridge folders to deploy in the local panel');
+            return;
+        }
+
+        deployButton.disabled = true;
+        try {
+            const result = await window.electronAPI.deployCartridges(this.currentConnectionId, this.currentConnection.url, {
+                versionId,
+                cartridgePaths,
+                activate
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.showNotification('success', 'Deployment Complete', `Deployed ${cartridgePaths.length} cartridge(s) to "${versionId}"${activate ? ' and activated it' : ''}`);
+            this.loadCodeVersions();
+        } catch (error) {
+            this.updateDeployStatus({ message: `Deployment failed: ${error.message}` });
+            this.showNotification('error', 'Deployment Failed', error.message);
+        } finally {
+            deployButton.disabled = false;
+        }
+    }
+
+    updateDeployStatus(progress) {
+        const status = document.getElementById('deployStatus');
+        let text = progress.message;
+        if (progress.total > 0) {
+            text += ` ${Math.round((progress.transferred / progress.total) * 100)}%`;
+        }
+        status.textContent = text;
+        status.classList.remove('hidden');
+    }
+
+    /**
+     * Right-click menu of a remote file or folder
+     */
+    async showRemoteContextMenu(row) {
+        if (!row.classList.contains('selected')) {
+            document.querySelectorAll('.file-row.selected').forEach(r => r.classList.remove('selected'));
+            row.classList.add('selected');
+            this.lastSelectedIndex = parseInt(row.dataset.index);
+            this.updateSelectionInfo();
+        }
+
+        const { path, name, type } = row.dataset;
+        const isZip = type === 'file' && name.toLowerCase().endsWith('.zip');
+        const items = [];
+
+        if (type === 'directory') {
+            items.push({ id: 'open', label: 'Open' });
+        } else {
+            if (this.getEditorLanguage(name)) {
+                items.push({ id: 'edit', label: 'Edit' });
+            }
+            items.push({ id: 'download', label: 'Download' });
+        }
+        const localCounterpart = type === 'file' ? this.getLocalDiffCounterpart(name) : null;
+        const selectedRemoteFiles = Array.from(document.querySelectorAll('#fileTableBody .file-row.selected'))
+            .filter(selectedRow => selectedRow.dataset.type === 'file');
+        if (type === 'file') {
+            items.push({ type: 'separator' });
+            items.push({
+                id: 'compare-local',
+                label: localCounterpart ? `Compare with Local ${localCounterpart.name}` : 'Compare with Local File',
+                enabled: !!localCounterpart
+            });
+            items.push({ id: 'compare-selected', label: 'Compare Selected Files', enabled: selectedRemoteFiles.length === 2 });
+            items.push({ type: 'separator' });
+        }
+        if (isZip) {
+            items.push({ id: 'unzip', label: 'Unzip' });
+            items.push({ type: 'separator' });
+            items.push({
+                id: 'import',
+                label: 'Import Site Archive',
+                enabled: !!this.getSiteArchiveImportName(path) && this.currentConnection.authType === 'oauth2'
+            });
+        } else {
+            items.push({ id: 'zip', label: 'Zip' });
+        }
+        const selectedCount = document.querySelectorAll('#fileTableBody .file-row.selected').length;
+        items.push({ type: 'separator' });
+        items.push({ id: 'rename', label: 'Rename', enabled: selectedCount === 1 });
+        items.push({ id: 'cut', label: 'Cut' });
+        items.push({ id: 'copy', label: 'Copy' });
+        items.push({
+            id: 'paste',
+            label: type === 'directory' ? 'Paste into Folder' : 'Paste',
+            enabled: !!this.remoteClipboard
+        });
+        items.push({ type: 'separator' });
+        items.push({ id: 'delete', label: 'Delete' });
+
+        const action = await window.electronAPI.showContextMenu(items);
+        switch (action) {
+            case 'open':
+                this.navigateToPath(path);
+                break;
+            case 'edit':
+                this.openTextEditor(path, name);
+                break;
+            case 'download':
+                this.downloadFile(path);
+                break;
+            case 'compare-local':
+                this.showFileDiff({ source: 'remote', path, name }, localCounterpart);
+                break;
+            case 'compare-selected':
+                this.showFileDiff(
+                    ...selectedRemoteFiles.map(file => ({ source: 'remote', path: file.dataset.path, name: file.dataset.name }))
+                );
+                break;
+            case 'zip':
+                this.zipItem(path, name);
+                break;
+            case 'unzip':
+                this.unzipItem(path, name);
+                break;
+            case 'import':
+                this.importSiteArchive(this.getSiteArchiveImportName(path));
+                break;
+            case 'rename':
+                this.startRemoteRename(row);
+                break;
+            case 'cut':
+            case 'copy':
+                this.setRemoteClipboard(action === 'cut' ? 'move' : 'copy',
+                    Array.from(document.querySelectorAll('#fileTableBody .file-row.selected')));
+                break;
+            case 'paste':
+                this.pasteRemoteItems(type === 'directory' ? path : this.currentPath);
+                break;
+            case 'delete':
+                this.deleteItem(path);
+                break;
+        }
+    }
+
+    joinRemotePath(folder, name) {
+        return folder === '/' ? `/${name}` : `${folder.replace(/\/+$/, '')}/${name}`;
+    }
+
+    isCutRemoteItem(path) {
+        return !!this.remoteClipboard && this.remoteClipboard.operation === 'move' &&
+            this.remoteClipboard.root === this.currentConnection?.url &&
+            this.remoteClipboard.items.some(item => item.path === path);
+    }
+
+    /**
+     * Remember remote rows for a later paste; cut items are dimmed until then.
+     * The WebDAV root is kept too, so items can be pasted after switching to
+     * another SFCC folder such as Impex.
+     * @param {string} operation - 'move' (cut) or 'copy'
+     */
+    setRemoteClipboard(operation, rows) {
+        this.remoteClipboard = {
+            operation,
+            root: this.currentConnection.url,
+            items: rows.map(row => ({ path: row.dataset.path, name: row.dataset.name }))
+        };
+        document.querySelectorAll('#fileTableBody .file-row').forEach(row => {
+            row.classList.toggle('cut', this.isCutRemoteItem(row.dataset.path));
+        });
+        this.showNotification('info', operation === 'move' ? 'Cut' : 'Copied',
+            `${rows.length} item(s) ready to paste`);
+    }
+
+    async pasteRemoteItems(targetFolder) {
+        if (!this.remoteClipboard) {
+            return;
+        }
+
+        const { operation, root, items } = this.remoteClipboard;
+        const crossRoot = root !== this.currentConnection.url;
+        const succeeded = await this.runRemoteOperation(operation, items.map(item => ({
+            fromPath: item.path,
+            toPath: this.joinRemotePath(targetFolder, item.name),
+            ...(crossRoot ? { fromRoot: root, toRoot: this.currentConnection.url } : {})
+        })));
+
+        // Cut items can only be pasted once; copies can be pasted again
+        if (operation === 'move' && succeeded) {
+            this.remoteClipboard = null;
+        }
+    }
+
+    /**
+     * Replace the name of a remote row with a text field; Enter or leaving the
+     * field renames, Escape cancels
+     */
+    startRemoteRename(row) {
+        const nameCell = row.querySelector('.file-name');
+        if (!nameCell || nameCell.querySelector('.rename-input')) {
+            return;
+        }
+
+        const oldName = row.dataset.name;
+        const originalHtml = nameCell.innerHTML;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'rename-input';
+        input.value = oldName;
+        nameCell.innerHTML = '';
+        nameCell.appendChild(row.querySelector('.file-icon') || document.createElement('span'));
+        nameCell.appendChild(input);
+        row.draggable = false;
+
+        // Select the name without the extension, like file managers do
+        const extensionIndex = row.dataset.type === 'file' ? oldName.lastIndexOf('.') : -1;
+        input.focus();
+        input.setSelectionRange(0, extensionIndex > 0 ? extensionIndex : oldName.length);
+
+        let finished = false;
+        const finish = async (commit) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            const newName = input.value.trim();
+            nameCell.innerHTML = originalHtml;
+            row.draggable = true;
+
+            if (!commit || !newName || newName === oldName) {
+                return;
+            }
+            if (newName.includes('/')) {
+                this.showNotification('error', 'Invalid Name', 'Names cannot contain "/"');
+                return;
+            }
+
+            const parent = row.dataset.path.substring(0, row.dataset.path.lastIndexOf('/')) || '/';
+            await this.runRemoteOperation('move', [{
+                fromPath: row.dataset.path,
+                toPath: this.joinRemotePath(parent, newName)
+            }], 'Renamed');
+        };
+
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('dblclick', (e) => e.stopPropagation());
+    }
+
+    /**
+     * Move or copy remote items, asking before existing items are replaced
+     * @param {string} operation - 'move' or 'copy'
+     * @param {Array} items - { fromPath, toPath } pairs, with fromRoot and toRoot
+     *   when they are in different WebDAV roots
+     * @param {string} successTitle - Notification title, defaults to Moved/Copied
+     * @returns {Promise<boolean>} Whether every item was moved or copied
+     */
+    async runRemoteOperation(operation, items, successTitle = null) {
+        const run = operation === 'move'
+            ? (pending, options) => window.electronAPI.moveRemoteItems(pending, options)
+            : (pending, options) => window.electronAPI.copyRemoteItems(pending, options);
+
+        let result = await run(items, { overwrite: false });
+        if (!result.success) {
+            this.showNotification('error', operation === 'move' ? 'Move Failed' : 'Copy Failed', result.error);
+            return false;
+        }
+
+        let results = result.results;
+        const conflicts = results.filter(item => item.status === 'conflict');
+        if (conflicts.length > 0) {
+            const names = conflicts.map(item => item.toPath.split('/').pop()).join(', ');
+            if (confirm(`${conflicts.length} item(s) already exist in the destination: ${names}\n\nReplace them?`)) {
+                const retry = await run(conflicts.map(({ fromPath, toPath, fromRoot, toRoot }) => ({ fromPath, toPath, fromRoot, toRoot })), { overwrite: true });
+                if (retry.success) {
+                    results = results.filter(item => item.status !== 'conflict').concat(retry.results);
+                } else {
+                    this.showNotification('error', 'Replace Failed', retry.error);
+                }
+            }
+        }
+
+        const done = results.filter(item => item.status === 'moved' || item.status === 'copied');
+        const failed = results.filter(item => item.status === 'failed');
+        if (done.length > 0) {
+            const title = successTitle || (operation === 'move' ? 'Moved' : 'Copied');
+            const message = done.length === 1
+                ? `${done[0].fromPath} → ${done[0].toPath}`
+                : `${done.length} item(s) ${operation === 'move' ? 'moved' : 'copied'}`;
+            this.showNotification('success', title, message);
+        }
+        if (failed.length > 0) {
+            this.showNotification('error', operation === 'move' ? 'Move Failed' : 'Copy Failed',
+                failed.map(item => item.error).join('; '));
+        }
+
+        this.refreshCurrentDirectory();
+        return done.length === items.length;
+    }
+
+    /**
+     * Site archive imports only take archives from Impex/src/instance, named
+     * relative to that folder. Returns null for any other file.
+     */
+    getSiteArchiveImportName(remotePath) {
+        if (!/\/webdav\/Sites\/Impex\/?$/i.test(this.currentConnection.url)) {
+            return null;
+        }
+
+        const match = remotePath.match(/^\/src\/instance\/([^/]+\.zip)$/i);
+        return match ? match[1] : null;
+    }
+
+    async importSiteArchive(fileName) {
+        if (!confirm(`Import site archive "${fileName}"? Its data overwrites the data on this instance.`)) {
+            return;
+        }
+
+        await this.showImpexJobsModal('sfcc-site-archive-import', { file_name: fileName });
+        await this.runJob();
+    }
+
+    async showImpexJobsModal(jobId = null, body = null) {
+        const jobIdInput = document.getElementById('jobIdInput');
+        const bodyInput = document.getElementById('jobBodyInput');
+        if (jobId) {
+            jobIdInput.value = jobId;
+            bodyInput.value = JSON.stringify(body || {}, null, 2);
+        } else if (!jobIdInput.value) {
+            jobIdInput.value = 'sfcc-site-archive-import';
+            bodyInput.value = JSON.stringify({ file_name: '' }, null, 2);
+        }
+
+        this.showModal('impexJobsModal');
+
+        const result = await window.electronAPI.getJobExecutions();
+        if (result.success) {
+            this.jobExecutions = new Map(result.executions.map(execution => [execution.id, execution]));
+        }
+        this.renderJobExecutions();
+    }
+
+    async runJob() {
+        const jobId = document.getElementById('jobIdInput').value.trim();
+        const runButton = document.getElementById('runJobBtn');
+
+        if (this.currentConnection.authType !== 'oauth2') {
+            this.showNotification('error', 'OAuth2 Required', 'Running jobs requires an OAuth2 connection with OCAPI access.');
+            return;
+        }
+
+        let body;
+        try {
+            const bodyText = document.getElementById('jobBodyInput').value.trim();
+            body = bodyText ? JSON.parse(bodyText) : {};
+        } catch (error) {
+            this.showNotification('error', 'Invalid Parameters', `Job parameters are not valid JSON: ${error.message}`);
+            return;
+        }
+
+        runButton.disabled = true;
+        try {
+            const result = await window.electronAPI.runJob(this.currentConnectionId, this.currentConnection.url, jobId, body);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            this.handleJobExecutionUpdate(result.execution);
+            this.showNotification('info', 'Job Started', `${jobId} is running`);
+        } catch (error) {
+            this.showNotification('error', 'Job Failed to Start', error.message);
+        } finally {
+            runButton.disabled = false;
+        }
+    }
+
+    handleJobExecutionUpdate(execution) {
+        const previous = this.jobExecutions.get(execution.id);
+        this.jobExecutions.set(execution.id, execution);
+
+        // Announce executions that finished while the app was following them
+        if (previous && previous.status !== execution.status && ['finished', 'aborted'].includes(execution.status)) {
+            if (execution.failed || execution.status === 'aborted') {
+                this.showNotification('error', 'Job Failed', `${execution.jobId}: ${execution.exitMessage || execution.exitCode || execution.status}`);
+            } else {
+                this.showNotification('success', 'Job Finished', `${execution.jobId} finished with ${execution.exitCode || 'OK'}`);
+            }
+        }
+
+        if (!document.getElementById('impexJobsModal').classList.contains('hidden')) {
+            this.renderJobExecutions();
+        }
+    }
+
+    renderJobExecutions() {
+        const list = document.getElementById('jobExecutionsList');
+        const executions = Array.from(this.jobExecutions.values())
+            .sort((a, b) => (b.startTime || '').localeCompare(a.startTime || ''));
+
+        if (executions.length === 0) {
+            list.innerHTML = '<div class="code-versions-empty">No jobs started in this session</div>';
+            return;
+        }
+
+        list.innerHTML = executions.map(execution => {
+            const running = !['finished', 'aborted'].includes(execution.status);
+            const failed = execution.failed || execution.status === 'aborted';
+            const state = running ? execution.status : (execution.exitCode || execution.status);
+            const started = execution.startTime ? new Date(execution.startTime).toLocaleString() : '-';
+            const duration = execution.duration ? ` · ${Math.round(execution.duration / 1000)}s` : '';
+            const message = execution.pollError || execution.exitMessage || '';
+
+            return `
+                <div class="code-version-item" data-execution-id="${this.escapeHtml(execution.id)}">
+                    <div class="code-version-info">
+                        <div class="code-version-name">
+                            ${this.escapeHtml(execution.jobId)}
+                            <span class="job-status ${running ? 'running' : (failed ? 'failed' : 'ok')}">
+                                ${running ? '<i class="fas fa-spinner fa-spin"></i> ' : ''}${this.escapeHtml(state)}
+                            </span>
+                        </div>
+                        <div class="code-version-meta" title="${this.escapeHtml(message)}">Started ${started}${duration}${message ? ` · ${this.escapeHtml(message)}` : ''}</div>
+                    </div>
+                    <div class="code-version-actions">
+                        ${execution.logFilePath ? '<button class="icon-btn" data-action="log" title="Show Log"><i class="fas fa-file-alt"></i></button>' : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async showJobLog(executionId) {
+        const output = document.getElementById('jobLogOutput');
+        output.textContent = 'Loading job log...';
+        output.classList.remove('hidden');
+
+        try {
+            const result = await window.electronAPI.getJobLog(this.currentConnectionId, this.currentConnection.url, executionId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            output.textContent = result.log || '(empty log)';
         } catch (error) {
-            console.warn('Invalid search pattern:', searchTerm, error);
-            // Fall back to literal search if regex is invalid
-            const escapedTerm = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-            return new RegExp(escapedTerm, 'i');
+            output.textContent = `Failed to load job log: ${error.message}`;
         }
     }
 
-    updateHiddenFilesToggle() {
-        const btn = this.showHiddenFilesBtn;
-        if (!btn) {
-            console.warn('Hidden files toggle button not found');
-            return;
-        }
-        
-        const icon = btn.querySelector('i');
-        if (!icon) {
-            console.warn('Hidden files toggle icon not found');
-            return;
-        }
-        
-        if (this.showHiddenFiles) {
-            // Show hidden files is ON - use open eye icon and blue color
-            icon.className = 'fas fa-eye';
-            btn.classList.add('active');
-            btn.title = 'Hide hidden files';
-        } else {
-            // Show hidden files is OFF - use closed eye icon and normal color
-            icon.className = 'fas fa-eye-slash';
-            btn.classList.remove('active');
-            btn.title = 'Show hidden files';
+    async clearFinishedJobExecutions() {
+        const result = await window.electronAPI.clearFinishedJobExecutions();
+        if (result.success) {
+            this.jobExecutions = new Map(result.executions.map(execution => [execution.id, execution]));
+            this.renderJobExecutions();
+            document.getElementById('jobLogOutput').classList.add('hidden');
         }
     }
 
-    showLoading(show) {
-        const loading = document.getElementById('loadingIndicator');
-        if (show) {
-            loading.classList.remove('hidden');
-        } else {
-            loading.classList.add('hidden');
+    async showSiteExportModal() {
+        if (this.currentConnection.authType !== 'oauth2') {
+            this.showNotification('error', 'OAuth2 Required', 'Site archive exports require an OAuth2 connection with OCAPI access.');
+            return;
         }
+
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        document.getElementById('exportFileInput').value =
+            `export_${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}`;
+        document.getElementById('exportDestination').textContent = `Downloaded to ${this.currentLocalPath} when the export is done`;
+        document.getElementById('siteExportStatus').classList.add('hidden');
+
+        this.showModal('siteExportModal');
+        await this.loadExportSources();
     }
 
-    showNotification(type, title, message) {
-        const notifications = document.getElementById('notifications');
-        const notification = document.createElement('div');
-        notification.className = `notification ${type}`;
-        
-        const icons = {
-            success: 'fas fa-check-circle',
-            error: 'fas fa-exclamation-circle',
-            warning: 'fas fa-exclamation-triangle',
-            info: 'fas fa-info-circle'
-        };
-        
-        notification.innerHTML = `
-            <i class="${icons[type]} notification-icon"></i>
-            <div class="notification-content">
-                <div class="notification-title">${title}</div>
-                <div class="notification-message">${message}</div>
-            </div>
-            <button class="notification-close">
-                <i class="fas fa-times"></i>
-            </button>
-        `;
-        
-        notifications.appendChild(notification);
-        
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 5000);
-        
-        // Close button
-        notification.querySelector('.notification-close').addEventListener('click', () => {
-            notification.parentNode.removeChild(notification);
+    async loadExportSources() {
+        const lists = ['exportGlobalData', 'exportSites', 'exportSiteData', 'exportCatalogs', 'exportLibraries', 'exportInventoryLists', 'exportPriceBooks'];
+        lists.forEach(name => {
+            document.getElementById(`${name}List`).innerHTML = '<span class="form-help"><i class="fas fa-spinner fa-spin"></i> Loading...</span>';
         });
+
+        try {
+            const result = await window.electronAPI.fetchExportSources(this.currentConnectionId, this.currentConnection.url);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            const { sources } = result;
+            this.renderExportOptions('exportGlobalData', sources.dataUnits.global.map(unit => ({ value: unit, label: this.formatDataUnit(unit) })));
+            this.renderExportOptions('exportSites', sources.sites.map(site => ({ value: site.id, label: site.name })));
+            this.renderExportOptions('exportSiteData', sources.dataUnits.site.map(unit => ({ value: unit, label: this.formatDataUnit(unit) })));
+            this.renderExportOptions('exportCatalogs', sources.catalogs.map(id => ({ value: id, label: id })));
+            this.renderExportOptions('exportLibraries', sources.libraries.map(id => ({ value: id, label: id })));
+            this.renderExportOptions('exportInventoryLists', sources.inventoryLists.map(id => ({ value: id, label: id })));
+            this.renderExportOptions('exportPriceBooks', sources.priceBooks.map(id => ({ value: id, label: id })));
+
+            if (sources.errors.length > 0) {
+                this.showNotification('warning', 'Some Lists Unavailable', sources.errors.join('\n'));
+            }
+        } catch (error) {
+            lists.forEach(name => {
+                document.getElementById(`${name}List`).innerHTML = '';
+            });
+            this.showNotification('error', 'Failed to Load Export Options', error.message);
+        }
     }
 
-    /**
-     * Update URL preview in real-time
-     */
-    updateUrlPreview(input) {
-        const preview = document.getElementById('urlPreview');
-        const previewText = document.getElementById('urlPreviewText');
-        
-        if (!input || input.trim() === '') {
-            preview.classList.add('hidden');
+    renderExportOptions(name, options) {
+        const list = document.getElementById(`${name}List`);
+        if (options.length === 0) {
+            list.innerHTML = '<span class="form-help">None found</span>';
             return;
         }
-        
-        const normalizedUrl = this.normalizeWebDAVUrl(input);
-        previewText.textContent = normalizedUrl;
-        preview.classList.remove('hidden');
+
+        list.innerHTML = options.map(option => `
+            <label class="checkbox-option" title="${this.escapeHtml(option.value)}">
+                <input type="checkbox" name="${name}" value="${this.escapeHtml(option.value)}">
+                ${this.escapeHtml(option.label)}
+            </label>
+        `).join('');
+    }
+
+    formatDataUnit(unit) {
+        const label = unit.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
     }
 
     /**
-     * Navigate to an SFCC folder by changing the connection URL base path
+     * Checked values of an export option list plus IDs typed into its extra field
      */
-    async navigateToSFCCFolder(folderPath) {
-        if (!this.isConnected || !this.currentConnection) {
-            this.showNotification('error', 'Not Connected', 'Please connect to a WebDAV server first.');
-            return;
-        }
+    getExportSelectionValues(name) {
+        const checked = Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+        const extraInput = document.querySelector(`.export-extra-ids[data-name="${name}"]`);
+        const extra = extraInput ? extraInput.value.split(',').map(id => id.trim()).filter(Boolean) : [];
+        return Array.from(new Set([...checked, ...extra]));
+    }
 
-        // Special handling for catalogs folder
-        if (folderPath === '/catalogs') {
-            await this.handleCatalogsNavigation();
-            return;
-        }
+    async exportSiteArchive() {
+        const selection = {
+            exportFile: document.getElementById('exportFileInput').value.trim(),
+            globalData: this.getExportSelectionValues('exportGlobalData'),
+            sites: this.getExportSelectionValues('exportSites'),
+            siteData: this.getExportSelectionValues('exportSiteData'),
+            catalogs: this.getExportSelectionValues('exportCatalogs'),
+            libraries: this.getExportSelectionValues('exportLibraries'),
+            inventoryLists: this.getExportSelectionValues('exportInventoryLists'),
+            priceBooks: this.getExportSelectionValues('exportPriceBooks')
+        };
 
-        // Special handling for libraries folder  
-        if (folderPath === '/libraries') {
-            await this.handleLibrariesNavigation();
+        if (selection.sites.length > 0 && selection.siteData.length === 0) {
+            this.showNotification('error', 'No Site Data Selected', 'Select the site data to export for the selected sites.');
             return;
         }
 
-        try {
-            // Create new credentials with updated URL
-            const baseUrl = this.currentConnection.url.split('/webdav/')[0];
-            const newUrl = `${baseUrl}/webdav/Sites${folderPath}`;
-            
-            console.log('Navigating to SFCC folder:', folderPath);
-            console.log('New URL:', newUrl);
-            
-            const updatedCredentials = {
-                ...this.currentConnection,
-                url: newUrl
-            };
+        const exportButton = document.getElementById('siteExportBtn');
+        exportButton.disabled = true;
 
-            // Test the new connection
-            const result = await window.electronAPI.testConnection(updatedCredentials);
-            if (result.success && result.connected) {
-                // Update current connection and navigate to root of this folder
-                this.currentConnection = updatedCredentials;
-                const listResult = await window.electronAPI.listDirectory('/');
-                this.currentPath = '/';
-                this.pathHistory = [];
-                this.updateFileListView(listResult); // Use the centralized UI update method
-                this.updateBreadcrumb('/');
-                this.updateBackButton();
-                this.showNotification('info', 'Folder Changed', `Switched to ${folderPath.substring(1)} folder`);
-            } else {
-                this.showNotification('error', 'Navigation Failed', `Cannot access ${folderPath.substring(1)} folder. Check permissions.`);
+        try {
+            const result = await window.electronAPI.exportSiteArchive(
+                this.currentConnectionId,
+                this.currentConnection.url,
+                selection,
+                this.currentLocalPath
+            );
+            if (!result.success) {
+                throw new Error(result.error);
             }
+
+            this.showNotification('success', 'Export Complete', `Site archive downloaded to ${result.localPath}`);
+            this.loadLocalDirectory(this.currentLocalPath);
         } catch (error) {
-            console.error('SFCC folder navigation error:', error);
-            this.showNotification('error', 'Navigation Failed', error.message);
+            this.updateSiteExportStatus({ message: `Export failed: ${error.message}` });
+            this.showNotification('error', 'Export Failed', error.message);
+        } finally {
+            exportButton.disabled = false;
+        }
+    }
+
+    updateSiteExportStatus(progress) {
+        const status = document.getElementById('siteExportStatus');
+        let text = progress.message;
+        if (progress.total > 0) {
+            text += ` ${Math.round((progress.transferred / progress.total) * 100)}%`;
         }
+        status.textContent = text;
+        status.classList.remove('hidden');
     }
 
     async handleCatalogsNavigation() {
@@ -2617,67 +6340,15 @@ class SFCCWebDAVManager {
         const selectedItems = Array.from(remoteSelectedRows).map(row => ({
             path: row.dataset.path,
             name: row.dataset.path.split('/').pop(),
-            type: row.dataset.type
+            isDirectory: row.dataset.type === 'directory'
         }));
             
         if (selectedItems.length === 0 || !this.isConnected) {
-            this.showNotification('Warning', 'No remote items selected or not connected', 'warning');
+            this.showNotification('warning', 'Nothing to Download', 'No remote items selected or not connected');
             return;
         }
 
-        const localDestination = this.currentLocalPath;
-        
-        try {
-            let totalFiles = 0;
-            let totalDirs = 0;
-            const errors = [];
-            
-            this.showNotification('Info', `Downloading ${selectedItems.length} item(s) to ${localDestination}...`, 'info');
-            
-            for (const item of selectedItems) {
-                if (item.type === 'directory') {
-                    // Handle directory recursively
-                    const localDirPath = `${localDestination}/${item.name}`;
-                    const result = await window.electronAPI.downloadDirectoryRecursive(item.path, localDirPath);
-                    
-                    if (result.success) {
-                        totalFiles += result.results.files;
-                        totalDirs += result.results.directories;
-                        if (result.results.errors.length > 0) {
-                            errors.push(...result.results.errors);
-                        }
-                    } else {
-                        errors.push(`Failed to download directory ${item.name}: ${result.error}`);
-                    }
-                } else {
-                    // Handle file
-                    const localFilePath = `${localDestination}/${item.name}`;
-                    const result = await window.electronAPI.downloadFile(item.path, localFilePath);
-                    
-                    if (result.success) {
-                        totalFiles++;
-                    } else {
-                        errors.push(`Failed to download file ${item.name}: ${result.error}`);
-                    }
-                }
-            }
-            
-            let message = `Successfully downloaded ${totalFiles} file(s)`;
-            if (totalDirs > 0) {
-                message += ` and ${totalDirs} director(ies)`;
-            }
-            
-            if (errors.length > 0) {
-                this.showNotification('Warning', `${message}, but encountered ${errors.length} error(s). Check console for details.`, 'warning');
-                console.error('Download errors:', errors);
-            } else {
-                this.showNotification('Success', message, 'success');
-            }
-            
-            this.loadLocalDirectory(this.currentLocalPath);
-        } catch (error) {
-            this.showNotification('Error', `Download failed: ${error.message}`, 'error');
-        }
+        await this.downloadFilesToLocal(selectedItems);
     }
 
     async copySelectedToRemote() {
@@ -2689,63 +6360,11 @@ class SFCCWebDAVManager {
         }));
             
         if (selectedItems.length === 0 || !this.isConnected) {
-            this.showNotification('Warning', 'No local items selected or not connected', 'warning');
+            this.showNotification('warning', 'Nothing to Upload', 'No local items selected or not connected');
             return;
         }
 
-        const remoteDestination = this.currentPath;
-        
-        try {
-            let totalFiles = 0;
-            let totalDirs = 0;
-            const errors = [];
-            
-            this.showNotification('Info', `Uploading ${selectedItems.length} item(s) to ${remoteDestination}...`, 'info');
-            
-            for (const item of selectedItems) {
-                if (item.isDirectory) {
-                    // Handle directory recursively
-                    const remoteDirPath = `${remoteDestination}/${item.name}`;
-                    const result = await window.electronAPI.uploadDirectoryRecursive(item.path, remoteDirPath);
-                    
-                    if (result.success) {
-                        totalFiles += result.results.files;
-                        totalDirs += result.results.directories;
-                        if (result.results.errors.length > 0) {
-                            errors.push(...result.results.errors);
-                        }
-                    } else {
-                        errors.push(`Failed to upload directory ${item.name}: ${result.error}`);
-                    }
-                } else {
-                    // Handle file
-                    const remoteFilePath = `${remoteDestination}/${item.name}`;
-                    const result = await window.electronAPI.uploadFile(item.path, remoteFilePath);
-                    
-                    if (result.success) {
-                        totalFiles++;
-                    } else {
-                        errors.push(`Failed to upload file ${item.name}: ${result.error}`);
-                    }
-                }
-            }
-            
-            let message = `Successfully uploaded ${totalFiles} file(s)`;
-            if (totalDirs > 0) {
-                message += ` and ${totalDirs} director(ies)`;
-            }
-            
-            if (errors.length > 0) {
-                this.showNotification('Warning', `${message}, but encountered ${errors.length} error(s). Check console for details.`, 'warning');
-                console.error('Upload errors:', errors);
-            } else {
-                this.showNotification('Success', message, 'success');
-            }
-            
-            this.refreshCurrentDirectory();
-        } catch (error) {
-            this.showNotification('Error', `Upload failed: ${error.message}`, 'error');
-        }
+        await this.uploadFilesToRemote(selectedItems);
     }
 
     initializeDragAndDrop() {
@@ -2811,121 +6430,69 @@ class SFCCWebDAVManager {
         const remoteDestination = this.currentPath;
         
         if (files.length === 0) {
-            this.showNotification('Warning', 'No items selected for upload', 'warning');
+            this.showNotification('warning', 'Nothing to Upload', 'No items selected for upload');
             return;
         }
-        
-        try {
-            let totalFiles = 0;
-            let totalDirs = 0;
-            const errors = [];
-            
-            this.showNotification('Info', `Uploading ${files.length} item(s) to ${remoteDestination}...`, 'info');
-            
-            for (const file of files) {
-                if (file.isDirectory) {
-                    // Handle directory recursively
-                    const remoteDirPath = `${remoteDestination}/${file.name}`;
-                    const result = await window.electronAPI.uploadDirectoryRecursive(file.path, remoteDirPath);
-                    
-                    if (result.success) {
-                        totalFiles += result.results.files;
-                        totalDirs += result.results.directories;
-                        if (result.results.errors.length > 0) {
-                            errors.push(...result.results.errors);
-                        }
-                    } else {
-                        errors.push(`Failed to upload directory ${file.name}: ${result.error}`);
-                    }
-                } else {
-                    // Handle file
-                    const remoteFilePath = `${remoteDestination}/${file.name}`;
-                    const result = await window.electronAPI.uploadFile(file.path, remoteFilePath);
-                    
-                    if (result.success) {
-                        totalFiles++;
-                    } else {
-                        errors.push(`Failed to upload file ${file.name}: ${result.error}`);
-                    }
-                }
-            }
-            
-            let message = `Successfully uploaded ${totalFiles} file(s)`;
-            if (totalDirs > 0) {
-                message += ` and ${totalDirs} director(ies)`;
-            }
-            
-            if (errors.length > 0) {
-                this.showNotification('Warning', `${message}, but encountered ${errors.length} error(s). Check console for details.`, 'warning');
-                console.error('Upload errors:', errors);
-            } else {
-                this.showNotification('Success', message, 'success');
-            }
-            
-            this.refreshCurrentDirectory();
-        } catch (error) {
-            this.showNotification('Error', `Upload failed: ${error.message}`, 'error');
-        }
+
+        const transfers = files.map(file => ({
+            direction: 'upload',
+            localPath: file.path,
+            remotePath: remoteDestination === '/' ? `/${file.name}` : `${remoteDestination}/${file.name}`,
+            isDirectory: file.isDirectory
+        }));
+
+        await this.submitTransfers(transfers, `Uploading ${files.length} item(s) to ${remoteDestination}...`);
+        this.refreshCurrentDirectory();
     }
 
     async downloadFilesToLocal(files) {
         const localDestination = this.currentLocalPath;
         
         if (files.length === 0) {
-            this.showNotification('Warning', 'No items selected for download', 'warning');
+            this.showNotification('warning', 'Nothing to Download', 'No items selected for download');
             return;
         }
-        
+
+        const transfers = files.map(file => ({
+            direction: 'download',
+            localPath: `${localDestination}/${file.name}`,
+            remotePath: file.path,
+            isDirectory: file.isDirectory
+        }));
+
+        await this.submitTransfers(transfers, `Downloading ${files.length} item(s) to ${localDestination}...`);
+        this.loadLocalDirectory(this.currentLocalPath);
+    }
+
+    /**
+     * Submit transfers to the main process transfer queue and report the outcome
+     * once every file has finished
+     */
+    async submitTransfers(transfers, description) {
+        const verb = transfers[0].direction === 'upload' ? 'uploaded' : 'downloaded';
+
         try {
-            let totalFiles = 0;
-            let totalDirs = 0;
-            const errors = [];
-            
-            this.showNotification('Info', `Downloading ${files.length} item(s) to ${localDestination}...`, 'info');
-            
-            for (const file of files) {
-                if (file.isDirectory) {
-                    // Handle directory recursively
-                    const localDirPath = `${localDestination}/${file.name}`;
-                    const result = await window.electronAPI.downloadDirectoryRecursive(file.path, localDirPath);
-                    
-                    if (result.success) {
-                        totalFiles += result.results.files;
-                        totalDirs += result.results.directories;
-                        if (result.results.errors.length > 0) {
-                            errors.push(...result.results.errors);
-                        }
-                    } else {
-                        errors.push(`Failed to download directory ${file.name}: ${result.error}`);
-                    }
-                } else {
-                    // Handle file
-                    const localFilePath = `${localDestination}/${file.name}`;
-                    const result = await window.electronAPI.downloadFile(file.path, localFilePath);
-                    
-                    if (result.success) {
-                        totalFiles++;
-                    } else {
-                        errors.push(`Failed to download file ${file.name}: ${result.error}`);
-                    }
-                }
+            this.showNotification('info', 'Transfers Queued', description);
+
+            const result = await window.electronAPI.enqueueTransfers(transfers);
+            if (!result.success) {
+                throw new Error(result.error);
             }
-            
-            let message = `Successfully downloaded ${totalFiles} file(s)`;
-            if (totalDirs > 0) {
-                message += ` and ${totalDirs} director(ies)`;
+
+            const { files, directories, errors } = result.results;
+            let message = `Successfully ${verb} ${files} file(s)`;
+            if (directories > 0) {
+                message += ` and ${directories} director(ies)`;
             }
             
             if (errors.length > 0) {
-                this.showNotification('Warning', `${message}, but encountered ${errors.length} error(s). Check console for details.`, 'warning');
-                console.error('Download errors:', errors);
+                this.showNotification('warning', 'Transfer Finished With Errors', `${message}, but ${errors.length} item(s) failed. See the Transfers panel for details.`);
+                console.error('Transfer errors:', errors);
             } else {
-                this.showNotification('Success', message, 'success');
+                this.showNotification('success', 'Transfer Complete', message);
             }
-            
-            this.loadLocalDirectory(this.currentLocalPath);
         } catch (error) {
-            this.showNotification('Error', `Download failed: ${error.message}`, 'error');
+            this.showNotification('error', 'Transfer Failed', error.message);
         }
     }
 }
@@ -0,0 +1,203 @@
+const { makeOCAPIRequest } = require('./ocapi-request');
+
+// Data units of the sfcc-site-archive-export job, see ExportGlobalDataConfiguration
+const GLOBAL_DATA_UNITS = [
+    'access_roles',
+    'csc_settings',
+    'csrf_whitelists',
+    'custom_preference_groups',
+    'custom_quota_settings',
+    'custom_types',
+    'geolocations',
+    'global_custom_objects',
+    'job_schedules',
+    'locales',
+    'meta_data',
+    'oauth_providers',
+    'ocapi_settings',
+    'page_meta_tags',
+    'preferences',
+    'price_adjustment_limits',
+    'services',
+    'sorting_rules',
+    'static_resources',
+    'system_type_definitions',
+    'users',
+    'webdav_client_permissions'
+];
+
+// Data units that can be exported per site, see ExportSitesConfiguration
+const SITE_DATA_UNITS = [
+    'ab_tests',
+    'active_data_feeds',
+    'cache_settings',
+    'campaigns_and_promotions',
+    'content',
+    'coupons',
+    'custom_objects',
+    'customer_cdn_settings',
+    'customer_groups',
+    'distributed_commerce_extensions',
+    'dynamic_file_resources',
+    'gift_certificates',
+    'ocapi_settings',
+    'payment_methods',
+    'payment_processors',
+    'redirect_urls',
+    'search_settings',
+    'shipping',
+    'site_descriptor',
+    'site_preferences',
+    'sitemap_settings',
+    'slots',
+    'sorting_rules',
+    'source_codes',
+    'static_dynamic_alias_mappings',
+    'stores',
+    'tax',
+    'url_rules'
+];
+
+const LIST_LIMIT = 200;
+
+/**
+ * Lists the objects a site archive export can contain and builds the
+ * payload of the sfcc-site-archive-export job
+ */
+class SiteArchiveManager {
+    /**
+     * Data units offered by the export builder
+     */
+    getDataUnits() {
+        return { global: GLOBAL_DATA_UNITS, site: SITE_DATA_UNITS };
+    }
+
+    /**
+     * Fetch the sites of an instance
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @returns {Promise<Array>} Sites with id and name
+     */
+    async fetchSites(hostname, accessToken) {
+        try {
+            const response = await makeOCAPIRequest(hostname, 'GET', `/sites?select=(**)&count=${LIST_LIMIT}`, accessToken);
+            return (response.data || []).map(site => ({
+                id: site.id,
+                name: (site.display_name && site.display_name.default) || site.id
+            }));
+        } catch (error) {
+            throw new Error(`Failed to fetch sites: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the inventory list IDs of an instance
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @returns {Promise<Array>} Inventory list IDs
+     */
+    async fetchInventoryLists(hostname, accessToken) {
+        try {
+            const response = await makeOCAPIRequest(hostname, 'GET', `/inventory_lists?count=${LIST_LIMIT}`, accessToken);
+            return (response.data || []).map(list => list.id);
+        } catch (error) {
+            throw new Error(`Failed to fetch inventory lists: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the price book IDs of an instance
+     * @param {string} hostname - SFCC hostname
+     * @param {string} accessToken - OAuth2 access token
+     * @returns {Promise<Array>} Price book IDs
+     */
+    async fetchPriceBooks(hostname, accessToken) {
+        try {
+            const response = await makeOCAPIRequest(hostname, 'POST', '/price_book_search', accessToken, {
+                query: { match_all_query: {} },
+                count: LIST_LIMIT
+            });
+            return (response.hits || []).map(priceBook => priceBook.id);
+        } catch (error) {
+            throw new Error(`Failed to fetch price books: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build the body of a sfcc-site-archive-export job execution
+     * @param {Object} selection - exportFile, globalData (data unit names or ['all']),
+     *   sites (site IDs), siteData (data unit names or ['all']), catalogs,
+     *   libraries, inventoryLists and priceBooks (IDs)
+     * @returns {Object} Job execution body
+     */
+    buildExportPayload(selection) {
+        const exportFile = this.normalizeExportFile(selection.exportFile);
+        const dataUnits = {};
+
+        const globalData = this.toFlags(selection.globalData, GLOBAL_DATA_UNITS);
+        if (globalData) {
+            dataUnits.global_data = globalData;
+        }
+
+        const siteData = this.toFlags(selection.siteData, SITE_DATA_UNITS);
+        if (siteData && selection.sites && selection.sites.length > 0) {
+            dataUnits.sites = {};
+            for (const siteId of selection.sites) {
+                dataUnits.sites[siteId] = { ...siteData };
+            }
+        }
+
+        for (const [key, ids] of [
+            ['catalogs', selection.catalogs],
+            ['libraries', selection.libraries],
+            ['inventory_lists', selection.inventoryLists],
+            ['price_books', selection.priceBooks]
+        ]) {
+            if (ids && ids.length > 0) {
+                dataUnits[key] = Object.fromEntries(ids.map(id => [id, true]));
+            }
+        }
+
+        if (Object.keys(dataUnits).length === 0) {
+            throw new Error('Select at least one data unit to export');
+        }
+
+        return {
+            export_file: exportFile,
+            overwrite_export_file: false,
+            data_units: dataUnits
+        };
+    }
+
+    /**
+     * Turn a list of data unit names into the { unit: true } form of the API;
+     * returns null when nothing is selected
+     */
+    toFlags(units, knownUnits) {
+        if (!units || units.length === 0) {
+            return null;
+        }
+        if (units.includes('all')) {
+            return { all: true };
+        }
+
+        const unknown = units.filter(unit => !knownUnits.includes(unit));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown data units: ${unknown.join(', ')}`);
+        }
+        return Object.fromEntries(units.map(unit => [unit, true]));
+    }
+
+    /**
+     * Export files are written to Impex/src/instance and must be zip files
+     */
+    normalizeExportFile(exportFile) {
+        const name = (exportFile || '').trim().replace(/\.zip$/i, '');
+        if (!name || !/^[A-Za-z0-9_.-]+$/.test(name)) {
+            throw new Error('Export file name may only contain letters, digits, dots, dashes and underscores');
+        }
+        return `${name}.zip`;
+    }
+}
+
+module.exports = SiteArchiveManager;
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('SyncManager');
+
+// WebDAV reports modification dates in whole seconds and FAT file systems
+// store them with two seconds precision
+const MTIME_TOLERANCE_MS = 2000;
+
+const MODES = ['push', 'pull', 'mirror-remote', 'mirror-local', 'two-way'];
+
+/**
+ * Compares a local folder with a remote folder and plans the transfers that
+ * bring them in line:
+ *
+ * - push: upload new and changed local files
+ * - pull: download new and changed remote files
+ * - mirror-remote / mirror-local: push or pull, and delete what only exists
+ *   on the side being mirrored to
+ * - two-way: copy new files both ways; for changed files the newer one wins
+ *
+ * Files count as changed when their sizes differ or, with hashing, their
+ * content differs. Without hashing a different modification date counts too:
+ * push and pull transfer files whose content differs whatever their dates,
+ * and files that only differ by date when they are newer than their
+ * counterpart. Synchronized files get the date of their remote copy, so they
+ * compare unchanged afterwards.
+ */
+class SyncManager {
+  /**
+   * @param {WebDAVManager} webdavManager - Client of the current connection
+   * @param {TrashManager} trashManager - Used to leave the trash folder out
+   */
+  constructor(webdavManager, trashManager) {
+    this.webdavManager = webdavManager;
+    this.trashManager = trashManager;
+    this.comparison = null; // Last comparison, planned and applied by mode
+  }
+
+  /**
+   * Compare a local and a remote folder
+   * @param {string} localRoot - Local folder
+   * @param {string} remoteRoot - Remote folder
+   * @param {Object} options - excludes (glob patterns) and compareHash
+   * @returns {Promise<Object>} Comparison with entries and summary
+   */
+  async compare(localRoot, remoteRoot, { excludes = [], compareHash = false } = {}) {
+    const stats = await fs.promises.stat(localRoot).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Not a folder: ${localRoot}`);
+    }
+    if (!(await this.webdavManager.exists(remoteRoot))) {
+      throw new Error(`Remote folder does not exist: ${remoteRoot}`);
+    }
+
+    const matchers = excludes.map(globToRegExp);
+    const isExcluded = (relativePath) => matchers.some(matcher => matcher.test(relativePath));
+    const normalizedRemoteRoot = remoteRoot.replace(/\/+$/, '') || '/';
+
+    const [localItems, remoteItems] = await Promise.all([
+      this.walkLocal(localRoot, isExcluded),
+      this.walkRemote(normalizedRemoteRoot, isExcluded)
+    ]);
+
+    const relativePaths = new Set([...localItems.keys(), ...remoteItems.keys()]);
+    const entries = [];
+    for (const relativePath of [...relativePaths].sort()) {
+      entries.push(await this.compareEntry(relativePath, localItems.get(relativePath), remoteItems.get(relativePath),
+        localRoot, normalizedRemoteRoot, compareHash));
+    }
+
+    this.comparison = {
+      localRoot,
+      remoteRoot: normalizedRemoteRoot,
+      rootUrl: this.webdavManager.currentCredentials.url,
+      comparedAt: new Date().toISOString(),
+      entries
+    };
+
+    const summary = entries.reduce((counts, entry) => {
+      counts[entry.state] = (counts[entry.state] || 0) + 1;
+      return counts;
+    }, {});
+    logger.info(`Compared ${localRoot} with ${normalizedRemoteRoot}:`, summary);
+
+    return { ...this.comparison, summary };
+  }
+
+  /**
+   * Local files and folders below a folder by relative path
+   */
+  async walkLocal(localRoot, isExcluded) {
+    const items = new Map();
+
+    const scan = async (dir, prefix) => {
+      for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (isExcluded(relativePath) || !(entry.isFile() || entry.isDirectory())) {
+          continue;
+        }
+
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          items.set(relativePath, { type: 'directory', size: 0, mtime: null });
+          await scan(entryPath, relativePath);
+        } else {
+          const { size, mtimeMs } = await fs.promises.stat(entryPath);
+          items.set(relativePath, { type: 'file', size, mtime: mtimeMs });
+        }
+      }
+    };
+
+    await scan(localRoot, '');
+    return items;
+  }
+
+  /**
+   * Remote files and folders below a folder by relative path; the trash is left out
+   */
+  async walkRemote(remoteRoot, isExcluded) {
+    const items = new Map();
+
+    const scan = async (dir, prefix) => {
+      for (const entry of await this.webdavManager.listDirectory(dir)) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        const entryPath = dir === '/' ? `/${entry.name}` : `${dir}/${entry.name}`;
+        if (isExcluded(relativePath) || this.trashManager.isTrashPath(entryPath)) {
+          continue;
+        }
+
+        if (entry.type === 'directory') {
+          items.set(relativePath, { type: 'directory', size: 0, mtime: null });
+          await scan(entryPath, relativePath);
+        } else {
+          const mtime = entry.lastModified ? new Date(entry.lastModified).getTime() : null;
+          items.set(relativePath, { type: 'file', size: entry.size || 0, mtime });
+        }
+      }
+    };
+
+    await scan(remoteRoot, '');
+    return items;
+  }
+
+  /**
+   * State of one relative path: 'local-only', 'remote-only', 'changed',
+   * 'same' or 'conflict' (a file on one side, a folder on the other)
+   */
+  async compareEntry(relativePath, local, remote, localRoot, remoteRoot, compareHash) {
+    const entry = {
+      relativePath,
+      type: (local || remote).type,
+      local: local || null,
+      remote: remote || null,
+      state: null,
+      newer: null, // 'local' or 'remote' when the modification dates differ
+      contentDiffers: false
+    };
+
+    if (!remote) {
+      entry.state = 'local-only';
+      return entry;
+    }
+    if (!local) {
+      entry.state = 'remote-only';
+      return entry;
+    }
+    if (local.type !== remote.type) {
+      entry.state = 'conflict';
+      return entry;
+    }
+    if (local.type === 'directory') {
+      entry.state = 'same';
+      return entry;
+    }
+
+    if (local.mtime !== null && remote.mtime !== null && Math.abs(local.mtime - remote.mtime) > MTIME_TOLERANCE_MS) {
+      entry.newer = local.mtime > remote.mtime ? 'local' : 'remote';
+    }
+
+    if (local.size !== remote.size) {
+      entry.contentDiffers = true;
+    } else if (compareHash) {
+      const [localHash, remoteHash] = await Promise.all([
+        hashLocalFile(path.join(localRoot, ...relativePath.split('/'))),
+        this.webdavManager.hashFile(joinRemote(remoteRoot, relativePath))
+      ]);
+      entry.contentDiffers = localHash !== remoteHash;
+    }
+
+    // With equal hashes the modification dates don't matter
+    const changed = entry.contentDiffers || (!compareHash && entry.newer !== null);
+    entry.state = changed ? 'changed' : 'same';
+    return entry;
+  }
+
+  /**
+   * Actions that apply a mode to the last comparison
+   * @param {string} mode - One of MODES
+   * @returns {Array} { action, relativePath, type, state } where action is 'upload',
+   *   'download', 'create-remote', 'create-local', 'delete-remote',
+   *   'delete-local' or 'skip' (with a reason)
+   */
+  plan(mode) {
+    if (!MODES.includes(mode)) {
+      throw new Error(`Unknown sync mode: ${mode}`);
+    }
+    if (!this.comparison) {
+      throw new Error('Compare the folders first');
+    }
+
+    const toRemote = { file: 'upload', directory: 'create-remote' };
+    const toLocal = { file: 'download', directory: 'create-local' };
+    const pushes = mode === 'push' || mode === 'mirror-remote' || mode === 'two-way';
+    const pulls = mode === 'pull' || mode === 'mirror-local' || mode === 'two-way';
+    const actions = [];
+
+    for (const entry of this.comparison.entries) {
+      const { relativePath, type, state, newer, contentDiffers } = entry;
+      let action = null;
+      let reason = null;
+
+      if (state === 'local-only') {
+        action = pushes ? toRemote[type] : (mode === 'mirror-local' ? 'delete-local' : null);
+      } else if (state === 'remote-only') {
+        action = pulls ? toLocal[type] : (mode === 'mirror-remote' ? 'delete-remote' : null);
+      } else if (state === 'conflict') {
+        action = 'skip';
+        reason = 'A file on one side is a folder on the other';
+      } else if (state === 'changed') {
+        if (mode === 'two-way') {
+          if (newer === 'local') {
+            action = 'upload';
+          } else if (newer === 'remote') {
+            action = 'download';
+          } else {
+            action = 'skip';
+            reason = 'Both sides differ but have the same modification date';
+          }
+        } else if (pushes && (contentDiffers || newer === 'local')) {
+          action = 'upload';
+        } else if (pulls && (contentDiffers || newer === 'remote')) {
+          action = 'download';
+        }
+      }
+
+      if (action) {
+        actions.push(reason ? { action, relativePath, type, state, reason } : { action, relativePath, type, state });
+      }
+    }
+
+    // Deleting a folder deletes its content too
+    const deletedFolders = actions
+      .filter(item => item.action.startsWith('delete-') && item.type === 'directory')
+      .map(item => `${item.action}:${item.relativePath}/`);
+    return actions.filter(item => !deletedFolders.some(prefix => `${item.action}:${item.relativePath}`.startsWith(prefix)));
+  }
+
+  /**
+   * Remote and local paths of a planned action
+   */
+  resolve(item) {
+    return {
+      localPath: path.join(this.comparison.localRoot, ...item.relativePath.split('/')),
+      remotePath: joinRemote(this.comparison.remoteRoot, item.relativePath)
+    };
+  }
+
+  /**
+   * Forget the comparison, e.g. after it was applied
+   */
+  clear() {
+    this.comparison = null;
+  }
+}
+
+/**
+ * Turn an exclusion glob into a regular expression for relative paths.
+ * Patterns without a slash match a name at any depth ("*.log", "node_modules"),
+ * others match from the compared folder ("docs/*.md"); ** matches
+ * across folders. Excluding a folder excludes its content.
+ */
+function globToRegExp(glob) {
+  const pattern = String(glob).trim().replace(/^\.?\//, '').replace(/\/+$/, '');
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '*' && pattern[index + 1] === '*') {
+      // "**/" also matches no folder at all
+      if (pattern[index + 2] === '/') {
+        source += '(?:.*/)?';
+        index += 2;
+      } else {
+        source += '.*';
+        index += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const anchored = pattern.includes('/') ? `^${source}` : `(?:^|/)${source}`;
+  return new RegExp(`${anchored}(?:/|$)`);
+}
+
+async function hashLocalFile(filePath, algorithm = 'md5') {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function joinRemote(remoteRoot, relativePath) {
+  return remoteRoot === '/' ? `/${relativePath}` : `${remoteRoot}/${relativePath}`;
+}
+
+module.exports = SyncManager;
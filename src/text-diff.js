@@ -0,0 +1,170 @@
+// Beyond this many differing lines the files are shown as replaced entirely,
+// which keeps the diff fast for unrelated files
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split text into lines without their line breaks; Windows and Unix line
+ * endings compare equal
+ */
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines.length > 1 && lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Line-level difference of two texts (Myers' algorithm)
+ * @returns {Array} Operations { type: 'equal'|'delete'|'insert', lines }
+ */
+function diffLines(leftText, rightText) {
+  const left = splitLines(leftText);
+  const right = splitLines(rightText);
+
+  // Common head and tail don't take part in the search
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) {
+    start++;
+  }
+  let leftEnd = left.length;
+  let rightEnd = right.length;
+  while (leftEnd > start && rightEnd > start && left[leftEnd - 1] === right[rightEnd - 1]) {
+    leftEnd--;
+    rightEnd--;
+  }
+
+  const operations = [];
+  pushOperation(operations, 'equal', left.slice(0, start));
+  for (const operation of diffMiddle(left.slice(start, leftEnd), right.slice(start, rightEnd))) {
+    pushOperation(operations, operation.type, operation.lines);
+  }
+  pushOperation(operations, 'equal', left.slice(leftEnd));
+  return operations;
+}
+
+function diffMiddle(left, right) {
+  if (left.length === 0 || right.length === 0) {
+    return [{ type: 'delete', lines: left }, { type: 'insert', lines: right }];
+  }
+
+  const max = Math.min(left.length + right.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const frontier = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let distance = 0; distance <= max; distance++) {
+    // Only the diagonals reachable so far are needed to backtrack
+    trace.push({ first: -distance - 1, values: frontier.slice(offset - distance - 1, offset + distance + 2) });
+    for (let diagonal = -distance; diagonal <= distance; diagonal += 2) {
+      let x = diagonal === -distance || (diagonal !== distance && frontier[offset + diagonal - 1] < frontier[offset + diagonal + 1])
+        ? frontier[offset + diagonal + 1]
+        : frontier[offset + diagonal - 1] + 1;
+      let y = x - diagonal;
+      while (x < left.length && y < right.length && left[x] === right[y]) {
+        x++;
+        y++;
+      }
+      frontier[offset + diagonal] = x;
+
+      if (x >= left.length && y >= right.length) {
+        return backtrack(trace, left, right);
+      }
+    }
+  }
+
+  return [{ type: 'delete', lines: left }, { type: 'insert', lines: right }];
+}
+
+/**
+ * Walk the saved frontiers back from the end to recover the edit script
+ */
+function backtrack(trace, left, right) {
+  const operations = [];
+  let x = left.length;
+  let y = right.length;
+
+  for (let distance = trace.length - 1; distance >= 0; distance--) {
+    const { first, values } = trace[distance];
+    const frontier = (diagonal) => values[diagonal - first];
+    const diagonal = x - y;
+    const previousDiagonal = diagonal === -distance || (diagonal !== distance && frontier(diagonal - 1) < frontier(diagonal + 1))
+      ? diagonal + 1
+      : diagonal - 1;
+    const previousX = distance === 0 ? 0 : frontier(previousDiagonal);
+    const previousY = previousX - previousDiagonal;
+
+    while (x > previousX && y > previousY) {
+      operations.push({ type: 'equal', lines: [left[x - 1]] });
+      x--;
+      y--;
+    }
+    if (distance > 0) {
+      operations.push(x === previousX
+        ? { type: 'insert', lines: [right[y - 1]] }
+        : { type: 'delete', lines: [left[x - 1]] });
+    }
+    x = previousX;
+    y = previousY;
+  }
+
+  return operations.reverse();
+}
+
+function pushOperation(operations, type, lines) {
+  if (lines.length === 0) {
+    return;
+  }
+  const last = operations[operations.length - 1];
+  if (last && last.type === type) {
+    last.lines.push(...lines);
+  } else {
+    operations.push({ type, lines: [...lines] });
+  }
+}
+
+/**
+ * Arrange a line diff in two columns: deleted lines face the inserted lines
+ * that replace them
+ * @returns {Object} rows { type: 'equal'|'changed'|'removed'|'added', left, right }
+ *   with { number, text } or null per side, and counts of changed lines
+ */
+function toSideBySide(operations) {
+  const rows = [];
+  const stats = { added: 0, removed: 0, changed: 0 };
+  let leftNumber = 1;
+  let rightNumber = 1;
+
+  for (let index = 0; index < operations.length; index++) {
+    const operation = operations[index];
+
+    if (operation.type === 'equal') {
+      for (const text of operation.lines) {
+        rows.push({ type: 'equal', left: { number: leftNumber++, text }, right: { number: rightNumber++, text } });
+      }
+      continue;
+    }
+
+    const removed = operation.type === 'delete' ? operation.lines : [];
+    const next = operations[index + 1];
+    const added = operation.type === 'insert' ? operation.lines : (next && next.type === 'insert' ? next.lines : []);
+    if (operation.type === 'delete' && added.length > 0) {
+      index++;
+    }
+
+    for (let line = 0; line < Math.max(removed.length, added.length); line++) {
+      const left = line < removed.length ? { number: leftNumber++, text: removed[line] } : null;
+      const right = line < added.length ? { number: rightNumber++, text: added[line] } : null;
+      const type = left && right ? 'changed' : (left ? 'removed' : 'added');
+      stats[type]++;
+      rows.push({ type, left, right });
+    }
+  }
+
+  return { rows, stats };
+}
+
+module.exports = {
+  diffLines,
+  toSideBySide
+};
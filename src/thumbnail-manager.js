@@ -0,0 +1,256 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { nativeImage } = require('electron');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('ThumbnailManager');
+
+// Images the preview can show by extension. nativeImage scales PNG and JPEG;
+// the others are passed to the renderer as they are
+const IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml'
+};
+
+// Larger images are not downloaded for a thumbnail
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+
+// Images that can't be scaled are only passed on up to this size
+const MAX_UNSCALED_SIZE = 2 * 1024 * 1024;
+
+const MIN_EDGE = 32;
+const MAX_EDGE = 1024;
+// Total length of the data URLs kept in memory; unscaled images can be
+// megabytes each, so the cache is bounded by size rather than count
+const MAX_MEMORY_BYTES = 32 * 1024 * 1024;
+const MAX_PARALLEL_DOWNLOADS = 4;
+const MAX_CACHE_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Total size of the cached thumbnails on disk
+const MAX_CACHE_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Creates thumbnails of remote images for the grid view and the image
+ * preview. Thumbnails are kept in memory and cached on disk, keyed by the
+ * WebDAV root, the path and the size and modification date of the image, so
+ * a changed image gets a new thumbnail. Only a few images are downloaded at
+ * a time, however many thumbnails the renderer asks for.
+ */
+class ThumbnailManager {
+  /**
+   * @param {string} cacheDir - Folder for cached thumbnails
+   */
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+    this.memory = new Map(); // Thumbnails by cache key, least recently used first
+    this.memoryBytes = 0; // Total data URL length of this.memory
+    this.pending = new Map(); // Thumbnails being created by cache key
+    this.activeDownloads = 0;
+    this.waitingDownloads = [];
+    this.cacheBytes = null; // Size of the disk cache, unknown until the first prune
+  }
+
+  /**
+   * Thumbnail of a remote image, scaled down to fit a square
+   * @param {WebDAVManager} webdavManager - Client of the current connection
+   * @param {string} remotePath - Remote image path
+   * @param {Object} options - maxSize (edge in pixels), and size and
+   *   lastModified of the image as listed; the image is stat'ed without them
+   * @returns {Promise<Object>} dataUrl, size, and width and height of the
+   *   original image (null when only the renderer can tell)
+   */
+  async getThumbnail(webdavManager, remotePath, { maxSize = 160, size, lastModified } = {}) {
+    const mime = IMAGE_TYPES[getExtension(remotePath)];
+    if (!mime) {
+      throw new Error(`${path.posix.basename(remotePath)} is not an image`);
+    }
+
+    const edge = Math.min(Math.max(parseInt(maxSize, 10) || MIN_EDGE, MIN_EDGE), MAX_EDGE);
+    let version = { size, lastModified };
+    if (!Number.isFinite(size) || !lastModified) {
+      const stats = await webdavManager.getFileStats(remotePath);
+      version = { size: stats.size, lastModified: stats.lastModified };
+    }
+
+    const key = crypto.createHash('sha1')
+      .update([webdavManager.currentCredentials.url, remotePath, version.size, version.lastModified, edge].join('|'))
+      .digest('hex');
+
+    if (this.memory.has(key)) {
+      const thumbnail = this.memory.get(key);
+      this.remember(key, thumbnail);
+      return thumbnail;
+    }
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.load(key, webdavManager, remotePath, mime, edge, version.size)
+        .finally(() => this.pending.delete(key)));
+    }
+    return this.pending.get(key);
+  }
+
+  async load(key, webdavManager, remotePath, mime, edge, size) {
+    let thumbnail = await this.readCache(key);
+    if (!thumbnail) {
+      if (size > MAX_IMAGE_SIZE) {
+        throw new Error(`${path.posix.basename(remotePath)} is too large to preview`);
+      }
+      const buffer = await this.throttle(() => webdavManager.readFile(remotePath));
+      thumbnail = { ...this.createThumbnail(buffer, mime, edge), size: buffer.length };
+      await this.writeCache(key, thumbnail);
+    }
+
+    this.remember(key, thumbnail);
+    return thumbnail;
+  }
+
+  createThumbnail(buffer, mime, edge) {
+    if (mime !== 'image/svg+xml') {
+      const image = nativeImage.createFromBuffer(buffer);
+      if (!image.isEmpty()) {
+        const { width, height } = image.getSize();
+        const scale = Math.min(1, edge / Math.max(width, height));
+        const scaled = scale < 1
+          ? image.resize({
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale)),
+            quality: 'good'
+          })
+          : image;
+        return { dataUrl: scaled.toDataURL(), width, height };
+      }
+    }
+
+    // SVG and formats nativeImage can't decode (GIF, WebP, ...) are scaled by
+    // the renderer, which also reads their dimensions
+    if (buffer.length > MAX_UNSCALED_SIZE) {
+      throw new Error('The image is too large to preview');
+    }
+    return { dataUrl: `data:${mime};base64,${buffer.toString('base64')}`, width: null, height: null };
+  }
+
+  remember(key, thumbnail) {
+    this.forget(key);
+    this.memory.set(key, thumbnail);
+    this.memoryBytes += thumbnail.dataUrl.length;
+    while (this.memoryBytes > MAX_MEMORY_BYTES && this.memory.size > 1) {
+      this.forget(this.memory.keys().next().value);
+    }
+  }
+
+  forget(key) {
+    const thumbnail = this.memory.get(key);
+    if (thumbnail) {
+      this.memory.delete(key);
+      this.memoryBytes -= thumbnail.dataUrl.length;
+    }
+  }
+
+  /**
+   * Run a download once fewer than MAX_PARALLEL_DOWNLOADS are running
+   */
+  async throttle(task) {
+    if (this.activeDownloads < MAX_PARALLEL_DOWNLOADS) {
+      this.activeDownloads++;
+    } else {
+      // The finishing download hands its slot over
+      await new Promise(resolve => this.waitingDownloads.push(resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = this.waitingDownloads.shift();
+      if (next) {
+        next();
+      } else {
+        this.activeDownloads--;
+      }
+    }
+  }
+
+  async readCache(key) {
+    const filePath = path.join(this.cacheDir, `${key}.json`);
+    try {
+      const thumbnail = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      // The modification date tells pruneCache() which thumbnails were used last
+      const now = new Date();
+      await fs.promises.utimes(filePath, now, now).catch(() => {});
+      return thumbnail;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeCache(key, thumbnail) {
+    try {
+      const data = JSON.stringify(thumbnail);
+      await fs.promises.mkdir(this.cacheDir, { recursive: true });
+      await fs.promises.writeFile(path.join(this.cacheDir, `${key}.json`), data);
+      if (this.cacheBytes === null) {
+        await this.pruneCache();
+      } else {
+        this.cacheBytes += Buffer.byteLength(data);
+        if (this.cacheBytes > MAX_CACHE_BYTES) {
+          await this.pruneCache();
+        }
+      }
+    } catch (error) {
+      logger.warn('Failed to cache thumbnail:', error);
+    }
+  }
+
+  /**
+   * Remove cached thumbnails older than MAX_CACHE_AGE_MS, then the least
+   * recently used ones until the cache fits MAX_CACHE_BYTES again
+   */
+  async pruneCache() {
+    const cutoff = Date.now() - MAX_CACHE_AGE_MS;
+    const files = [];
+    let removed = 0;
+    for (const name of await fs.promises.readdir(this.cacheDir)) {
+      const filePath = path.join(this.cacheDir, name);
+      const stats = await fs.promises.stat(filePath).catch(() => null);
+      if (!stats) {
+        continue;
+      }
+      if (stats.mtimeMs < cutoff) {
+        await fs.promises.rm(filePath, { force: true });
+        removed++;
+      } else {
+        files.push({ filePath, size: stats.size, mtimeMs: stats.mtimeMs });
+      }
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    if (total > MAX_CACHE_BYTES) {
+      files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+      for (const file of files) {
+        // Down to 80% so the next prune isn't just a few thumbnails away
+        if (total <= MAX_CACHE_BYTES * 0.8) {
+          break;
+        }
+        await fs.promises.rm(file.filePath, { force: true });
+        total -= file.size;
+        removed++;
+      }
+    }
+
+    this.cacheBytes = total;
+    if (removed > 0) {
+      logger.info(`Removed ${removed} thumbnail(s) from the cache`);
+    }
+  }
+}
+
+function getExtension(fileName) {
+  const name = path.posix.basename(String(fileName));
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+module.exports = ThumbnailManager;
@@ -0,0 +1,420 @@
+const EventEmitter = require('events');
+const path = require('path');
+const WebDAVManager = require('./webdav-manager');
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 8;
+const MAX_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 2000;
+// A transfer that moves no bytes for this long is aborted and retried
+const STALL_TIMEOUT_MS = 60000;
+
+// Network error codes worth retrying (node-fetch exposes the system error code)
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+const FINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Main-process queue for file uploads and downloads.
+ *
+ * Jobs run with a configurable parallelism, can be paused, resumed and
+ * cancelled individually, and are retried with exponential backoff on
+ * server errors and timeouts. Every state or progress change is emitted as
+ * a 'job-updated' event carrying a plain snapshot of the job.
+ *
+ * A job always transfers to the connection and WebDAV root that were open
+ * when it was added, even after the user switched to another one.
+ */
+class TransferQueue extends EventEmitter {
+  constructor(webdavManager) {
+    super();
+    this.webdavManager = webdavManager;
+    this.concurrency = DEFAULT_CONCURRENCY;
+    this.jobs = new Map();
+    this.controllers = new Map(); // Abort controllers of running jobs
+    this.retryTimers = new Map(); // Pending backoff timers
+    this.jobCredentials = new Map(); // Connection of each job, kept out of the snapshots
+    this.managers = new Map(); // Clients used by unfinished jobs, by connection and root URL
+    this.waiters = [];
+    this.nextJobId = 1;
+    this.suspended = false; // No transfers run while the app is locked
+  }
+
+  /**
+   * Set the number of transfers that may run at the same time
+   */
+  setConcurrency(concurrency) {
+    const value = parseInt(concurrency, 10) || DEFAULT_CONCURRENCY;
+    this.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, value));
+    this.processQueue();
+    return this.concurrency;
+  }
+
+  /**
+   * Add file transfers to the queue
+   * @param {Array} transfers - Objects with direction ('upload'|'download'), localPath and remotePath
+   * @returns {Array} Snapshots of the created jobs
+   */
+  add(transfers) {
+    const credentials = this.webdavManager.currentCredentials;
+    const jobs = transfers.map(transfer => {
+      const job = {
+        id: `transfer_${this.nextJobId++}`,
+        direction: transfer.direction,
+        localPath: transfer.localPath,
+        remotePath: transfer.remotePath,
+        rootUrl: credentials ? credentials.url : null,
+        name: path.basename(transfer.direction === 'upload' ? transfer.localPath : transfer.remotePath),
+        status: 'queued',
+        transferred: 0,
+        total: 0,
+        attempts: 0,
+        error: null,
+        createdAt: new Date().toISOString()
+      };
+      this.jobs.set(job.id, job);
+      this.jobCredentials.set(job.id, credentials);
+      this.emitUpdate(job);
+      return job;
+    });
+
+    this.processQueue();
+    return jobs.map(job => ({ ...job }));
+  }
+
+  /**
+   * Add file transfers and wait until all of them completed, failed or were cancelled
+   * @returns {Promise<Array>} Final snapshots of the jobs
+   */
+  addAndWait(transfers) {
+    const jobs = this.add(transfers);
+    return this.waitFor(jobs.map(job => job.id));
+  }
+
+  /**
+   * Resolve once every given job reached a final status
+   */
+  waitFor(jobIds) {
+    return new Promise(resolve => {
+      this.waiters.push({ jobIds, resolve });
+      this.settleWaiters();
+    });
+  }
+
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => ({ ...job }));
+  }
+
+  /**
+   * Pause a queued or running job. Running transfers are aborted; downloads
+   * continue from their partial file when resumed, uploads start over.
+   */
+  pause(jobId) {
+    const job = this.getJob(jobId);
+    if (!['queued', 'running', 'retrying'].includes(job.status)) {
+      return { ...job };
+    }
+
+    this.clearRetryTimer(jobId);
+    job.status = 'paused';
+    this.abortJob(jobId);
+    this.emitUpdate(job);
+    return { ...job };
+  }
+
+  resume(jobId) {
+    const job = this.getJob(jobId);
+    if (job.status === 'paused') {
+      this.requeue(job);
+    }
+    return { ...job };
+  }
+
+  /**
+   * Cancel a job. Partially downloaded data is removed.
+   */
+  cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (FINAL_STATUSES.includes(job.status)) {
+      return { ...job };
+    }
+
+    const wasRunning = this.controllers.has(jobId);
+    this.clearRetryTimer(jobId);
+    job.status = 'cancelled';
+    this.abortJob(jobId);
+    this.emitUpdate(job);
+
+    // Running jobs finish (and clean up) in runJob once the abort lands
+    if (!wasRunning) {
+      this.settleWaiters();
+    }
+    return { ...job };
+  }
+
+  /**
+   * Manually retry a failed or cancelled job
+   */
+  retry(jobId) {
+    const job = this.getJob(jobId);
+    if (['failed', 'cancelled'].includes(job.status)) {
+      this.requeue(job);
+    }
+    return { ...job };
+  }
+
+  /**
+   * Stop all transfers, e.g. while the app is locked. Running jobs are
+   * aborted and queued again; nothing starts until resumeSuspended().
+   */
+  suspend() {
+    this.suspended = true;
+    for (const jobId of Array.from(this.controllers.keys())) {
+      const job = this.jobs.get(jobId);
+      if (job.status === 'running') {
+        // The interrupted attempt doesn't count towards the retries
+        job.status = 'queued';
+        job.attempts--;
+        this.abortJob(jobId);
+      }
+    }
+  }
+
+  resumeSuspended() {
+    this.suspended = false;
+    this.processQueue();
+  }
+
+  /**
+   * Remove completed, failed and cancelled jobs from the list
+   */
+  clearFinished() {
+    for (const job of Array.from(this.jobs.values())) {
+      if (FINAL_STATUSES.includes(job.status)) {
+        this.jobs.delete(job.id);
+        this.jobCredentials.delete(job.id);
+      }
+    }
+    this.releaseManagers();
+    return this.getJobs();
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Transfer not found: ${jobId}`);
+    }
+    return job;
+  }
+
+  requeue(job) {
+    job.status = 'queued';
+    job.attempts = 0;
+    job.error = null;
+    this.emitUpdate(job);
+    this.processQueue();
+  }
+
+  /**
+   * Start queued jobs until the concurrency limit is reached
+   */
+  processQueue() {
+    if (this.suspended) {
+      return;
+    }
+    for (const job of this.jobs.values()) {
+      if (this.controllers.size >= this.concurrency) {
+        break;
+      }
+      if (job.status === 'queued') {
+        this.runJob(job);
+      }
+    }
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    job.status = 'running';
+    job.attempts++;
+    job.transferred = 0;
+    job.error = null;
+    this.emitUpdate(job);
+
+    // Abort transfers that stop moving bytes, e.g. after a VPN drop
+    let lastActivity = Date.now();
+    let stalled = false;
+    const watchdog = setInterval(() => {
+      if (Date.now() - lastActivity > STALL_TIMEOUT_MS) {
+        stalled = true;
+        controller.abort();
+      }
+    }, 5000);
+
+    const onProgress = ({ transferred, total }) => {
+      lastActivity = Date.now();
+      job.transferred = transferred;
+      job.total = total;
+      this.emitUpdate(job);
+    };
+
+    try {
+      const manager = await this.getManager(this.jobCredentials.get(job.id));
+      if (job.direction === 'download') {
+        await manager.downloadFile(job.remotePath, job.localPath, onProgress, controller.signal);
+      } else {
+        await manager.uploadFile(job.localPath, job.remotePath, onProgress, controller.signal);
+      }
+
+      job.status = 'completed';
+    } catch (error) {
+      if (stalled) {
+        error.message = `Transfer timed out after ${STALL_TIMEOUT_MS / 1000}s without progress`;
+        error.code = 'ETIMEDOUT';
+      }
+
+      if (controller.signal.aborted && !stalled) {
+        // Paused, cancelled or suspended while locked - status is already set
+        if (job.status === 'cancelled' && job.direction === 'download') {
+          await this.webdavManager.removePartialDownload(job.localPath).catch(() => {});
+        }
+      } else if (this.isRetryable(error) && job.attempts < MAX_ATTEMPTS) {
+        this.scheduleRetry(job, error);
+      } else {
+        job.status = 'failed';
+        job.error = error.message;
+      }
+    } finally {
+      clearInterval(watchdog);
+      this.controllers.delete(job.id);
+      this.emitUpdate(job);
+      this.settleWaiters();
+      this.processQueue();
+      this.releaseManagers();
+    }
+  }
+
+  /**
+   * WebDAV manager for the connection a job was added with. The shared
+   * manager switches roots while jobs run, so jobs of a root share a manager
+   * of their own.
+   */
+  async getManager(credentials) {
+    if (!credentials) {
+      throw new Error('WebDAV client not initialized');
+    }
+
+    const key = `${credentials.id}|${credentials.url}`;
+    if (!this.managers.has(key)) {
+      const manager = new WebDAVManager();
+      manager.setOAuth2Manager(this.webdavManager.oauth2Manager);
+      this.managers.set(key, manager.initializeClient(credentials).then(() => manager));
+    }
+    try {
+      return await this.managers.get(key);
+    } catch (error) {
+      this.managers.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the clients no unfinished job needs any more
+   */
+  releaseManagers() {
+    const needed = new Set();
+    for (const job of this.jobs.values()) {
+      const credentials = this.jobCredentials.get(job.id);
+      if (credentials && !FINAL_STATUSES.includes(job.status)) {
+        needed.add(`${credentials.id}|${credentials.url}`);
+      }
+    }
+    for (const key of Array.from(this.managers.keys())) {
+      if (!needed.has(key)) {
+        this.managers.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Server errors, rate limiting and network failures are worth another try;
+   * authentication and not-found errors are not
+   */
+  isRetryable(error) {
+    if (error.status) {
+      return error.status >= 500 || error.status === 408 || error.status === 429;
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  scheduleRetry(job, error) {
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, job.attempts - 1);
+    job.status = 'retrying';
+    job.error = `${error.message} - retrying in ${Math.round(delay / 1000)}s`;
+
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      if (job.status === 'retrying') {
+        job.status = 'queued';
+        this.emitUpdate(job);
+        this.processQueue();
+      }
+    }, delay);
+    this.retryTimers.set(job.id, timer);
+  }
+
+  clearRetryTimer(jobId) {
+    const timer = this.retryTimers.get(jobId);
+    if (timer) {
+      clearTimeout(timer);
+      this.retryTimers.delete(jobId);
+    }
+  }
+
+  abortJob(jobId) {
+    const controller = this.controllers.get(jobId);
+    if (controller) {
+      controller.abort();
+    }
+  }
+
+  settleWaiters() {
+    this.waiters = this.waiters.filter(waiter => {
+      const jobs = waiter.jobIds.map(id => this.jobs.get(id)).filter(Boolean);
+      // Cancelled jobs still count as busy until runJob has cleaned up after them
+      if (jobs.every(job => FINAL_STATUSES.includes(job.status) && !this.controllers.has(job.id))) {
+        waiter.resolve(jobs.map(job => ({ ...job })));
+        return false;
+      }
+      return true;
+    });
+  }
+
+  emitUpdate(job) {
+    this.emit('job-updated', { ...job });
+  }
+
+  /**
+   * Abort everything, e.g. when the application quits
+   */
+  cleanup() {
+    for (const jobId of this.retryTimers.keys()) {
+      this.clearRetryTimer(jobId);
+    }
+    for (const controller of this.controllers.values()) {
+      controller.abort();
+    }
+  }
+}
+
+module.exports = TransferQueue;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('TrashManager');
+
+const TRASH_FOLDER = '/.trash';
+const INFO_FILE_NAME = '.trashinfo.json';
+
+/**
+ * Recycle bin on the WebDAV server. Deleted items are moved into a folder of
+ * their own below /.trash in the connection's WebDAV root, next to a
+ * .trashinfo.json file recording where they came from:
+ *
+ *   /.trash/2026-01-31T10-15-00-000Z-3f9a1c/app.js
+ *   /.trash/2026-01-31T10-15-00-000Z-3f9a1c/.trashinfo.json
+ */
+class TrashManager {
+  /**
+   * @param {WebDAVManager} webdavManager - Client of the current connection
+   */
+  constructor(webdavManager) {
+    this.webdavManager = webdavManager;
+  }
+
+  /**
+   * Whether a remote path is the trash folder or inside it
+   */
+  isTrashPath(remotePath) {
+    const normalized = '/' + String(remotePath).replace(/^\/+/, '');
+    return normalized === TRASH_FOLDER || normalized.startsWith(`${TRASH_FOLDER}/`);
+  }
+
+  /**
+   * Move an item into the trash instead of deleting it
+   * @param {string} remotePath - File or folder to delete
+   * @returns {Promise<Object>} Trash entry
+   */
+  async moveToTrash(remotePath) {
+    if (this.isTrashPath(remotePath)) {
+      throw new Error('Items in the trash can only be deleted permanently');
+    }
+
+    const stats = await this.webdavManager.getFileStats(remotePath);
+    const deletedAt = new Date();
+    const id = `${deletedAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+    const entry = {
+      id,
+      name: path.posix.basename(remotePath),
+      originalPath: remotePath,
+      type: stats.type,
+      size: stats.size || 0,
+      deletedAt: deletedAt.toISOString()
+    };
+
+    const entryFolder = `${TRASH_FOLDER}/${id}`;
+    await this.webdavManager.createDirectory(entryFolder, true);
+    await this.webdavManager.writeTextFile(`${entryFolder}/${INFO_FILE_NAME}`, JSON.stringify(entry, null, 2));
+    await this.webdavManager.moveItem(remotePath, `${entryFolder}/${entry.name}`);
+
+    logger.info(`Moved ${remotePath} to the trash`);
+    return entry;
+  }
+
+  /**
+   * List the items in the trash, newest first
+   * @returns {Promise<Array>} Trash entries
+   */
+  async list() {
+    if (!(await this.webdavManager.exists(TRASH_FOLDER))) {
+      return [];
+    }
+
+    const folders = (await this.webdavManager.listDirectory(TRASH_FOLDER)).filter(item => item.type === 'directory');
+    const entries = await Promise.all(folders.map(folder => this.readEntry(folder.name)));
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Read the info file of a trash entry; entries without one (e.g. left by an
+   * interrupted delete) are listed with what the folder tells
+   */
+  async readEntry(id) {
+    const entryFolder = `${TRASH_FOLDER}/${id}`;
+    try {
+      const entry = JSON.parse(await this.webdavManager.readTextFile(`${entryFolder}/${INFO_FILE_NAME}`));
+      return { ...entry, id };
+    } catch (error) {
+      logger.warn(`Trash entry ${id} has no readable info file:`, error);
+      const items = await this.webdavManager.listDirectory(entryFolder).catch(() => []);
+      const item = items.find(candidate => candidate.name !== INFO_FILE_NAME);
+      return {
+        id,
+        name: item ? item.name : id,
+        originalPath: null,
+        type: item ? item.type : 'directory',
+        size: item ? item.size || 0 : 0,
+        deletedAt: item && item.lastModified ? new Date(item.lastModified).toISOString() : new Date(0).toISOString()
+      };
+    }
+  }
+
+  /**
+   * Move a trashed item back to where it was deleted from
+   * @param {string} id - Trash entry ID
+   * @returns {Promise<string>} Restored path
+   */
+  async restore(id) {
+    const entry = await this.readEntry(this.validateId(id));
+    if (!entry.originalPath) {
+      throw new Error(`The original location of ${entry.name} is unknown`);
+    }
+    if (await this.webdavManager.exists(entry.originalPath)) {
+      throw new Error(`${entry.originalPath} already exists`);
+    }
+
+    const parent = path.posix.dirname(entry.originalPath);
+    if (parent !== '/' && !(await this.webdavManager.exists(parent))) {
+      await this.webdavManager.createDirectory(parent, true);
+    }
+
+    await this.webdavManager.moveItem(`${TRASH_FOLDER}/${id}/${entry.name}`, entry.originalPath);
+    await this.webdavManager.deleteItem(`${TRASH_FOLDER}/${id}`);
+
+    logger.info(`Restored ${entry.originalPath} from the trash`);
+    return entry.originalPath;
+  }
+
+  /**
+   * Delete a trashed item permanently
+   * @param {string} id - Trash entry ID
+   */
+  async purge(id) {
+    await this.webdavManager.deleteItem(`${TRASH_FOLDER}/${this.validateId(id)}`);
+  }
+
+  /**
+   * Delete the items that have been in the trash longer than the retention time
+   * @param {number} retentionDays - Maximum age in days; 0 keeps items forever
+   * @returns {Promise<number>} Number of purged items
+   */
+  async purgeExpired(retentionDays) {
+    if (!(retentionDays > 0)) {
+      return 0;
+    }
+
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expired = (await this.list()).filter(entry => new Date(entry.deletedAt).getTime() < cutoff);
+    for (const entry of expired) {
+      await this.purge(entry.id);
+    }
+
+    if (expired.length > 0) {
+      logger.info(`Purged ${expired.length} item(s) older than ${retentionDays} days from the trash`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Trash entry IDs are folder names; refuse anything that could leave /.trash
+   */
+  validateId(id) {
+    if (!id || typeof id !== 'string' || id.includes('/') || id.startsWith('.')) {
+      throw new Error(`Invalid trash entry: ${id}`);
+    }
+    return id;
+  }
+}
+
+module.exports = TrashManager;
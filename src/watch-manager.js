@@ -0,0 +1,295 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+// Editors often write a file several times in a row on save
+const DEBOUNCE_MS = 300;
+const MAX_LOG_ENTRIES = 200;
+
+// Files and folders that never get uploaded
+const IGNORED_NAMES = ['.DS_Store', '.git', '.svn', 'node_modules', 'Thumbs.db'];
+const IGNORED_PATTERNS = [/~$/, /\.sw[px]$/, /\.part(\.json)?$/, /^\.#/];
+
+/**
+ * Watches a local folder and mirrors changes to a remote folder: changed files
+ * are uploaded, new folders created and deleted files/folders removed.
+ *
+ * Changes are debounced per path and applied one at a time in the order they
+ * happened. Every action is emitted as an 'activity' event and kept in a
+ * short in-memory log.
+ */
+class WatchManager extends EventEmitter {
+  constructor() {
+    super();
+    this.session = null;
+    this.watchers = new Map(); // fs.FSWatcher per watched directory
+    this.pendingChanges = new Map(); // Debounce timers by relative path
+    this.processing = Promise.resolve();
+    this.log = [];
+    this.suspendedSession = null; // Watch stopped by suspend()
+  }
+
+  /**
+   * Start watching a local folder
+   * @param {string} localPath - Local folder to watch
+   * @param {string} remotePath - Remote folder that mirrors the local folder
+   * @param {WebDAVManager} webdavManager - Client connected to the remote folder's base URL
+   * @param {TrashManager} trashManager - Trash of that client when the
+   *   connection keeps deleted items, null to delete them permanently
+   */
+  start(localPath, remotePath, webdavManager, trashManager = null) {
+    if (!fs.existsSync(localPath) || !fs.statSync(localPath).isDirectory()) {
+      throw new Error(`Not a folder: ${localPath}`);
+    }
+
+    this.stop();
+    this.session = {
+      localPath,
+      remotePath: remotePath.replace(/\/+$/, '') || '/',
+      webdavManager,
+      trashManager,
+      startedAt: new Date().toISOString()
+    };
+
+    this.watchDirectory(localPath);
+    this.addActivity('info', '', `Watching ${localPath} → ${this.session.remotePath}`);
+    return this.getStatus();
+  }
+
+  stop() {
+    this.suspendedSession = null;
+    if (!this.session) {
+      return this.getStatus();
+    }
+
+    for (const watcher of this.watchers.values()) {
+      watcher.close();
+    }
+    for (const timer of this.pendingChanges.values()) {
+      clearTimeout(timer);
+    }
+    this.watchers.clear();
+    this.pendingChanges.clear();
+
+    this.addActivity('info', '', 'Watch mode stopped');
+    this.session = null;
+    return this.getStatus();
+  }
+
+  /**
+   * Stop watching while the app is locked; resumeSuspended() starts the same
+   * watch again. Changes made in between are not uploaded.
+   */
+  suspend() {
+    if (!this.session) {
+      return;
+    }
+    const { localPath, remotePath, webdavManager, trashManager } = this.session;
+    this.stop();
+    this.suspendedSession = { localPath, remotePath, webdavManager, trashManager };
+    this.addActivity('info', '', 'Watch mode paused while the app is locked');
+  }
+
+  resumeSuspended() {
+    const suspended = this.suspendedSession;
+    this.suspendedSession = null;
+    if (!suspended || this.session) {
+      return this.getStatus();
+    }
+    try {
+      return this.start(suspended.localPath, suspended.remotePath, suspended.webdavManager, suspended.trashManager);
+    } catch (error) {
+      this.addActivity('error', '', `Watch could not be resumed: ${error.message}`);
+      return this.getStatus();
+    }
+  }
+
+  isWatching() {
+    return !!this.session;
+  }
+
+  getStatus() {
+    return {
+      active: !!this.session,
+      localPath: this.session ? this.session.localPath : null,
+      remotePath: this.session ? this.session.remotePath : null,
+      startedAt: this.session ? this.session.startedAt : null,
+      log: this.log.slice()
+    };
+  }
+
+  /**
+   * Watch a directory tree. Recursive fs.watch is not available on Linux in
+   * this Node version, so fall back to one watcher per directory there.
+   */
+  watchDirectory(dirPath) {
+    try {
+      const watcher = fs.watch(dirPath, { recursive: true }, (eventType, fileName) => {
+        if (fileName) {
+          this.scheduleChange(fileName.toString());
+        }
+      });
+      this.addWatcher(dirPath, watcher);
+      this.session.recursive = true;
+    } catch (error) {
+      if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+        throw error;
+      }
+      this.session.recursive = false;
+      this.watchDirectoryTree(dirPath);
+    }
+  }
+
+  watchDirectoryTree(dirPath) {
+    if (this.watchers.has(dirPath) || this.isIgnored(path.basename(dirPath))) {
+      return;
+    }
+
+    const relativeDir = path.relative(this.session.localPath, dirPath);
+    const watcher = fs.watch(dirPath, (eventType, fileName) => {
+      if (fileName) {
+        this.scheduleChange(path.join(relativeDir, fileName.toString()));
+      }
+    });
+    this.addWatcher(dirPath, watcher);
+
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        this.watchDirectoryTree(path.join(dirPath, entry.name));
+      }
+    }
+  }
+
+  addWatcher(dirPath, watcher) {
+    watcher.on('error', (error) => {
+      // The watched directory itself was removed
+      watcher.close();
+      this.watchers.delete(dirPath);
+      if (dirPath === this.session?.localPath) {
+        this.addActivity('error', '', `Watch stopped: ${error.message}`);
+        this.stop();
+      }
+    });
+    this.watchers.set(dirPath, watcher);
+  }
+
+  isIgnored(relativePath) {
+    return relativePath.split(path.sep).some(part =>
+      IGNORED_NAMES.includes(part) || IGNORED_PATTERNS.some(pattern => pattern.test(part))
+    );
+  }
+
+  scheduleChange(relativePath) {
+    if (!this.session || !relativePath || this.isIgnored(relativePath)) {
+      return;
+    }
+
+    clearTimeout(this.pendingChanges.get(relativePath));
+    this.pendingChanges.set(relativePath, setTimeout(() => {
+      this.pendingChanges.delete(relativePath);
+      const session = this.session;
+      this.processing = this.processing.then(() => this.applyChange(session, relativePath));
+    }, DEBOUNCE_MS));
+  }
+
+  /**
+   * Mirror the current local state of a path to the remote folder
+   */
+  async applyChange(session, relativePath) {
+    // Watch was stopped or restarted while the change was waiting
+    if (session !== this.session) {
+      return;
+    }
+
+    const localPath = path.join(session.localPath, relativePath);
+    const remotePath = path.posix.join(session.remotePath, ...relativePath.split(path.sep));
+    const displayPath = relativePath.split(path.sep).join('/');
+    const { webdavManager, trashManager } = session;
+
+    try {
+      const stats = await fs.promises.stat(localPath).catch(() => null);
+
+      if (!stats) {
+        this.stopWatchingTree(localPath);
+        try {
+          if (trashManager) {
+            await trashManager.moveToTrash(remotePath);
+            this.addActivity('delete', displayPath, 'Moved to trash');
+          } else {
+            await webdavManager.deleteItem(remotePath);
+            this.addActivity('delete', displayPath, 'Deleted');
+          }
+        } catch (error) {
+          // Never uploaded or already gone
+          if (error.status !== 404) {
+            throw error;
+          }
+        }
+      } else if (stats.isDirectory()) {
+        // Directories also report changes to their contents; only new ones need work
+        if (await webdavManager.exists(remotePath)) {
+          return;
+        }
+        await webdavManager.createDirectory(remotePath, true);
+        this.addActivity('mkdir', displayPath, 'Folder created');
+        if (!session.recursive) {
+          this.watchDirectoryTree(localPath);
+        }
+        await this.uploadNewDirectory(session, localPath, relativePath);
+      } else if (stats.isFile()) {
+        try {
+          await webdavManager.uploadFile(localPath, remotePath);
+        } catch (error) {
+          // 409 Conflict - the parent folder doesn't exist remotely yet
+          if (error.status !== 409) {
+            throw error;
+          }
+          await webdavManager.createDirectory(path.posix.dirname(remotePath), true);
+          await webdavManager.uploadFile(localPath, remotePath);
+        }
+        this.addActivity('upload', displayPath, `Uploaded (${stats.size} bytes)`);
+      }
+    } catch (error) {
+      this.addActivity('error', displayPath, error.message);
+    }
+  }
+
+  /**
+   * Folders moved or copied into the watched folder only raise one event,
+   * so upload their contents explicitly
+   */
+  async uploadNewDirectory(session, localDir, relativeDir) {
+    for (const entry of await fs.promises.readdir(localDir, { withFileTypes: true })) {
+      const relativePath = path.join(relativeDir, entry.name);
+      if (!this.isIgnored(relativePath)) {
+        await this.applyChange(session, relativePath);
+      }
+    }
+  }
+
+  stopWatchingTree(dirPath) {
+    for (const [watchedPath, watcher] of this.watchers) {
+      if (watchedPath === dirPath || watchedPath.startsWith(dirPath + path.sep)) {
+        watcher.close();
+        this.watchers.delete(watchedPath);
+      }
+    }
+  }
+
+  addActivity(type, relativePath, message) {
+    const entry = {
+      time: new Date().toISOString(),
+      type,
+      path: relativePath,
+      message
+    };
+
+    this.log.push(entry);
+    if (this.log.length > MAX_LOG_ENTRIES) {
+      this.log.shift();
+    }
+    this.emit('activity', entry);
+  }
+}
+
+module.exports = WatchManager;
@@ -1,14 +1,82 @@
 // Remove the CommonJS require and handle webdav as ES module
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { registerClientCertificate } = require('./client-certificate');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('WebDAVManager');
+
+// Minimum delay between two progress reports for the same transfer
+const PROGRESS_INTERVAL_MS = 200;
+
+// Suffixes of the partial download and of the sidecar file that records which
+// remote version the partial data belongs to
+const PART_SUFFIX = '.part';
+const PART_INFO_SUFFIX = '.part.json';
+
+// Larger files are downloaded instead of opened in the editor
+const MAX_EDITABLE_SIZE = 5 * 1024 * 1024;
+
+// How long a client for another WebDAV root of the instance is reused
+const ROOT_CLIENT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Answers of servers that can't COPY or MOVE into another WebDAV root; the
+// item is then streamed through this machine instead
+const CROSS_ROOT_FALLBACK_STATUSES = [400, 403, 405, 501, 502];
+
+/**
+ * Wrap an error with a readable message while keeping the HTTP status and
+ * network error code, so callers can decide whether a retry makes sense
+ */
+function wrapError(message, cause) {
+  const error = new Error(`${message}: ${cause.message}`);
+  error.status = cause.status;
+  error.code = cause.code;
+  return error;
+}
+
+/**
+ * Root URL without trailing slashes, used as key for the root clients
+ */
+function normalizeRootUrl(rootUrl) {
+  return String(rootUrl).replace(/\/+$/, '');
+}
+
+/**
+ * Part of a WebDAV URL shared by all roots of an instance:
+ * https://host/on/demandware.servlet/webdav
+ */
+function getInstanceBase(rootUrl) {
+  const match = String(rootUrl).match(/^(https?:\/\/[^/]+\/on\/demandware\.servlet\/webdav)(\/|$)/i);
+  if (match) {
+    return match[1].toLowerCase();
+  }
+  try {
+    return new URL(rootUrl).origin.toLowerCase();
+  } catch (error) {
+    return String(rootUrl);
+  }
+}
+
+/**
+ * Percent-encode the segments of a remote path for use in a URL
+ */
+function encodeRemotePath(remotePath) {
+  return '/' + String(remotePath).replace(/^\/+/, '').split('/').map(encodeURIComponent).join('/');
+}
 
 class WebDAVManager {
   constructor() {
     this.client = null;
     this.currentCredentials = null;
+    this.httpsAgent = undefined; // Presents the client certificate, if the connection has one
     this.webdavModule = null;
     this.oauth2Manager = null; // Will be injected
+    this.rootClients = new Map(); // Root URL -> { client, createdAt }, see getRootClient
   }
 
   /**
@@ -23,14 +91,9 @@ class WebDAVManager {
    */
   async loadWebDAVModule() {
     if (!this.webdavModule) {
-      // Enable debug logging for HTTP requests
-      const originalDebug = process.env.NODE_DEBUG;
-      process.env.NODE_DEBUG = (originalDebug ? originalDebug + ',' : '') + 'http,https';
-      
-      console.log('WebDAV Manager - Loading WebDAV module with HTTP debugging enabled...');
+      logger.debug('Loading WebDAV module');
       const webdav = await import('webdav');
       this.webdavModule = webdav;
-      console.log('WebDAV Manager - Available WebDAV exports:', Object.keys(this.webdavModule));
     }
     return this.webdavModule;
   }
@@ -39,15 +102,29 @@ class WebDAVManager {
    * Initialize WebDAV client with credentials
    */
   async initializeClient(credentials) {
+    logger.info('Initializing client with URL:', credentials.url, 'and auth type:', credentials.authType);
+
+    // Clients of other roots are only reused while the instance and login stay the same
+    const previous = this.currentCredentials;
+    if (!previous || previous.id !== credentials.id || getInstanceBase(previous.url) !== getInstanceBase(credentials.url)) {
+      this.rootClients.clear();
+    }
+
+    const { client, httpsAgent } = await this.createClient(credentials);
+    this.client = client;
+    this.httpsAgent = httpsAgent;
+    this.currentCredentials = credentials;
+    this.rootClients.set(normalizeRootUrl(credentials.url), { client, createdAt: Date.now() });
+  }
+
+  /**
+   * Create a webdav client for a connection without making it the current one
+   * @returns {Promise<Object>} client and httpsAgent
+   */
+  async createClient(credentials) {
     await this.loadWebDAVModule();
-    
-    console.log('WebDAV Manager - Initializing client with URL:', credentials.url);
-    console.log('WebDAV Manager - Creating client with URL:', credentials.url, 'and auth type:', credentials.authType);
-    console.log('WebDAV Manager - Full credentials object:', JSON.stringify(credentials, null, 2));
-    
+
     let authConfig = {};
-    
-    console.log('Webdav Token ' + credentials?.token?.substring(0, 10) + ' auth type ' + credentials.authType);
 
     if (credentials.authType === 'basic') {
       authConfig = {
@@ -68,8 +145,7 @@ class WebDAVManager {
         throw new Error('OAuth2 manager not available');
       }
       
-      console.log('WebDAV Manager - Getting OAuth2 token for connection ID:', credentials.id);
-      console.log('WebDAV Manager - OAuth2 credentials - clientId:', credentials.clientId ? '[present]' : '[missing]', 'clientSecret:', credentials.clientSecret ? '[present]' : '[missing]');
+      logger.debug('Getting OAuth2 token for connection ID:', credentials.id);
       
       const accessToken = await this.oauth2Manager.getAccessToken(
         credentials.id,
@@ -77,8 +153,7 @@ class WebDAVManager {
         credentials.clientSecret
       );
       
-      console.log('WebDAV Manager - Received access token:', accessToken ? '[present]' : '[missing]');
-      console.log('Webdav Token (truncated for security):', accessToken ? accessToken.substring(0, 10) + '...' : '[missing]');
+      logger.debug('Received access token:', accessToken ? '[present]' : '[missing]');
       
       authConfig = {
         authType: this.webdavModule.AuthType.Token,
@@ -87,40 +162,49 @@ class WebDAVManager {
           token_type: 'Bearer'
         }
       };
-      
-      console.log('WebDAV Manager - Using OAuth2 access token for authentication');
-      console.log('WebDAV Manager - Auth config created:', {
-        hasToken: !!authConfig.token,
-        tokenType: authConfig.token?.token_type,
-        accessTokenLength: authConfig.token?.access_token?.length
-      });
     }
 
-    console.log('WebDAV Manager - Creating client with auth config:', {
-      hasToken: !!authConfig.token,
-      tokenType: authConfig.token?.token_type,
-      hasUsername: !!authConfig.username,
-      hasPassword: !!authConfig.password
+    // Instances with two-factor authentication require a client certificate
+    const httpsAgent = registerClientCertificate(credentials.url, credentials.clientCertificate);
+    if (httpsAgent) {
+      logger.info('Using client certificate:', credentials.clientCertificate.fileName);
+    }
+
+    const client = this.webdavModule.createClient(credentials.url, {
+      ...authConfig,
+      httpsAgent
     });
-    
-    // Log the complete auth config structure (for debugging)
-    console.log('WebDAV Manager - Complete auth config structure:', JSON.stringify(authConfig, null, 2));
-    
-    this.client = this.webdavModule.createClient(credentials.url, authConfig);
-    this.currentCredentials = credentials;
-    
-    // Try to enable debug mode for the webdav client
-    if (this.client) {
-      console.log('WebDAV Manager - Client methods available:', Object.getOwnPropertyNames(this.client));
-      
-      // Try to access underlying request configuration
-      if (this.client._requester) {
-        console.log('WebDAV Manager - Client has _requester');
-      }
-      if (this.client.options) {
-        console.log('WebDAV Manager - Client options:', this.client.options);
-      }
+    return { client, httpsAgent };
+  }
+
+  /**
+   * Client for another WebDAV root of the current instance, e.g. /Sites/Impex
+   * while the connection is browsing /Sites/Catalogs/<id>. Clients are cached
+   * per root and recreated after a while so OAuth2 tokens don't go stale.
+   * @param {string} rootUrl - Full URL of the root
+   */
+  async getRootClient(rootUrl) {
+    if (!this.client || !this.currentCredentials) {
+      throw new Error('WebDAV client not initialized');
     }
+
+    const key = normalizeRootUrl(rootUrl);
+    if (key === normalizeRootUrl(this.currentCredentials.url)) {
+      return this.client;
+    }
+    if (getInstanceBase(rootUrl) !== getInstanceBase(this.currentCredentials.url)) {
+      throw new Error(`${rootUrl} is not a WebDAV root of the connected instance`);
+    }
+
+    const cached = this.rootClients.get(key);
+    if (cached && Date.now() - cached.createdAt < ROOT_CLIENT_MAX_AGE_MS) {
+      return cached.client;
+    }
+
+    logger.debug('Creating client for WebDAV root:', key);
+    const { client } = await this.createClient({ ...this.currentCredentials, url: key });
+    this.rootClients.set(key, { client, createdAt: Date.now() });
+    return client;
   }
 
   /**
@@ -128,36 +212,20 @@ class WebDAVManager {
    */
   async testConnection(credentials) {
     try {
-      console.log('WebDAV Manager - Testing connection to URL:', credentials.url);
+      logger.info('Testing connection to URL:', credentials.url);
       await this.initializeClient(credentials);
       
       // Try to list current directory as connection test (instead of root)
-      console.log('WebDAV Manager - Attempting to list directory contents...' + JSON.stringify(credentials));
-      
-      // Log the exact authorization header that would be sent
-      if (credentials.authType === 'bearer' || credentials.authType === 'oauth2') {
-        const token = credentials.authType === 'bearer' ? credentials.token : 
-          (this.currentCredentials && this.currentCredentials.authType === 'oauth2' ? 
-            await this.oauth2Manager.getAccessToken(credentials.id, credentials.clientId, credentials.clientSecret) : null);
-        if (token) {
-          console.log('WebDAV Manager - Authorization header would be: Bearer ' + token.substring(0, 20) + '...');
-        }
-      } else if (credentials.authType === 'basic') {
-        const auth = Buffer.from(credentials.username + ':' + credentials.password).toString('base64');
-        console.log('WebDAV Manager - Authorization header would be: Basic ' + auth.substring(0, 20) + '...');
-      }
-      
-      // Make the actual request
       const result = await this.client.getDirectoryContents('');
-      console.log('WebDAV Manager - Directory listing successful, found', result.length, 'items');
+      logger.info('Directory listing successful, found', result.length, 'items');
       
       return true;
     } catch (error) {
-      console.error('Connection test failed:', error);
+      logger.error('Connection test failed:', error);
       
       // If it's a 401 error and we're using OAuth2, try with a fresh token
       if (error.status === 401 && credentials.authType === 'oauth2') {
-        console.log('WebDAV Manager - 401 error with OAuth2, retrying with fresh token...');
+        logger.info('401 error with OAuth2, retrying with fresh token');
         try {
           // Force a fresh token
           await this.oauth2Manager.getAccessToken(
@@ -167,22 +235,14 @@ class WebDAVManager {
             true // Force refresh
           );
           
-          console.log('WebDAV Manager - Obtained fresh token, reinitializing client...');
+          logger.debug('Obtained fresh token, reinitializing client');
           await this.initializeClient(credentials);
           
-          console.log('WebDAV Manager - Retrying directory listing with fresh token...');
-          
-          // Log the fresh token header
-          const retryToken = await this.oauth2Manager.getAccessToken(credentials.id, credentials.clientId, credentials.clientSecret);
-          if (retryToken) {
-            console.log('WebDAV Manager - Fresh token authorization header: Bearer ' + retryToken.substring(0, 20) + '...');
-          }
-          
           const result = await this.client.getDirectoryContents('');
-          console.log('WebDAV Manager - Fresh token retry succeeded! Found', result.length, 'items');
+          logger.info('Fresh token retry succeeded, found', result.length, 'items');
           return true;
         } catch (retryError) {
-          console.error('WebDAV Manager - Fresh token retry also failed:', retryError);
+          logger.error('Fresh token retry also failed:', retryError);
           return false;
         }
       }
@@ -217,15 +277,52 @@ class WebDAVManager {
   }
 
   /**
-   * Download file from WebDAV server
+   * Create a pass-through stream that counts transferred bytes
+   * @param {number} totalBytes - Expected size, 0 if unknown
+   * @param {Function} onProgress - Called with { transferred, total }, throttled
+   */
+  createProgressStream(totalBytes, onProgress, initialBytes = 0) {
+    let transferred = initialBytes;
+    let lastReport = 0;
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        transferred += chunk.length;
+        const now = Date.now();
+        if (onProgress && now - lastReport >= PROGRESS_INTERVAL_MS) {
+          lastReport = now;
+          onProgress({ transferred, total: totalBytes });
+        }
+        callback(null, chunk);
+      },
+      flush(callback) {
+        if (onProgress) {
+          onProgress({ transferred, total: totalBytes });
+        }
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Download file from WebDAV server, streaming it to disk.
+   *
+   * Data is written to a .part file next to the destination and renamed once
+   * complete. If a previous attempt left a .part file behind and the remote
+   * file still has the same size and ETag, the download continues from where
+   * it stopped using a Range request.
+   * @param {string} remotePath - Remote file path
+   * @param {string} localPath - Local destination path
+   * @param {Function} onProgress - Optional progress callback
+   * @param {AbortSignal} signal - Optional signal to abort the transfer
    */
-  async downloadFile(remotePath, localPath) {
+  async downloadFile(remotePath, localPath, onProgress = null, signal = undefined) {
     try {
       if (!this.client) {
         throw new Error('WebDAV client not initialized');
       }
 
-      const fileBuffer = await this.client.getFileContents(remotePath);
+      const stats = await this.getFileStats(remotePath, signal);
       
       // Ensure local directory exists
       const localDir = path.dirname(localPath);
@@ -233,18 +330,292 @@ class WebDAVManager {
         fs.mkdirSync(localDir, { recursive: true });
       }
 
-      fs.writeFileSync(localPath, fileBuffer);
+      const partPath = localPath + PART_SUFFIX;
+      const infoPath = localPath + PART_INFO_SUFFIX;
+      const offset = await this.getResumeOffset(partPath, infoPath, remotePath, stats);
+      try {
+        await this.downloadToPart(remotePath, partPath, infoPath, stats, offset, onProgress, signal);
+      } catch (error) {
+        // The webdav client reports a refused Range request on the stream: 200
+        // means the server ignored the Range header, 416 that the range is no
+        // longer valid - either way the partial data can't be used
+        if (offset === 0 || (error.status !== 200 && error.status !== 416)) {
+          throw error;
+        }
+        logger.info(`Server refused to resume ${remotePath} (HTTP ${error.status}), starting over`);
+        await this.removePartialDownload(localPath);
+        await this.downloadToPart(remotePath, partPath, infoPath, stats, 0, onProgress, signal);
+      }
+
+      const { size } = await fs.promises.stat(partPath);
+      if (stats.size && size !== stats.size) {
+        // Don't keep data that doesn't add up - the next attempt starts over
+        await this.removePartialDownload(localPath);
+        throw new Error(`Downloaded ${size} of ${stats.size} bytes`);
+      }
+
+      await fs.promises.rename(partPath, localPath);
+      await fs.promises.rm(infoPath, { force: true });
+
+      // Keep the remote modification date, so comparing dates later (e.g. in
+      // folder sync) finds both copies unchanged
+      const remoteDate = new Date(stats.lastModified);
+      if (!isNaN(remoteDate.getTime())) {
+        await fs.promises.utimes(localPath, new Date(), remoteDate);
+      }
       
       return true;
     } catch (error) {
-      throw new Error(`Failed to download file: ${error.message}`);
+      throw wrapError('Failed to download file', error);
     }
   }
 
   /**
-   * Upload file to WebDAV server
+   * Stream a remote file into its .part file, appending from an offset. A
+   * download from the start records the remote version next to it first.
    */
-  async uploadFile(localPath, remotePath) {
+  async downloadToPart(remotePath, partPath, infoPath, stats, offset, onProgress, signal) {
+    if (offset === 0) {
+      await fs.promises.writeFile(infoPath, JSON.stringify({
+        remotePath,
+        size: stats.size,
+        etag: stats.etag,
+        lastModified: stats.lastModified
+      }));
+    }
+
+    const readStream = offset > 0
+      ? this.client.createReadStream(remotePath, { range: { start: offset }, signal })
+      : this.client.createReadStream(remotePath, { signal });
+    const fileStream = fs.createWriteStream(partPath, { flags: offset > 0 ? 'a' : 'w' });
+    try {
+      // The signal is also handed to pipeline because the webdav read stream
+      // does not forward errors once the body has started flowing
+      await pipeline(
+        readStream,
+        this.createProgressStream(stats.size || 0, onProgress, offset),
+        fileStream,
+        { signal }
+      );
+    } finally {
+      // Make sure the file handle is released before callers touch the file
+      if (!fileStream.closed) {
+        await new Promise(resolve => fileStream.once('close', resolve));
+      }
+    }
+  }
+
+  /**
+   * Number of bytes of an earlier partial download that can be reused.
+   * Returns 0 (and discards the partial data) when the remote file has changed
+   * since, so two different versions never get stitched together.
+   */
+  async getResumeOffset(partPath, infoPath, remotePath, stats) {
+    try {
+      const info = JSON.parse(await fs.promises.readFile(infoPath, 'utf8'));
+      const { size } = await fs.promises.stat(partPath);
+
+      // Fall back to the modification date for servers that send no ETag
+      const unchanged = info.remotePath === remotePath &&
+        info.size === stats.size &&
+        (stats.etag ? info.etag === stats.etag : info.lastModified === stats.lastModified);
+
+      if (unchanged && size > 0 && size < stats.size) {
+        return size;
+      }
+    } catch (error) {
+      // No usable partial download
+    }
+
+    await fs.promises.rm(partPath, { force: true });
+    return 0;
+  }
+
+  /**
+   * Remove the .part file and its sidecar left behind by an interrupted download
+   * @param {string} localPath - Local destination path of the download
+   */
+  async removePartialDownload(localPath) {
+    await fs.promises.rm(localPath + PART_SUFFIX, { force: true });
+    await fs.promises.rm(localPath + PART_INFO_SUFFIX, { force: true });
+  }
+
+  /**
+   * Hash the content of a remote file without keeping it in memory or on disk
+   * @param {string} remotePath - Remote file path
+   * @param {string} algorithm - Hash algorithm supported by crypto
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashFile(remotePath, algorithm = 'md5') {
+    try {
+      if (!this.client) {
+        throw new Error('WebDAV client not initialized');
+      }
+
+      const hash = crypto.createHash(algorithm);
+      await pipeline(this.client.createReadStream(remotePath), hash);
+      return hash.digest('hex');
+    } catch (error) {
+      throw wrapError('Failed to hash file', error);
+    }
+  }
+
+  /**
+   * Read a byte range of a remote file
+   * @param {string} remotePath - Remote file path
+   * @param {number} start - First byte to read
+   * @param {number} end - Last byte to read (inclusive)
+   * @returns {Promise<Buffer>} The requested bytes
+   */
+  async readFileRange(remotePath, start, end) {
+    try {
+      if (!this.client) {
+        throw new Error('WebDAV client not initialized');
+      }
+
+      const stream = await this.client.createReadStream(remotePath, { range: { start, end } });
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    } catch (error) {
+      throw wrapError('Failed to read file', error);
+    }
+  }
+
+  /**
+   * Read a whole remote file into memory
+   * @param {string} remotePath - Remote file path
+   * @returns {Promise<Buffer>} File contents
+   */
+  async readFile(remotePath) {
+    try {
+      if (!this.client) {
+        throw new Error('WebDAV client not initialized');
+      }
+
+      return Buffer.from(await this.client.getFileContents(remotePath, { format: 'binary' }));
+    } catch (error) {
+      throw wrapError('Failed to read file', error);
+    }
+  }
+
+  /**
+   * Read a whole remote text file into memory
+   * @param {string} remotePath - Remote file path
+   * @returns {Promise<string>} File contents
+   */
+  async readTextFile(remotePath) {
+    try {
+      if (!this.client) {
+        throw new Error('WebDAV client not initialized');
+      }
+
+      return await this.client.getFileContents(remotePath, { format: 'text' });
+    } catch (error) {
+      throw wrapError('Failed to read file', error);
+    }
+  }
+
+  /**
+   * Read a text file for editing together with the version it was read at
+   * @param {string} remotePath - Remote file path
+   * @returns {Promise<Object>} content, etag, lastModified and size
+   */
+  async openTextFile(remotePath) {
+    const stats = await this.getFileStats(remotePath);
+    if (stats.type !== 'file') {
+      throw new Error(`${remotePath} is not a file`);
+    }
+    if (stats.size > MAX_EDITABLE_SIZE) {
+      throw new Error(`${stats.name} is too large to edit (${Math.round(stats.size / 1024 / 1024)} MB), download it instead`);
+    }
+
+    const content = await this.readTextFile(remotePath);
+    if (content.includes('\u0000')) {
+      throw new Error(`${path.posix.basename(remotePath)} is not a text file`);
+    }
+
+    return { content, etag: stats.etag, lastModified: stats.lastModified, size: stats.size };
+  }
+
+  /**
+   * Save an edited text file, unless it changed on the server since it was
+   * opened. The ETag (or, without one, the modification date) must still be
+   * the one it was read at; the server checks the ETag again with If-Match.
+   * @param {string} remotePath - Remote file path
+   * @param {string} content - New contents
+   * @param {Object} expected - etag and lastModified returned by openTextFile;
+   *   null saves regardless of changes
+   * @returns {Promise<Object>} etag, lastModified and size after saving
+   */
+  async saveTextFile(remotePath, content, expected = null) {
+    if (!this.client) {
+      throw new Error('WebDAV client not initialized');
+    }
+
+    const headers = {};
+
+    if (expected) {
+      const current = await this.getFileStats(remotePath).catch(error => {
+        if (error.status === 404) {
+          return null;
+        }
+        throw error;
+      });
+      const changed = !current || (expected.etag && current.etag
+        ? current.etag !== expected.etag
+        : current.lastModified !== expected.lastModified);
+      if (changed) {
+        const error = new Error(current
+          ? `${remotePath} was changed on the server since it was opened`
+          : `${remotePath} was deleted on the server since it was opened`);
+        error.status = 412;
+        throw error;
+      }
+      // The webdav module strips the quotes; weak ETags can't be used with If-Match
+      if (expected.etag && !expected.etag.startsWith('W/')) {
+        headers['If-Match'] = `"${expected.etag}"`;
+      }
+    }
+
+    try {
+      await this.client.putFileContents(remotePath, content, { overwrite: true, headers });
+    } catch (error) {
+      throw wrapError('Failed to save file', error);
+    }
+
+    const stats = await this.getFileStats(remotePath);
+    return { etag: stats.etag, lastModified: stats.lastModified, size: stats.size };
+  }
+
+  /**
+   * Write a small text file, replacing an existing one
+   * @param {string} remotePath - Remote file path
+   * @param {string} content - File contents
+   */
+  async writeTextFile(remotePath, content) {
+    try {
+      if (!this.client) {
+        throw new Error('WebDAV client not initialized');
+      }
+
+      await this.client.putFileContents(remotePath, content, { overwrite: true });
+      return true;
+    } catch (error) {
+      throw wrapError('Failed to write file', error);
+    }
+  }
+
+  /**
+   * Upload file to WebDAV server, streaming it from disk
+   * @param {string} localPath - Local file path
+   * @param {string} remotePath - Remote destination path
+   * @param {Function} onProgress - Optional progress callback
+   * @param {AbortSignal} signal - Optional signal to abort the transfer
+   */
+  async uploadFile(localPath, remotePath, onProgress = null, signal = undefined) {
     try {
       if (!this.client) {
         throw new Error('WebDAV client not initialized');
@@ -254,29 +625,57 @@ class WebDAVManager {
         throw new Error('Local file does not exist');
       }
 
-      const fileBuffer = fs.readFileSync(localPath);
-      await this.client.putFileContents(remotePath, fileBuffer);
+      const { size } = await fs.promises.stat(localPath);
+      const progressStream = this.createProgressStream(size, onProgress);
+      const fileStream = fs.createReadStream(localPath);
+      fileStream.on('error', error => progressStream.destroy(error));
+      fileStream.pipe(progressStream);
+
+      try {
+        // putFileContents omits Content-Length for streams, so pass it explicitly
+        await this.client.putFileContents(remotePath, progressStream, {
+          headers: { 'Content-Length': String(size) },
+          signal
+        });
+      } finally {
+        fileStream.destroy();
+      }
       
       return true;
     } catch (error) {
-      throw new Error(`Failed to upload file: ${error.message}`);
+      throw wrapError('Failed to upload file', error);
     }
   }
 
   /**
    * Create directory on WebDAV server
    */
-  async createDirectory(remotePath) {
+  async createDirectory(remotePath, recursive = false) {
     try {
       if (!this.client) {
         throw new Error('WebDAV client not initialized');
       }
 
-      await this.client.createDirectory(remotePath);
+      await this.client.createDirectory(remotePath, { recursive });
       
       return true;
     } catch (error) {
-      throw new Error(`Failed to create directory: ${error.message}`);
+      throw wrapError('Failed to create directory', error);
+    }
+  }
+
+  /**
+   * Check whether a file or directory exists on the WebDAV server
+   */
+  async exists(remotePath) {
+    try {
+      if (!this.client) {
+        throw new Error('WebDAV client not initialized');
+      }
+
+      return await this.client.exists(remotePath);
+    } catch (error) {
+      throw wrapError('Failed to check path', error);
     }
   }
 
@@ -293,54 +692,151 @@ class WebDAVManager {
       
       return true;
     } catch (error) {
-      throw new Error(`Failed to delete item: ${error.message}`);
+      throw wrapError('Failed to delete item', error);
     }
   }
 
   /**
    * Move/rename file or directory
+   * @param {boolean} overwrite - Replace an existing destination; without it the
+   *   server answers 412 Precondition Failed
    */
-  async moveItem(fromPath, toPath) {
+  async moveItem(fromPath, toPath, overwrite = true) {
     try {
       if (!this.client) {
         throw new Error('WebDAV client not initialized');
       }
 
-      await this.client.moveFile(fromPath, toPath);
+      await this.client.moveFile(fromPath, toPath, { overwrite });
       
       return true;
     } catch (error) {
-      throw new Error(`Failed to move item: ${error.message}`);
+      throw wrapError('Failed to move item', error);
     }
   }
 
   /**
    * Copy file or directory
+   * @param {boolean} overwrite - Replace an existing destination
    */
-  async copyItem(fromPath, toPath) {
+  async copyItem(fromPath, toPath, overwrite = true) {
     try {
       if (!this.client) {
         throw new Error('WebDAV client not initialized');
       }
 
-      await this.client.copyFile(fromPath, toPath);
+      await this.client.copyFile(fromPath, toPath, { overwrite });
       
       return true;
     } catch (error) {
-      throw new Error(`Failed to copy item: ${error.message}`);
+      throw wrapError('Failed to copy item', error);
+    }
+  }
+
+  /**
+   * Check whether a path exists in another WebDAV root of the instance
+   */
+  async existsInRoot(rootUrl, remotePath) {
+    try {
+      const client = await this.getRootClient(rootUrl);
+      return await client.exists(remotePath);
+    } catch (error) {
+      throw wrapError('Failed to check path', error);
+    }
+  }
+
+  /**
+   * Copy or move an item from one WebDAV root of the instance to another, e.g.
+   * from a catalog folder to Impex. The server is asked to COPY/MOVE with an
+   * absolute destination first; when it refuses to leave the root, files are
+   * downloaded and uploaded again as a stream and folders are recreated.
+   * @param {string} operation - 'copy' or 'move'
+   * @param {Object} from - { root, path } of the source
+   * @param {Object} to - { root, path } of the destination
+   * @param {boolean} overwrite - Replace an existing destination; without it the
+   *   server answers 412 Precondition Failed
+   * @returns {Promise<string>} 'server' or 'streamed'
+   */
+  async transferBetweenRoots(operation, from, to, overwrite = false) {
+    const failure = operation === 'move' ? 'Failed to move item' : 'Failed to copy item';
+    try {
+      const source = await this.getRootClient(from.root);
+      const target = await this.getRootClient(to.root);
+
+      if (normalizeRootUrl(from.root) === normalizeRootUrl(to.root)) {
+        if (operation === 'move') {
+          await source.moveFile(from.path, to.path, { overwrite });
+        } else {
+          await source.copyFile(from.path, to.path, { overwrite });
+        }
+        return 'server';
+      }
+
+      try {
+        await source.customRequest(from.path, {
+          method: operation === 'move' ? 'MOVE' : 'COPY',
+          headers: {
+            Destination: `${normalizeRootUrl(to.root)}${encodeRemotePath(to.path)}`,
+            Overwrite: overwrite ? 'T' : 'F'
+          }
+        });
+        return 'server';
+      } catch (error) {
+        if (!CROSS_ROOT_FALLBACK_STATUSES.includes(error.status)) {
+          throw error;
+        }
+        logger.info(`Server refused ${operation} across roots (${error.status}), streaming ${from.path}`);
+      }
+
+      await this.streamItem(source, from.path, target, to.path, overwrite);
+      if (operation === 'move') {
+        await source.deleteFile(from.path);
+      }
+      return 'streamed';
+    } catch (error) {
+      throw wrapError(failure, error);
+    }
+  }
+
+  /**
+   * Download a file or folder from one client and upload it with another
+   */
+  async streamItem(source, fromPath, target, toPath, overwrite) {
+    const stats = await source.stat(fromPath);
+
+    if (stats.type === 'directory') {
+      if (!(await target.exists(toPath))) {
+        await target.createDirectory(toPath);
+      }
+      const contents = await source.getDirectoryContents(fromPath);
+      for (const item of contents) {
+        await this.streamItem(source, path.posix.join(fromPath, item.basename), target, path.posix.join(toPath, item.basename), overwrite);
+      }
+      return;
+    }
+
+    const readStream = source.createReadStream(fromPath);
+    try {
+      // putFileContents omits Content-Length for streams, so pass it explicitly
+      await target.putFileContents(toPath, readStream, {
+        overwrite,
+        headers: { 'Content-Length': String(stats.size) }
+      });
+    } finally {
+      readStream.destroy();
     }
   }
 
   /**
    * Get file properties/stats
    */
-  async getFileStats(remotePath) {
+  async getFileStats(remotePath, signal = undefined) {
     try {
       if (!this.client) {
         throw new Error('WebDAV client not initialized');
       }
 
-      const stats = await this.client.stat(remotePath);
+      const stats = await this.client.stat(remotePath, { signal });
       
       return {
         name: stats.basename,
@@ -348,10 +844,11 @@ class WebDAVManager {
         type: stats.type,
         size: stats.size,
         lastModified: stats.lastmod,
+        etag: stats.etag || null,
         mime: stats.mime || 'application/octet-stream'
       };
     } catch (error) {
-      throw new Error(`Failed to get file stats: ${error.message}`);
+      throw wrapError('Failed to get file stats', error);
     }
   }
 
@@ -486,6 +983,31 @@ class WebDAVManager {
   disconnect() {
     this.client = null;
     this.currentCredentials = null;
+    this.httpsAgent = undefined;
+    this.rootClients.clear();
+  }
+
+  /**
+   * Authorization header for requests made outside the webdav client
+   */
+  async getAuthHeaders() {
+    const credentials = this.currentCredentials;
+
+    if (credentials.authType === 'basic') {
+      const auth = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+      return { 'Authorization': `Basic ${auth}` };
+    } else if (credentials.authType === 'bearer') {
+      return { 'Authorization': `Bearer ${credentials.token}` };
+    } else if (credentials.authType === 'oauth2' && this.oauth2Manager) {
+      const accessToken = await this.oauth2Manager.getAccessToken(
+        credentials.id,
+        credentials.clientId,
+        credentials.clientSecret
+      );
+      return { 'Authorization': `Bearer ${accessToken}` };
+    }
+
+    return {};
   }
 
   /**
@@ -497,23 +1019,16 @@ class WebDAVManager {
         throw new Error('WebDAV client not initialized');
       }
 
-      console.log('ZIP operation - Item path:', itemPath);
-      console.log('ZIP operation - Base URL:', this.currentCredentials.url);
+      logger.debug('ZIP operation - Item path:', itemPath);
+      logger.debug('ZIP operation - Base URL:', this.currentCredentials.url);
 
       // Construct the full URL for the item
       const baseUrl = this.currentCredentials.url;
       const fullUrl = itemPath.startsWith('/') ? `${baseUrl}${itemPath}` : `${baseUrl}/${itemPath}`;
       
-      console.log('ZIP operation - Full URL:', fullUrl);
+      logger.debug('ZIP operation - Full URL:', fullUrl);
 
-      // Prepare auth headers
-      let authHeaders = {};
-      if (this.currentCredentials.authType === 'basic') {
-        const auth = Buffer.from(`${this.currentCredentials.username}:${this.currentCredentials.password}`).toString('base64');
-        authHeaders['Authorization'] = `Basic ${auth}`;
-      } else if (this.currentCredentials.authType === 'bearer') {
-        authHeaders['Authorization'] = `Bearer ${this.currentCredentials.token}`;
-      }
+      const authHeaders = await this.getAuthHeaders();
 
       // Make POST request with method=ZIP
       const fetch = (await import('node-fetch')).default;
@@ -523,11 +1038,12 @@ class WebDAVManager {
           'Content-Type': 'application/x-www-form-urlencoded',
           ...authHeaders
         },
-        body: 'method=ZIP'
+        body: 'method=ZIP',
+        agent: this.httpsAgent
       });
 
-      console.log('ZIP response status:', response.status);
-      console.log('ZIP response statusText:', response.statusText);
+      logger.debug('ZIP response status:', response.status);
+      logger.debug('ZIP response statusText:', response.statusText);
 
       if (!response.ok) {
         throw new Error(`ZIP operation failed: ${response.status} ${response.statusText}`);
@@ -535,7 +1051,7 @@ class WebDAVManager {
 
       return { success: true, status: response.status };
     } catch (error) {
-      console.error('ZIP operation failed:', error);
+      logger.error('ZIP operation failed:', error);
       throw new Error(`Failed to ZIP item: ${error.message}`);
     }
   }
@@ -549,23 +1065,16 @@ class WebDAVManager {
         throw new Error('WebDAV client not initialized');
       }
 
-      console.log('UNZIP operation - Item path:', itemPath);
-      console.log('UNZIP operation - Base URL:', this.currentCredentials.url);
+      logger.debug('UNZIP operation - Item path:', itemPath);
+      logger.debug('UNZIP operation - Base URL:', this.currentCredentials.url);
 
       // Construct the full URL for the item
       const baseUrl = this.currentCredentials.url;
       const fullUrl = itemPath.startsWith('/') ? `${baseUrl}${itemPath}` : `${baseUrl}/${itemPath}`;
       
-      console.log('UNZIP operation - Full URL:', fullUrl);
+      logger.debug('UNZIP operation - Full URL:', fullUrl);
 
-      // Prepare auth headers
-      let authHeaders = {};
-      if (this.currentCredentials.authType === 'basic') {
-        const auth = Buffer.from(`${this.currentCredentials.username}:${this.currentCredentials.password}`).toString('base64');
-        authHeaders['Authorization'] = `Basic ${auth}`;
-      } else if (this.currentCredentials.authType === 'bearer') {
-        authHeaders['Authorization'] = `Bearer ${this.currentCredentials.token}`;
-      }
+      const authHeaders = await this.getAuthHeaders();
 
       // Make POST request with method=UNZIP
       const fetch = (await import('node-fetch')).default;
@@ -575,11 +1084,12 @@ class WebDAVManager {
           'Content-Type': 'application/x-www-form-urlencoded',
           ...authHeaders
         },
-        body: 'method=UNZIP'
+        body: 'method=UNZIP',
+        agent: this.httpsAgent
       });
 
-      console.log('UNZIP response status:', response.status);
-      console.log('UNZIP response statusText:', response.statusText);
+      logger.debug('UNZIP response status:', response.status);
+      logger.debug('UNZIP response statusText:', response.statusText);
 
       if (!response.ok) {
         throw new Error(`UNZIP operation failed: ${response.status} ${response.statusText}`);
@@ -587,7 +1097,7 @@ class WebDAVManager {
 
       return { success: true, status: response.status };
     } catch (error) {
-      console.error('UNZIP operation failed:', error);
+      logger.error('UNZIP operation failed:', error);
       throw new Error(`Failed to UNZIP item: ${error.message}`);
     }
   }
@@ -609,7 +1119,7 @@ class WebDAVManager {
         fs.mkdirSync(tempDir, { recursive: true });
       }
 
-      console.log('Preparing files for drag-out:', fileData.map(f => f.name));
+      logger.info('Preparing files for drag-out:', fileData.map(f => f.name));
 
       const tempFiles = [];
 
@@ -622,10 +1132,10 @@ class WebDAVManager {
         try {
           const fileBuffer = await this.client.getFileContents(file.path);
           fs.writeFileSync(tempFilePath, fileBuffer);
-          console.log(`Downloaded ${file.name} to ${tempFilePath}`);
+          logger.info(`Downloaded ${file.name} to ${tempFilePath}`);
           return tempFilePath;
         } catch (error) {
-          console.error(`Failed to download ${file.name}:`, error);
+          logger.error(`Failed to download ${file.name}:`, error);
           return null;
         }
       });
@@ -642,7 +1152,7 @@ class WebDAVManager {
 
       return tempFiles;
     } catch (error) {
-      console.error('Failed to prepare drag-out files:', error);
+      logger.error('Failed to prepare drag-out files:', error);
       throw new Error(`Failed to prepare files for drag-out: ${error.message}`);
     }
   }
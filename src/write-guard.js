@@ -0,0 +1,129 @@
+const EventEmitter = require('events');
+
+const DEFAULT_UNLOCK_MINUTES = 10;
+const MAX_UNLOCK_MINUTES = 60;
+
+/**
+ * Keeps production instances read-only. The connection the WebDAV client is
+ * opened with is protected when it is labelled as production or its hostname
+ * matches one of the configured patterns (e.g. "production-*.demandware.net").
+ *
+ * Writes to a protected connection are refused until they are unlocked by
+ * typing the connection name; the unlock expires after a few minutes. Every
+ * change of state is emitted as a 'changed' event with the status.
+ */
+class WriteGuard extends EventEmitter {
+  constructor() {
+    super();
+    this.connection = null;
+    this.hostPatterns = [];
+    this.unlockedUntil = null;
+    this.relockTimer = null;
+  }
+
+  /**
+   * @param {Array<string>} patterns - Hostname patterns, * matches any characters
+   */
+  setHostPatterns(patterns) {
+    this.hostPatterns = (patterns || []).map(pattern => String(pattern).trim().toLowerCase()).filter(Boolean);
+    this.emit('changed', this.getStatus());
+  }
+
+  /**
+   * Whether a connection opens in read-only mode
+   * @param {Object} connection - Connection with url and environment
+   */
+  isProtected(connection) {
+    if (!connection) {
+      return false;
+    }
+    if (connection.environment === 'production') {
+      return true;
+    }
+
+    let hostname;
+    try {
+      hostname = new URL(connection.url).hostname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+    return this.hostPatterns.some(pattern => patternToRegExp(pattern).test(hostname));
+  }
+
+  /**
+   * Switch to the connection the WebDAV client now uses; writes are locked again
+   * @param {Object} connection - Connection with name, url and environment
+   */
+  setConnection(connection) {
+    this.connection = connection ? { name: connection.name, url: connection.url, environment: connection.environment } : null;
+    this.clearUnlock();
+    this.emit('changed', this.getStatus());
+  }
+
+  /**
+   * Allow writes to the current protected connection for a limited time
+   * @param {string} confirmation - Must be the connection name
+   * @param {number} minutes - How long writes stay allowed
+   */
+  unlock(confirmation, minutes = DEFAULT_UNLOCK_MINUTES) {
+    if (!this.connection || !this.isProtected(this.connection)) {
+      throw new Error('The current connection is not read-only');
+    }
+    if ((confirmation || '').trim() !== this.connection.name) {
+      throw new Error(`Type "${this.connection.name}" to unlock writes`);
+    }
+
+    const duration = Math.min(Math.max(parseInt(minutes, 10) || DEFAULT_UNLOCK_MINUTES, 1), MAX_UNLOCK_MINUTES);
+    this.clearUnlock();
+    this.unlockedUntil = Date.now() + duration * 60 * 1000;
+    this.relockTimer = setTimeout(() => this.lock(), duration * 60 * 1000);
+    this.emit('changed', this.getStatus());
+    return this.getStatus();
+  }
+
+  lock() {
+    this.clearUnlock();
+    this.emit('changed', this.getStatus());
+    return this.getStatus();
+  }
+
+  clearUnlock() {
+    clearTimeout(this.relockTimer);
+    this.relockTimer = null;
+    this.unlockedUntil = null;
+  }
+
+  isReadOnly() {
+    return this.isProtected(this.connection) && !(this.unlockedUntil && Date.now() < this.unlockedUntil);
+  }
+
+  /**
+   * Refuse a write operation while the current connection is read-only
+   * @param {string} operation - What was attempted, e.g. 'delete files'
+   */
+  assertWritable(operation) {
+    if (this.isReadOnly()) {
+      throw new Error(`"${this.connection.name}" is a production instance and opened read-only. Unlock writes to ${operation}.`);
+    }
+  }
+
+  getStatus() {
+    return {
+      connectionName: this.connection ? this.connection.name : null,
+      protected: this.isProtected(this.connection),
+      readOnly: this.isReadOnly(),
+      unlockedUntil: this.unlockedUntil ? new Date(this.unlockedUntil).toISOString() : null,
+      hostPatterns: this.hostPatterns
+    };
+  }
+}
+
+/**
+ * Turn a hostname pattern with * wildcards into an anchored regular expression
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+module.exports = WriteGuard;